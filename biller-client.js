@@ -9,7 +9,6 @@ const logger = require('./utils/logger');
 const { withRetry } = require('./utils/retry');
 const { 
   validarRUT, 
-  extraerRUTDePedido, 
   validarDatosComprobante,
   sanitizarString 
 } = require('./utils/validators');
@@ -31,10 +30,21 @@ class BillerError extends Error {
  * Cliente para la API de Biller
  */
 class BillerClient {
-  constructor() {
-    this.baseUrl = config.biller.baseUrl;
-    this.token = config.biller.token;
-    this.empresaId = config.biller.empresa.id;
+  /**
+   * @param {Object} [credenciales] - Credenciales de un sitio (default: config.js)
+   * @param {string} [credenciales.token]
+   * @param {string} [credenciales.empresaId]
+   * @param {string} [credenciales.sucursal]
+   * @param {string} [credenciales.ambiente] - 'production' o 'test'
+   */
+  constructor(credenciales = {}) {
+    this.environment = credenciales.ambiente || config.biller.environment;
+    this.baseUrl = credenciales.ambiente
+      ? (credenciales.ambiente === 'production' ? 'https://biller.uy/v2' : 'https://test.biller.uy/v2')
+      : config.biller.baseUrl;
+    this.token = credenciales.token || config.biller.token;
+    this.empresaId = credenciales.empresaId || config.biller.empresa.id;
+    this.sucursal = credenciales.sucursal || config.biller.empresa.sucursal;
     this.timeout = config.biller.timeout;
     this.retryConfig = config.biller.retry;
   }
@@ -170,7 +180,7 @@ class BillerClient {
           connected: true,
           empresa: response.nombre || response.razon_social || config.biller.empresa.nombre,
           rut: response.rut,
-          ambiente: config.biller.environment,
+          ambiente: this.environment,
           timestamp: new Date().toISOString()
         };
       } catch (empresaError) {
@@ -184,7 +194,7 @@ class BillerClient {
           return {
             connected: true,
             empresa: config.biller.empresa.nombre,
-            ambiente: config.biller.environment,
+            ambiente: this.environment,
             timestamp: new Date().toISOString(),
             note: 'Conexión verificada (endpoint empresas no disponible)'
           };
@@ -194,7 +204,7 @@ class BillerClient {
             return {
               connected: false,
               error: 'Token de Biller inválido o expirado',
-              ambiente: config.biller.environment,
+              ambiente: this.environment,
               timestamp: new Date().toISOString()
             };
           }
@@ -202,7 +212,7 @@ class BillerClient {
           return {
             connected: true,
             empresa: config.biller.empresa.nombre,
-            ambiente: config.biller.environment,
+            ambiente: this.environment,
             timestamp: new Date().toISOString(),
             warning: 'No se pudo verificar completamente'
           };
@@ -213,7 +223,7 @@ class BillerClient {
         connected: false,
         error: error.message,
         code: error.code,
-        ambiente: config.biller.environment,
+        ambiente: this.environment,
         timestamp: new Date().toISOString()
       };
     }
@@ -278,7 +288,7 @@ class BillerClient {
    * @param {Object} datos - Datos del comprobante
    */
   async emitirComprobante(datos) {
-    const sucursalId = parseInt(datos.sucursal || config.biller.empresa.sucursal, 10);
+    const sucursalId = parseInt(datos.sucursal || this.sucursal, 10);
     if (!sucursalId) {
       throw new BillerError(
         'Sucursal no configurada (BILLER_EMPRESA_SUCURSAL)',
@@ -61,7 +61,8 @@ const MAPEO_TIPO_DOCUMENTO_WIX = Object.freeze({
   'UY_CI': TIPOS_DOCUMENTO.CI,
   'OTHER': TIPOS_DOCUMENTO.OTRO,
   'PASSPORT': TIPOS_DOCUMENTO.PASAPORTE,
-  'DNI': TIPOS_DOCUMENTO.DNI
+  'DNI': TIPOS_DOCUMENTO.DNI,
+  'NIFE': TIPOS_DOCUMENTO.NIFE
 });
 
 /**
@@ -189,6 +190,10 @@ const config = {
     // Site ID
     siteId: process.env.WIX_SITE_ID,
 
+    // Multi-tenant: exigir credenciales de Biller propias por sitio
+    // (si es false, sitios sin config usan las credenciales globales BILLER_*)
+    requireTenantConfig: process.env.WIX_REQUIRE_TENANT_CONFIG === 'true',
+
     // API Base URL
     apiBaseUrl: process.env.WIX_API_BASE_URL || 'https://www.wixapis.com',
 
@@ -220,6 +225,54 @@ const config = {
     }
   },
 
+  // ============================================================
+  // MERCADOLIBRE (canal de venta adicional)
+  // ============================================================
+  mercadolibre: {
+    enabled: process.env.ML_ENABLED === 'true',
+
+    // API (ML_API_URL apunta a un fake local en desarrollo y tests)
+    apiUrl: process.env.ML_API_URL || 'https://api.mercadolibre.com',
+    timeout: parseInt(process.env.ML_TIMEOUT) || 30000,
+
+    // Aplicacion: las notificaciones traen application_id y user_id (vendedor)
+    appId: process.env.ML_APP_ID,
+    clientSecret: process.env.ML_CLIENT_SECRET,
+    sellerId: process.env.ML_SELLER_ID,
+
+    // Tokens OAuth del vendedor (el access token dura 6 horas; se renueva con el refresh token)
+    accessToken: process.env.ML_ACCESS_TOKEN,
+    refreshToken: process.env.ML_REFRESH_TOKEN,
+
+    // Sitio (settings de IVA/pagos y credenciales Biller) con el que se facturan las ventas de ML
+    // Sin valor: credenciales BILLER_* globales
+    instanceId: process.env.ML_INSTANCE_ID || null
+  },
+
+  // ============================================================
+  // SHOPIFY (canal de venta adicional)
+  // ============================================================
+  shopify: {
+    enabled: process.env.SHOPIFY_ENABLED === 'true',
+
+    // Tienda (mi-tienda.myshopify.com) y token de la custom app (Admin API)
+    shop: process.env.SHOPIFY_SHOP,
+    accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
+    apiVersion: process.env.SHOPIFY_API_VERSION || '2024-07',
+    timeout: parseInt(process.env.SHOPIFY_TIMEOUT) || 30000,
+
+    // Webhooks firmados con HMAC-SHA256 (X-Shopify-Hmac-Sha256)
+    webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET,
+
+    // Campos del checkout donde el cliente carga RUT y razon social
+    // (note_attributes, metafields y properties de line_items)
+    camposRUT: (process.env.SHOPIFY_CAMPOS_RUT || 'rut,documento,ci,cedula').split(',').map(s => s.trim()),
+    camposRazonSocial: (process.env.SHOPIFY_CAMPOS_RAZON_SOCIAL || 'razon social,razon_social,empresa').split(',').map(s => s.trim()),
+
+    // Sitio cuya configuracion (IVA, pagos, Biller) se usa para facturar Shopify
+    instanceId: process.env.SHOPIFY_INSTANCE_ID || null
+  },
+
   // ============================================================
   // SERVIDOR
   // ============================================================
@@ -233,6 +286,35 @@ const config = {
     shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT) || 10000
   },
 
+  // ============================================================
+  // API KEYS (rutas /api de administracion)
+  // ============================================================
+  apiKeys: {
+    // Key con scope admin definida por entorno (bootstrap; opcional)
+    adminKey: process.env.ADMIN_API_KEY || null,
+
+    // Releer las keys del storage cada N ms (keys creadas o revocadas por CLI)
+    recargaMs: parseInt(process.env.API_KEYS_RECARGA_MS) || 30000
+  },
+
+  // ============================================================
+  // PORTAL DE CLIENTES (widget de comprobantes)
+  // ============================================================
+  customerPortal: {
+    // Secreto para firmar los tokens de cliente (default: WIX_APP_SECRET / WIX_CLIENT_SECRET)
+    tokenSecret: process.env.CUSTOMER_TOKEN_SECRET || process.env.WIX_APP_SECRET || process.env.WIX_CLIENT_SECRET,
+
+    // Vigencia del token de cliente (minutos)
+    tokenTtlMinutos: parseInt(process.env.CUSTOMER_TOKEN_TTL_MINUTOS) || 15,
+
+    // Antiguedad maxima de la instancia Wix firmada que se canjea (minutos)
+    instanciaMaxMinutos: parseInt(process.env.CUSTOMER_INSTANCE_MAX_MINUTOS) || 60,
+
+    // Origenes permitidos para CORS del widget (vacio: ninguno)
+    allowedOrigins: (process.env.CUSTOMER_API_ALLOWED_ORIGINS || '')
+      .split(',').map(s => s.trim()).filter(Boolean)
+  },
+
   // ============================================================
   // FACTURACION
   // ============================================================
@@ -241,7 +323,23 @@ const config = {
     enviarAlCliente: process.env.ENVIAR_COMPROBANTE_CLIENTE !== 'false',
 
     // IVA por defecto (22% = tasa basica)
-    ivaDefault: parseInt(process.env.IVA_DEFAULT) || 22
+    ivaDefault: parseInt(process.env.IVA_DEFAULT) || 22,
+
+    // Plazo (dias) de las ventas a credito (pago offline / transferencia)
+    // Cada sitio puede mapear sus medios de pago en settings.pagos
+    diasCredito: parseInt(process.env.FACTURACION_DIAS_CREDITO) || 30,
+
+    // Total del comprobante vs total Wix antes de emitir (en la moneda de la orden)
+    // Hasta la tolerancia se agrega una linea de redondeo; mas alla la orden va a revision manual
+    // (0 = nunca ajustar)
+    toleranciaRedondeo: parseFloat(process.env.FACTURACION_TOLERANCIA_REDONDEO ?? 0.5),
+
+    // e-Factura de exportacion (121): datos de la operacion exigidos por DGI
+    exportacion: {
+      clausulaVenta: process.env.EXPORTACION_CLAUSULA_VENTA || 'DAP',           // Incoterm
+      modalidadVenta: parseInt(process.env.EXPORTACION_MODALIDAD_VENTA) || 1,  // 1 = Regimen general
+      viaTransporte: parseInt(process.env.EXPORTACION_VIA_TRANSPORTE) || 3     // 3 = Envio postal
+    }
   },
 
   // ============================================================
@@ -252,10 +350,17 @@ const config = {
     // Desde 01/11/2022, e-Tickets > 5000 UI requieren identificar al receptor
     limiteUI: 5000,
 
-    // Valor de la UI en UYU (ACTUALIZAR MENSUALMENTE)
+    // Valor de la UI en UYU de respaldo, solo si la tabla de valores UI
+    // no tiene valor para la fecha de la orden (ver POST /api/valores-ui)
     // Fuente: https://www.ine.gub.uy/unidad-indexada
     valorUI: parseFloat(process.env.DGI_VALOR_UI) || 6.50,
 
+    // Archivo de valores UI a importar al iniciar (CSV del INE: fecha;valor)
+    archivoValoresUI: process.env.DGI_VALORES_UI_FILE || null,
+
+    // Antiguedad maxima (dias) del ultimo valor UI cargado antes de usar el respaldo
+    valorUIMaxDias: parseInt(process.env.DGI_VALOR_UI_MAX_DIAS) || 31,
+
     // Margen de seguridad (empezar a requerir datos antes del limite exacto)
     margenSeguridad: parseFloat(process.env.DGI_MARGEN_SEGURIDAD) || 0.92,
 
@@ -265,6 +370,21 @@ const config = {
     }
   },
 
+  // ============================================================
+  // MONEDAS Y TIPO DE CAMBIO
+  // ============================================================
+  monedas: {
+    // Moneda local (montos de reglas DGI expresados en esta moneda)
+    base: 'UYU',
+
+    // Antiguedad maxima (dias) de la cotizacion BCU a usar
+    // Cubre fines de semana y feriados sin publicacion
+    maxAntiguedadDias: parseInt(process.env.TIPO_CAMBIO_MAX_DIAS) || 5,
+
+    // Archivo de cotizaciones a importar al iniciar (JSON o CSV fecha,moneda,valor)
+    archivoImportar: process.env.TIPOS_CAMBIO_FILE || null
+  },
+
   // ============================================================
   // PROCESAMIENTO
   // ============================================================
@@ -276,20 +396,145 @@ const config = {
     dedupeWindow: parseInt(process.env.DEDUPE_WINDOW) || 5 * 60 * 1000,
 
     // Intervalo de limpieza de cache (ms)
-    cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL) || 10 * 60 * 1000
+    cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL) || 10 * 60 * 1000,
+
+    // Worker de reintentos de la cola persistente de webhooks
+    worker: {
+      enabled: process.env.WEBHOOK_WORKER_ENABLED !== 'false',
+      // Cada cuanto revisar items pendientes (ms)
+      pollInterval: parseInt(process.env.WEBHOOK_WORKER_INTERVAL) || 15 * 1000,
+      // Backoff entre reintentos (ms): 30s, 1m, 2m, 4m... hasta 30m
+      initialDelay: parseInt(process.env.WEBHOOK_RETRY_INITIAL_DELAY) || 30 * 1000,
+      maxDelay: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY) || 30 * 60 * 1000,
+      // Intentos antes de mover a dead letters
+      maxRetries: parseInt(process.env.WEBHOOK_MAX_RETRIES) || 5
+    },
+
+    // Worker que descarga el PDF de cada CFE nuevo al archivo local
+    pdfWorker: {
+      enabled: process.env.PDF_WORKER_ENABLED !== 'false',
+      pollInterval: parseInt(process.env.PDF_WORKER_INTERVAL) || 30 * 1000,
+      // Backoff entre intentos (ms): Biller genera el PDF en forma asincrona
+      initialDelay: parseInt(process.env.PDF_RETRY_INITIAL_DELAY) || 60 * 1000,
+      maxDelay: parseInt(process.env.PDF_RETRY_MAX_DELAY) || 60 * 60 * 1000,
+      // Intentos antes de marcar el PDF con error (visible en el dashboard)
+      maxIntentos: parseInt(process.env.PDF_MAX_INTENTOS) || 10
+    }
+  },
+
+  // ============================================================
+  // CONCILIACION WIX <-> STORE <-> BILLER
+  // ============================================================
+  conciliacion: {
+    // Ejecutar conciliacion periodica (ultimo reporte en /api/conciliacion/ultimo)
+    enabled: process.env.CONCILIACION_ENABLED === 'true',
+    // Cada cuantas horas
+    intervaloHoras: parseInt(process.env.CONCILIACION_INTERVALO_HORAS) || 24,
+    // Dias hacia atras que cubre cada ejecucion
+    dias: parseInt(process.env.CONCILIACION_DIAS) || 7,
+    // Diferencia de montos tolerada (redondeos)
+    tolerancia: parseFloat(process.env.CONCILIACION_TOLERANCIA) || 0.5,
+    // Rango maximo por reporte (dias)
+    maxDias: 92
+  },
+
+  // ============================================================
+  // BACKFILL DE ORDENES HISTORICAS
+  // ============================================================
+  backfill: {
+    // Pausa entre emisiones (ms) para no saturar Biller
+    delayMs: parseInt(process.env.BACKFILL_DELAY_MS) || 2000,
+    // Ordenes por pagina de Wix
+    pageSize: parseInt(process.env.BACKFILL_PAGE_SIZE) || 50,
+    // Rango maximo por job (dias)
+    maxDias: 92
+  },
+
+  // ============================================================
+  // DATOS DEL RECEPTOR (VENTAS > 5000 UI SIN DOCUMENTO)
+  // ============================================================
+  datosReceptor: {
+    // Pedir el documento al comprador por email con un link al formulario (requiere SMTP_HOST)
+    enabled: process.env.DATOS_RECEPTOR_ENABLED !== 'false',
+    // Horas que tiene el comprador para completar el formulario
+    plazoHoras: parseInt(process.env.DATOS_RECEPTOR_PLAZO_HORAS) || 72,
+    // Al vencer el plazo: 'revision' (queda para el admin) o 'emitir' (e-Ticket sin documento)
+    fallback: process.env.DATOS_RECEPTOR_FALLBACK === 'emitir' ? 'emitir' : 'revision',
+    // Cada cuantos minutos se buscan pedidos vencidos
+    intervaloMinutos: parseInt(process.env.DATOS_RECEPTOR_INTERVALO_MINUTOS) || 15
   },
 
   // ============================================================
   // PERSISTENCIA
   // ============================================================
   storage: {
+    // Backend: 'json' (archivos data/*.json) o 'sqlite' (base embebida)
+    backend: (process.env.STORAGE_BACKEND || 'json').toLowerCase(),
+
+    // Directorio de datos (archivos JSON por coleccion)
+    dataDir: process.env.STORAGE_DATA_DIR || './data',
+
+    // Archivo de la base SQLite
+    sqliteFile: process.env.STORAGE_SQLITE_FILE || './data/wix-biller.db',
+
     // Ruta del archivo de comprobantes
     comprobantesFile: process.env.STORAGE_FILE || './data/comprobantes.json',
 
+    // Directorio del archivo local de PDFs (por sitio e ID de Biller)
+    pdfDir: process.env.PDF_ARCHIVE_DIR || './data/pdfs',
+
+    // Audit log de operaciones fiscales (JSONL encadenado por hash)
+    auditDir: process.env.AUDIT_DIR || './data/audit',
+
     // Auto-guardar cada N segundos
     autoSaveInterval: parseInt(process.env.AUTO_SAVE_INTERVAL) || 30
   },
 
+  // ============================================================
+  // ALERTAS
+  // ============================================================
+  // Las reglas y umbrales vigentes se editan en /api/alertas (settings store);
+  // estos valores son los defaults
+  alertas: {
+    enabled: process.env.ALERTS_ENABLED !== 'false',
+    // Cada cuanto evaluar las reglas (ms)
+    intervalo: parseInt(process.env.ALERT_CHECK_INTERVAL) || 60 * 1000,
+    // No repetir la misma alerta antes de (ms)
+    cooldown: parseInt(process.env.ALERT_COOLDOWN) || 5 * 60 * 1000,
+
+    umbrales: {
+      pdfFailureRate: parseFloat(process.env.ALERT_PDF_FAILURE_RATE) || 20,
+      cacheHitRateMin: parseFloat(process.env.ALERT_CACHE_HIT_RATE_MIN) || 50,
+      apiLatencyMax: parseInt(process.env.ALERT_API_LATENCY_MAX) || 30000,
+      errorRateMax: parseFloat(process.env.ALERT_ERROR_RATE_MAX) || 5,
+      memoryMaxMb: parseInt(process.env.ALERT_MEMORY_MAX_MB) || 300
+    },
+
+    canales: {
+      slack: {
+        webhookUrl: process.env.SLACK_WEBHOOK_URL || null,
+        severidadMinima: process.env.ALERT_SLACK_MIN_SEVERITY || 'LOW'
+      },
+      email: {
+        host: process.env.SMTP_HOST || null,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        // true: TLS implicito (465); false: STARTTLS si el servidor lo ofrece
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER || null,
+        pass: process.env.SMTP_PASS || null,
+        from: process.env.SMTP_FROM || process.env.SMTP_USER || null,
+        to: (process.env.ALERT_EMAIL_TO || '').split(',').map(s => s.trim()).filter(Boolean),
+        severidadMinima: process.env.ALERT_EMAIL_MIN_SEVERITY || 'HIGH'
+      },
+      webhook: {
+        url: process.env.ALERT_WEBHOOK_URL || null,
+        // Firma HMAC-SHA256 en X-Alert-Signature
+        secret: process.env.ALERT_WEBHOOK_SECRET || null,
+        severidadMinima: process.env.ALERT_WEBHOOK_MIN_SEVERITY || 'LOW'
+      }
+    }
+  },
+
   // ============================================================
   // LOGGING
   // ============================================================
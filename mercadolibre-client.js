@@ -0,0 +1,448 @@
+/**
+ * Cliente para la API de MercadoLibre (ordenes del vendedor)
+ * Normaliza las ordenes al mismo formato que WixClient.normalizeOrder para que
+ * la decision de comprobante, el armado del payload y las NC funcionen sin cambios
+ * @module mercadolibre-client
+ */
+
+const config = require('./config');
+const logger = require('./utils/logger');
+const { CANALES } = require('./services/canales');
+const { redondear } = require('./services/descuentos');
+
+// Topic de las notificaciones de ordenes
+const TOPIC_ORDENES = 'orders_v2';
+
+// Tipo de documento de billing_info -> tipo Wix (MAPEO_TIPO_DOCUMENTO_WIX)
+const TIPOS_DOCUMENTO_ML = Object.freeze({
+  CI: 'UY_CI',
+  RUT: 'UY_RUT',
+  DNI: 'DNI',
+  PASAPORTE: 'PASSPORT',
+  PASSPORT: 'PASSPORT'
+});
+
+// Medios de pago que se acreditan despues de la compra (abitab, redpagos, transferencia)
+const PAGOS_OFFLINE = ['ticket', 'atm', 'bank_transfer'];
+
+/**
+ * Error de la API o de una notificacion de MercadoLibre
+ */
+class MercadoLibreError extends Error {
+  constructor(message, status = null, code = 'ML_API_ERROR') {
+    super(message);
+    this.name = 'MercadoLibreError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class MercadoLibreClient {
+  /**
+   * @param {Object} [opciones] - Sobrescribe config.mercadolibre (tests)
+   */
+  constructor(opciones = {}) {
+    const ml = { ...config.mercadolibre, ...opciones };
+
+    this.baseUrl = ml.apiUrl;
+    this.timeout = ml.timeout;
+    this.appId = ml.appId;
+    this.clientSecret = ml.clientSecret;
+    this.sellerId = ml.sellerId;
+    this.accessToken = ml.accessToken;
+    this.refreshToken = ml.refreshToken;
+  }
+
+  /**
+   * Request autenticado; renueva el token una vez ante un 401
+   * @param {string} ruta - Ej: /orders/123
+   * @returns {Object|null} JSON de respuesta o null si es 404
+   */
+  async request(ruta, reintentar = true) {
+    if (!this.accessToken) {
+      throw new MercadoLibreError('No hay access token de MercadoLibre configurado', null, 'ML_SIN_TOKEN');
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${ruta}`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Accept': 'application/json'
+        },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        throw new MercadoLibreError(`Timeout consultando MercadoLibre (${ruta})`, null, 'ML_TIMEOUT');
+      }
+      throw error;
+    }
+
+    if (response.status === 401 && reintentar && this.refreshToken) {
+      await this.renovarToken();
+      return this.request(ruta, false);
+    }
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new MercadoLibreError(`Error ${response.status} en ${ruta}: ${errorText}`, response.status);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Renovar access token con el refresh token
+   * ML entrega un refresh token nuevo en cada renovacion (el anterior deja de servir)
+   */
+  async renovarToken() {
+    const response = await fetch(`${this.baseUrl}/oauth/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      body: new URLSearchParams({
+        grant_type: 'refresh_token',
+        client_id: this.appId || '',
+        client_secret: this.clientSecret || '',
+        refresh_token: this.refreshToken
+      }).toString(),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new MercadoLibreError(`Error renovando token de MercadoLibre: ${response.status} - ${errorText}`, response.status, 'ML_TOKEN');
+    }
+
+    const data = await response.json();
+    this.accessToken = data.access_token;
+    this.refreshToken = data.refresh_token || this.refreshToken;
+
+    logger.warn('Token de MercadoLibre renovado: actualizar ML_REFRESH_TOKEN antes del proximo reinicio', {
+      expiresIn: data.expires_in
+    });
+  }
+
+  /**
+   * Validar notificacion de MercadoLibre
+   * ML no firma las notificaciones: se verifica que sean de nuestra app y vendedor
+   * y el contenido se lee siempre de la API
+   * @param {Object} notificacion - { _id, resource, user_id, topic, application_id, sent }
+   * @returns {Object} { topic, orderId, userId, eventId }
+   * @throws {MercadoLibreError} Si no es de la app/vendedor configurados
+   */
+  verificarNotificacion(notificacion) {
+    const { resource, topic } = notificacion || {};
+
+    if (!resource || !topic) {
+      throw new MercadoLibreError('Notificacion sin resource/topic', null, 'ML_NOTIFICACION_INVALIDA');
+    }
+    if (this.appId && String(notificacion.application_id) !== String(this.appId)) {
+      throw new MercadoLibreError(`application_id ${notificacion.application_id} no corresponde a ML_APP_ID`, null, 'ML_NOTIFICACION_INVALIDA');
+    }
+    if (this.sellerId && String(notificacion.user_id) !== String(this.sellerId)) {
+      throw new MercadoLibreError(`user_id ${notificacion.user_id} no corresponde a ML_SELLER_ID`, null, 'ML_NOTIFICACION_INVALIDA');
+    }
+
+    return {
+      topic,
+      orderId: topic === TOPIC_ORDENES ? resource.split('/').filter(Boolean).pop() : null,
+      userId: notificacion.user_id,
+      eventId: notificacion._id || `${resource}-${notificacion.sent || Date.now()}`
+    };
+  }
+
+  /**
+   * Obtener orden con sus datos de facturacion y envio
+   * @param {string|number} orderId
+   * @returns {Object|null} Orden ML (con billing_info y shipment) o null si no existe
+   */
+  async getOrder(orderId) {
+    const order = await this.request(`/orders/${orderId}`);
+    if (!order) {
+      logger.debug('Orden MercadoLibre no encontrada', { orderId });
+      return null;
+    }
+
+    const [billingInfo, shipment] = await Promise.all([
+      this.getBillingInfo(orderId),
+      order.shipping?.id ? this.getShipment(order.shipping.id) : null
+    ]);
+
+    return { ...order, billing_info: billingInfo, shipment };
+  }
+
+  /**
+   * Datos fiscales que el comprador cargo en la compra
+   * @param {string|number} orderId
+   * @returns {Object|null} { doc_type, doc_number, additional_info }
+   */
+  async getBillingInfo(orderId) {
+    try {
+      const data = await this.request(`/orders/${orderId}/billing_info`);
+      return data?.billing_info || null;
+    } catch (error) {
+      logger.warn('No se pudo obtener billing_info de la orden ML', { orderId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * @param {string|number} shipmentId
+   * @returns {Object|null}
+   */
+  async getShipment(shipmentId) {
+    try {
+      return await this.request(`/shipments/${shipmentId}`);
+    } catch (error) {
+      logger.warn('No se pudo obtener el envio de la orden ML', { shipmentId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Pagos de la orden (mismo contrato que WixClient.getOrderTransactions)
+   * @param {string|number} orderId
+   * @returns {Object|null} { payments }
+   */
+  async getOrderTransactions(orderId) {
+    const order = await this.request(`/orders/${orderId}`);
+    return order ? { payments: order.payments || [] } : null;
+  }
+
+  /**
+   * Buscar una pagina de ordenes del vendedor creadas en un rango (paginacion por offset)
+   * Las ordenes del listado no traen billing_info ni envio: para facturar usar getOrder
+   * @param {Object} filtros
+   * @param {string} filtros.desde - ISO
+   * @param {string} filtros.hasta - ISO
+   * @param {number} [filtros.limit=50] - Max 51
+   * @param {string|number} [filtros.cursor] - offset de la pagina
+   * @returns {Object} { orders, nextCursor }
+   */
+  async searchOrdersPage({ desde, hasta, limit = 50, cursor = null }) {
+    const offset = parseInt(cursor) || 0;
+    const params = new URLSearchParams({
+      seller: String(this.sellerId),
+      'order.date_created.from': desde,
+      'order.date_created.to': hasta,
+      sort: 'date_asc',
+      offset: String(offset),
+      limit: String(limit)
+    });
+
+    const data = await this.request(`/orders/search?${params}`);
+    const orders = data?.results || [];
+    const total = data?.paging?.total || 0;
+
+    return {
+      orders,
+      nextCursor: offset + orders.length < total && orders.length > 0 ? String(offset + orders.length) : null
+    };
+  }
+
+  /**
+   * Normalizar pagos de ML (mismo formato que WixClient.normalizePayments)
+   * @param {Object} transacciones - { payments }
+   * @returns {Array<{id: string, metodo: string, offline: boolean, giftCard: boolean, estado: string, monto: number}>}
+   */
+  normalizePayments(transacciones) {
+    return (transacciones?.payments || []).map(pago => ({
+      id: String(pago.id),
+      metodo: pago.payment_type || pago.payment_method_id || null,
+      offline: PAGOS_OFFLINE.includes(pago.payment_type),
+      giftCard: false,
+      estado: pago.status || null,
+      monto: parseFloat(pago.total_paid_amount ?? pago.transaction_amount ?? 0)
+    }));
+  }
+
+  /**
+   * Normalizar devoluciones de ML (mismo formato que WixClient.normalizeRefunds)
+   * ML informa el acumulado devuelto por pago: cada cambio del acumulado es un
+   * refund nuevo por la diferencia con lo ya acreditado para ese pago
+   * @param {Object} mlOrder
+   * @param {Array} [acreditados] - reembolsos del comprobante ({ refund_id, monto })
+   * @returns {Array<{id: string, monto: number, items: Array, incluyeEnvio: boolean, fecha: string}>}
+   */
+  normalizeRefunds(mlOrder, acreditados = []) {
+    return (mlOrder?.payments || []).map(pago => {
+      const devuelto = redondear(parseFloat(pago.transaction_amount_refunded || 0));
+      const prefijo = `ml-${pago.id}-`;
+      const yaAcreditado = acreditados
+        .filter(r => String(r.refund_id).startsWith(prefijo))
+        .reduce((sum, r) => sum + r.monto, 0);
+
+      return {
+        id: `${prefijo}${Math.round(devuelto * 100)}`,
+        monto: redondear(devuelto - yaAcreditado),
+        items: [],
+        incluyeEnvio: false,
+        razon: null,
+        fecha: pago.date_last_modified || null
+      };
+    }).filter(refund => refund.monto > 0);
+  }
+
+  /**
+   * Normalizar orden de MercadoLibre al formato interno (ver WixClient.normalizeOrder)
+   * @param {Object} mlOrder - Orden de getOrder (con billing_info y shipment)
+   * @returns {Object} Orden normalizada
+   */
+  normalizeOrder(mlOrder) {
+    const billing = mlOrder.billing_info || {};
+    const adicional = Object.fromEntries((billing.additional_info || []).map(i => [i.type, i.value]));
+    const buyer = mlOrder.buyer || {};
+    const receptor = mlOrder.shipment?.receiver_address || {};
+    const pagos = mlOrder.payments || [];
+
+    // Documento: los uruguayos son numericos, los extranjeros pueden tener letras
+    const tipoDocumento = billing.doc_type ? (TIPOS_DOCUMENTO_ML[billing.doc_type.toUpperCase()] || 'OTHER') : null;
+    const documento = (tipoDocumento?.startsWith('UY_')
+      ? billing.doc_number?.replace(/\D/g, '')
+      : billing.doc_number?.replace(/[^0-9A-Za-z]/g, '').toUpperCase()) || null;
+
+    const items = (mlOrder.order_items || []).map(oi => ({
+      id: [oi.item?.id, oi.item?.variation_id].filter(Boolean).join('-'),
+      nombre: oi.item?.title || 'Producto',
+      sku: oi.item?.seller_sku || null,
+      productId: null, // Sin colecciones Wix: IVA por tasa default u override por SKU
+      colecciones: [],
+      cantidad: parseInt(oi.quantity) || 1,
+      precioUnitario: parseFloat(oi.unit_price) || 0,
+      precioTotal: redondear((parseFloat(oi.unit_price) || 0) * (parseInt(oi.quantity) || 1)),
+      descuento: 0, // unit_price ya es el precio con descuento
+      iva: config.facturacion.ivaDefault
+    }));
+
+    // Envio pagado por el comprador (en el pago, o en el costo de la opcion de envio)
+    const envioPagos = pagos
+      .filter(p => p.status === 'approved')
+      .reduce((sum, p) => sum + parseFloat(p.shipping_cost || 0), 0);
+    const shippingCost = redondear(envioPagos || parseFloat(mlOrder.shipment?.shipping_option?.cost || 0));
+    if (shippingCost > 0) {
+      items.push({
+        id: 'shipping',
+        nombre: 'Envio',
+        cantidad: 1,
+        precioUnitario: shippingCost,
+        precioTotal: shippingCost,
+        iva: 22
+      });
+    }
+
+    const subtotal = parseFloat(mlOrder.total_amount || 0);
+    const { status, paymentStatus } = this.mapearEstado(mlOrder);
+    const nombreCompleto = [adicional.FIRST_NAME || buyer.first_name, adicional.LAST_NAME || buyer.last_name]
+      .filter(Boolean).join(' ');
+
+    return {
+      id: String(mlOrder.id),
+      number: mlOrder.pack_id || mlOrder.id,
+      canal: CANALES.MERCADOLIBRE,
+      status,
+      paymentStatus,
+      createdDate: mlOrder.date_created,
+      updatedDate: mlOrder.last_updated,
+
+      buyer: {
+        email: buyer.email || null,
+        firstName: adicional.FIRST_NAME || buyer.first_name,
+        lastName: adicional.LAST_NAME || buyer.last_name,
+        phone: buyer.phone?.number || null
+      },
+
+      fiscal: {
+        documento,
+        tipoDocumento,
+        razonSocial: adicional.BUSINESS_NAME || null,
+        nombreCompleto
+      },
+
+      direccion: {
+        linea1: [adicional.STREET_NAME, adicional.STREET_NUMBER].filter(Boolean).join(' ') || receptor.address_line || null,
+        linea2: null,
+        ciudad: adicional.CITY_NAME || receptor.city?.name || null,
+        departamento: adicional.STATE_NAME || receptor.state?.id || null,
+        codigoPostal: adicional.ZIP_CODE || receptor.zip_code || null,
+        pais: 'UY'
+      },
+
+      envio: {
+        pais: receptor.country?.id || null,
+        ciudad: receptor.city?.name || null,
+        linea1: receptor.address_line || null
+      },
+
+      montos: {
+        subtotal,
+        shipping: shippingCost,
+        tax: 0,
+        descuento: 0,
+        total: redondear(subtotal + shippingCost),
+        moneda: mlOrder.currency_id || 'UYU'
+      },
+
+      items,
+
+      taxInfo: {
+        ivaIncluido: true,
+        totalIva: 0
+      },
+
+      _original: mlOrder
+    };
+  }
+
+  /**
+   * Estado de la orden ML en terminos de Wix (status / paymentStatus)
+   * @param {Object} mlOrder
+   * @returns {Object} { status: APPROVED|CANCELED|INITIALIZED, paymentStatus: PAID|NOT_PAID|REFUNDED|PARTIALLY_REFUNDED }
+   */
+  mapearEstado(mlOrder) {
+    const aprobados = (mlOrder.payments || []).filter(p => p.status === 'approved' || p.status === 'refunded');
+    const pagado = aprobados.reduce((sum, p) => sum + parseFloat(p.total_paid_amount ?? p.transaction_amount ?? 0), 0);
+    const devuelto = aprobados.reduce((sum, p) => sum + parseFloat(p.transaction_amount_refunded || 0), 0);
+
+    let status = 'INITIALIZED';
+    if (mlOrder.status === 'cancelled' || mlOrder.status === 'invalid') {
+      status = 'CANCELED';
+    } else if (mlOrder.status === 'paid' || mlOrder.status === 'partially_refunded') {
+      status = 'APPROVED';
+    }
+
+    let paymentStatus = 'NOT_PAID';
+    if (devuelto > 0) {
+      paymentStatus = devuelto >= pagado ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+    } else if (status === 'APPROVED') {
+      paymentStatus = 'PAID';
+    }
+
+    return { status, paymentStatus };
+  }
+}
+
+// Singleton
+let mercadoLibreClient = null;
+
+function getMercadoLibreClient() {
+  if (!mercadoLibreClient) {
+    mercadoLibreClient = new MercadoLibreClient();
+  }
+  return mercadoLibreClient;
+}
+
+module.exports = {
+  TOPIC_ORDENES,
+  MercadoLibreError,
+  MercadoLibreClient,
+  getMercadoLibreClient
+};
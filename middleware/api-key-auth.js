@@ -0,0 +1,112 @@
+/**
+ * Autenticacion por API key de las rutas /api de administracion
+ * Acepta X-API-Key: <key> o Authorization: Bearer <key>
+ * Cada uso (y cada rechazo) queda en el audit log con la key que lo hizo
+ * @module middleware/api-key-auth
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getApiKeyStore, tieneScope, hashKey } = require('../utils/api-key-store');
+const { getAuditLogger } = require('../utils/audit-logger');
+
+/**
+ * Key de ADMIN_API_KEY (bootstrap y despliegues sin disco persistente)
+ */
+const KEY_ENTORNO = Object.freeze({ id: 'env', nombre: 'ADMIN_API_KEY', scopes: ['admin'], instanceId: null });
+
+function extraerApiKey(req) {
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+
+  const authHeader = req.headers['authorization'];
+  return authHeader?.startsWith('Bearer ') ? authHeader.slice('Bearer '.length) : null;
+}
+
+/**
+ * Resolver una key en claro (store o ADMIN_API_KEY)
+ * @param {string} key
+ * @param {Object} [store] - ApiKeyStore
+ * @returns {Object|null} { id, nombre, scopes, instanceId }
+ */
+function verificarApiKey(key, store = getApiKeyStore()) {
+  const adminKey = config.apiKeys.adminKey;
+  if (adminKey && crypto.timingSafeEqual(Buffer.from(hashKey(adminKey), 'hex'), Buffer.from(hashKey(key), 'hex'))) {
+    return KEY_ENTORNO;
+  }
+
+  return store.verificar(key);
+}
+
+/**
+ * Middleware que exige una API key con el scope indicado
+ * Adjunta req.apiKey = { id, nombre, scopes, instanceId }
+ * @param {string} scope - read | emit | void | admin
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.porSitio] - La ruta opera sobre ?instanceId / body.instanceId:
+ *   una key limitada a un sitio solo puede usarla para ese sitio.
+ *   En las demas rutas las keys limitadas se rechazan. Las rutas sobre una orden
+ *   ya facturada verifican ademas el sitio del comprobante (sitioDeOrden en server.js)
+ * @param {Object} [opciones.store] - ApiKeyStore (tests)
+ * @param {Object} [opciones.audit] - AuditLogger (tests)
+ */
+function requireApiKey(scope, opciones = {}) {
+  return (req, res, next) => {
+    const store = opciones.store || getApiKeyStore();
+    const audit = opciones.audit || getAuditLogger();
+    const ruta = `${req.method} ${req.baseUrl || ''}${req.path}`;
+
+    const rechazar = (status, code, error, apiKey = null) => {
+      audit.log('api_key_denied', {
+        api_key_id: apiKey?.id || null,
+        api_key: apiKey?.nombre || null,
+        scope,
+        ruta,
+        ip: req.ip,
+        code
+      }, 'warn');
+      logger.warn('Request /api rechazado', { ruta, code, apiKey: apiKey?.nombre });
+      return res.status(status).json({ error, code });
+    };
+
+    const key = extraerApiKey(req);
+    if (!key) {
+      return rechazar(401, 'AUTH_MISSING', 'API key requerida (X-API-Key)');
+    }
+
+    const apiKey = verificarApiKey(key, store);
+    if (!apiKey) {
+      return rechazar(401, 'AUTH_INVALID', 'API key invalida o revocada');
+    }
+
+    if (!tieneScope(apiKey.scopes, scope)) {
+      return rechazar(403, 'AUTH_SCOPE', `La API key no tiene el scope ${scope}`, apiKey);
+    }
+
+    if (apiKey.instanceId) {
+      const solicitado = req.query?.instanceId || req.body?.instanceId || null;
+      if (!opciones.porSitio || solicitado !== apiKey.instanceId) {
+        return rechazar(403, 'AUTH_TENANT', `La API key solo opera sobre el sitio ${apiKey.instanceId} (?instanceId=)`, apiKey);
+      }
+    }
+
+    req.apiKey = apiKey;
+    store.registrarUso(apiKey.id);
+    audit.log('api_key_usage', {
+      api_key_id: apiKey.id,
+      api_key: apiKey.nombre,
+      scope,
+      ruta,
+      ip: req.ip,
+      tenant: apiKey.instanceId
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  requireApiKey,
+  verificarApiKey,
+  extraerApiKey
+};
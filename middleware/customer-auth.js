@@ -0,0 +1,161 @@
+/**
+ * Autenticacion del portal de clientes (widget de comprobantes)
+ * El widget canjea la instancia Wix firmada del miembro logueado por un
+ * token de corta duracion que fija el email y el sitio del cliente
+ * @module middleware/customer-auth
+ */
+
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { filtroTenant } = require('../services/tenant');
+const { CANALES } = require('../services/canales');
+
+const AUDIENCIA = 'customer-portal';
+
+class CustomerAuthError extends Error {
+  constructor(message, code = 'AUTH_INVALID') {
+    super(message);
+    this.name = 'CustomerAuthError';
+    this.code = code;
+  }
+}
+
+/**
+ * Secreto de firma de los tokens de cliente (tambien firma los links del
+ * formulario de datos del receptor)
+ * @returns {string}
+ * @throws {CustomerAuthError} AUTH_NOT_CONFIGURED
+ */
+function getSecret() {
+  const secret = config.customerPortal.tokenSecret;
+  if (!secret) {
+    throw new CustomerAuthError('CUSTOMER_TOKEN_SECRET o WIX_APP_SECRET no configurado', 'AUTH_NOT_CONFIGURED');
+  }
+  return secret;
+}
+
+/**
+ * Emitir token de cliente
+ * @param {Object} cliente - { email, memberId, instanceId, canal }
+ * @returns {Object} { token, expiresIn } - expiresIn en segundos
+ */
+function emitirTokenCliente({ email, memberId, instanceId, canal = CANALES.WIX }) {
+  if (!email) {
+    throw new CustomerAuthError('Email del miembro requerido', 'EMAIL_REQUIRED');
+  }
+
+  const expiresIn = config.customerPortal.tokenTtlMinutos * 60;
+  const opciones = { algorithm: 'HS256', audience: AUDIENCIA, expiresIn };
+  if (memberId) {
+    opciones.subject = String(memberId);
+  }
+
+  const token = jwt.sign(
+    { email: email.toLowerCase(), instanceId: instanceId || null, canal },
+    getSecret(),
+    opciones
+  );
+
+  return { token, expiresIn };
+}
+
+/**
+ * Verificar token de cliente
+ * @param {string} token
+ * @returns {Object} { email, memberId, instanceId, canal }
+ * @throws {CustomerAuthError} AUTH_EXPIRED o AUTH_INVALID
+ */
+function verificarTokenCliente(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, getSecret(), { algorithms: ['HS256'], audience: AUDIENCIA });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new CustomerAuthError('Token expirado', 'AUTH_EXPIRED');
+    }
+    throw new CustomerAuthError(error.message, 'AUTH_INVALID');
+  }
+
+  if (!payload.email) {
+    throw new CustomerAuthError('Token sin email', 'AUTH_INVALID');
+  }
+
+  return {
+    email: payload.email,
+    memberId: payload.sub || null,
+    instanceId: payload.instanceId || null,
+    // Tokens emitidos antes de los canales son de Wix
+    canal: payload.canal || CANALES.WIX
+  };
+}
+
+/**
+ * Middleware que exige token de cliente
+ * Acepta Authorization: Bearer <token> o ?token= (links de PDF)
+ * Adjunta req.customer = { email, memberId, instanceId }
+ */
+function requireCustomerToken(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader?.startsWith('Bearer ')
+    ? authHeader.slice('Bearer '.length)
+    : req.query?.token;
+
+  if (!token) {
+    return res.status(401).json({
+      error: 'Token de cliente requerido',
+      code: 'AUTH_MISSING'
+    });
+  }
+
+  try {
+    req.customer = verificarTokenCliente(token);
+    next();
+  } catch (error) {
+    logger.debug('Customer token rechazado', { code: error.code, error: error.message });
+    res.status(401).json({
+      error: error.code === 'AUTH_EXPIRED' ? 'Token expirado' : 'Token invalido',
+      code: error.code || 'AUTH_INVALID'
+    });
+  }
+}
+
+/**
+ * Verificar si un comprobante pertenece al cliente del token
+ * Debe coincidir el email y el sitio (instance_id) que emitio el comprobante
+ * @param {Object} invoice - Comprobante del store
+ * @param {Object} customer - req.customer
+ * @returns {boolean}
+ */
+function tieneAccesoCliente(invoice, customer) {
+  if (!invoice || !customer?.email) return false;
+  if (!filtroTenant(customer.instanceId)(invoice)) return false;
+
+  const email = customer.email.toLowerCase();
+  return Boolean(
+    invoice.emails_notificacion?.some(e => e.toLowerCase() === email) ||
+    invoice.cliente_email?.toLowerCase() === email ||
+    invoice.buyer?.email?.toLowerCase() === email
+  );
+}
+
+/**
+ * Enmascarar email para logs y audit log
+ * @param {string} email
+ * @returns {string}
+ */
+function maskEmail(email) {
+  const [local, domain] = email.split('@');
+  const maskedLocal = local.charAt(0) + '***' + local.charAt(local.length - 1);
+  return `${maskedLocal}@${domain}`;
+}
+
+module.exports = {
+  CustomerAuthError,
+  getSecret,
+  maskEmail,
+  emitirTokenCliente,
+  verificarTokenCliente,
+  requireCustomerToken,
+  tieneAccesoCliente
+};
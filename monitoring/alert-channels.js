@@ -0,0 +1,346 @@
+/**
+ * Canales de envio de alertas (Slack, email SMTP y webhook HTTP firmado)
+ * Cada canal implementa enviar(alerta) y filtra por severidad minima
+ * @module monitoring/alert-channels
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const logger = require('../utils/logger');
+
+// Orden de severidades (de menor a mayor)
+const SEVERIDADES = ['INFO', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+function nivelSeveridad(severidad) {
+  const nivel = SEVERIDADES.indexOf(String(severidad).toUpperCase());
+  return nivel === -1 ? 0 : nivel;
+}
+
+/**
+ * Texto plano de una alerta (email, logs)
+ * @param {Object} alerta - { severity, title, data, timestamp }
+ */
+function formatearAlerta(alerta) {
+  const detalle = Object.entries(alerta.data || {})
+    .map(([clave, valor]) => `  ${clave}: ${typeof valor === 'object' ? JSON.stringify(valor) : valor}`)
+    .join('\n');
+
+  return `[${alerta.severity}] ${alerta.title}\n${alerta.timestamp}\n\n${detalle}\n`;
+}
+
+class CanalAlerta {
+  /**
+   * @param {string} nombre
+   * @param {Object} [opciones]
+   * @param {string} [opciones.severidadMinima='LOW']
+   */
+  constructor(nombre, opciones = {}) {
+    this.nombre = nombre;
+    this.severidadMinima = (opciones.severidadMinima || 'LOW').toUpperCase();
+  }
+
+  acepta(alerta) {
+    return nivelSeveridad(alerta.severity) >= nivelSeveridad(this.severidadMinima);
+  }
+
+  async enviar() {
+    throw new Error(`Canal ${this.nombre} no implementa enviar()`);
+  }
+}
+
+// ============================================================
+// SLACK
+// ============================================================
+
+const COLORES_SLACK = {
+  CRITICAL: '#FF0000',
+  HIGH: '#FF6600',
+  MEDIUM: '#FFCC00',
+  LOW: '#00CC00',
+  INFO: '#0099FF'
+};
+
+class SlackChannel extends CanalAlerta {
+  /**
+   * @param {Object} opciones - { webhookUrl, severidadMinima }
+   */
+  constructor(opciones) {
+    super('slack', opciones);
+    this.webhookUrl = opciones.webhookUrl;
+  }
+
+  async enviar(alerta) {
+    const response = await fetch(this.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        attachments: [{
+          color: COLORES_SLACK[alerta.severity] || '#999999',
+          title: alerta.title,
+          text: JSON.stringify(alerta.data, null, 2),
+          ts: Math.floor(new Date(alerta.timestamp).getTime() / 1000)
+        }]
+      }),
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Slack respondio ${response.status}`);
+    }
+  }
+}
+
+// ============================================================
+// WEBHOOK HTTP FIRMADO
+// ============================================================
+
+/**
+ * Firma del webhook de alertas: HMAC-SHA256 de `${timestamp}.${body}`
+ * El receptor recalcula la firma y descarta timestamps viejos
+ * @param {string} secret
+ * @param {string} timestamp - Segundos epoch
+ * @param {string} body
+ * @returns {string} 'sha256=<hex>'
+ */
+function firmarWebhook(secret, timestamp, body) {
+  const firma = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${firma}`;
+}
+
+class WebhookChannel extends CanalAlerta {
+  /**
+   * @param {Object} opciones - { url, secret, severidadMinima }
+   */
+  constructor(opciones) {
+    super('webhook', opciones);
+    this.url = opciones.url;
+    this.secret = opciones.secret;
+  }
+
+  async enviar(alerta) {
+    const body = JSON.stringify({ ...alerta, service: 'wix-biller-integration' });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Alert-Timestamp': timestamp
+    };
+    if (this.secret) {
+      headers['X-Alert-Signature'] = firmarWebhook(this.secret, timestamp, body);
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook de alertas respondio ${response.status}`);
+    }
+  }
+}
+
+// ============================================================
+// EMAIL (SMTP)
+// ============================================================
+
+/**
+ * Cliente SMTP minimo (sin dependencias): TLS implicito (465) o STARTTLS,
+ * AUTH PLAIN opcional. Suficiente para enviar alertas en texto plano
+ */
+class SMTPConexion {
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.buffer = '';
+    this.esperando = null;
+    this.usar(socket);
+  }
+
+  usar(socket) {
+    this.socket = socket;
+    socket.setTimeout(this.timeout, () => socket.destroy(new Error('Timeout SMTP')));
+    socket.on('data', chunk => this.recibir(chunk.toString('utf8')));
+    socket.on('error', error => this.fallar(error));
+  }
+
+  recibir(texto) {
+    this.buffer += texto;
+    // Respuesta completa: ultima linea "NNN texto" (las intermedias son "NNN-texto")
+    const lineas = this.buffer.split('\r\n');
+    const completas = lineas.slice(0, -1);
+    const final = completas.findIndex(l => /^\d{3} /.test(l) || /^\d{3}$/.test(l));
+    if (final === -1 || !this.esperando) return;
+
+    const respuesta = completas.slice(0, final + 1);
+    this.buffer = lineas.slice(final + 1).join('\r\n');
+
+    const { resolve } = this.esperando;
+    this.esperando = null;
+    resolve({ codigo: parseInt(respuesta[final].slice(0, 3)), lineas: respuesta });
+  }
+
+  fallar(error) {
+    if (this.esperando) {
+      const { reject } = this.esperando;
+      this.esperando = null;
+      reject(error);
+    }
+  }
+
+  leer() {
+    return new Promise((resolve, reject) => {
+      this.esperando = { resolve, reject };
+      if (this.buffer) this.recibir('');
+    });
+  }
+
+  async comando(linea, codigosOk) {
+    if (linea !== null) this.socket.write(`${linea}\r\n`);
+    const respuesta = await this.leer();
+    if (!codigosOk.includes(respuesta.codigo)) {
+      throw new Error(`SMTP ${respuesta.codigo}: ${respuesta.lineas.join(' ')}`);
+    }
+    return respuesta;
+  }
+
+  async iniciarTLS(host) {
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('error');
+    const seguro = await new Promise((resolve, reject) => {
+      const s = tls.connect({ socket: this.socket, servername: host }, () => resolve(s));
+      s.once('error', reject);
+    });
+    this.buffer = '';
+    this.usar(seguro);
+  }
+}
+
+function conectarSMTP({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect(port, host, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Armar mensaje RFC 5322 (texto plano, UTF-8, dot-stuffing)
+ */
+function armarMensaje({ from, to, subject, text }) {
+  const asunto = `=?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`;
+  const cuerpo = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${asunto}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    cuerpo
+  ].join('\r\n');
+}
+
+/**
+ * Enviar email por SMTP
+ * @param {Object} smtp - { host, port, secure, user, pass, from, timeout }
+ * @param {Object} mensaje - { to: string[], subject, text }
+ */
+async function enviarSMTP(smtp, mensaje) {
+  const socket = await conectarSMTP(smtp);
+  const conexion = new SMTPConexion(socket, smtp.timeout || 15000);
+  const nombreHost = os.hostname() || 'localhost';
+
+  try {
+    await conexion.comando(null, [220]);
+    let ehlo = await conexion.comando(`EHLO ${nombreHost}`, [250]);
+
+    if (!smtp.secure && ehlo.lineas.some(l => /STARTTLS/i.test(l))) {
+      await conexion.comando('STARTTLS', [220]);
+      await conexion.iniciarTLS(smtp.host);
+      ehlo = await conexion.comando(`EHLO ${nombreHost}`, [250]);
+    }
+
+    if (smtp.user) {
+      const credenciales = Buffer.from(`\u0000${smtp.user}\u0000${smtp.pass || ''}`).toString('base64');
+      await conexion.comando(`AUTH PLAIN ${credenciales}`, [235]);
+    }
+
+    await conexion.comando(`MAIL FROM:<${smtp.from}>`, [250]);
+    for (const destinatario of mensaje.to) {
+      await conexion.comando(`RCPT TO:<${destinatario}>`, [250, 251]);
+    }
+    await conexion.comando('DATA', [354]);
+    await conexion.comando(`${armarMensaje({ ...mensaje, from: smtp.from })}\r\n.`, [250]);
+    await conexion.comando('QUIT', [221]).catch(() => {});
+  } finally {
+    conexion.socket.end();
+  }
+}
+
+class EmailChannel extends CanalAlerta {
+  /**
+   * @param {Object} opciones - { host, port, secure, user, pass, from, to, severidadMinima }
+   * @param {Function} [enviar] - Transporte (default: SMTP; tests)
+   */
+  constructor(opciones, enviar = enviarSMTP) {
+    super('email', opciones);
+    this.smtp = opciones;
+    this.destinatarios = opciones.to || [];
+    this.transporte = enviar;
+  }
+
+  async enviar(alerta) {
+    await this.transporte(this.smtp, {
+      to: this.destinatarios,
+      subject: `[${alerta.severity}] ${alerta.title}`,
+      text: formatearAlerta(alerta)
+    });
+  }
+}
+
+/**
+ * Crear los canales configurados
+ * @param {Object} canales - config.alertas.canales
+ * @returns {Array<CanalAlerta>}
+ */
+function crearCanales(canales = {}) {
+  const lista = [];
+
+  if (canales.slack?.webhookUrl) {
+    lista.push(new SlackChannel(canales.slack));
+  }
+
+  if (canales.email?.host && canales.email.to?.length > 0) {
+    lista.push(new EmailChannel(canales.email));
+  }
+
+  if (canales.webhook?.url) {
+    if (!canales.webhook.secret) {
+      logger.warn('Webhook de alertas sin ALERT_WEBHOOK_SECRET: se envia sin firma');
+    }
+    lista.push(new WebhookChannel(canales.webhook));
+  }
+
+  return lista;
+}
+
+module.exports = {
+  SEVERIDADES,
+  nivelSeveridad,
+  formatearAlerta,
+  firmarWebhook,
+  CanalAlerta,
+  SlackChannel,
+  WebhookChannel,
+  EmailChannel,
+  enviarSMTP,
+  crearCanales
+};
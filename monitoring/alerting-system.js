@@ -2,196 +2,256 @@
  * AlertingSystem
  *
  * Sistema de alertas automáticas
- * Envía notificaciones a Slack/Email cuando se alcanzan thresholds
+ * Evalúa reglas sobre las métricas del MetricsCollector y envía
+ * notificaciones por los canales configurados (Slack, email, webhook)
+ * Las reglas y umbrales se leen del settings store en cada revisión
  *
  * FASE 3 - Observabilidad & Monitoreo
  */
 
-const https = require('https');
 const config = require('../config');
+const logger = require('../utils/logger');
+const { SEVERIDADES } = require('./alert-channels');
+
+const { umbrales } = config.alertas;
+
+/**
+ * Reglas por defecto (se sobreescriben desde el settings store)
+ * umbral: porcentaje, cantidad, ms o MB segun la regla
+ * minEventos: muestra minima para reglas de tasa
+ */
+const REGLAS_DEFAULT = Object.freeze({
+  circuit_open: { activa: true, severidad: 'CRITICAL', umbral: 1 },
+  webhooks_dead: { activa: true, severidad: 'CRITICAL', umbral: 1 },
+  invoice_error_rate: { activa: true, severidad: 'HIGH', umbral: umbrales.errorRateMax, minEventos: 5 },
+  webhook_error_rate: { activa: true, severidad: 'HIGH', umbral: umbrales.errorRateMax, minEventos: 10 },
+  pdf_failure_rate: { activa: true, severidad: 'HIGH', umbral: umbrales.pdfFailureRate, minEventos: 5 },
+  biller_latency_max: { activa: true, severidad: 'MEDIUM', umbral: umbrales.apiLatencyMax },
+  cache_hit_rate_min: { activa: false, severidad: 'MEDIUM', umbral: umbrales.cacheHitRateMin, minEventos: 20 },
+  memory_max_mb: { activa: true, severidad: 'MEDIUM', umbral: umbrales.memoryMaxMb }
+});
+
+function tasa(parte, total) {
+  return total > 0 ? (parte / total * 100) : 0;
+}
+
+/**
+ * Evaluadores: (stats, regla) => datos de la alerta o null
+ */
+const EVALUADORES = {
+  circuit_open: (stats, regla) => {
+    if (stats.biller.circuits_open < regla.umbral) return null;
+    const abiertos = Object.entries(stats.biller.circuits)
+      .filter(([, estado]) => estado === 'OPEN')
+      .map(([nombre]) => nombre);
+    return { title: 'BILLER CIRCUIT OPEN', data: { circuits: abiertos } };
+  },
+
+  webhooks_dead: (stats, regla) => {
+    if (stats.webhooks.dead < regla.umbral) return null;
+    return { title: 'WEBHOOKS IN DEAD LETTERS', data: { dead: stats.webhooks.dead, threshold: regla.umbral } };
+  },
+
+  invoice_error_rate: (stats, regla) => {
+    const total = stats.invoices.emitted + stats.invoices.errors;
+    const rate = tasa(stats.invoices.errors, total);
+    if (total < (regla.minEventos || 0) || rate <= regla.umbral) return null;
+    return {
+      title: 'INVOICE ERROR RATE HIGH',
+      data: { error_rate: `${rate.toFixed(2)}%`, errors: stats.invoices.errors, total, threshold: `${regla.umbral}%` }
+    };
+  },
+
+  webhook_error_rate: (stats, regla) => {
+    const total = stats.webhooks.received;
+    const rate = tasa(stats.webhooks.failed, total);
+    if (total < (regla.minEventos || 0) || rate <= regla.umbral) return null;
+    return {
+      title: 'WEBHOOK ERROR RATE HIGH',
+      data: { error_rate: `${rate.toFixed(2)}%`, failed: stats.webhooks.failed, received: total, threshold: `${regla.umbral}%` }
+    };
+  },
+
+  pdf_failure_rate: (stats, regla) => {
+    const total = stats.pdfs.obtained + stats.pdfs.failed;
+    const rate = tasa(stats.pdfs.failed, total);
+    if (total < (regla.minEventos || 0) || rate <= regla.umbral) return null;
+    return {
+      title: 'PDF FAILURE RATE HIGH',
+      data: { failure_rate: `${rate.toFixed(2)}%`, failed: stats.pdfs.failed, obtained: stats.pdfs.obtained, threshold: `${regla.umbral}%` }
+    };
+  },
+
+  biller_latency_max: (stats, regla) => {
+    if (stats.biller.requests === 0 || stats.biller.avg_latency_ms <= regla.umbral) return null;
+    return { title: 'BILLER LATENCY HIGH', data: { avg_latency_ms: stats.biller.avg_latency_ms, threshold_ms: regla.umbral } };
+  },
+
+  cache_hit_rate_min: (stats, regla) => {
+    const total = stats.cache.hits + stats.cache.misses;
+    if (total < (regla.minEventos || 0) || parseFloat(stats.cache.hit_rate_percent) >= regla.umbral) return null;
+    return {
+      title: 'CACHE HIT RATE LOW',
+      data: { hit_rate: `${stats.cache.hit_rate_percent}%`, threshold: `${regla.umbral}%`, hits: stats.cache.hits, misses: stats.cache.misses }
+    };
+  },
+
+  memory_max_mb: (stats, regla) => {
+    if (stats.memory_usage_mb <= regla.umbral) return null;
+    return { title: 'HIGH MEMORY USAGE', data: { memory_mb: stats.memory_usage_mb, threshold_mb: regla.umbral } };
+  }
+};
+
+/**
+ * Validar reglas de alerta (las claves deben existir en REGLAS_DEFAULT)
+ * @param {Object} reglas - { [regla]: { activa, severidad, umbral, minEventos } }
+ * @returns {Array<string>} Reglas invalidas
+ */
+function validarReglasAlertas(reglas) {
+  const invalidas = [];
+
+  for (const [nombre, regla] of Object.entries(reglas || {})) {
+    const umbralInvalido = regla?.umbral !== undefined && (typeof regla.umbral !== 'number' || regla.umbral < 0);
+    const severidadInvalida = regla?.severidad !== undefined && !SEVERIDADES.includes(String(regla.severidad).toUpperCase());
+    const activaInvalida = regla?.activa !== undefined && typeof regla.activa !== 'boolean';
+
+    if (!REGLAS_DEFAULT[nombre] || umbralInvalido || severidadInvalida || activaInvalida) {
+      invalidas.push(nombre);
+    }
+  }
+
+  return invalidas;
+}
 
 class AlertingSystem {
-  constructor(metricsCollector) {
+  /**
+   * @param {Object} metricsCollector - MetricsCollector
+   * @param {Object} [opciones]
+   * @param {Array} [opciones.canales] - Canales (crearCanales)
+   * @param {Function} [opciones.getReglas] - () => reglas vigentes (settings store)
+   * @param {Function} [opciones.antesDeRevisar] - Actualiza gauges antes de evaluar
+   * @param {number} [opciones.intervalo] - ms entre revisiones
+   * @param {number} [opciones.cooldown] - ms minimos entre alertas iguales
+   */
+  constructor(metricsCollector, opciones = {}) {
     this.metrics = metricsCollector;
-    this.slackWebhook = process.env.SLACK_WEBHOOK_URL || null;
-    this.emailService = process.env.SMTP_ENABLED === 'true' || false;
-
-    // Thresholds
-    this.thresholds = {
-      pdf_failure_rate: parseFloat(process.env.ALERT_PDF_FAILURE_RATE) || 20,
-      cache_hit_rate_min: parseFloat(process.env.ALERT_CACHE_HIT_RATE_MIN) || 50,
-      api_latency_max: parseInt(process.env.ALERT_API_LATENCY_MAX) || 30000,
-      error_rate_max: parseFloat(process.env.ALERT_ERROR_RATE_MAX) || 5,
-      invoice_duplicate_zero: true  // Never allow duplicates
-    };
+    this.canales = opciones.canales || [];
+    this.getReglas = opciones.getReglas || (() => REGLAS_DEFAULT);
+    this.antesDeRevisar = opciones.antesDeRevisar || (() => {});
+    this.intervalo = opciones.intervalo || config.alertas.intervalo;
+    this.alertCooldown = opciones.cooldown || config.alertas.cooldown;
 
     // Alert history (para evitar spam)
     this.alertHistory = new Map();
-    this.alertCooldown = 5 * 60 * 1000; // 5 minutos
-
-    // Iniciar monitoreo
-    this.startMonitoring();
+    this.recientes = [];
+    this.interval = null;
   }
 
   startMonitoring() {
-    setInterval(() => {
-      this.checkThresholds();
-    }, 10000); // Cada 10 segundos
-  }
-
-  checkThresholds() {
-    const stats = this.metrics.getStats();
+    if (this.interval) return;
 
-    // Verificar duplicados de facturas (CRÍTICO)
-    if (stats.invoices.duplicated_prevented > 0) {
-      this.sendAlert('CRITICAL', '🔴 INVOICES DUPLICATED PREVENTED', {
-        count: stats.invoices.duplicated_prevented,
-        message: 'Duplicate invoice prevention triggered - Biller validation working'
+    this.interval = setInterval(() => {
+      this.checkThresholds().catch(error => {
+        logger.error('Error evaluando alertas', { error: error.message });
       });
-    }
+    }, this.intervalo);
 
-    // Verificar tasa de fallos de PDF (ALTO)
-    const totalPDFs = stats.pdfs.obtained + stats.pdfs.failed;
-    if (totalPDFs > 0) {
-      const pdfFailureRate = (stats.pdfs.failed / totalPDFs * 100);
-      if (pdfFailureRate > this.thresholds.pdf_failure_rate) {
-        this.sendAlert('HIGH', '🟡 PDF FAILURE RATE HIGH', {
-          failure_rate: pdfFailureRate.toFixed(2) + '%',
-          failed: stats.pdfs.failed,
-          obtained: stats.pdfs.obtained,
-          threshold: this.thresholds.pdf_failure_rate + '%'
-        });
-      }
-    }
+    // No bloquear el proceso
+    this.interval.unref();
 
-    // Verificar hit rate del caché (MEDIO)
-    if (stats.cache.hit_rate_percent < this.thresholds.cache_hit_rate_min) {
-      this.sendAlert('MEDIUM', '🟡 CACHE HIT RATE LOW', {
-        hit_rate: stats.cache.hit_rate_percent + '%',
-        threshold: this.thresholds.cache_hit_rate_min + '%',
-        hits: stats.cache.hits,
-        misses: stats.cache.misses
-      });
-    }
+    logger.info('Sistema de alertas iniciado', {
+      intervalo: this.intervalo,
+      canales: this.canales.map(c => c.nombre)
+    });
+  }
 
-    // Verificar tasa de error general (MEDIO)
-    const totalInvoices = stats.invoices.emitted + stats.invoices.duplicated_prevented;
-    if (totalInvoices > 0) {
-      const errorRate = ((totalInvoices - stats.invoices.emitted) / totalInvoices * 100);
-      if (errorRate > this.thresholds.error_rate_max) {
-        this.sendAlert('MEDIUM', '🟡 ERROR RATE HIGH', {
-          error_rate: errorRate.toFixed(2) + '%',
-          threshold: this.thresholds.error_rate_max + '%',
-          total: totalInvoices,
-          errors: stats.invoices.duplicated_prevented
-        });
-      }
+  stopMonitoring() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
     }
+  }
 
-    // Verificar memory usage (MEDIO)
-    if (stats.memory_usage_mb > 300) {
-      this.sendAlert('MEDIUM', '🟡 HIGH MEMORY USAGE', {
-        memory_mb: stats.memory_usage_mb,
-        threshold: '300 MB'
-      });
-    }
+  /**
+   * Evaluar las reglas activas y enviar las alertas disparadas
+   * @returns {Array} Alertas disparadas (incluye las suprimidas por cooldown)
+   */
+  async checkThresholds() {
+    this.antesDeRevisar();
+    const stats = this.metrics.getStats();
+    const reglas = { ...REGLAS_DEFAULT, ...this.getReglas() };
+    const disparadas = [];
 
-    // Verificar uptime (INFO)
-    if (parseInt(stats.uptime_hours) > 24) {
-      // Una alerta de información cada 24h
-      this.sendAlert('INFO', 'ℹ️ SYSTEM UPTIME', {
-        uptime_hours: stats.uptime_hours,
-        webhooks_processed: stats.webhooks.processed,
-        invoices_emitted: stats.invoices.emitted
-      });
+    for (const [nombre, regla] of Object.entries(reglas)) {
+      const evaluar = EVALUADORES[nombre];
+      if (!evaluar || !regla?.activa) continue;
+
+      const resultado = evaluar(stats, { ...REGLAS_DEFAULT[nombre], ...regla });
+      if (resultado) {
+        const severidad = String(regla.severidad || REGLAS_DEFAULT[nombre].severidad).toUpperCase();
+        disparadas.push({ regla: nombre, severity: severidad, title: resultado.title });
+        await this.sendAlert(severidad, resultado.title, { regla: nombre, ...resultado.data });
+      }
     }
+
+    return disparadas;
   }
 
   /**
    * Enviar alerta (con cooldown para evitar spam)
+   * @param {Object} [opciones] - { forzar: ignora el cooldown }
+   * @returns {Object|null} Alerta enviada con el resultado por canal, o null si esta en cooldown
    */
-  sendAlert(severity, title, data = {}) {
+  async sendAlert(severity, title, data = {}, opciones = {}) {
     const alertKey = `${severity}:${title}`;
     const now = Date.now();
     const lastAlert = this.alertHistory.get(alertKey);
 
-    // Evitar spam: no enviar si se envió hace menos de 5 minutos
-    if (lastAlert && (now - lastAlert) < this.alertCooldown) {
-      return;
+    // Evitar spam: no reenviar dentro del cooldown
+    if (!opciones.forzar && lastAlert && (now - lastAlert) < this.alertCooldown) {
+      return null;
     }
 
     this.alertHistory.set(alertKey, now);
 
-    // Enviar a Slack
-    if (this.slackWebhook) {
-      this.sendSlackAlert(severity, title, data);
-    }
-
-    // Log local
-    console.log(`[ALERT ${severity}] ${title}`, data);
-  }
-
-  /**
-   * Enviar alerta a Slack
-   */
-  sendSlackAlert(severity, title, data) {
-    const colors = {
-      CRITICAL: '#FF0000',
-      HIGH: '#FF6600',
-      MEDIUM: '#FFCC00',
-      LOW: '#00CC00',
-      INFO: '#0099FF'
-    };
-
-    const message = {
-      attachments: [
-        {
-          color: colors[severity] || '#999999',
-          title: title,
-          text: JSON.stringify(data, null, 2),
-          ts: Math.floor(Date.now() / 1000)
-        }
-      ]
-    };
+    const alerta = { severity, title, data, timestamp: new Date(now).toISOString() };
+    const canales = this.canales.filter(c => c.acepta(alerta));
 
-    const payload = JSON.stringify(message);
-
-    const options = {
-      hostname: 'hooks.slack.com',
-      path: this.slackWebhook.replace(/^https:\/\/hooks.slack.com/, ''),
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(payload)
+    const resultados = await Promise.allSettled(canales.map(c => c.enviar(alerta)));
+    alerta.canales = {};
+    resultados.forEach((resultado, i) => {
+      const nombre = canales[i].nombre;
+      if (resultado.status === 'fulfilled') {
+        alerta.canales[nombre] = 'ok';
+      } else {
+        alerta.canales[nombre] = `error: ${resultado.reason.message}`;
+        logger.error('Error enviando alerta', { canal: nombre, title, error: resultado.reason.message });
       }
-    };
-
-    const req = https.request(options, (res) => {
-      // Silent success
     });
 
-    req.on('error', (e) => {
-      console.error('Error sending Slack alert:', e.message);
-    });
+    logger.warn(`[ALERT ${severity}] ${title}`, data);
+
+    this.recientes.unshift(alerta);
+    this.recientes.length = Math.min(this.recientes.length, 50);
 
-    req.write(payload);
-    req.end();
+    return alerta;
+  }
+
+  /**
+   * Enviar una alerta de prueba por todos los canales
+   * @returns {Object} Alerta con el resultado por canal
+   */
+  probarCanales() {
+    return this.sendAlert('CRITICAL', 'ALERTA DE PRUEBA', {
+      message: 'Alerta de prueba enviada desde /api/alertas/probar'
+    }, { forzar: true });
   }
 
   /**
    * Obtener historial de alertas recientes
    */
   getRecentAlerts(limit = 10) {
-    const alerts = Array.from(this.alertHistory.entries())
-      .map(([key, timestamp]) => ({
-        alert: key,
-        timestamp: new Date(timestamp).toISOString(),
-        minutes_ago: Math.floor((Date.now() - timestamp) / 1000 / 60)
-      }))
-      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
-      .slice(0, limit);
-
-    return alerts;
+    return this.recientes.slice(0, limit);
   }
 
   /**
@@ -199,7 +259,10 @@ class AlertingSystem {
    */
   clearHistory() {
     this.alertHistory.clear();
+    this.recientes = [];
   }
 }
 
 module.exports = AlertingSystem;
+module.exports.REGLAS_DEFAULT = REGLAS_DEFAULT;
+module.exports.validarReglasAlertas = validarReglasAlertas;
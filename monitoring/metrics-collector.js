@@ -2,11 +2,15 @@
  * MetricsCollector
  *
  * Sistema de recolección de métricas en tiempo real
- * Exporta en formato Prometheus para monitoreo
+ * Fuente única de métricas del pipeline (webhooks, emisiones, NC, PDFs,
+ * llamadas a Biller y circuit breakers). Exporta en formato Prometheus
  *
  * FASE 3 - Observabilidad & Monitoreo
  */
 
+// Valores guardados por histograma (los más recientes)
+const MAX_VALORES_HISTOGRAMA = 1000;
+
 class MetricsCollector {
   constructor() {
     // Contadores (incrementan monotónicamente)
@@ -19,11 +23,15 @@ class MetricsCollector {
       invoices_emitted_total: 0,
       invoices_duplicated_prevented: 0,
       invoice_errors_total: 0,
+      credit_notes_emitted_total: 0,
 
       pdfs_obtained_total: 0,
       pdfs_failed_total: 0,
       pdfs_retried_total: 0,
 
+      biller_requests_total: 0,
+      biller_errors_total: 0,
+
       cache_hits_total: 0,
       cache_misses_total: 0,
       cache_evictions_total: 0,
@@ -36,11 +44,13 @@ class MetricsCollector {
     // Gauges (pueden subir o bajar)
     this.gauges = {
       webhooks_pending: 0,
+      webhooks_dead: 0,
       pdfs_pending: 0,
       cache_size: 0,
       memory_usage_mb: 0,
       uptime_seconds: 0,
-      active_workers: 0
+      active_workers: 0,
+      circuits_open: 0
     };
 
     // Histogramas (distribución de valores)
@@ -48,24 +58,70 @@ class MetricsCollector {
       webhook_processing_ms: [],
       invoice_emission_ms: [],
       pdf_retrieval_ms: [],
+      biller_request_ms: [],
       api_response_ms: [],
       pdf_attempt_count: []
     };
 
-    // Timestamps para duraciones
-    this.timers = new Map();
+    // Contadores por tenant y tipo de CFE: tenant -> { invoices, credit_notes, biller_errors, porTipo }
+    this.porTenant = new Map();
+
+    // Estado de cada circuit breaker: nombre -> CLOSED | OPEN | HALF_OPEN
+    this.circuitos = new Map();
+
+    this.startTime = Date.now();
+    this.systemInterval = null;
 
     // Iniciar recolección de métricas del sistema
     this.startSystemMetrics();
   }
 
   startSystemMetrics() {
-    const startTime = Date.now();
-    setInterval(() => {
-      const memUsage = process.memoryUsage();
-      this.gauges.memory_usage_mb = Math.round(memUsage.heapUsed / 1024 / 1024);
-      this.gauges.uptime_seconds = Math.floor((Date.now() - startTime) / 1000);
-    }, 5000);
+    this.updateSystemMetrics();
+    this.systemInterval = setInterval(() => this.updateSystemMetrics(), 5000);
+    // No bloquear el proceso
+    this.systemInterval.unref();
+  }
+
+  stopSystemMetrics() {
+    if (this.systemInterval) {
+      clearInterval(this.systemInterval);
+      this.systemInterval = null;
+    }
+  }
+
+  updateSystemMetrics() {
+    const memUsage = process.memoryUsage();
+    this.gauges.memory_usage_mb = Math.round(memUsage.heapUsed / 1024 / 1024);
+    this.gauges.uptime_seconds = Math.floor((Date.now() - this.startTime) / 1000);
+  }
+
+  // HELPERS
+  observe(name, value) {
+    const valores = this.histograms[name];
+    if (!valores) return;
+    valores.push(value);
+    if (valores.length > MAX_VALORES_HISTOGRAMA) valores.shift();
+  }
+
+  /**
+   * Medir duración en ms: const fin = metrics.startTimer('x'); ... fin();
+   */
+  startTimer(name) {
+    const start = Date.now();
+    return () => {
+      const duration = Date.now() - start;
+      this.observe(name, duration);
+      return duration;
+    };
+  }
+
+  tenant(key) {
+    const tenant = key || 'default';
+    if (!this.porTenant.has(tenant)) {
+      this.porTenant.set(tenant, { invoices: 0, credit_notes: 0, biller_errors: 0, porTipo: {} });
+    }
+    return this.porTenant.get(tenant);
   }
 
   // WEBHOOKS
@@ -85,8 +141,11 @@ class MetricsCollector {
   }
 
   // INVOICES
-  recordInvoiceEmitted() {
+  recordInvoiceEmitted(tipo = null, tenant = null) {
     this.counters.invoices_emitted_total++;
+    const t = this.tenant(tenant);
+    t.invoices++;
+    if (tipo) t.porTipo[tipo] = (t.porTipo[tipo] || 0) + 1;
   }
 
   recordInvoiceDuplicatedPrevented() {
@@ -97,6 +156,11 @@ class MetricsCollector {
     this.counters.invoice_errors_total++;
   }
 
+  recordCreditNoteEmitted(tenant = null) {
+    this.counters.credit_notes_emitted_total++;
+    this.tenant(tenant).credit_notes++;
+  }
+
   // PDFs
   recordPDFPending(count = 1) {
     this.gauges.pdfs_pending += count;
@@ -105,7 +169,7 @@ class MetricsCollector {
   recordPDFObtained(attemptCount = 1) {
     this.counters.pdfs_obtained_total++;
     this.gauges.pdfs_pending = Math.max(0, this.gauges.pdfs_pending - 1);
-    this.histograms.pdf_attempt_count.push(attemptCount);
+    this.observe('pdf_attempt_count', attemptCount);
   }
 
   recordPDFFailed() {
@@ -117,6 +181,21 @@ class MetricsCollector {
     this.counters.pdfs_retried_total++;
   }
 
+  // BILLER
+  recordBillerRequest(success, durationMs, tenant = null) {
+    this.counters.biller_requests_total++;
+    if (!success) {
+      this.counters.biller_errors_total++;
+      this.tenant(tenant).biller_errors++;
+    }
+    if (typeof durationMs === 'number') this.observe('biller_request_ms', durationMs);
+  }
+
+  setCircuitState(name, state) {
+    this.circuitos.set(name, state);
+    this.gauges.circuits_open = Array.from(this.circuitos.values()).filter(s => s === 'OPEN').length;
+  }
+
   // CACHE
   recordCacheHit() {
     this.counters.cache_hits_total++;
@@ -133,41 +212,71 @@ class MetricsCollector {
   // API
   recordAPIRequest(statusCode, responseTime) {
     this.counters.api_requests_total++;
-    this.histograms.api_response_ms.push(responseTime);
+    this.observe('api_response_ms', responseTime);
     if (statusCode >= 500) this.counters.api_errors_5xx_total++;
     else if (statusCode >= 400) this.counters.api_errors_4xx_total++;
   }
 
+  setGauge(name, value) {
+    if (name in this.gauges) this.gauges[name] = value;
+  }
+
+  promedio(name) {
+    const valores = this.histograms[name] || [];
+    if (valores.length === 0) return 0;
+    return Math.round(valores.reduce((a, b) => a + b, 0) / valores.length);
+  }
+
   getStats() {
+    this.updateSystemMetrics();
+
     const totalWebhooks = this.counters.webhooks_received_total;
-    const processedWebhooks = this.counters.webhooks_processed_total;
-    const webhookSuccessRate = totalWebhooks > 0 ? (processedWebhooks / totalWebhooks * 100) : 0;
+    const processedWebhooks = this.counters.webhooks_processed_total - this.counters.webhooks_errors_total;
+    const webhookSuccessRate = totalWebhooks > 0 ? (processedWebhooks / totalWebhooks * 100) : 100;
 
     const totalInvoices = this.counters.invoices_emitted_total + this.counters.invoice_errors_total;
-    const invoiceSuccessRate = totalInvoices > 0 ? (this.counters.invoices_emitted_total / totalInvoices * 100) : 0;
+    const invoiceSuccessRate = totalInvoices > 0 ? (this.counters.invoices_emitted_total / totalInvoices * 100) : 100;
 
     const totalCacheRequests = this.counters.cache_hits_total + this.counters.cache_misses_total;
-    const cacheHitRate = totalCacheRequests > 0 ? (this.counters.cache_hits_total / totalCacheRequests * 100) : 0;
+    const cacheHitRate = totalCacheRequests > 0 ? (this.counters.cache_hits_total / totalCacheRequests * 100) : 100;
+
+    const totalBiller = this.counters.biller_requests_total;
+    const billerErrorRate = totalBiller > 0 ? (this.counters.biller_errors_total / totalBiller * 100) : 0;
 
     return {
       timestamp: new Date().toISOString(),
+      uptime_seconds: this.gauges.uptime_seconds,
       uptime_hours: (this.gauges.uptime_seconds / 3600).toFixed(2),
       memory_usage_mb: this.gauges.memory_usage_mb,
       webhooks: {
         received: this.counters.webhooks_received_total,
-        processed: this.counters.webhooks_processed_total,
+        processed: processedWebhooks,
+        failed: this.counters.webhooks_errors_total,
         duplicated: this.counters.webhooks_duplicated_total,
+        pending: this.gauges.webhooks_pending,
+        dead: this.gauges.webhooks_dead,
         success_rate_percent: webhookSuccessRate.toFixed(2)
       },
       invoices: {
         emitted: this.counters.invoices_emitted_total,
+        errors: this.counters.invoice_errors_total,
         duplicated_prevented: this.counters.invoices_duplicated_prevented,
+        credit_notes: this.counters.credit_notes_emitted_total,
         success_rate_percent: invoiceSuccessRate.toFixed(2)
       },
       pdfs: {
         obtained: this.counters.pdfs_obtained_total,
         pending: this.gauges.pdfs_pending,
-        failed: this.counters.pdfs_failed_total
+        failed: this.counters.pdfs_failed_total,
+        retried: this.counters.pdfs_retried_total
+      },
+      biller: {
+        requests: totalBiller,
+        errors: this.counters.biller_errors_total,
+        error_rate_percent: billerErrorRate.toFixed(2),
+        avg_latency_ms: this.promedio('biller_request_ms'),
+        circuits_open: this.gauges.circuits_open,
+        circuits: Object.fromEntries(this.circuitos)
       },
       cache: {
         hits: this.counters.cache_hits_total,
@@ -177,42 +286,70 @@ class MetricsCollector {
       api: {
         requests: this.counters.api_requests_total,
         errors_5xx: this.counters.api_errors_5xx_total,
-        errors_4xx: this.counters.api_errors_4xx_total
-      }
+        errors_4xx: this.counters.api_errors_4xx_total,
+        avg_latency_ms: this.promedio('api_response_ms')
+      },
+      porTenant: Object.fromEntries(this.porTenant)
     };
   }
 
   exportPrometheus() {
-    let output = '';
-    output += `# HELP webhooks_received_total Total webhooks received\n`;
-    output += `# TYPE webhooks_received_total counter\n`;
-    output += `webhooks_received_total ${this.counters.webhooks_received_total}\n\n`;
-    output += `# HELP webhooks_processed_total Total webhooks processed\n`;
-    output += `# TYPE webhooks_processed_total counter\n`;
-    output += `webhooks_processed_total ${this.counters.webhooks_processed_total}\n\n`;
-    output += `# HELP invoices_emitted_total Total invoices emitted\n`;
-    output += `# TYPE invoices_emitted_total counter\n`;
-    output += `invoices_emitted_total ${this.counters.invoices_emitted_total}\n\n`;
-    output += `# HELP pdfs_obtained_total Total PDFs obtained\n`;
-    output += `# TYPE pdfs_obtained_total counter\n`;
-    output += `pdfs_obtained_total ${this.counters.pdfs_obtained_total}\n\n`;
-    output += `# HELP cache_hits_total Total cache hits\n`;
-    output += `# TYPE cache_hits_total counter\n`;
-    output += `cache_hits_total ${this.counters.cache_hits_total}\n\n`;
-    output += `# HELP pdfs_pending Current PDFs pending\n`;
-    output += `# TYPE pdfs_pending gauge\n`;
-    output += `pdfs_pending ${this.gauges.pdfs_pending}\n\n`;
-    output += `# HELP memory_usage_mb Memory usage in MB\n`;
-    output += `# TYPE memory_usage_mb gauge\n`;
-    output += `memory_usage_mb ${this.gauges.memory_usage_mb}\n\n`;
-    return output;
+    this.updateSystemMetrics();
+    const lines = [];
+
+    for (const [name, value] of Object.entries(this.counters)) {
+      lines.push(`# TYPE ${name} counter`, `${name} ${value}`);
+    }
+
+    for (const [name, value] of Object.entries(this.gauges)) {
+      lines.push(`# TYPE ${name} gauge`, `${name} ${value}`);
+    }
+
+    // Histogramas como summary (count/sum de los valores recientes)
+    for (const [name, valores] of Object.entries(this.histograms)) {
+      lines.push(`# TYPE ${name} summary`);
+      lines.push(`${name}_count ${valores.length}`);
+      lines.push(`${name}_sum ${valores.reduce((a, b) => a + b, 0)}`);
+    }
+
+    lines.push('# TYPE invoices_emitted_by_tenant_total counter');
+    for (const [tenant, t] of this.porTenant) {
+      for (const [tipo, count] of Object.entries(t.porTipo)) {
+        lines.push(`invoices_emitted_by_tenant_total{tenant="${tenant}",tipo="${tipo}"} ${count}`);
+      }
+    }
+
+    lines.push('# TYPE credit_notes_emitted_by_tenant_total counter');
+    for (const [tenant, t] of this.porTenant) {
+      lines.push(`credit_notes_emitted_by_tenant_total{tenant="${tenant}"} ${t.credit_notes}`);
+    }
+
+    lines.push('# TYPE circuit_breaker_open gauge');
+    for (const [circuito, state] of this.circuitos) {
+      lines.push(`circuit_breaker_open{circuit="${circuito}"} ${state === 'OPEN' ? 1 : 0}`);
+    }
+
+    return lines.join('\n') + '\n';
   }
 
   reset() {
     for (const key in this.counters) this.counters[key] = 0;
     for (const key in this.gauges) this.gauges[key] = 0;
     for (const key in this.histograms) this.histograms[key] = [];
+    this.porTenant.clear();
+    this.circuitos.clear();
+  }
+}
+
+// Singleton
+let metricsCollector = null;
+
+function getMetricsCollector() {
+  if (!metricsCollector) {
+    metricsCollector = new MetricsCollector();
   }
+  return metricsCollector;
 }
 
 module.exports = MetricsCollector;
+module.exports.getMetricsCollector = getMetricsCollector;
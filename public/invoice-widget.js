@@ -5,9 +5,14 @@
  * Uso en Wix:
  * <invoice-viewer
  *   backend-url="https://tu-app.onrender.com"
- *   customer-email="{{currentUser.email}}"
+ *   wix-instance="{{instancia firmada del miembro logueado}}"
+ *   canal="wix"
  *   lang="es">
  * </invoice-viewer>
+ *
+ * La instancia se canjea en POST /api/customer/session por un token de
+ * cliente de corta duracion; el email lo resuelve el backend desde Wix.
+ * canal (wix, mercadolibre o shopify; default wix) es el canal de las ordenes
  */
 
 (function() {
@@ -55,7 +60,9 @@
     constructor() {
       super();
       this.attachShadow({ mode: 'open' });
-      this._email = '';
+      this._instance = '';
+      this._token = null;
+      this._tokenExpiresAt = 0;
       this._backendUrl = '';
       this._lang = 'es';
       this._invoices = [];
@@ -64,21 +71,26 @@
     }
 
     static get observedAttributes() {
-      return ['customer-email', 'backend-url', 'lang', 'theme'];
+      return ['wix-instance', 'backend-url', 'canal', 'lang', 'theme'];
     }
 
     attributeChangedCallback(name, oldValue, newValue) {
       if (oldValue === newValue) return;
 
       switch (name) {
-        case 'customer-email':
-          this._email = newValue;
+        case 'wix-instance':
+          this._instance = newValue;
+          this._token = null;
           if (newValue) this.loadInvoices();
           else this.render();
           break;
         case 'backend-url':
           this._backendUrl = newValue;
-          if (this._email) this.loadInvoices();
+          if (this._instance) this.loadInvoices();
+          break;
+        case 'canal':
+          this._token = null;
+          if (this._instance) this.loadInvoices();
           break;
         case 'lang':
           this._lang = newValue || 'es';
@@ -98,8 +110,37 @@
       return translations[this._lang] || translations.es;
     }
 
+    /**
+     * Obtener token de cliente (canjea la instancia Wix si no hay uno vigente)
+     */
+    async getToken() {
+      if (this._token && Date.now() < this._tokenExpiresAt) {
+        return this._token;
+      }
+
+      const response = await fetch(`${this._backendUrl}/api/customer/session`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this._instance}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ canal: this.getAttribute('canal') || 'wix' })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      this._token = data.token;
+      // Renovar un minuto antes de que expire
+      this._tokenExpiresAt = Date.now() + (data.expiresIn - 60) * 1000;
+      return this._token;
+    }
+
     async loadInvoices() {
-      if (!this._email || !this._backendUrl) {
+      if (!this._instance || !this._backendUrl) {
         this.render();
         return;
       }
@@ -109,12 +150,14 @@
       this.render();
 
       try {
+        const token = await this.getToken();
         const response = await fetch(
-          `${this._backendUrl}/api/customer/invoices?email=${encodeURIComponent(this._email)}`,
+          `${this._backendUrl}/api/customer/invoices`,
           {
             method: 'GET',
             headers: {
-              'Content-Type': 'application/json'
+              'Content-Type': 'application/json',
+              'Authorization': `Bearer ${token}`
             }
           }
         );
@@ -378,8 +421,8 @@
 
       let content = '';
 
-      if (!this._email) {
-        // No email - mostrar mensaje de login
+      if (!this._instance) {
+        // Sin instancia - mostrar mensaje de login
         content = `
           <div class="login-state">
             <div class="login-icon">🔐</div>
@@ -429,7 +472,7 @@
             </div>
             <div class="invoice-actions">
               <a
-                href="${this._backendUrl}${invoice.pdfUrl}?email=${encodeURIComponent(this._email)}"
+                href="${this._backendUrl}${invoice.pdfUrl}?token=${encodeURIComponent(this._token || '')}"
                 target="_blank"
                 class="download-btn"
               >
@@ -1,13 +1,26 @@
 /**
  * API Routes para Customer Widget
  * Endpoints publicos para que clientes vean sus comprobantes
+ * El acceso requiere un token de cliente emitido por POST /session
  * @module routes/customer-api
  */
 
 const express = require('express');
 const router = express.Router();
 const { getComprobanteStore } = require('../utils/store');
-const { BillerClient } = require('../biller-client');
+const { obtenerPDFComprobante } = require('../services/pdf-worker');
+const { getWixClient } = require('../wix-client');
+const { decodeWixInstance } = require('../middleware/wix-app-auth');
+const { cambiarAFactura, CambioFacturaError } = require('../services/cambio-factura');
+const { getAuditLogger } = require('../utils/audit-logger');
+const { tenantKey } = require('../services/tenant');
+const { CANALES } = require('../services/canales');
+const {
+  emitirTokenCliente,
+  requireCustomerToken,
+  tieneAccesoCliente,
+  maskEmail
+} = require('../middleware/customer-auth');
 const config = require('../config');
 const logger = require('../utils/logger');
 
@@ -17,21 +30,19 @@ const logger = require('../utils/logger');
 
 /**
  * CORS middleware para permitir requests del widget
+ * Solo los origenes de CUSTOMER_API_ALLOWED_ORIGINS ('*' debe ser explicito)
  */
 router.use((req, res, next) => {
-  // Permitir cualquier origen para el widget (se puede restringir despues)
-  const allowedOrigins = process.env.CUSTOMER_API_ALLOWED_ORIGINS
-    ? process.env.CUSTOMER_API_ALLOWED_ORIGINS.split(',')
-    : ['*'];
-
+  const allowedOrigins = config.customerPortal.allowedOrigins;
   const origin = req.headers.origin;
 
-  if (allowedOrigins.includes('*') || allowedOrigins.includes(origin)) {
-    res.header('Access-Control-Allow-Origin', origin || '*');
+  if (origin && (allowedOrigins.includes('*') || allowedOrigins.includes(origin))) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Vary', 'Origin');
   }
 
-  res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Wix-Member-Id');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   res.header('Access-Control-Max-Age', '86400'); // 24 horas
 
   if (req.method === 'OPTIONS') {
@@ -81,37 +92,111 @@ setInterval(() => {
 // ============================================================
 
 /**
- * GET /api/customer/invoices
- * Lista comprobantes de un cliente por email
+ * POST /api/customer/session
+ * Canjea la instancia Wix firmada del miembro logueado por un token de cliente
  *
- * Query params:
- * - email: Email del cliente (requerido)
+ * Headers:
+ * - Authorization: Bearer <instancia Wix del widget>
  *
- * El widget de Wix debe pasar el email del miembro logueado
+ * Body (opcional): { canal } - canal de las ordenes a consultar (default: wix)
+ *
+ * El email sale del miembro en Wix (no lo informa el navegador)
  */
-router.get('/invoices', (req, res) => {
+router.post('/session', async (req, res) => {
   try {
-    const { email } = req.query;
-    const memberId = req.headers['x-wix-member-id'];
+    const authHeader = req.headers['authorization'];
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        error: 'Instancia Wix requerida',
+        code: 'AUTH_MISSING'
+      });
+    }
 
-    // Validar que venga email
-    if (!email) {
-      return res.status(400).json({
-        error: 'Email requerido',
-        code: 'EMAIL_REQUIRED'
+    let instancia;
+    try {
+      instancia = decodeWixInstance(authHeader.slice('Bearer '.length));
+    } catch (error) {
+      logger.warn('Customer session: instancia invalida', { error: error.message });
+      return res.status(401).json({
+        error: 'Instancia Wix invalida',
+        code: 'AUTH_INVALID'
+      });
+    }
+
+    const maxEdad = config.customerPortal.instanciaMaxMinutos * 60 * 1000;
+    const firmadaEn = new Date(instancia.signDate).getTime();
+    if (!firmadaEn || Date.now() - firmadaEn > maxEdad) {
+      return res.status(401).json({
+        error: 'Instancia Wix expirada',
+        code: 'AUTH_EXPIRED'
       });
     }
 
-    // Validar formato de email basico
-    if (!isValidEmail(email)) {
+    const canal = req.body?.canal || CANALES.WIX;
+    if (!Object.values(CANALES).includes(canal)) {
       return res.status(400).json({
-        error: 'Email invalido',
-        code: 'INVALID_EMAIL'
+        error: `Canal invalido: ${canal}`,
+        code: 'CANAL_INVALIDO'
       });
     }
 
+    const memberId = instancia.siteMemberId || instancia.uid;
+    if (!memberId) {
+      return res.status(401).json({
+        error: 'Inicia sesion para ver tus comprobantes',
+        code: 'MEMBER_REQUIRED'
+      });
+    }
+
+    if (!checkRateLimit(`session:${memberId}`)) {
+      return res.status(429).json({
+        error: 'Demasiadas solicitudes',
+        code: 'RATE_LIMITED'
+      });
+    }
+
+    const member = await getWixClient().getMember(memberId);
+    const email = member?.loginEmail || member?.contact?.emails?.[0];
+
+    if (!email || !isValidEmail(email)) {
+      return res.status(403).json({
+        error: 'Miembro sin email verificado',
+        code: 'MEMBER_NOT_FOUND'
+      });
+    }
+
+    const sesion = emitirTokenCliente({
+      email,
+      memberId,
+      instanceId: instancia.instanceId,
+      canal
+    });
+
+    logger.debug('Customer session emitida', {
+      email: maskEmail(email),
+      instanceId: instancia.instanceId
+    });
+
+    res.json(sesion);
+  } catch (error) {
+    logger.error('Error en customer session', { error: error.message });
+    res.status(500).json({
+      error: 'Error interno',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/customer/invoices
+ * Lista comprobantes del cliente del token
+ */
+router.get('/invoices', requireCustomerToken, (req, res) => {
+  try {
+    const { email } = req.customer;
+
     // Rate limiting por email
-    if (!checkRateLimit(email.toLowerCase())) {
+    if (!checkRateLimit(email)) {
       return res.status(429).json({
         error: 'Demasiadas solicitudes',
         code: 'RATE_LIMITED'
@@ -119,27 +204,7 @@ router.get('/invoices', (req, res) => {
     }
 
     const store = getComprobanteStore();
-    const emailLower = email.toLowerCase();
-
-    // Buscar comprobantes donde el email coincida
-    const invoices = store.find(comp => {
-      // Buscar en emails de notificacion
-      if (comp.emails_notificacion?.some(e => e.toLowerCase() === emailLower)) {
-        return true;
-      }
-
-      // Buscar en cliente email
-      if (comp.cliente_email?.toLowerCase() === emailLower) {
-        return true;
-      }
-
-      // Buscar en buyer email (de la orden original)
-      if (comp.buyer?.email?.toLowerCase() === emailLower) {
-        return true;
-      }
-
-      return false;
-    });
+    const invoices = store.find(comp => tieneAccesoCliente(comp, req.customer));
 
     // Formatear para respuesta publica (sin datos sensibles)
     const publicInvoices = invoices
@@ -166,45 +231,24 @@ router.get('/invoices', (req, res) => {
 
 /**
  * GET /api/customer/invoice/:id
- * Obtiene detalle de un comprobante
- * Requiere que el email coincida para seguridad
+ * Obtiene detalle de un comprobante del cliente del token
  */
-router.get('/invoice/:id', (req, res) => {
+router.get('/invoice/:id', requireCustomerToken, (req, res) => {
   try {
     const { id } = req.params;
-    const { email } = req.query;
-
-    if (!email) {
-      return res.status(400).json({
-        error: 'Email requerido para verificacion',
-        code: 'EMAIL_REQUIRED'
-      });
-    }
 
+    const { canal } = req.customer;
     const store = getComprobanteStore();
-    let invoice = store.get(id) || store.findByOrderId(id);
+    const invoice = store.get(id, canal) || store.findByOrderId(id, canal);
 
-    if (!invoice) {
+    // Sin acceso responde 404 para no revelar comprobantes ajenos
+    if (!invoice || !tieneAccesoCliente(invoice, req.customer)) {
       return res.status(404).json({
         error: 'Comprobante no encontrado',
         code: 'NOT_FOUND'
       });
     }
 
-    // Verificar que el email coincida
-    const emailLower = email.toLowerCase();
-    const hasAccess =
-      invoice.emails_notificacion?.some(e => e.toLowerCase() === emailLower) ||
-      invoice.cliente_email?.toLowerCase() === emailLower ||
-      invoice.buyer?.email?.toLowerCase() === emailLower;
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        error: 'No tienes acceso a este comprobante',
-        code: 'FORBIDDEN'
-      });
-    }
-
     res.json(formatForCustomerDetail(invoice));
   } catch (error) {
     logger.error('Error en customer invoice detail', { error: error.message });
@@ -218,62 +262,40 @@ router.get('/invoice/:id', (req, res) => {
 /**
  * GET /api/customer/invoice/:id/pdf
  * Descarga PDF de un comprobante
- * Requiere verificacion de email
+ * Acepta el token en ?token= para poder usarse como link
  */
-router.get('/invoice/:id/pdf', async (req, res) => {
+router.get('/invoice/:id/pdf', requireCustomerToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { email } = req.query;
-
-    if (!email) {
-      return res.status(400).json({
-        error: 'Email requerido para verificacion',
-        code: 'EMAIL_REQUIRED'
-      });
-    }
 
     // Rate limiting para PDFs (mas estricto)
-    if (!checkRateLimit(`pdf:${email.toLowerCase()}`)) {
+    if (!checkRateLimit(`pdf:${req.customer.email}`)) {
       return res.status(429).json({
         error: 'Demasiadas solicitudes de PDF',
         code: 'RATE_LIMITED'
       });
     }
 
+    const { canal } = req.customer;
     const store = getComprobanteStore();
-    let invoice = store.get(id) || store.findByOrderId(id);
+    const invoice = store.get(id, canal) || store.findByOrderId(id, canal);
 
-    if (!invoice || !invoice.id) {
+    if (!invoice || !invoice.id || !tieneAccesoCliente(invoice, req.customer)) {
       return res.status(404).json({
         error: 'Comprobante no encontrado',
         code: 'NOT_FOUND'
       });
     }
 
-    // Verificar acceso
-    const emailLower = email.toLowerCase();
-    const hasAccess =
-      invoice.emails_notificacion?.some(e => e.toLowerCase() === emailLower) ||
-      invoice.cliente_email?.toLowerCase() === emailLower ||
-      invoice.buyer?.email?.toLowerCase() === emailLower;
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        error: 'No tienes acceso a este comprobante',
-        code: 'FORBIDDEN'
-      });
-    }
-
-    // Obtener PDF de Biller
-    const biller = new BillerClient();
-    const pdfBuffer = await biller.obtenerPDF(invoice.id);
+    // Archivo local (worker de PDFs); si aun no esta, se pide a Biller del sitio
+    const pdfBuffer = await obtenerPDFComprobante(invoice);
 
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader(
       'Content-Disposition',
       `inline; filename="comprobante-${invoice.serie}-${invoice.numero}.pdf"`
     );
-    res.send(Buffer.from(pdfBuffer));
+    res.send(pdfBuffer);
   } catch (error) {
     logger.error('Error descargando PDF para customer', { error: error.message });
 
@@ -293,64 +315,104 @@ router.get('/invoice/:id/pdf', async (req, res) => {
 
 /**
  * GET /api/customer/order/:orderId/invoices
- * Lista comprobantes de una orden especifica
- * Util cuando el cliente conoce su numero de orden
+ * Lista comprobantes de una orden del cliente del token
  */
-router.get('/order/:orderId/invoices', (req, res) => {
+router.get('/order/:orderId/invoices', requireCustomerToken, (req, res) => {
   try {
     const { orderId } = req.params;
-    const { email } = req.query;
-
-    if (!email) {
-      return res.status(400).json({
-        error: 'Email requerido para verificacion',
-        code: 'EMAIL_REQUIRED'
-      });
-    }
+    const { canal } = req.customer;
 
     const store = getComprobanteStore();
-    const emailLower = email.toLowerCase();
+    const invoice = store.findByOrderId(orderId, canal);
 
-    // Buscar comprobante principal
-    const invoice = store.findByOrderId(orderId);
+    // La NC hereda el acceso del comprobante original
+    if (!invoice || !tieneAccesoCliente(invoice, req.customer)) {
+      return res.status(404).json({
+        error: 'No se encontraron comprobantes para esta orden',
+        code: 'NOT_FOUND'
+      });
+    }
 
-    // Buscar NC asociada
-    const nc = store.findNCByOrderId(orderId);
+    // Incluye el e-Ticket reemplazado y la NC si se cambio a e-Factura
+    const historial = store.getHistorialOrden(orderId, canal);
+    const results = [
+      invoice,
+      ...historial.reemplazados,
+      ...historial.notasCredito,
+      ...historial.notasDebito
+    ].map(formatForCustomer);
 
-    const results = [];
+    res.json({
+      invoices: results,
+      orderId
+    });
+  } catch (error) {
+    logger.error('Error en order invoices', { error: error.message });
+    res.status(500).json({
+      error: 'Error interno',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
 
-    if (invoice) {
-      // Verificar acceso
-      const hasAccess =
-        invoice.emails_notificacion?.some(e => e.toLowerCase() === emailLower) ||
-        invoice.cliente_email?.toLowerCase() === emailLower ||
-        invoice.buyer?.email?.toLowerCase() === emailLower;
+/**
+ * POST /api/customer/order/:orderId/factura
+ * El comprador pide e-Factura para una compra facturada con e-Ticket
+ * Se anula el e-Ticket con una NC y se emite la e-Factura a su RUT
+ *
+ * Body: { rut, razonSocial, direccion?, ciudad?, departamento? }
+ */
+router.post('/order/:orderId/factura', requireCustomerToken, async (req, res) => {
+  const { orderId } = req.params;
+  const { rut, razonSocial, direccion, ciudad, departamento } = req.body || {};
 
-      if (hasAccess) {
-        results.push(formatForCustomer(invoice));
-      }
+  try {
+    if (!checkRateLimit(`factura:${req.customer.email}`)) {
+      return res.status(429).json({
+        error: 'Demasiadas solicitudes',
+        code: 'RATE_LIMITED'
+      });
     }
 
-    if (nc) {
-      // NC hereda acceso del comprobante original
-      results.push(formatForCustomer(nc));
-    }
+    const { canal } = req.customer;
+    const store = getComprobanteStore();
+    const invoice = store.findByOrderId(orderId, canal);
 
-    if (results.length === 0) {
+    if (!invoice || !tieneAccesoCliente(invoice, req.customer)) {
       return res.status(404).json({
-        error: 'No se encontraron comprobantes para esta orden',
+        error: 'Comprobante no encontrado',
         code: 'NOT_FOUND'
       });
     }
 
+    const actor = `cliente:${maskEmail(req.customer.email)}`;
+    const resultado = await getAuditLogger().auditar('cambio_factura', {
+      actor,
+      tenant: tenantKey(invoice.instance_id || null),
+      orderId,
+      request: { rut: rut ? `***${String(rut).slice(-4)}` : null, razonSocial: razonSocial || null }
+    }, () => cambiarAFactura(orderId, { rut, razonSocial, direccion, ciudad, departamento }, {
+      instanceId: invoice.instance_id || null,
+      canal,
+      solicitadoPor: actor
+    }), r => ({ eticket: r.eticket, nc: r.nc && `${r.nc.serie}-${r.nc.numero}`, efactura: `${r.efactura.serie}-${r.efactura.numero}` }));
+
     res.json({
-      invoices: results,
-      orderId
+      success: true,
+      invoice: formatForCustomer(resultado.efactura),
+      creditNote: formatForCustomer(resultado.nc)
     });
   } catch (error) {
-    logger.error('Error en order invoices', { error: error.message });
+    if (error instanceof CambioFacturaError) {
+      return res.status(400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error en cambio a e-Factura del cliente', { orderId, error: error.message });
     res.status(500).json({
-      error: 'Error interno',
+      error: 'No se pudo emitir la e-Factura',
       code: 'INTERNAL_ERROR'
     });
   }
@@ -421,13 +483,4 @@ function isValidEmail(email) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
 
-/**
- * Enmascara email para logs
- */
-function maskEmail(email) {
-  const [local, domain] = email.split('@');
-  const maskedLocal = local.charAt(0) + '***' + local.charAt(local.length - 1);
-  return `${maskedLocal}@${domain}`;
-}
-
 module.exports = router;
@@ -0,0 +1,131 @@
+/**
+ * Formulario publico de datos del receptor
+ * El comprador llega por el link firmado del email (services/datos-receptor),
+ * carga su documento y la orden retenida se emite
+ * @module routes/datos-receptor
+ */
+
+const express = require('express');
+const router = express.Router();
+const { obtenerSolicitud, registrarDatosReceptor, DatosReceptorError, ESTADOS_SOLICITUD } = require('../services/datos-receptor');
+const { getRevisionStore } = require('../utils/revision-store');
+const { CustomerAuthError } = require('../middleware/customer-auth');
+const logger = require('../utils/logger');
+
+router.use(express.urlencoded({ extended: false, limit: '10kb' }));
+
+const TIPOS_DOCUMENTO = [
+  { valor: 'UY_CI', etiqueta: 'Cedula de identidad' },
+  { valor: 'UY_RUT', etiqueta: 'RUT (empresa)' }
+];
+
+function escapar(valor) {
+  return String(valor ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function pagina(titulo, contenido) {
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapar(titulo)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 480px; margin: 40px auto; padding: 0 16px; color: #222; }
+  label { display: block; margin-top: 16px; font-weight: 600; }
+  input, select { width: 100%; padding: 8px; margin-top: 4px; box-sizing: border-box; font-size: 16px; }
+  button { margin-top: 24px; padding: 10px 20px; font-size: 16px; cursor: pointer; }
+  .error { background: #fdecea; color: #a31515; padding: 10px; border-radius: 4px; }
+</style>
+</head>
+<body>
+<h1>${escapar(titulo)}</h1>
+${contenido}
+</body>
+</html>`;
+}
+
+function formulario(registro, valores = {}, error = null) {
+  const { numero, total, moneda } = registro.orden;
+  const opciones = TIPOS_DOCUMENTO.map(t =>
+    `<option value="${t.valor}"${valores.tipoDocumento === t.valor ? ' selected' : ''}>${t.etiqueta}</option>`
+  ).join('');
+
+  return pagina('Datos para tu factura', `
+<p>Compra #${escapar(numero ?? registro.orderId)} por ${escapar(moneda)} ${escapar(total)}.
+Por normativa de DGI necesitamos identificar al comprador para emitir la factura.</p>
+${error ? `<p class="error">${escapar(error)}</p>` : ''}
+<form method="post">
+  <label for="tipoDocumento">Tipo de documento</label>
+  <select id="tipoDocumento" name="tipoDocumento">${opciones}</select>
+  <label for="documento">Numero de documento</label>
+  <input id="documento" name="documento" inputmode="numeric" required value="${escapar(valores.documento)}">
+  <label for="nombre">Nombre completo o razon social</label>
+  <input id="nombre" name="nombre" required maxlength="150" value="${escapar(valores.nombre)}">
+  <button type="submit">Enviar</button>
+</form>`);
+}
+
+function responderError(res, error) {
+  // Sin secreto de firma (ver middleware/customer-auth) no se pueden verificar links
+  if (error instanceof CustomerAuthError) {
+    logger.error('Formulario de datos del receptor sin configurar', { error: error.message });
+    return res.status(503).send(pagina('Datos para tu factura', '<p class="error">El formulario no esta disponible. Contacta a la tienda.</p>'));
+  }
+
+  if (error instanceof DatosReceptorError) {
+    const status = error.code === 'SOLICITUD_CERRADA' ? 409 : 404;
+    const mensaje = error.code === 'LINK_VENCIDO'
+      ? 'El link vencio. Contacta a la tienda para recibir tu factura.'
+      : error.message;
+    return res.status(status).send(pagina('Datos para tu factura', `<p class="error">${escapar(mensaje)}</p>`));
+  }
+
+  logger.error('Error en formulario de datos del receptor', { error: error.message });
+  res.status(500).send(pagina('Datos para tu factura', '<p class="error">No pudimos procesar tus datos. Intenta de nuevo mas tarde.</p>'));
+}
+
+router.get('/:token', (req, res) => {
+  try {
+    res.send(formulario(obtenerSolicitud(req.params.token)));
+  } catch (error) {
+    responderError(res, error);
+  }
+});
+
+router.post('/:token', async (req, res) => {
+  const valores = {
+    tipoDocumento: req.body?.tipoDocumento,
+    documento: req.body?.documento,
+    nombre: req.body?.nombre
+  };
+
+  let registro;
+  try {
+    registro = obtenerSolicitud(req.params.token);
+  } catch (error) {
+    return responderError(res, error);
+  }
+
+  try {
+    const { comprobante } = await registrarDatosReceptor(req.params.token, valores, {
+      emitir: req.app.locals.emitirOrdenAprobada
+    });
+    res.send(pagina('Gracias', `
+<p>Recibimos tus datos. Tu factura ${escapar(comprobante.serie)}-${escapar(comprobante.numero)} fue emitida
+y te llegara por email.</p>`));
+  } catch (error) {
+    if (error instanceof DatosReceptorError && ['DOCUMENTO_INVALIDO', 'NOMBRE_REQUERIDO'].includes(error.code)) {
+      return res.status(400).send(formulario(registro, valores, error.message));
+    }
+    // Datos guardados pero la emision fallo: la orden queda pendiente para el admin
+    if (getRevisionStore().get(registro.id)?.solicitudDatos?.estado === ESTADOS_SOLICITUD.RESPONDIDA) {
+      logger.error('Error emitiendo orden con datos del comprador', { id: registro.id, error: error.message });
+      return res.status(202).send(pagina('Gracias', '<p>Recibimos tus datos. La factura se emitira en breve y te llegara por email.</p>'));
+    }
+    responderError(res, error);
+  }
+});
+
+module.exports = router;
@@ -9,8 +9,23 @@ const router = express.Router();
 const { wixAppAuth, requireOwner } = require('../middleware/wix-app-auth');
 const { getComprobanteStore } = require('../utils/store');
 const { getSettingsStore } = require('../utils/wix-app-store');
-const { BillerClient } = require('../biller-client');
+const { getErrorStore } = require('../utils/error-store');
+const { getBillerClientForTenant, filtroTenant, limpiarClientes, tenantKey } = require('../services/tenant');
 const { getWixClient } = require('../wix-client');
+const { normalizarIndicador } = require('../services/indicador-iva');
+const { calcularLimiteUYU } = require('../services/unidad-indexada');
+const { validarConfigPagos } = require('../services/forma-pago');
+const { obtenerPDFComprobante } = require('../services/pdf-worker');
+const { getValorUIStore } = require('../utils/valor-ui-store');
+const { getAuditLogger, ocultarSecretos } = require('../utils/audit-logger');
+const {
+  ESTADOS_REVISION,
+  RevisionError,
+  listarRevisiones,
+  editarDatosFiscales,
+  aprobarRevision,
+  rechazarRevision
+} = require('../services/revision');
 const config = require('../config');
 const logger = require('../utils/logger');
 
@@ -28,13 +43,14 @@ router.use(wixAppAuth);
 router.get('/dashboard', async (req, res) => {
   try {
     const store = getComprobanteStore();
-    const stats = store.getStats();
+    const filtro = filtroTenant(req.wixApp.instanceId);
+    const stats = store.getStats(filtro);
 
     const today = new Date().toISOString().split('T')[0];
     const comprobantesHoy = stats.byFecha[today] || 0;
 
     // Obtener ultimos 10 comprobantes
-    const recentInvoices = store.getAll()
+    const recentInvoices = store.find(filtro)
       .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
       .slice(0, 10)
       .map(formatInvoiceForDashboard);
@@ -42,14 +58,16 @@ router.get('/dashboard', async (req, res) => {
     // Verificar conexion con Biller
     let billerStatus = { connected: false, ambiente: config.biller.environment };
     try {
-      const biller = new BillerClient();
+      const biller = getBillerClientForTenant(req.wixApp.instanceId);
       billerStatus = await biller.verificarConexion();
     } catch (e) {
       billerStatus.error = e.message;
     }
 
     // Calcular tasa de exito (ultimos 7 dias)
-    const successRate = calculateSuccessRate(store, 7);
+    const successRate = calculateSuccessRate(store, 7, filtro);
+    const errorStats = getErrorStore().getStats(filtro);
+    const valorUIHoy = getValorUIStore().getVigente(new Date().toISOString().split('T')[0]);
 
     res.json({
       summary: {
@@ -58,7 +76,9 @@ router.get('/dashboard', async (req, res) => {
         eTickets: stats.eTickets || 0,
         eFacturas: stats.eFacturas || 0,
         ncTotal: (stats.ncETickets || 0) + (stats.ncEFacturas || 0),
-        errors: 0 // Placeholder - integrar con error store
+        errors: errorStats.unresolved,
+        pdfsConError: store.findPDFsFallidos(filtro).length,
+        enRevision: listarRevisiones({ instanceId: req.wixApp.instanceId, estado: ESTADOS_REVISION.PENDIENTE }).length
       },
       recentInvoices,
       successRate,
@@ -68,8 +88,8 @@ router.get('/dashboard', async (req, res) => {
         empresa: config.biller.empresa.nombre
       },
       config: {
-        limiteUI: config.dgi.limiteMontoUYU,
-        valorUI: config.dgi.valorUI,
+        limiteUI: calcularLimiteUYU(valorUIHoy),
+        valorUI: valorUIHoy?.valor || config.dgi.valorUI,
         ambiente: config.biller.environment
       }
     });
@@ -100,7 +120,7 @@ router.get('/invoices', (req, res) => {
     } = req.query;
 
     const store = getComprobanteStore();
-    let invoices = store.getAll();
+    let invoices = store.find(filtroTenant(req.wixApp.instanceId));
 
     // Aplicar filtros
     if (type && type !== 'all') {
@@ -174,7 +194,8 @@ router.get('/invoice/:id', (req, res) => {
       invoice = store.find(c => c.numero_interno === id)[0];
     }
 
-    if (!invoice) {
+    // Comprobantes de otro sitio: igual que inexistentes
+    if (!invoice || !filtroTenant(req.wixApp.instanceId)(invoice)) {
       return res.status(404).json({ error: 'Comprobante no encontrado' });
     }
 
@@ -196,19 +217,19 @@ router.get('/invoice/:id/pdf', async (req, res) => {
 
     let invoice = store.get(id) || store.findByOrderId(id);
 
-    if (!invoice || !invoice.id) {
+    if (!invoice || !invoice.id || !filtroTenant(req.wixApp.instanceId)(invoice)) {
       return res.status(404).json({ error: 'Comprobante no encontrado' });
     }
 
-    const biller = new BillerClient();
-    const pdfBuffer = await biller.obtenerPDF(invoice.id);
+    // Archivo local (worker de PDFs); si aun no esta, se pide a Biller
+    const pdfBuffer = await obtenerPDFComprobante(invoice);
 
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader(
       'Content-Disposition',
       `attachment; filename="comprobante-${invoice.serie}-${invoice.numero}.pdf"`
     );
-    res.send(Buffer.from(pdfBuffer));
+    res.send(pdfBuffer);
   } catch (error) {
     logger.error('Error obteniendo PDF', { error: error.message });
     res.status(500).json({ error: error.message });
@@ -226,7 +247,7 @@ router.get('/invoice/:id/pdf', async (req, res) => {
 router.get('/credit-notes', (req, res) => {
   try {
     const store = getComprobanteStore();
-    const ncs = store.listNC();
+    const ncs = store.listNC(filtroTenant(req.wixApp.instanceId));
 
     res.json({
       total: ncs.length,
@@ -284,7 +305,9 @@ router.get('/settings', (req, res) => {
       },
       notifications: {
         enviarAlCliente: config.facturacion.enviarAlCliente
-      }
+      },
+      iva: settingsStore.getIVAConfig(instanceId),
+      pagos: settingsStore.getPagosConfig(instanceId)
     });
   } catch (error) {
     logger.error('Error obteniendo settings', { error: error.message });
@@ -300,7 +323,7 @@ router.get('/settings', (req, res) => {
 router.put('/settings', requireOwner, (req, res) => {
   try {
     const { instanceId } = req.wixApp;
-    const { biller, dgi, notifications } = req.body;
+    const { biller, dgi, notifications, iva, pagos } = req.body;
     const settingsStore = getSettingsStore();
 
     // Validar datos de Biller si se proporcionan
@@ -312,13 +335,46 @@ router.put('/settings', requireOwner, (req, res) => {
       }
     }
 
+    // Validar indicadores de IVA (tasas y overrides)
+    if (iva) {
+      const invalidos = validarConfigIVA(iva);
+      if (invalidos.length > 0) {
+        return res.status(400).json({
+          error: 'Indicadores de IVA invalidos',
+          invalidos
+        });
+      }
+    }
+
+    // Validar mapeo de medios de pago (forma de pago y dias de vencimiento)
+    if (pagos) {
+      const invalidos = validarConfigPagos(pagos);
+      if (invalidos.length > 0) {
+        return res.status(400).json({
+          error: 'Formas de pago invalidas',
+          invalidos
+        });
+      }
+    }
+
     // Actualizar settings
     const updatedSettings = settingsStore.update(instanceId, {
       biller: biller || {},
       dgi: dgi || {},
-      notifications: notifications || {}
+      notifications: notifications || {},
+      iva: iva || {},
+      pagos: pagos || {}
     });
 
+    // Las credenciales de Biller pudieron cambiar
+    limpiarClientes(instanceId);
+
+    getAuditLogger().registrarOperacion('actualizar_settings', {
+      actor: actorWix(req),
+      tenant: tenantKey(instanceId),
+      request: ocultarSecretos({ biller, dgi, notifications, iva, pagos })
+    }, { secciones: Object.keys(req.body).filter(k => ['biller', 'dgi', 'notifications', 'iva', 'pagos'].includes(k)) });
+
     logger.info('Settings actualizados', { instanceId });
 
     res.json({
@@ -345,7 +401,7 @@ router.post('/settings/test-connection', async (req, res) => {
 
     // Test Biller
     try {
-      const biller = new BillerClient();
+      const biller = getBillerClientForTenant(req.wixApp.instanceId);
       const billerStatus = await biller.verificarConexion();
       results.biller = {
         connected: billerStatus.conectado || billerStatus.connected,
@@ -408,7 +464,7 @@ router.post('/reprocess/:orderId', requireOwner, async (req, res) => {
     const store = getComprobanteStore();
     const existente = store.findByOrderId(orderId);
 
-    if (existente) {
+    if (existente && filtroTenant(req.wixApp.instanceId)(existente)) {
       return res.json({
         success: true,
         message: 'Orden ya facturada previamente',
@@ -466,6 +522,94 @@ router.post('/refresh-tokens', requireOwner, async (req, res) => {
   }
 });
 
+// ============================================================
+// REVISION MANUAL (ORDENES RETENIDAS)
+// ============================================================
+
+/**
+ * GET /api/wix-app/revision
+ * Ordenes retenidas sin emitir (?estado=pendiente|aprobada|rechazada, default pendiente)
+ */
+router.get('/revision', (req, res) => {
+  try {
+    const estado = req.query.estado === 'all' ? null : (req.query.estado || ESTADOS_REVISION.PENDIENTE);
+    const ordenes = listarRevisiones({ instanceId: req.wixApp.instanceId, estado });
+
+    res.json({
+      total: ordenes.length,
+      ordenes
+    });
+  } catch (error) {
+    logger.error('Error listando ordenes en revision', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/wix-app/revision/:id
+ * Corrige los datos fiscales de una orden retenida
+ * Body: { tipoDocumento: 'UY_RUT'|'UY_CI', documento, razonSocial?, nombreCompleto? }
+ * Requiere permisos de OWNER
+ */
+router.put('/revision/:id', requireOwner, (req, res) => {
+  try {
+    const orden = editarDatosFiscales(req.params.id, req.body || {}, {
+      instanceId: req.wixApp.instanceId,
+      actor: actorWix(req)
+    });
+
+    res.json({ success: true, orden });
+  } catch (error) {
+    responderErrorRevision(res, error, 'Error editando orden en revision');
+  }
+});
+
+/**
+ * POST /api/wix-app/revision/:id/aprobar
+ * Emite la orden retenida (con los datos fiscales corregidos si se editaron)
+ * Body: { nota? }
+ * Requiere permisos de OWNER
+ */
+router.post('/revision/:id/aprobar', requireOwner, async (req, res) => {
+  try {
+    const { registro, comprobante } = await aprobarRevision(req.params.id, {
+      emitir: req.app.locals.emitirOrdenAprobada,
+      instanceId: req.wixApp.instanceId,
+      actor: actorWix(req),
+      nota: req.body?.nota || null
+    });
+
+    res.json({
+      success: true,
+      message: 'Orden aprobada y facturada',
+      orden: registro,
+      comprobante: formatInvoiceForDashboard(comprobante)
+    });
+  } catch (error) {
+    responderErrorRevision(res, error, 'Error aprobando orden en revision');
+  }
+});
+
+/**
+ * POST /api/wix-app/revision/:id/rechazar
+ * La orden no se factura
+ * Body: { motivo? }
+ * Requiere permisos de OWNER
+ */
+router.post('/revision/:id/rechazar', requireOwner, (req, res) => {
+  try {
+    const orden = rechazarRevision(req.params.id, {
+      instanceId: req.wixApp.instanceId,
+      actor: actorWix(req),
+      motivo: req.body?.motivo || null
+    });
+
+    res.json({ success: true, message: 'Orden rechazada', orden });
+  } catch (error) {
+    responderErrorRevision(res, error, 'Error rechazando orden en revision');
+  }
+});
+
 // ============================================================
 // EXPORT CSV
 // ============================================================
@@ -478,7 +622,7 @@ router.get('/export/csv', (req, res) => {
   try {
     const { from, to, type } = req.query;
     const store = getComprobanteStore();
-    let invoices = store.getAll();
+    let invoices = store.find(filtroTenant(req.wixApp.instanceId));
 
     // Aplicar filtros
     if (type && type !== 'all') {
@@ -539,6 +683,26 @@ router.get('/export/csv', (req, res) => {
 // HELPERS
 // ============================================================
 
+/**
+ * Actor de una operacion del panel para el audit log (usuario Wix)
+ */
+function actorWix(req) {
+  return `wix:${req.wixApp.uid || req.wixApp.siteOwnerId || 'owner'}`;
+}
+
+/**
+ * Responder el error de una operacion sobre la cola de revision
+ */
+function responderErrorRevision(res, error, mensaje) {
+  if (error instanceof RevisionError) {
+    const status = { REVISION_NO_ENCONTRADA: 404, REVISION_CERRADA: 409, REVISION_EN_CURSO: 409 }[error.code] || 400;
+    return res.status(status).json({ success: false, error: error.message, code: error.code });
+  }
+
+  logger.error(mensaje, { error: error.message, code: error.code });
+  res.status(500).json({ success: false, error: error.message, code: error.code });
+}
+
 /**
  * Formatea un comprobante para mostrar en el dashboard
  */
@@ -572,6 +736,8 @@ function formatInvoiceDetail(invoice) {
     items: invoice.items,
     moneda: invoice.moneda,
     formaPago: invoice.forma_pago,
+    metodoPago: invoice.metodo_pago || null,
+    fechaVencimiento: invoice.fecha_vencimiento || null,
     tipoDecision: invoice.tipo_decision,
     emailsNotificacion: invoice.emails_notificacion,
     pdfUrl: invoice.id ? `/api/wix-app/invoice/${invoice.order_id}/pdf` : null,
@@ -579,6 +745,30 @@ function formatInvoiceDetail(invoice) {
   };
 }
 
+/**
+ * Valida tabla de tasas y overrides de IVA
+ * Retorna lista de entradas con indicador no reconocido
+ */
+function validarConfigIVA(iva) {
+  const invalidos = [];
+
+  for (const [tasa, indicador] of Object.entries(iva.tasas || {})) {
+    if (isNaN(parseFloat(tasa)) || !normalizarIndicador(indicador)) {
+      invalidos.push(`tasas.${tasa}`);
+    }
+  }
+
+  for (const tipo of ['sku', 'productos', 'colecciones']) {
+    for (const [clave, indicador] of Object.entries(iva.overrides?.[tipo] || {})) {
+      if (!normalizarIndicador(indicador)) {
+        invalidos.push(`overrides.${tipo}.${clave}`);
+      }
+    }
+  }
+
+  return invalidos;
+}
+
 /**
  * Obtiene etiqueta legible para tipo de comprobante
  */
@@ -596,13 +786,14 @@ function getTipoLabel(tipo) {
 
 /**
  * Calcula tasa de exito en los ultimos N dias
+ * @param {Function} [filtro] - Comprobantes del sitio (ver filtroTenant)
  */
-function calculateSuccessRate(store, days) {
+function calculateSuccessRate(store, days, filtro = () => true) {
   const cutoff = new Date();
   cutoff.setDate(cutoff.getDate() - days);
   const cutoffStr = cutoff.toISOString();
 
-  const recentInvoices = store.getAll().filter(i => i.created_at >= cutoffStr);
+  const recentInvoices = store.find(filtro).filter(i => i.created_at >= cutoffStr);
 
   // Por ahora asumimos que todos los guardados son exitosos
   // TODO: Integrar con error store para calculo real
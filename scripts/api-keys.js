@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Administrar API keys de las rutas /api
+ *
+ * Uso:
+ *   node scripts/api-keys.js crear --nombre ops --scopes read,emit [--instance-id ID]
+ *   node scripts/api-keys.js listar
+ *   node scripts/api-keys.js revocar <id>
+ *
+ * Escribe en el storage configurado (STORAGE_BACKEND): sirve para crear la
+ * primera key con el servidor apagado. Con el servidor corriendo, los cambios
+ * se toman en la proxima recarga (API_KEYS_RECARGA_MS).
+ * Scopes: read, emit, void, admin (admin incluye todos; emit y void incluyen read)
+ */
+
+const { getApiKeyStore, SCOPES } = require('../utils/api-key-store');
+const { getStorage } = require('../utils/storage');
+
+function leerArgs(argv) {
+  const args = { comando: argv[0], id: null, nombre: null, scopes: [], instanceId: null };
+
+  for (let i = 1; i < argv.length; i++) {
+    if (argv[i] === '--nombre') args.nombre = argv[++i];
+    else if (argv[i] === '--scopes') args.scopes = (argv[++i] || '').split(',').map(s => s.trim()).filter(Boolean);
+    else if (argv[i] === '--instance-id') args.instanceId = argv[++i];
+    else if (!args.id) args.id = argv[i];
+  }
+
+  return args;
+}
+
+function imprimirKey(k) {
+  const estado = k.revocadaEn ? `revocada ${k.revocadaEn.slice(0, 10)}` : 'activa';
+  console.log(`  ${k.id}  ${k.nombre.padEnd(20)} ${k.scopes.join(',').padEnd(18)} ${(k.instanceId || 'todos los sitios').padEnd(24)} ${estado}`);
+}
+
+function main() {
+  const args = leerArgs(process.argv.slice(2));
+  const store = getApiKeyStore();
+
+  if (args.comando === 'crear') {
+    const { key, apiKey } = store.crear({ nombre: args.nombre, scopes: args.scopes, instanceId: args.instanceId });
+    console.log('\nAPI key creada (se muestra una sola vez):\n');
+    console.log(`  ${key}\n`);
+    imprimirKey(apiKey);
+    console.log('\nUsar en el header X-API-Key\n');
+  } else if (args.comando === 'listar') {
+    const keys = store.listar();
+    console.log(`\nAPI keys (${keys.length})\n`);
+    keys.forEach(imprimirKey);
+    console.log('');
+  } else if (args.comando === 'revocar') {
+    const revocada = store.revocar(args.id);
+    if (!revocada) throw new Error(`API key ${args.id} no encontrada`);
+    console.log(`\nAPI key ${revocada.id} (${revocada.nombre}) revocada\n`);
+  } else {
+    throw new Error(`Uso: api-keys.js crear --nombre NOMBRE --scopes ${SCOPES.join(',')} [--instance-id ID] | listar | revocar ID`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Error en api-keys: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  getStorage().close();
+}
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * Facturar ordenes pagadas de un rango de fechas que no tienen CFE (Wix u otro canal)
+ *
+ * Uso:
+ *   node scripts/backfill.js --desde 2024-05-01 --hasta 2024-05-31 [--instance-id ID] [--canal shopify]
+ *   node scripts/backfill.js --desde 2024-05-01 --hasta 2024-05-31 --emitir [--reiniciar]
+ *
+ * Sin --emitir es un dry-run: lista las ordenes que se facturarian.
+ * Con --emitir inicia (o retoma) el job y muestra el progreso hasta que termina;
+ * Ctrl+C deja el job corriendo en el servidor y se puede volver a consultar
+ * con el mismo comando.
+ *
+ * Se ejecuta contra el servidor (--url, default http://localhost:SERVER_PORT)
+ * para que la emision use el mismo store, circuit breaker y tokens Wix.
+ * Requiere una API key con scope emit (--api-key, API_KEY o ADMIN_API_KEY).
+ */
+
+const config = require('../config');
+const { getJobId, ESTADOS } = require('../services/backfill');
+
+const ESPERA_PROGRESO = 3000;
+
+function leerArgs(argv) {
+  const args = {
+    url: `http://localhost:${config.server.port}`,
+    apiKey: process.env.API_KEY || config.apiKeys.adminKey,
+    desde: null,
+    hasta: null,
+    instanceId: null,
+    canal: 'wix',
+    emitir: false,
+    reiniciar: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--desde') args.desde = argv[++i];
+    else if (argv[i] === '--hasta') args.hasta = argv[++i];
+    else if (argv[i] === '--instance-id') args.instanceId = argv[++i];
+    else if (argv[i] === '--canal') args.canal = argv[++i];
+    else if (argv[i] === '--url') args.url = argv[++i];
+    else if (argv[i] === '--api-key') args.apiKey = argv[++i];
+    else if (argv[i] === '--emitir') args.emitir = true;
+    else if (argv[i] === '--reiniciar') args.reiniciar = true;
+  }
+
+  return args;
+}
+
+async function pedir(url, apiKey, opciones = {}) {
+  const response = await fetch(url, {
+    ...opciones,
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey || '' }
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok && response.status !== 409) {
+    throw new Error(data.error || `HTTP ${response.status}`);
+  }
+
+  return { status: response.status, data };
+}
+
+function imprimirPreview(preview) {
+  console.log(`\nBackfill (dry-run) ${preview.desde} a ${preview.hasta}\n`);
+  for (const o of preview.ordenes) {
+    console.log(`  ${String(o.numero ?? '').padEnd(8)} ${o.orderId.padEnd(38)} ${(o.fecha || '').slice(0, 10)}  ${o.total} ${o.moneda || ''}`);
+  }
+
+  const { revisadas, aEmitir, omitidas } = preview.resumen;
+  console.log(`\n  Revisadas: ${revisadas}  A emitir: ${aEmitir}`);
+  for (const [motivo, cantidad] of Object.entries(omitidas)) {
+    console.log(`  Omitidas (${motivo}): ${cantidad}`);
+  }
+  console.log('\nPara emitir repetir con --emitir\n');
+}
+
+function imprimirProgreso(job) {
+  const c = job.contadores;
+  console.log(`  [${job.estado}] paginas ${job.paginas}  revisadas ${c.revisadas}  emitidas ${c.emitidas}  omitidas ${c.omitidas}  fallidas ${c.fallidas}`);
+}
+
+async function main() {
+  const args = leerArgs(process.argv.slice(2));
+  if (!args.desde || !args.hasta) {
+    throw new Error('Uso: backfill.js --desde aaaa-mm-dd --hasta aaaa-mm-dd [--instance-id ID] [--canal CANAL] [--emitir] [--reiniciar] [--api-key KEY]');
+  }
+
+  const body = {
+    desde: args.desde,
+    hasta: args.hasta,
+    instanceId: args.instanceId,
+    canal: args.canal,
+    dryRun: !args.emitir,
+    reiniciar: args.reiniciar
+  };
+
+  const inicio = await pedir(`${args.url}/api/backfill`, args.apiKey, { method: 'POST', body: JSON.stringify(body) });
+
+  if (!args.emitir) {
+    imprimirPreview(inicio.data);
+    return;
+  }
+
+  let job = inicio.data.job;
+  if (inicio.status === 409) {
+    console.log('\nEl job ya esta en ejecucion, siguiendo su progreso\n');
+    const id = getJobId(args.instanceId, args.desde, args.hasta, args.canal);
+    job = (await pedir(`${args.url}/api/backfill/${encodeURIComponent(id)}`, args.apiKey)).data;
+  } else {
+    console.log(`\nBackfill ${job.id}\n`);
+  }
+
+  while (job.estado === ESTADOS.EN_CURSO) {
+    imprimirProgreso(job);
+    await new Promise(resolve => setTimeout(resolve, ESPERA_PROGRESO));
+    job = (await pedir(`${args.url}/api/backfill/${encodeURIComponent(job.id)}`, args.apiKey)).data;
+  }
+
+  imprimirProgreso(job);
+  for (const fallo of job.fallos || []) {
+    console.log(`  Fallo ${fallo.orderId}: ${fallo.error}`);
+  }
+  if (job.ultimoError) {
+    console.log(`  Interrumpido: ${job.ultimoError} (repetir el comando para retomar)`);
+  }
+  console.log('');
+}
+
+main().catch(error => {
+  console.error(`Error en backfill: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Migrar los archivos data/*.json al backend SQLite
+ *
+ * Uso:
+ *   node scripts/migrar-storage.js [--data-dir ./data] [--db ./data/wix-biller.db] [--dry-run]
+ *
+ * Se puede ejecutar varias veces: los registros se reemplazan por key.
+ * Luego configurar STORAGE_BACKEND=sqlite y reiniciar el servidor.
+ */
+
+const config = require('../config');
+const { crearStorage, migrarDesdeJson } = require('../utils/storage');
+
+function leerArgs(argv) {
+  const args = { dataDir: config.storage.dataDir, dbFile: config.storage.sqliteFile, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--data-dir') args.dataDir = argv[++i];
+    else if (argv[i] === '--db') args.dbFile = argv[++i];
+    else if (argv[i] === '--dry-run') args.dryRun = true;
+  }
+
+  return args;
+}
+
+function main() {
+  const args = leerArgs(process.argv.slice(2));
+  const destino = crearStorage({ backend: 'sqlite', sqliteFile: args.dbFile });
+
+  try {
+    const resultado = migrarDesdeJson(destino, { dataDir: args.dataDir, dryRun: args.dryRun });
+
+    console.log(`\nMigracion ${args.dryRun ? '(dry-run) ' : ''}${args.dataDir} -> ${args.dbFile}\n`);
+    for (const r of resultado) {
+      console.log(`  ${r.coleccion.padEnd(18)} ${String(r.registros).padStart(7)}  ${r.estado}`);
+    }
+    console.log('');
+  } finally {
+    destino.close();
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Error en migracion: ${error.message}`);
+  process.exit(1);
+}
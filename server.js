@@ -11,21 +11,51 @@ const express = require('express');
 const config = require('./config');
 const { BillerClient } = require('./biller-client');
 const { getWixClient, exchangeCodeForTokens, refreshAccessToken } = require('./wix-client');
+const { MercadoLibreError } = require('./mercadolibre-client');
+const { ShopifyError } = require('./shopify-client');
 const logger = require('./utils/logger');
 const { getComprobanteStore, WebhookDedupeStore } = require('./utils/store');
 const { getWebhookQueue } = require('./utils/webhook-queue');
+const { WebhookQueueWorker } = require('./services/webhook-worker');
+const { PDFWorker } = require('./services/pdf-worker');
+const { getPDFArchive } = require('./utils/pdf-archive');
+const { generarReporteConciliacion, sincronizarDesdeBiller, ConciliacionError } = require('./services/conciliacion');
+const backfill = require('./services/backfill');
+const { getBackfillStore } = require('./utils/backfill-store');
 const { CircuitBreaker } = require('./utils/circuit-breaker-v2');
-const { getMetrics } = require('./monitoring/prometheus-metrics');
+const { getMetricsCollector } = require('./monitoring/metrics-collector');
+const AlertingSystem = require('./monitoring/alerting-system');
+const { validarReglasAlertas } = AlertingSystem;
+const { crearCanales } = require('./monitoring/alert-channels');
+const { getAuditLogger } = require('./utils/audit-logger');
+const { requireApiKey } = require('./middleware/api-key-auth');
+const { getApiKeyStore, ApiKeyError } = require('./utils/api-key-store');
 const path = require('path');
 
 // Servicios
 const { determinarTipoComprobante } = require('./services/billing-decision');
-const { procesarCancelacion, procesarRefund, debeEmitirNC } = require('./services/credit-note-service');
-const { formatDateForBiller, parseMontoSeguro, truncateForBiller, BILLER_FIELD_LIMITS } = require('./utils/date-formatter');
+const { procesarCancelacion, procesarRefund } = require('./services/credit-note-service');
+const { emitirNotaDebito, NotaDebitoError } = require('./services/debit-note-service');
+const { cambiarAFactura, CambioFacturaError } = require('./services/cambio-factura');
+const { ESTADOS_REVISION, MOTIVOS_RETENCION, getRevision, motivosRetencion, retenerOrden, aplicarDatosFiscales } = require('./services/revision');
+const { solicitarDatosReceptor, vencerSolicitudes } = require('./services/datos-receptor');
+const { construirComprobante } = require('./services/comprobante-builder');
+const { previsualizarComprobante } = require('./services/preview');
+const { CANALES, canalDe, numeroInternoOrden } = require('./services/canales');
+const { ACCIONES, FuenteError, accionPorEstado, getFuente, listarCanales } = require('./services/fuentes');
+const { resolverTipoCambio, importarCotizacionesDesdeArchivo, normalizarCotizacion } = require('./services/tipo-cambio');
+const { getTipoCambioStore } = require('./utils/tipo-cambio-store');
+const { resolverValorUI, calcularLimiteUYU, verificarValorUIMes, importarValoresUIDesdeArchivo, normalizarValorUI } = require('./services/unidad-indexada');
+const { getValorUIStore } = require('./utils/valor-ui-store');
+const { formatDateISO } = require('./utils/date-formatter');
+const { getSettingsStore } = require('./utils/wix-app-store');
+const { getStorage } = require('./utils/storage');
+const { getBillerClientForTenant, tenantKey } = require('./services/tenant');
 
 // Rutas de Wix App
 const wixAppApiRoutes = require('./routes/wix-app-api');
 const customerApiRoutes = require('./routes/customer-api');
+const datosReceptorRoutes = require('./routes/datos-receptor');
 
 // Error store (si existe)
 let errorStore, ERROR_TYPES, SEVERITY_LEVELS;
@@ -41,8 +71,8 @@ try {
     getErrors: () => [],
     getStats: () => ({ lastHour: { total: 0 }, last24h: { total: 0, byType: {}, bySeverity: {} }, unresolved: 0 })
   };
-  ERROR_TYPES = { WEBHOOK: 'webhook', BILLER: 'biller' };
-  SEVERITY_LEVELS = { HIGH: 'high', MEDIUM: 'medium', LOW: 'low' };
+  ERROR_TYPES = { WEBHOOK: 'webhook', BILLER: 'biller', RECONCILIATION: 'reconciliation', REVISION: 'revision', SYSTEM: 'system' };
+  SEVERITY_LEVELS = { CRITICAL: 'critical', HIGH: 'high', MEDIUM: 'medium', LOW: 'low' };
 }
 
 // ============================================================
@@ -56,39 +86,83 @@ const comprobanteStore = getComprobanteStore();
 const webhookQueue = getWebhookQueue();
 const webhookDedupe = new WebhookDedupeStore(config.procesamiento?.dedupeWindow || 300000);
 
-// Prometheus metrics (opcional)
-let prometheusMetrics;
-try {
-  prometheusMetrics = getMetrics();
-} catch (e) {
-  prometheusMetrics = {
-    inc: () => {},
-    set: () => {},
-    startTimer: () => () => {},
-    export: () => ''
-  };
+// Metricas del pipeline (fuente unica para /metrics, dashboard y alertas)
+const metricsCollector = getMetricsCollector();
+
+// Audit log de operaciones fiscales (encadenado por hash)
+const auditLogger = getAuditLogger();
+
+/**
+ * Actor de una operacion manual para el audit log (API key que la hizo)
+ */
+function actorDe(req) {
+  return req.apiKey ? `apikey:${req.apiKey.nombre}` : `admin@${req.ip}`;
+}
+
+/**
+ * Resumen de un CFE para el audit log
+ */
+function resumirCFE(cfe) {
+  return cfe ? { id: cfe.id, tipo_comprobante: cfe.tipo_comprobante, serie: cfe.serie, numero: cfe.numero } : null;
+}
+
+/**
+ * Resumen del resultado de procesarCancelacion/procesarRefund para el audit log
+ */
+function resumirResultadoNC(resultado) {
+  return { action: resultado.action, reason: resultado.reason || null, nc: resumirCFE(resultado.nc) };
+}
+
+// Circuit Breaker para Biller API (uno por tenant: un token invalido no corta a los demas sitios)
+const billerCircuits = new Map();
+
+function getBillerCircuit(instanceId) {
+  const key = tenantKey(instanceId);
+  if (!billerCircuits.has(key)) {
+    const nombre = key === tenantKey(null) ? 'biller-api' : `biller-api-${key}`;
+    billerCircuits.set(key, new CircuitBreaker(nombre, {
+      failureThreshold: 5,
+      successThreshold: 2,
+      timeout: 60000,
+      fallback: (error) => {
+        logger.error('Biller API circuit breaker activado', { tenant: key, error: error.message });
+        throw error;
+      },
+      onStateChange: (estado) => metricsCollector.setCircuitState(nombre, estado)
+    }));
+    metricsCollector.setCircuitState(nombre, 'CLOSED');
+  }
+  return billerCircuits.get(key);
 }
 
-// Circuit Breaker para Biller API
-const billerCircuit = new CircuitBreaker('biller-api', {
-  failureThreshold: 5,
-  successThreshold: 2,
-  timeout: 60000,
-  fallback: (error) => {
-    logger.error('Biller API circuit breaker activado', { error: error.message });
+const billerCircuit = getBillerCircuit(null);
+
+/**
+ * Ejecutar una llamada a Biller registrando resultado y latencia
+ * @param {string|null} instanceId
+ * @param {Function} fn - async () => resultado
+ */
+async function medirBiller(instanceId, fn) {
+  const inicio = Date.now();
+  try {
+    const resultado = await fn();
+    metricsCollector.recordBillerRequest(true, Date.now() - inicio, tenantKey(instanceId));
+    return resultado;
+  } catch (error) {
+    metricsCollector.recordBillerRequest(false, Date.now() - inicio, tenantKey(instanceId));
     throw error;
   }
-});
+}
 
-// Metricas
-const metrics = {
-  webhooksRecibidos: 0,
-  webhooksProcesados: 0,
-  comprobantesEmitidos: 0,
-  ncEmitidas: 0,
-  errores: 0,
-  startTime: Date.now()
-};
+/**
+ * Actualizar gauges que se leen de las colas (antes de exportar o evaluar alertas)
+ */
+function actualizarGauges() {
+  const cola = webhookQueue.getStats();
+  metricsCollector.setGauge('webhooks_pending', cola.pending || 0);
+  metricsCollector.setGauge('webhooks_dead', cola.dead || 0);
+  metricsCollector.setGauge('pdfs_pending', comprobanteStore.findPDFsPending().length);
+}
 
 // ============================================================
 // MIDDLEWARE
@@ -111,6 +185,9 @@ app.use((req, res, next) => {
     if (!req.path.startsWith('/webhooks')) {
       logger.request(req.method, req.path, res.statusCode, Date.now() - start);
     }
+    if (req.path.startsWith('/api/')) {
+      metricsCollector.recordAPIRequest(res.statusCode, Date.now() - start);
+    }
   });
   next();
 });
@@ -123,11 +200,16 @@ app.use('/static', express.static(path.join(__dirname, 'public')));
 // ============================================================
 
 // Dashboard API para Wix App (requiere autenticacion)
+// Aprobar una orden en revision emite con el mismo flujo que los webhooks
+app.locals.emitirOrdenAprobada = emitirOrdenAprobada;
 app.use('/api/wix-app', wixAppApiRoutes);
 
 // Customer API para widget (publico con CORS)
 app.use('/api/customer', customerApiRoutes);
 
+// Formulario publico de datos del receptor (link firmado enviado por email)
+app.use('/datos-fiscales', datosReceptorRoutes);
+
 // ============================================================
 // HEALTH CHECK
 // ============================================================
@@ -141,7 +223,7 @@ app.get('/health', async (req, res) => {
       status: 'ok',
       service: 'Wix-Biller Integration',
       version: '1.0.0',
-      uptime: Math.round((Date.now() - metrics.startTime) / 1000),
+      uptime: Math.round((Date.now() - metricsCollector.startTime) / 1000),
       biller: billerStatus,
       wix: wixStatus,
       features: {
@@ -150,7 +232,10 @@ app.get('/health', async (req, res) => {
         circuitBreaker: true
       },
       circuitBreakers: {
-        biller: billerCircuit.getState()
+        biller: billerCircuit.getState(),
+        billerPorTenant: Object.fromEntries(
+          Array.from(billerCircuits.entries()).map(([tenant, cb]) => [tenant, cb.getState()])
+        )
       }
     });
   } catch (error) {
@@ -180,14 +265,18 @@ app.get('/', (req, res) => {
       notasCredito: '/api/notas-credito',
       dashboard: '/api/dashboard',
       metrics: '/metrics',
+      alertas: '/api/alertas',
+      auditoria: '/api/auditoria',
+      apiKeys: '/api/api-keys (X-API-Key con scope admin)',
       wixApp: {
         dashboard: '/api/wix-app/dashboard',
         invoices: '/api/wix-app/invoices',
         settings: '/api/wix-app/settings'
       },
       customerWidget: {
-        invoices: '/api/customer/invoices?email=...',
-        pdf: '/api/customer/invoice/:id/pdf?email=...'
+        session: 'POST /api/customer/session (Bearer <instancia Wix>)',
+        invoices: '/api/customer/invoices (Bearer <token>)',
+        pdf: '/api/customer/invoice/:id/pdf?token=...'
       }
     }
   });
@@ -195,369 +284,471 @@ app.get('/', (req, res) => {
 
 // Metricas Prometheus
 app.get('/metrics', (req, res) => {
-  prometheusMetrics.set('uptime_seconds', Math.floor((Date.now() - metrics.startTime) / 1000));
-  prometheusMetrics.set('webhooks_queue_pending', webhookQueue.getStats().pending);
-  prometheusMetrics.set('webhooks_queue_dead', webhookQueue.getStats().dead);
+  actualizarGauges();
 
   res.set('Content-Type', 'text/plain');
-  res.send(prometheusMetrics.export());
+  res.send(metricsCollector.exportPrometheus());
 });
 
 // ============================================================
-// WEBHOOK WIX - RECEPCION DE EVENTOS
+// WEBHOOKS DE CANALES - RECEPCION DE EVENTOS
 // ============================================================
 
-app.post('/webhooks/wix', async (req, res) => {
-  const endTimer = prometheusMetrics.startTimer('webhook_processing_duration_seconds');
-
-  metrics.webhooksRecibidos++;
-  prometheusMetrics.inc('webhooks_received_total');
-
-  // 1. Obtener el token JWT (puede venir en body o header)
-  let jwtToken = req.rawBody || req.body;
-  if (typeof jwtToken === 'object') {
-    jwtToken = JSON.stringify(jwtToken);
-  }
-
-  // Si viene como header x-wix-signature
-  if (req.headers['x-wix-signature']) {
-    jwtToken = req.headers['x-wix-signature'];
-  }
-
-  logger.info('Webhook Wix recibido', { contentType: req.headers['content-type'] });
+/**
+ * Handler de webhooks de un canal: verifica e interpreta con la fuente,
+ * encola para persistencia y procesa
+ * @param {string} canal - CANALES
+ * @returns {Function} Middleware de Express
+ */
+function recibirWebhook(canal) {
+  return async (req, res) => {
+    const endTimer = metricsCollector.startTimer('webhook_processing_ms');
+    metricsCollector.recordWebhookReceived();
+    logger.info('Webhook recibido', { canal, contentType: req.headers['content-type'] });
 
-  // 2. Responder rapido (Wix espera 200 OK rapido)
-  res.status(200).json({ received: true });
+    // 1. Responder rapido (Wix y ML reintentan si el 200 demora)
+    res.status(200).json({ received: true });
 
-  try {
-    // 3. Verificar y decodificar JWT
-    let payload;
+    let fuente;
     try {
-      payload = wixClient.verifyWebhook(jwtToken);
+      fuente = getFuente(canal);
     } catch (error) {
-      logger.error('Error verificando webhook JWT', { error: error.message });
-      metrics.errores++;
+      logger.debug('Webhook ignorado', { canal, error: error.message });
+      endTimer();
       return;
     }
 
-    // Extraer datos del webhook (compatible con formato Wix)
-    // Wix envia: { data: { order: {...} }, metadata: { eventType: "wix.ecom.v1.order_approved" } }
-    const { data, metadata } = payload;
+    try {
+      // 2. Verificar autenticidad (JWT Wix, HMAC Shopify, app/vendedor ML)
+      let payload;
+      try {
+        payload = fuente.verificarWebhook(req);
+      } catch (error) {
+        logger.error(`Error verificando webhook ${fuente.nombre}`, { error: error.message });
+        metricsCollector.recordWebhookProcessed(false);
+        return;
+      }
 
-    // Obtener eventType (puede venir en metadata.eventType o directamente)
-    const eventType = metadata?.eventType || payload.eventType || payload.slug;
+      // 3. Interpretar el evento
+      const evento = fuente.parsearEvento(payload);
+      if (!evento) {
+        logger.debug(`Evento ${fuente.nombre} ignorado`, { canal });
+        return;
+      }
 
-    // Extraer slug: "wix.ecom.v1.order_approved" -> "approved"
-    const slug = eventType?.split('.').pop()?.replace('order_', '') || eventType;
+      const { orderId, eventId, tipo, eventType, instanceId } = evento;
+      logger.info(`Webhook ${fuente.nombre} procesando`, { eventId, eventType, tipo, orderId, instanceId });
 
-    // Obtener orderId de diferentes ubicaciones posibles
-    const orderId = data?.order?.id || data?.orderId || payload.entityId || payload.orderId;
+      // 4. Encolar para persistencia (si falla, el worker lo reintenta)
+      const item = { canal, slug: tipo, eventType, orderId, eventId, instanceId, payload };
+      const queueId = await webhookQueue.add(item);
 
-    // Event ID para tracking
-    const eventId = metadata?.eventId || payload.id || `wix-${Date.now()}`;
+      // 5. Deduplicacion
+      if (!webhookDedupe.tryAcquire(claveDedupe(item), eventId)) {
+        webhookQueue.complete(queueId);
+        metricsCollector.recordWebhookDuplicated();
+        metricsCollector.recordWebhookProcessed(true);
+        logger.debug('Webhook duplicado', { canal, tipo, orderId, eventId });
+        return;
+      }
 
-    logger.info('Webhook Wix procesando', { eventId, eventType, slug, orderId });
+      // 6. Procesar ahora; los fallos quedan en la cola con backoff
+      const resultado = await webhookWorker.procesarItem(webhookQueue.claim(queueId));
+      if (!resultado.success) {
+        throw resultado.error;
+      }
 
-    // 4. Encolar para persistencia
-    const queueId = await webhookQueue.add({ slug, orderId, eventId, payload });
+      metricsCollector.recordWebhookProcessed(true);
 
-    // 5. Deduplicacion
-    const dedupeKey = `wix-${slug}-${orderId}`;
-    if (!webhookDedupe.tryAcquire(dedupeKey, eventId)) {
-      webhookQueue.complete(queueId);
-      logger.debug('Webhook duplicado', { slug, orderId, eventId });
-      return;
+    } catch (error) {
+      logger.error(`Error procesando webhook ${fuente.nombre}`, { error: error.message });
+      metricsCollector.recordWebhookProcessed(false);
+
+      errorStore.addError(
+        ERROR_TYPES.WEBHOOK,
+        SEVERITY_LEVELS.HIGH,
+        `webhooks/${canal}`,
+        error.message,
+        { rawBody: String(req.rawBody || '').substring(0, 100) }
+      );
+    } finally {
+      // Tambien se miden los webhooks invalidos, ignorados y duplicados
+      endTimer();
     }
+  };
+}
 
-    // 6. Procesar segun tipo de evento
-    const eventosEmitir = config.wix.webhookEvents.emitir;
-    const eventosAnular = config.wix.webhookEvents.anular;
-
-    // Normalizar para comparacion (lowercase, sin guiones bajos)
-    const slugNorm = (slug || '').toLowerCase().replace(/_/g, '');
-    const eventTypeNorm = (eventType || '').toLowerCase().replace(/_/g, '');
+app.post('/webhooks/wix', recibirWebhook(CANALES.WIX));
+app.post('/webhooks/mercadolibre', recibirWebhook(CANALES.MERCADOLIBRE));
+app.post('/webhooks/shopify', recibirWebhook(CANALES.SHOPIFY));
 
-    // Verificar si el slug o eventType coincide con eventos configurados
-    const esEventoEmitir = eventosEmitir.some(e => {
-      const eNorm = e.toLowerCase().replace(/_/g, '');
-      return slugNorm.includes(eNorm) || eventTypeNorm.includes(eNorm);
-    });
-    const esEventoAnular = eventosAnular.some(e => {
-      const eNorm = e.toLowerCase().replace(/_/g, '');
-      return slugNorm.includes(eNorm) || eventTypeNorm.includes(eNorm);
-    });
+/**
+ * Clave de deduplicacion de un item de la cola (por canal, tipo de evento y orden)
+ * @param {Object} item - { canal, slug, topic, orderId }
+ * @returns {string}
+ */
+function claveDedupe(item) {
+  return `${canalDe(item)}-${item.slug || item.topic}-${item.orderId}`;
+}
 
-    if (esEventoEmitir) {
-      // Orden aprobada -> Emitir CFE
-      await procesarOrdenWix(orderId, data?.order || payload);
-    } else if (esEventoAnular) {
-      // Cancelacion o refund -> Emitir NC
-      await procesarCancelacionWix(orderId, slug, data?.order || payload);
-    } else {
-      logger.debug('Evento Wix ignorado', { slug, eventType });
-    }
+/**
+ * Procesar un evento de la cola persistente (al recibirlo o en reintentos)
+ * @param {Object} item - Item de PersistentWebhookQueue
+ */
+async function procesarEvento(item) {
+  const fuente = getFuente(canalDe(item));
+  const evento = fuente.parsearEvento(item.payload);
 
-    webhookQueue.complete(queueId);
-    webhookDedupe.complete(dedupeKey, eventId);
-    metrics.webhooksProcesados++;
-    prometheusMetrics.inc('webhooks_processed_total');
-    endTimer();
+  if (evento) {
+    await procesarOrden(fuente, evento.orderId, { ...evento, instanceId: item.instanceId });
+  } else {
+    logger.debug(`Evento ${fuente.nombre} ignorado`, { slug: item.slug, eventType: item.eventType });
+  }
 
-  } catch (error) {
-    logger.error('Error procesando webhook Wix', { error: error.message });
-    metrics.errores++;
-    prometheusMetrics.inc('webhooks_failed_total');
-    endTimer();
+  webhookDedupe.complete(claveDedupe(item), item.eventId);
+}
 
+// Worker de reintentos: drena la cola persistente con backoff
+const webhookWorker = new WebhookQueueWorker({
+  queue: webhookQueue,
+  procesar: procesarEvento,
+  onDeadLetter: (item, error) => {
+    // Liberar dedupe: un reenvio del canal puede volver a procesarse
+    webhookDedupe.release(claveDedupe(item), item.eventId);
     errorStore.addError(
       ERROR_TYPES.WEBHOOK,
-      SEVERITY_LEVELS.HIGH,
-      'webhooks/wix',
-      error.message,
-      { rawBody: jwtToken?.substring(0, 100) }
+      SEVERITY_LEVELS.CRITICAL,
+      'webhook-worker',
+      `Webhook movido a dead letters: ${error.message}`,
+      { orderId: item.orderId, instanceId: item.instanceId, queueId: item.id, retries: item.retries }
+    );
+  }
+});
+
+// Worker de PDFs: archiva localmente el PDF de cada CFE emitido
+const pdfWorker = new PDFWorker({
+  store: comprobanteStore,
+  archive: getPDFArchive(),
+  getBillerClient: getBillerClientForTenant,
+  metrics: metricsCollector,
+  onFallido: (comprobante, error) => {
+    errorStore.addError(
+      ERROR_TYPES.BILLER,
+      SEVERITY_LEVELS.MEDIUM,
+      'pdf-worker',
+      `PDF no disponible en Biller, agotados los intentos: ${error.message}`,
+      { key: comprobante.key, billerId: comprobante.id, orderId: comprobante.order_id, instanceId: comprobante.instance_id || null }
     );
   }
 });
 
+// Alertas: reglas y umbrales desde el settings store, canales desde config
+const alertingSystem = new AlertingSystem(metricsCollector, {
+  canales: crearCanales(config.alertas.canales),
+  getReglas: () => getSettingsStore().getAlertasConfig(),
+  antesDeRevisar: actualizarGauges
+});
+
 // ============================================================
-// PROCESAMIENTO DE ORDENES WIX
+// PROCESAMIENTO DE ORDENES
 // ============================================================
 
-async function procesarOrdenWix(orderId, orderData) {
-  logger.info('Procesando orden Wix', { orderId });
+/**
+ * Facturar, anular o acreditar una orden de cualquier canal
+ * @param {Object} fuente - Adaptador del canal (services/fuentes)
+ * @param {string} orderId
+ * @param {Object} [opciones]
+ * @param {string} [opciones.accion] - ACCIONES (default: EMITIR)
+ * @param {Object} [opciones.orden] - Orden del webhook (si no esta completa se pide al canal)
+ * @param {string} [opciones.tipo] - Tipo de evento, para el audit log de NC
+ * @param {string} [opciones.instanceId] - Sitio Wix cuyas credenciales Biller se usan
+ * @param {string} [opciones.actor] - Actor para el audit log (default: '<canal>-webhook')
+ */
+async function procesarOrden(fuente, orderId, opciones = {}) {
+  const { instanceId = null } = opciones;
+  const actor = opciones.actor || `${fuente.canal}-webhook`;
+  let accion = opciones.accion || ACCIONES.EMITIR;
+  logger.info(`Procesando orden ${fuente.nombre}`, { orderId, accion, instanceId });
 
   try {
-    // 1. Obtener orden completa si no viene en el webhook
-    let order = orderData;
-    if (!order || !order.lineItems) {
-      order = await wixClient.getOrder(orderId);
-    }
-
-    // FIX: Validar que la orden exista y tenga datos mínimos
+    // 1. Obtener orden completa
+    const order = await fuente.obtenerOrden(orderId, opciones.orden);
     if (!order) {
-      logger.warn('Orden Wix no encontrada', { orderId });
-      return;
-    }
-
-    if (!order.id) {
-      logger.warn('Orden Wix sin ID válido', { orderId, orderKeys: Object.keys(order || {}) });
+      logger.warn(`Orden ${fuente.nombre} no encontrada`, { orderId });
       return;
     }
 
     // 2. Normalizar orden
-    const ordenNormalizada = wixClient.normalizeOrder(order);
-
-    // FIX: Validar que la normalización fue exitosa
+    const ordenNormalizada = fuente.normalizarOrden(order);
     if (!ordenNormalizada || !ordenNormalizada.id) {
-      logger.error('Error normalizando orden Wix', { orderId });
+      logger.error(`Error normalizando orden ${fuente.nombre}`, { orderId });
       return;
     }
 
-    // 3. Verificar estado
-    if (ordenNormalizada.status === 'CANCELED') {
+    // 3. Resolver la accion con el estado actual (una orden cancelada no se factura)
+    if (accion === ACCIONES.ESTADO) {
+      accion = accionPorEstado(ordenNormalizada);
+    } else if (accion === ACCIONES.EMITIR && ordenNormalizada.status === 'CANCELED') {
       logger.info('Orden cancelada, procesando como NC', { orderId });
-      return await procesarCancelacionWix(orderId, 'canceled', order);
-    }
-
-    // Solo procesar ordenes aprobadas/pagadas
-    if (ordenNormalizada.status !== 'APPROVED' && ordenNormalizada.paymentStatus !== 'PAID') {
-      logger.debug('Orden no aprobada/pagada', { orderId, status: ordenNormalizada.status });
-      return;
+      accion = ACCIONES.CANCELAR;
     }
 
-    // 4. Verificar idempotencia (store local)
-    const existente = comprobanteStore.findByOrderId(orderId);
-    if (existente) {
-      logger.info('Orden ya facturada (store local)', { orderId });
-      return;
+    // 4-9. Idempotencia, armado, emision y registro
+    if (accion === ACCIONES.EMITIR) {
+      return await facturarOrden(ordenNormalizada, { cliente: fuente.cliente, instanceId, actor, revision: opciones.revision });
     }
 
-    // 5. Verificar idempotencia (Biller)
-    const numeroInterno = `WIX-${orderId}`;
-    const existenteEnBiller = await biller.buscarPorNumeroInterno(numeroInterno);
-    if (existenteEnBiller) {
-      logger.info('Orden ya facturada (Biller)', { orderId, billerId: existenteEnBiller.id });
-      comprobanteStore.set(orderId, {
-        ...existenteEnBiller,
-        wix_order_id: orderId,
-        synced_from_biller: true
-      });
-      return;
-    }
+    await emitirNCOrden(fuente, order, ordenNormalizada, { accion, tipo: opciones.tipo, instanceId, actor });
 
-    // 6. Determinar tipo de comprobante
-    const decision = determinarTipoComprobante(ordenNormalizada);
+  } catch (error) {
+    registrarErrorFacturacion(error, { orderId, instanceId, canal: fuente.canal, accion });
+    throw error;
+  }
+}
 
-    // 7. Preparar datos para Biller
-    const datosComprobante = prepararDatosBiller(ordenNormalizada, decision);
+/**
+ * Facturar una orden normalizada de cualquier canal
+ * @param {Object} ordenNormalizada - Formato WixClient.normalizeOrder (con canal)
+ * @param {Object} opciones
+ * @param {Object} opciones.cliente - Cliente del canal (transacciones y colecciones)
+ * @param {string} [opciones.instanceId] - Sitio Wix cuyas credenciales Biller se usan
+ * @param {string} opciones.actor - Actor para el audit log
+ * @param {Object} [opciones.revision] - Orden aprobada en la cola de revision (no se vuelve a retener)
+ * @returns {Promise<Object|undefined>} Comprobante de la orden (undefined si no se emitio)
+ */
+async function facturarOrden(ordenNormalizada, { cliente, instanceId = null, actor, revision = null }) {
+  const orderId = ordenNormalizada.id;
+  const canal = canalDe(ordenNormalizada);
+
+  // Solo procesar ordenes aprobadas/pagadas
+  if (ordenNormalizada.status !== 'APPROVED' && ordenNormalizada.paymentStatus !== 'PAID') {
+    logger.debug('Orden no aprobada/pagada', { orderId, canal, status: ordenNormalizada.status });
+    return;
+  }
 
-    // 8. Emitir comprobante
-    const endBillerTimer = prometheusMetrics.startTimer('biller_request_duration_seconds');
-    const comprobante = await billerCircuit.fire(async () => {
-      prometheusMetrics.inc('biller_requests_total', { method: 'POST', status: 'attempt' });
-      const result = await biller.emitirComprobante(datosComprobante);
-      prometheusMetrics.inc('biller_requests_total', { method: 'POST', status: 'success' });
-      return result;
-    });
-    endBillerTimer();
-
-    // 9. Guardar en store
-    comprobanteStore.set(orderId, {
-      ...comprobante,
-      wix_order_id: orderId,
-      tipo_decision: decision.razon,
-      cliente_identificado: decision.cliente !== config.CLIENTE_SIN_RECEPTOR,
-      cliente: decision.cliente || null,
-      total: ordenNormalizada.montos.total,
-      monto_total: ordenNormalizada.montos.total
-    });
+  // 4. Verificar idempotencia (store local)
+  const existente = comprobanteStore.findByOrderId(orderId, canal);
+  if (existente) {
+    logger.info('Orden ya facturada (store local)', { orderId, canal });
+    metricsCollector.recordInvoiceDuplicatedPrevented();
+    return existente;
+  }
 
-    metrics.comprobantesEmitidos++;
+  // Orden en la cola de revision: solo se emite al aprobarla
+  const enRevision = revision ? null : getRevision(orderId, canal);
+  if (enRevision && enRevision.estado !== ESTADOS_REVISION.APROBADA) {
+    logger.info('Orden en revision manual, no se emite', { orderId, canal, estado: enRevision.estado });
+    return;
+  }
 
-    logger.info('Comprobante emitido', {
-      orderId,
-      serie: comprobante.serie,
-      numero: comprobante.numero,
-      tipo: decision.tipo,
-      razon: decision.razon
+  // 5. Verificar idempotencia (Biller del sitio)
+  const billerTenant = getBillerClientForTenant(instanceId);
+  const numeroInterno = numeroInternoOrden(orderId, canal);
+  const origen = { ...(canal === CANALES.WIX && { wix_order_id: orderId }), canal };
+  const existenteEnBiller = await billerTenant.buscarPorNumeroInterno(numeroInterno);
+  if (existenteEnBiller) {
+    logger.info('Orden ya facturada (Biller)', { orderId, canal, billerId: existenteEnBiller.id });
+    metricsCollector.recordInvoiceDuplicatedPrevented();
+    return comprobanteStore.set(orderId, {
+      ...existenteEnBiller,
+      ...origen,
+      instance_id: instanceId,
+      synced_from_biller: true
     });
+  }
 
-  } catch (error) {
-    logger.error('Error procesando orden Wix', {
-      orderId,
-      error: error.message,
-      response: error.response,
-      code: error.code
-    });
+  // 6-7. Determinar tipo (limite UI en UYU con el valor UI de la fecha de la orden)
+  // y preparar datos para Biller (indicador de IVA por linea y forma de pago segun settings del sitio)
+  aplicarDatosFiscales(ordenNormalizada, revision?.datosFiscales);
+  const { datosComprobante, decision, tipoCambio, valorUI, formaPago, totales } = await construirComprobante(ordenNormalizada, {
+    cliente,
+    instanceId,
+    sucursal: billerTenant.sucursal,
+    permitirDiferencia: true
+  });
 
+  // Venta grande sin documento, total distinto al cobrado o RUT/CI invalido:
+  // a la cola de revision en vez de Biller (la aprobacion del admin emite igual)
+  const motivos = revision ? [] : motivosRetencion(decision, totales);
+  if (motivos.length > 0) {
+    const registro = retenerOrden(ordenNormalizada, motivos, { instanceId, actor, decision });
+    // Total distinto al cobrado: error de conciliacion HIGH; el resto queda como aviso de revision
+    const conDiferencia = motivos.some(m => m.codigo === MOTIVOS_RETENCION.TOTALES_NO_COINCIDEN);
     errorStore.addError(
-      ERROR_TYPES.BILLER,
-      SEVERITY_LEVELS.HIGH,
-      'procesarOrdenWix',
-      error.message,
-      { orderId, billerResponse: error.response }
+      conDiferencia ? ERROR_TYPES.RECONCILIATION : ERROR_TYPES.REVISION,
+      conDiferencia ? SEVERITY_LEVELS.HIGH : SEVERITY_LEVELS.MEDIUM,
+      'facturarOrden',
+      `Orden retenida sin emitir: ${motivos.map(m => m.detalle).join('; ')}. Revisar en GET /api/wix-app/revision`,
+      {
+        orderId,
+        instanceId,
+        canal,
+        revision: registro.id,
+        motivos: motivos.map(m => m.codigo),
+        ...(conDiferencia && { totalComprobante: totales.totalComprobante, totalOrden: totales.totalOrden, diferencia: totales.diferencia })
+      }
     );
-
-    throw error;
+    // Solo falta el documento: se le pide al comprador (sin esperar al SMTP)
+    solicitarDatosReceptor(registro).catch(error => {
+      logger.error('Error pidiendo datos del receptor', { orderId, error: error.message });
+    });
+    return;
   }
-}
-
-// ============================================================
-// PROCESAMIENTO DE CANCELACIONES/REFUNDS
-// ============================================================
-
-async function procesarCancelacionWix(orderId, eventSlug, orderData) {
-  logger.info('Procesando cancelacion/refund Wix', { orderId, eventSlug });
-
-  try {
-    // 1. Obtener orden completa si no viene en el webhook
-    let order = orderData;
-    if (!order || !order.lineItems) {
-      order = await wixClient.getOrder(orderId);
-    }
 
-    if (!order) {
-      logger.warn('Orden Wix no encontrada para NC', { orderId });
-      return;
+  // 8. Emitir comprobante con las credenciales del sitio
+  const endEmisionTimer = metricsCollector.startTimer('invoice_emission_ms');
+  const comprobante = await auditLogger.auditar('emitir_cfe', {
+    actor,
+    tenant: tenantKey(instanceId),
+    orderId,
+    request: {
+      numero_interno: numeroInterno,
+      canal,
+      tipo: decision.tipo,
+      razon: decision.razon,
+      total: ordenNormalizada.montos.total,
+      moneda: datosComprobante.moneda
     }
+  }, () => getBillerCircuit(instanceId).fire(() =>
+    medirBiller(instanceId, () => billerTenant.emitirComprobante(datosComprobante))
+  ), resumirCFE);
+  endEmisionTimer();
+
+  // 9. Guardar en store (etiquetado con el tenant y el canal)
+  const guardado = comprobanteStore.set(orderId, {
+    ...comprobante,
+    ...origen,
+    instance_id: instanceId,
+    tipo_decision: decision.razon,
+    cliente_identificado: decision.cliente !== config.CLIENTE_SIN_RECEPTOR,
+    cliente: decision.cliente || null,
+    total: ordenNormalizada.montos.total,
+    monto_total: ordenNormalizada.montos.total,
+    moneda: datosComprobante.moneda,
+    forma_pago: datosComprobante.forma_pago,
+    metodo_pago: formaPago.metodo,
+    fecha_vencimiento: formaPago.fecha_vencimiento_iso,
+    // Items emitidos (con linea de la orden) para NC parciales por refund
+    items: datosComprobante.items.map((item, idx) => ({
+      ...item,
+      wix_line_item_id: ordenNormalizada.items[idx]?.id || null
+    })),
+    tipo_cambio: tipoCambio?.valor || null,
+    tipo_cambio_fecha: tipoCambio?.fecha || null,
+    tipo_cambio_fuente: tipoCambio?.fuente || null,
+    valor_ui: valorUI.valor,
+    valor_ui_fecha: valorUI.fecha,
+    valor_ui_fuente: valorUI.fuente
+  });
 
-    // 2. Normalizar orden
-    const ordenNormalizada = wixClient.normalizeOrder(order);
+  metricsCollector.recordInvoiceEmitted(decision.tipo, tenantKey(instanceId));
 
-    // 3. Verificar si debe emitir NC
-    if (!debeEmitirNC(eventSlug, ordenNormalizada)) {
-      logger.debug('No se requiere NC para este evento', { orderId, eventSlug });
-      return;
-    }
+  logger.info('Comprobante emitido', {
+    orderId,
+    canal,
+    serie: comprobante.serie,
+    numero: comprobante.numero,
+    tipo: decision.tipo,
+    razon: decision.razon
+  });
 
-    // 4. Procesar segun tipo
-    let resultado;
-    if (eventSlug === 'transactionsUpdated') {
-      resultado = await procesarRefund(ordenNormalizada);
-    } else {
-      resultado = await procesarCancelacion(ordenNormalizada);
-    }
+  return guardado;
+}
 
-    if (resultado.action === 'nc_emitted') {
-      metrics.ncEmitidas++;
-      logger.info('NC emitida por Wix', { orderId, ncId: resultado.nc?.id });
-    } else {
-      logger.info('No se emitio NC', { orderId, action: resultado.action, reason: resultado.reason });
-    }
+/**
+ * Emitir una orden aprobada en la cola de revision (la usa la Wix app al aprobar)
+ * Se vuelve a leer la orden del canal y se aplican los datos fiscales corregidos
+ * @param {Object} registro - Registro de la cola (services/revision)
+ * @param {string} actor
+ * @returns {Promise<Object|undefined>} Comprobante emitido
+ */
+function emitirOrdenAprobada(registro, actor) {
+  return procesarOrden(getFuente(registro.canal), registro.orderId, {
+    instanceId: registro.instance_id,
+    actor,
+    revision: registro
+  });
+}
 
-  } catch (error) {
-    logger.error('Error procesando cancelacion Wix', { orderId, error: error.message });
+/**
+ * Registrar un error al procesar una orden (metricas, log y error store)
+ * @param {Error} error
+ * @param {Object} contexto - { orderId, instanceId, canal, accion }
+ */
+function registrarErrorFacturacion(error, { orderId, instanceId, canal, accion }) {
+  const esEmision = accion === ACCIONES.EMITIR;
+  const origen = esEmision ? 'facturarOrden' : 'emitirNCOrden';
+  if (esEmision) {
+    metricsCollector.recordInvoiceError();
+  }
+  logger.error(`Error en ${origen}`, {
+    orderId,
+    canal,
+    accion,
+    error: error.message,
+    response: error.response,
+    code: error.code
+  });
 
+  if (error instanceof MercadoLibreError || error instanceof ShopifyError) {
+    errorStore.addError(
+      error instanceof MercadoLibreError ? ERROR_TYPES.ML_API : ERROR_TYPES.SHOPIFY_API,
+      SEVERITY_LEVELS.HIGH,
+      origen,
+      error.message,
+      { orderId, instanceId, canal, code: error.code, status: error.status }
+    );
+  } else {
     errorStore.addError(
       ERROR_TYPES.BILLER,
       SEVERITY_LEVELS.HIGH,
-      'procesarCancelacionWix',
+      origen,
       error.message,
-      { orderId, eventSlug }
+      { orderId, instanceId, canal, accion, code: error.code, item: error.item, billerResponse: error.response }
     );
-
-    throw error;
   }
 }
 
 // ============================================================
-// FUNCIONES AUXILIARES
+// PROCESAMIENTO DE CANCELACIONES/REFUNDS
 // ============================================================
 
-function prepararDatosBiller(ordenNormalizada, decision) {
-  // FIX: Mapear items con helpers para evitar NaN y truncar correctamente
-  const items = ordenNormalizada.items.map(item => ({
-    concepto: truncateForBiller(item.nombre || 'Producto', BILLER_FIELD_LIMITS.CONCEPTO),
-    cantidad: parseInt(item.cantidad) || 1,
-    precio: parseMontoSeguro(item.precioUnitario, 0),
-    indicador_facturacion: config.INDICADORES_IVA.GRAVADO_BASICA
-  }));
+/**
+ * Emitir la NC de una cancelacion o de los refunds nuevos de una orden
+ * @param {Object} fuente - Adaptador del canal
+ * @param {Object} order - Orden cruda del canal
+ * @param {Object} ordenNormalizada
+ * @param {Object} opciones - { accion (CANCELAR|REEMBOLSO), tipo, instanceId, actor }
+ */
+async function emitirNCOrden(fuente, order, ordenNormalizada, { accion, tipo = null, instanceId = null, actor }) {
+  const orderId = ordenNormalizada.id;
 
-  // FIX: Usar helper centralizado para fecha
-  const fechaEmision = formatDateForBiller();
-
-  const datos = {
-    tipo_comprobante: decision.tipo,
-    numero_interno: truncateForBiller(`WIX-${ordenNormalizada.id}`, BILLER_FIELD_LIMITS.NUMERO_INTERNO),
-    sucursal: config.biller.empresa.sucursal,
-    fecha_emision: fechaEmision,
-    items: items,
-    forma_pago: config.FORMAS_PAGO.TARJETA,
-    moneda: ordenNormalizada.montos?.moneda || 'UYU',
-    montos_brutos: 1  // Precios con IVA incluido
-  };
+  // Refund: solo si hubo devolucion (total o parcial)
+  if (accion === ACCIONES.REEMBOLSO && !['REFUNDED', 'PARTIALLY_REFUNDED'].includes(ordenNormalizada.paymentStatus)) {
+    logger.debug('No se requiere NC para este evento', { orderId, tipo, paymentStatus: ordenNormalizada.paymentStatus });
+    return;
+  }
 
-  // FIX: Cliente con campos truncados según límites Biller
-  if (decision.cliente && decision.cliente !== config.CLIENTE_SIN_RECEPTOR) {
-    const cliente = { ...decision.cliente };
-    if (cliente.razon_social) {
-      cliente.razon_social = truncateForBiller(cliente.razon_social, BILLER_FIELD_LIMITS.RAZON_SOCIAL);
-    }
-    if (cliente.nombre_fantasia) {
-      cliente.nombre_fantasia = truncateForBiller(cliente.nombre_fantasia, BILLER_FIELD_LIMITS.NOMBRE_FANTASIA);
-    }
-    if (cliente.sucursal) {
-      if (cliente.sucursal.direccion) {
-        cliente.sucursal.direccion = truncateForBiller(cliente.sucursal.direccion, BILLER_FIELD_LIMITS.DIRECCION);
-      }
-      if (cliente.sucursal.ciudad) {
-        cliente.sucursal.ciudad = truncateForBiller(cliente.sucursal.ciudad, BILLER_FIELD_LIMITS.CIUDAD);
-      }
-      if (cliente.sucursal.departamento) {
-        cliente.sucursal.departamento = truncateForBiller(cliente.sucursal.departamento, BILLER_FIELD_LIMITS.DEPARTAMENTO);
-      }
+  const resultado = await auditLogger.auditar('emitir_nc', {
+    actor,
+    tenant: tenantKey(instanceId),
+    orderId,
+    request: { canal: fuente.canal, evento: tipo || accion }
+  }, async () => {
+    if (accion === ACCIONES.REEMBOLSO) {
+      // Refunds parciales requieren el detalle del canal (y lo ya acreditado)
+      const reembolsos = await fuente.obtenerReembolsos(order, comprobanteStore.findByOrderId(orderId, fuente.canal));
+      return procesarRefund(ordenNormalizada, reembolsos, { instanceId });
     }
-    datos.cliente = cliente;
-  } else {
-    datos.cliente = config.CLIENTE_SIN_RECEPTOR;
-  }
+    return procesarCancelacion(ordenNormalizada, { instanceId });
+  }, resumirResultadoNC);
 
-  // Email de notificacion
-  if (ordenNormalizada.buyer?.email) {
-    datos.emails_notificacion = [ordenNormalizada.buyer.email];
+  if (resultado.action === 'nc_emitted') {
+    metricsCollector.recordCreditNoteEmitted(tenantKey(instanceId));
+    logger.info(`NC emitida por ${fuente.nombre}`, { orderId, ncId: resultado.nc?.id });
+  } else {
+    logger.info('No se emitio NC', { orderId, action: resultado.action, reason: resultado.reason });
   }
-
-  return datos;
 }
 
 // ============================================================
@@ -624,7 +815,7 @@ WIX_TOKEN_EXPIRES_AT=${new Date(Date.now() + (tokens.expiresIn * 1000)).toISOStr
 // API DE TOKENS WIX
 // ============================================================
 
-app.get('/api/tokens', (req, res) => {
+app.get('/api/tokens', requireApiKey('admin'), (req, res) => {
   const expiresAt = process.env.WIX_TOKEN_EXPIRES_AT;
   const isExpired = expiresAt ? new Date(expiresAt) < new Date() : true;
   const isExpiringSoon = expiresAt ? new Date(expiresAt) < new Date(Date.now() + 30 * 60 * 1000) : true;
@@ -646,7 +837,7 @@ app.get('/api/tokens', (req, res) => {
   });
 });
 
-app.post('/api/tokens/refresh', async (req, res) => {
+app.post('/api/tokens/refresh', requireApiKey('admin'), async (req, res) => {
   try {
     const refreshToken = process.env.WIX_REFRESH_TOKEN;
     if (!refreshToken) {
@@ -677,7 +868,7 @@ app.post('/api/tokens/refresh', async (req, res) => {
 // API ENDPOINTS
 // ============================================================
 
-app.get('/api/comprobantes', (req, res) => {
+app.get('/api/comprobantes', requireApiKey('read'), (req, res) => {
   const comprobantes = comprobanteStore.getAll();
   res.json({
     total: comprobantes.length,
@@ -685,15 +876,16 @@ app.get('/api/comprobantes', (req, res) => {
   });
 });
 
-app.get('/api/comprobante/:orderId', (req, res) => {
-  const comp = comprobanteStore.findByOrderId(req.params.orderId);
+// ?canal= (default: wix)
+app.get('/api/comprobante/:orderId', requireApiKey('read'), (req, res) => {
+  const comp = comprobanteStore.findByOrderId(req.params.orderId, canalDeRequest(req));
   if (!comp) {
     return res.status(404).json({ error: 'No encontrado' });
   }
   res.json(comp);
 });
 
-app.get('/api/notas-credito', (req, res) => {
+app.get('/api/notas-credito', requireApiKey('read'), (req, res) => {
   const ncs = comprobanteStore.listNC();
   res.json({
     total: ncs.length,
@@ -701,22 +893,100 @@ app.get('/api/notas-credito', (req, res) => {
   });
 });
 
+/**
+ * Canal de la orden de un request admin: ?canal= (default Wix)
+ * Los IDs de distintos canales pueden coincidir, el canal es parte de la key
+ * @param {Object} req
+ * @returns {string}
+ */
+function canalDeRequest(req) {
+  return req.query.canal || CANALES.WIX;
+}
+
+/**
+ * Fuente de la orden de un request admin (ver canalDeRequest)
+ * @param {Object} req
+ * @returns {Object} Adaptador del canal
+ * @throws {FuenteError} Si el canal no existe o no esta habilitado
+ */
+function fuenteDeRequest(req) {
+  return getFuente(canalDeRequest(req));
+}
+
+/**
+ * Sitio de una operacion sobre una orden: el del comprobante guardado (el
+ * ?instanceId= solo se usa si la orden todavia no tiene comprobante).
+ * Una API key de sitio solo opera sobre comprobantes de su sitio: responde 403
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} orderId
+ * @returns {Object|null} { comprobante, instanceId }, o null si ya se respondio 403
+ */
+function sitioDeOrden(req, res, orderId) {
+  const comprobante = comprobanteStore.findByOrderId(orderId, canalDeRequest(req));
+  const instanceId = comprobante ? (comprobante.instance_id || null) : (req.query.instanceId || null);
+
+  if (req.apiKey?.instanceId && comprobante && instanceId !== req.apiKey.instanceId) {
+    const ruta = `${req.method} ${req.path}`;
+    auditLogger.log('api_key_denied', {
+      api_key_id: req.apiKey.id,
+      api_key: req.apiKey.nombre,
+      ruta,
+      ip: req.ip,
+      code: 'AUTH_TENANT',
+      tenant: req.apiKey.instanceId,
+      orderId
+    }, 'warn');
+    logger.warn('Request /api rechazado', { ruta, code: 'AUTH_TENANT', apiKey: req.apiKey.nombre, orderId });
+    res.status(403).json({ error: `La orden ${orderId} no pertenece al sitio ${req.apiKey.instanceId}`, code: 'AUTH_TENANT' });
+    return null;
+  }
+
+  return { comprobante, instanceId };
+}
+
 // Reprocesar orden manualmente
-app.post('/api/reprocesar-orden/:orderId', async (req, res) => {
+app.post('/api/reprocesar-orden/:orderId', requireApiKey('emit', { porSitio: true }), async (req, res) => {
   const { orderId } = req.params;
   logger.info('Reprocesando orden manualmente', { orderId });
 
+  const sitio = sitioDeOrden(req, res, orderId);
+  if (!sitio) return;
+  const existente = sitio.comprobante;
+
   try {
-    const order = await wixClient.getOrder(orderId);
+    const fuente = fuenteDeRequest(req);
+    const order = await fuente.obtenerOrden(orderId);
 
     if (!order) {
       return res.status(404).json({
         success: false,
-        error: 'Orden no encontrada en Wix'
+        error: `Orden no encontrada en ${fuente.nombre}`
+      });
+    }
+
+    // Conciliacion: corregir el registro local con el CFE de Biller (no re-emite)
+    if (existente && req.query.sincronizar === 'true') {
+      const actualizado = await auditLogger.auditar('sincronizar_cfe', {
+        actor: actorDe(req),
+        tenant: tenantKey(sitio.instanceId),
+        orderId
+      }, () => sincronizarDesdeBiller(orderId, { instanceId: sitio.instanceId, canal: fuente.canal }), resumirCFE);
+      if (!actualizado) {
+        return res.status(404).json({ success: false, error: 'Comprobante no encontrado en Biller' });
+      }
+      return res.json({
+        success: true,
+        message: 'Registro local sincronizado con Biller',
+        comprobante: {
+          serie: actualizado.serie,
+          numero: actualizado.numero,
+          tipo: actualizado.tipo_comprobante,
+          total: actualizado.total
+        }
       });
     }
 
-    const existente = comprobanteStore.findByOrderId(orderId);
     if (existente) {
       return res.json({
         success: true,
@@ -729,9 +999,17 @@ app.post('/api/reprocesar-orden/:orderId', async (req, res) => {
       });
     }
 
-    await procesarOrdenWix(orderId, order);
+    // Sitio Wix de la orden (multi-tenant): ?instanceId=... (default: el del canal)
+    const instanceId = req.query.instanceId || fuente.instanceId || null;
+    const actor = actorDe(req);
+    await auditLogger.auditar(
+      'reprocesar_orden',
+      { actor, tenant: tenantKey(instanceId), orderId },
+      () => procesarOrden(fuente, orderId, { orden: order, instanceId, actor }),
+      () => ({ comprobante: resumirCFE(comprobanteStore.findByOrderId(orderId, fuente.canal)) })
+    );
 
-    const nuevoComprobante = comprobanteStore.findByOrderId(orderId);
+    const nuevoComprobante = comprobanteStore.findByOrderId(orderId, fuente.canal);
 
     res.json({
       success: true,
@@ -744,27 +1022,44 @@ app.post('/api/reprocesar-orden/:orderId', async (req, res) => {
     });
   } catch (error) {
     logger.error('Error reprocesando orden', { orderId, error: error.message });
-    res.status(500).json({ success: false, error: error.message });
+    if (error instanceof FuenteError) {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
   }
 });
 
 // Forzar emision de NC
-app.post('/api/emitir-nc/:orderId', async (req, res) => {
+app.post('/api/emitir-nc/:orderId', requireApiKey('emit', { porSitio: true }), async (req, res) => {
   const { orderId } = req.params;
   logger.info('Forzando emision de NC', { orderId });
 
+  const sitio = sitioDeOrden(req, res, orderId);
+  if (!sitio) return;
+  const { instanceId } = sitio;
+
   try {
-    const order = await wixClient.getOrder(orderId);
+    const fuente = fuenteDeRequest(req);
+    const order = await fuente.obtenerOrden(orderId);
 
     if (!order) {
-      return res.status(404).json({ success: false, error: 'Orden no encontrada en Wix' });
+      return res.status(404).json({ success: false, error: `Orden no encontrada en ${fuente.nombre}` });
     }
 
-    const ordenNormalizada = wixClient.normalizeOrder(order);
-    const resultado = await procesarCancelacion(ordenNormalizada);
+    const ordenNormalizada = fuente.normalizarOrden(order);
+    const resultado = await auditLogger.auditar('emitir_nc', {
+      actor: actorDe(req),
+      tenant: tenantKey(instanceId),
+      orderId,
+      request: { manual: true }
+    }, () => procesarCancelacion(ordenNormalizada, { instanceId }), resumirResultadoNC);
 
     if (resultado.action === 'nc_emitted') {
-      metrics.ncEmitidas++;
+      metricsCollector.recordCreditNoteEmitted(tenantKey(instanceId));
       res.json({
         success: true,
         message: 'NC emitida exitosamente',
@@ -779,15 +1074,120 @@ app.post('/api/emitir-nc/:orderId', async (req, res) => {
     }
   } catch (error) {
     logger.error('Error emitiendo NC manualmente', { orderId, error: error.message });
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error instanceof FuenteError ? 400 : 500).json({ success: false, error: error.message });
+  }
+});
+
+// Emitir Nota de Debito (recargo posterior o correccion de precio)
+app.post('/api/emitir-nd/:orderId', requireApiKey('emit', { porSitio: true }), async (req, res) => {
+  const { orderId } = req.params;
+  const { items, monto, concepto, indicador, razon } = req.body || {};
+  logger.info('Emitiendo ND manual', { orderId, monto, items: items?.length });
+
+  if (!(Array.isArray(items) && items.length > 0) && !(parseFloat(monto) > 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Debe proporcionar items o monto mayor a 0'
+    });
+  }
+
+  const sitio = sitioDeOrden(req, res, orderId);
+  if (!sitio) return;
+  const { instanceId } = sitio;
+
+  try {
+    const fuente = fuenteDeRequest(req);
+    const order = await fuente.obtenerOrden(orderId);
+
+    if (!order) {
+      return res.status(404).json({ success: false, error: `Orden no encontrada en ${fuente.nombre}` });
+    }
+
+    const ordenNormalizada = fuente.normalizarOrden(order);
+    const { nd, monto: montoND } = await auditLogger.auditar('emitir_nd', {
+      actor: actorDe(req),
+      tenant: tenantKey(instanceId),
+      orderId,
+      request: { items: items?.length || 0, monto: monto || null, concepto: concepto || null, razon: razon || null }
+    }, () => emitirNotaDebito(ordenNormalizada, {
+      items,
+      monto,
+      concepto,
+      indicador,
+      razon
+    }, { instanceId }), r => ({ monto: r.monto, nd: resumirCFE(r.nd) }));
+
+    res.json({
+      success: true,
+      message: 'ND emitida exitosamente',
+      monto: montoND,
+      nd
+    });
+  } catch (error) {
+    logger.error('Error emitiendo ND', { orderId, error: error.message });
+
+    if (error instanceof NotaDebitoError || error instanceof FuenteError) {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+    res.status(error.status === 400 ? 400 : 500).json({ success: false, error: error.message });
+  }
+});
+
+// Cambiar el e-Ticket de una orden por una e-Factura (comprador que pide factura con RUT)
+app.post('/api/cambio-factura/:orderId', requireApiKey('emit', { porSitio: true }), async (req, res) => {
+  const { orderId } = req.params;
+  const { rut, razonSocial, direccion, ciudad, departamento } = req.body || {};
+  const sitio = sitioDeOrden(req, res, orderId);
+  if (!sitio) return;
+  const { instanceId } = sitio;
+
+  try {
+    const resultado = await auditLogger.auditar('cambio_factura', {
+      actor: actorDe(req),
+      tenant: tenantKey(instanceId),
+      orderId,
+      request: { rut: rut ? `***${String(rut).slice(-4)}` : null, razonSocial: razonSocial || null }
+    }, () => cambiarAFactura(orderId, { rut, razonSocial, direccion, ciudad, departamento }, {
+      canal: canalDeRequest(req),
+      instanceId,
+      solicitadoPor: actorDe(req)
+    }), r => ({ eticket: r.eticket, nc: resumirCFE(r.nc), efactura: resumirCFE(r.efactura) }));
+
+    metricsCollector.recordCreditNoteEmitted(tenantKey(instanceId));
+    metricsCollector.recordInvoiceEmitted(config.TIPOS_CFE.E_FACTURA, tenantKey(instanceId));
+
+    res.json({
+      success: true,
+      message: 'e-Ticket cambiado a e-Factura',
+      ...resultado
+    });
+  } catch (error) {
+    logger.error('Error cambiando a e-Factura', { orderId, error: error.message, code: error.code });
+
+    if (error instanceof CambioFacturaError) {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+    res.status(error.status === 400 ? 400 : 500).json({ success: false, error: error.message });
+  }
+});
+
+// Historial de documentos de una orden (CFE, NC, ND): ?canal= (default: wix)
+app.get('/api/comprobante/:orderId/historial', requireApiKey('read'), (req, res) => {
+  const historial = comprobanteStore.getHistorialOrden(req.params.orderId, canalDeRequest(req));
+  if (!historial) {
+    return res.status(404).json({ error: 'No encontrado' });
   }
+  res.json(historial);
 });
 
 // Anular comprobante directamente
-app.post('/api/anular-comprobante', async (req, res) => {
+// Sitio: body.instanceId / ?instanceId= (default: el del comprobante guardado con ese id de Biller)
+app.post('/api/anular-comprobante', requireApiKey('void'), async (req, res) => {
   const { id, tipo_comprobante, serie, numero, fecha_emision_hoy } = req.body;
+  const instanceId = req.body.instanceId || req.query.instanceId ||
+    (id ? comprobanteStore.find(c => String(c.id) === String(id))[0]?.instance_id : null) || null;
 
-  logger.info('Anulando comprobante via API', { id, tipo_comprobante, serie, numero });
+  logger.info('Anulando comprobante via API', { id, tipo_comprobante, serie, numero, instanceId });
 
   try {
     if (!id && !(tipo_comprobante && serie && numero)) {
@@ -809,8 +1209,15 @@ app.post('/api/anular-comprobante', async (req, res) => {
       params.numero = numero;
     }
 
-    const nc = await biller.anularComprobante(params);
-    metrics.ncEmitidas++;
+    const billerTenant = getBillerClientForTenant(instanceId);
+    const nc = await auditLogger.auditar('anular_cfe', {
+      actor: actorDe(req),
+      tenant: tenantKey(instanceId),
+      request: params
+    }, () => getBillerCircuit(instanceId).fire(() =>
+      medirBiller(instanceId, () => billerTenant.anularComprobante(params))
+    ), resumirCFE);
+    metricsCollector.recordCreditNoteEmitted(tenantKey(instanceId));
 
     res.json({
       success: true,
@@ -834,20 +1241,590 @@ app.post('/api/anular-comprobante', async (req, res) => {
   }
 });
 
-// Dashboard
-app.get('/api/dashboard', (req, res) => {
-  const stats = comprobanteStore.getStats();
-  const errorStats = errorStore.getStats();
-  const queueStats = webhookQueue.getStats();
-  const circuitState = billerCircuit.getState();
-  const uptimeSeconds = Math.round((Date.now() - metrics.startTime) / 1000);
+// Tipos de cambio (cotizaciones BCU)
+app.get('/api/tipos-cambio', requireApiKey('read'), (req, res) => {
+  const cotizaciones = getTipoCambioStore().getAll(req.query.moneda);
+  res.json({
+    total: cotizaciones.length,
+    cotizaciones
+  });
+});
 
-  const tasaExito = metrics.webhooksRecibidos > 0
-    ? ((metrics.webhooksProcesados / metrics.webhooksRecibidos) * 100).toFixed(2)
-    : 100;
+app.post('/api/tipos-cambio', requireApiKey('admin'), (req, res) => {
+  const entrada = Array.isArray(req.body) ? req.body : (req.body.cotizaciones || [req.body]);
+  const cotizaciones = entrada.map(normalizarCotizacion);
+
+  const invalidas = cotizaciones
+    .map((c, idx) => (c ? null : idx))
+    .filter(idx => idx !== null);
+
+  if (invalidas.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Cotizaciones invalidas (requiere fecha, moneda y valor > 0)',
+      invalidas
+    });
+  }
+
+  const store = getTipoCambioStore();
+  const guardadas = cotizaciones.map(c => store.set(c.moneda, c.fecha, c.valor, req.body.fuente || 'manual'));
+  store.save();
+
+  const fechas = cotizaciones.map(c => c.fecha).sort();
+  auditLogger.registrarOperacion('actualizar_tipos_cambio', {
+    actor: actorDe(req),
+    tenant: tenantKey(req.apiKey?.instanceId),
+    request: {
+      total: cotizaciones.length,
+      monedas: [...new Set(cotizaciones.map(c => c.moneda))],
+      desde: fechas[0],
+      hasta: fechas[fechas.length - 1],
+      fuente: req.body.fuente || 'manual'
+    }
+  }, { total: guardadas.length });
+  logger.info('Tipos de cambio cargados via API', { total: guardadas.length });
+
+  res.json({
+    success: true,
+    total: guardadas.length,
+    cotizaciones: guardadas
+  });
+});
+
+// ============================================================
+// VALORES UI (INE)
+// ============================================================
+
+app.get('/api/valores-ui', requireApiKey('read'), (req, res) => {
+  const { desde, hasta } = req.query;
+  const valores = getValorUIStore().getAll(desde || null, hasta || null);
+
+  res.json({
+    total: valores.length,
+    mesActual: verificarValorUIMes(),
+    valores
+  });
+});
+
+app.post('/api/valores-ui', requireApiKey('admin'), (req, res) => {
+  const entrada = Array.isArray(req.body) ? req.body : (req.body.valores || [req.body]);
+  const valores = entrada.map(normalizarValorUI);
+
+  const invalidos = valores
+    .map((v, idx) => (v ? null : idx))
+    .filter(idx => idx !== null);
+
+  if (invalidos.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Valores UI invalidos (requiere fecha y valor > 0)',
+      invalidos
+    });
+  }
+
+  const store = getValorUIStore();
+  const guardados = valores.map(v => store.set(v.fecha, v.valor, req.body.fuente || 'manual'));
+  store.save();
+
+  const fechas = valores.map(v => v.fecha).sort();
+  auditLogger.registrarOperacion('actualizar_valores_ui', {
+    actor: actorDe(req),
+    tenant: tenantKey(req.apiKey?.instanceId),
+    request: {
+      total: valores.length,
+      desde: fechas[0],
+      hasta: fechas[fechas.length - 1],
+      fuente: req.body.fuente || 'manual'
+    }
+  }, { total: guardados.length });
+  logger.info('Valores UI cargados via API', { total: guardados.length });
+
+  res.json({
+    success: true,
+    total: guardados.length,
+    valores: guardados
+  });
+});
+
+/**
+ * Alertar si no hay valores UI para el mes actual
+ * (el limite de 5000 UI quedaria calculado con DGI_VALOR_UI)
+ */
+function verificarValoresUI() {
+  const estado = verificarValorUIMes();
+
+  if (!estado.ok) {
+    logger.warn('Sin valores UI para el mes actual', estado);
+    errorStore.addError(
+      ERROR_TYPES.SYSTEM,
+      SEVERITY_LEVELS.HIGH,
+      'valores-ui',
+      `Sin valores UI cargados para ${estado.mes}: el limite de 5000 UI usa DGI_VALOR_UI (${config.dgi.valorUI})`,
+      estado
+    );
+  }
+
+  return estado;
+}
+
+// ============================================================
+// CONCILIACION CANAL <-> STORE <-> BILLER
+// ============================================================
+
+// Ultimo reporte del job periodico por canal
+const ultimasConciliaciones = new Map();
+
+/**
+ * Ejecutar conciliacion y registrar hallazgos en el error store
+ */
+async function ejecutarConciliacion(params) {
+  const reporte = await generarReporteConciliacion(params);
+
+  if (reporte.discrepancias.length > 0) {
+    errorStore.addError(
+      ERROR_TYPES.RECONCILIATION,
+      SEVERITY_LEVELS.MEDIUM,
+      'conciliacion',
+      `Conciliacion ${reporte.canal} ${reporte.desde} a ${reporte.hasta}: ${reporte.discrepancias.length} discrepancias`,
+      { instanceId: params.instanceId || null, canal: reporte.canal, porTipo: reporte.resumen.porTipo }
+    );
+  }
+
+  return reporte;
+}
+
+// Reporte para un rango: ?desde=aaaa-mm-dd&hasta=aaaa-mm-dd[&instanceId=][&canal=]
+app.get('/api/conciliacion', requireApiKey('read'), async (req, res) => {
+  const { desde, hasta, instanceId, canal } = req.query;
+
+  try {
+    const reporte = await ejecutarConciliacion({ desde, hasta, instanceId: instanceId || null, canal: canal || CANALES.WIX });
+    res.json(reporte);
+  } catch (error) {
+    if (error instanceof ConciliacionError || error instanceof FuenteError) {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+    logger.error('Error en conciliacion', { desde, hasta, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Ultimo reporte del job periodico: ?canal= (default: wix)
+app.get('/api/conciliacion/ultimo', requireApiKey('read'), (req, res) => {
+  const reporte = ultimasConciliaciones.get(req.query.canal || CANALES.WIX);
+  if (!reporte) {
+    return res.status(404).json({ error: 'Sin conciliaciones ejecutadas' });
+  }
+  res.json(reporte);
+});
+
+function iniciarConciliacionProgramada() {
+  const { intervaloHoras, dias } = config.conciliacion;
+
+  const job = async () => {
+    const hasta = new Date();
+    const desde = new Date(hasta.getTime() - (dias - 1) * 24 * 60 * 60 * 1000);
+    // Un reporte por canal habilitado (un canal caido no corta a los demas)
+    for (const canal of listarCanales()) {
+      try {
+        ultimasConciliaciones.set(canal, await ejecutarConciliacion({
+          desde: desde.toISOString().split('T')[0],
+          hasta: hasta.toISOString().split('T')[0],
+          canal
+        }));
+      } catch (error) {
+        logger.error('Error en conciliacion programada', { canal, error: error.message });
+      }
+    }
+  };
+
+  setInterval(job, intervaloHoras * 60 * 60 * 1000).unref();
+  logger.info('Conciliacion programada', { intervaloHoras, dias });
+}
+
+// Solicitudes de datos al comprador sin respuesta: fallback al vencer el plazo
+function iniciarVencimientoDatosReceptor() {
+  const { intervaloMinutos, plazoHoras, fallback } = config.datosReceptor;
+
+  const job = async () => {
+    try {
+      const resultado = await vencerSolicitudes({ emitir: emitirOrdenAprobada });
+      if (resultado.vencidas > 0) {
+        logger.info('Solicitudes de datos del receptor vencidas', { ...resultado, fallback });
+      }
+    } catch (error) {
+      logger.error('Error venciendo solicitudes de datos del receptor', { error: error.message });
+    }
+  };
+
+  setInterval(job, intervaloMinutos * 60 * 1000).unref();
+  logger.info('Vencimiento de datos del receptor programado', { intervaloMinutos, plazoHoras, fallback });
+}
+
+// ============================================================
+// BACKFILL DE ORDENES HISTORICAS
+// ============================================================
+
+// Dry-run (default) o emision: { desde, hasta, instanceId?, canal?, dryRun?, reiniciar? }
+app.post('/api/backfill', requireApiKey('emit', { porSitio: true }), async (req, res) => {
+  const { desde, hasta, reiniciar } = req.body || {};
+  const canal = req.body?.canal || CANALES.WIX;
+  const instanceId = req.body?.instanceId || null;
+  const dryRun = req.body?.dryRun !== false;
+
+  try {
+    if (dryRun) {
+      const preview = await backfill.previsualizarBackfill({ desde, hasta, instanceId, canal });
+      return res.json(preview);
+    }
+
+    backfill.validarRango(desde, hasta);
+    const id = backfill.getJobId(instanceId, desde, hasta, canal);
+    if (backfill.estaEnEjecucion(id)) {
+      return res.status(409).json({ success: false, error: `Backfill ${id} ya esta en ejecucion`, code: 'BACKFILL_EN_CURSO' });
+    }
+
+    // Corre en segundo plano; el progreso se consulta en GET /api/backfill/:id
+    backfill.ejecutarBackfill(
+      { desde, hasta, instanceId, canal, reiniciar: !!reiniciar },
+      {
+        procesarOrden: (orderId, order, sitio, fuente) =>
+          procesarOrden(fuente, orderId, { orden: order, instanceId: sitio, actor: `backfill:${actorDe(req)}` })
+      }
+    ).catch(error => {
+      logger.error('Error en backfill', { id, error: error.message });
+    });
+
+    res.status(202).json({ success: true, job: getBackfillStore().get(id) });
+  } catch (error) {
+    if (error instanceof backfill.BackfillError || error instanceof FuenteError) {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+    logger.error('Error en backfill', { desde, hasta, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/backfill', requireApiKey('read'), (req, res) => {
+  const jobs = getBackfillStore().getAll().map(job => ({
+    ...job,
+    enEjecucion: backfill.estaEnEjecucion(job.id)
+  }));
+  res.json({ total: jobs.length, jobs });
+});
+
+app.get('/api/backfill/:id', requireApiKey('read'), (req, res) => {
+  const job = getBackfillStore().get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job de backfill no encontrado' });
+  }
+  res.json({ ...job, enEjecucion: backfill.estaEnEjecucion(job.id) });
+});
+
+// Pausar: se retoma con POST /api/backfill (mismo rango, dryRun: false)
+app.post('/api/backfill/:id/pausar', requireApiKey('emit'), (req, res) => {
+  if (!backfill.pausarBackfill(req.params.id)) {
+    return res.status(409).json({ success: false, error: 'El job no esta en ejecucion' });
+  }
+  res.json({ success: true, message: 'Pausa solicitada' });
+});
+
+// ============================================================
+// COLA DE WEBHOOKS - DEAD LETTERS
+// ============================================================
+
+function resumenItemCola(item) {
+  return {
+    id: item.id,
+    orderId: item.orderId || item.resourceId,
+    slug: item.slug || item.topic,
+    instanceId: item.instanceId || null,
+    status: item.status,
+    retries: item.retries,
+    createdAt: item.createdAt,
+    lastAttempt: item.lastAttempt,
+    error: item.error
+  };
+}
+
+app.get('/api/webhooks/queue', requireApiKey('read'), (req, res) => {
+  res.json(webhookWorker.getStats());
+});
+
+app.get('/api/webhooks/dead-letters', requireApiKey('read'), (req, res) => {
+  const deadLetters = webhookQueue.getDeadLetters();
+  res.json({
+    total: deadLetters.length,
+    deadLetters: deadLetters.map(resumenItemCola)
+  });
+});
+
+app.get('/api/webhooks/dead-letters/:id', requireApiKey('read'), (req, res) => {
+  const item = webhookQueue.get(req.params.id);
+  if (!item || item.status !== 'dead') {
+    return res.status(404).json({ error: 'Dead letter no encontrado' });
+  }
+  res.json(item);
+});
+
+// Reprocesar ahora (ej: Biller ya se recupero); si vuelve a fallar sigue con backoff
+app.post('/api/webhooks/dead-letters/:id/replay', requireApiKey('emit'), async (req, res) => {
+  const { id } = req.params;
+
+  if (!webhookQueue.replay(id)) {
+    return res.status(404).json({ success: false, error: 'Dead letter no encontrado' });
+  }
+
+  const item = webhookQueue.claim(id);
+  if (!item) {
+    return res.status(409).json({ success: false, error: 'Item en proceso por el worker' });
+  }
+
+  const resultado = await webhookWorker.procesarItem(item);
+
+  res.json({
+    success: resultado.success,
+    message: resultado.success
+      ? 'Webhook reprocesado'
+      : 'Reproceso fallido, se reintentara con backoff',
+    error: resultado.error?.message,
+    item: resultado.success ? null : resumenItemCola(item)
+  });
+});
+
+app.delete('/api/webhooks/dead-letters/:id', requireApiKey('admin'), (req, res) => {
+  const item = webhookQueue.get(req.params.id);
+  if (!webhookQueue.discard(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Dead letter no encontrado' });
+  }
+
+  const { id, orderId, slug, instanceId, retries, error } = resumenItemCola(item);
+  auditLogger.registrarOperacion('descartar_dead_letter', {
+    actor: actorDe(req),
+    tenant: tenantKey(instanceId),
+    orderId,
+    request: { id, slug, retries, error }
+  }, { id });
+
+  logger.info('Dead letter descartado via API', { id: req.params.id });
+  res.json({ success: true, message: 'Dead letter descartado' });
+});
+
+// ============================================================
+// PDFs (archivo local)
+// ============================================================
+
+app.get('/api/pdfs', requireApiKey('read'), (req, res) => {
+  const conError = comprobanteStore.findPDFsFallidos().map(comp => ({
+    key: comp.key,
+    billerId: comp.id,
+    orderId: comp.order_id,
+    numero: `${comp.serie}-${comp.numero}`,
+    instanceId: comp.instance_id || null,
+    intentos: comp.pdf_attempt_count,
+    ultimoIntento: comp.pdf_last_attempt_at,
+    error: comp.pdf_error_message
+  }));
+
+  res.json({ ...pdfWorker.getStats(), comprobantesConError: conError });
+});
+
+app.post('/api/pdfs/:key/reintentar', requireApiKey('emit'), async (req, res) => {
+  const resultado = await pdfWorker.reintentar(req.params.key);
+
+  if (!resultado) {
+    return res.status(404).json({ error: 'Comprobante no encontrado' });
+  }
+
+  res.json({
+    success: resultado.success,
+    error: resultado.error?.message || null
+  });
+});
+
+// ============================================================
+// ALERTAS
+// ============================================================
+
+app.get('/api/alertas', requireApiKey('read'), (req, res) => {
+  res.json({
+    activo: !!alertingSystem.interval,
+    reglas: getSettingsStore().getAlertasConfig(),
+    canales: alertingSystem.canales.map(c => ({ nombre: c.nombre, severidadMinima: c.severidadMinima })),
+    recientes: alertingSystem.getRecentAlerts(parseInt(req.query.limit) || 20)
+  });
+});
+
+app.put('/api/alertas', requireApiKey('admin'), (req, res) => {
+  const reglas = req.body?.reglas;
+  if (!reglas || typeof reglas !== 'object') {
+    return res.status(400).json({ error: 'Falta reglas' });
+  }
+
+  const invalidas = validarReglasAlertas(reglas);
+  if (invalidas.length > 0) {
+    return res.status(400).json({ error: 'Reglas de alerta invalidas', invalidas });
+  }
+
+  const actualizadas = getSettingsStore().setAlertasConfig(reglas);
+  auditLogger.registrarOperacion('actualizar_alertas', {
+    actor: actorDe(req),
+    tenant: tenantKey(req.apiKey?.instanceId),
+    request: { reglas }
+  }, { reglas: Object.keys(actualizadas) });
+  logger.info('Reglas de alerta actualizadas', { reglas: Object.keys(reglas) });
+  res.json({ success: true, reglas: actualizadas });
+});
+
+app.post('/api/alertas/probar', requireApiKey('admin'), async (req, res) => {
+  if (alertingSystem.canales.length === 0) {
+    return res.status(400).json({ error: 'No hay canales de alerta configurados' });
+  }
+
+  const alerta = await alertingSystem.probarCanales();
+  res.json({ success: Object.values(alerta.canales).every(r => r === 'ok'), canales: alerta.canales });
+});
+
+// ============================================================
+// AUDITORIA (operaciones fiscales)
+// ============================================================
+
+/**
+ * Rango de fechas de la query (aaaa-mm-dd o ISO; hasta de solo fecha incluye el dia)
+ * @returns {Object|null} { desde, hasta } o null si alguna fecha es invalida
+ */
+function rangoAuditoria(query) {
+  const desde = query.desde ? new Date(query.desde) : null;
+  let hasta = query.hasta ? new Date(query.hasta) : null;
+
+  if ((desde && isNaN(desde)) || (hasta && isNaN(hasta))) return null;
+  if (hasta && /^\d{4}-\d{2}-\d{2}$/.test(query.hasta)) {
+    hasta = new Date(hasta.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+
+  return { desde, hasta };
+}
+
+// Buscar: ?desde=&hasta=&accion=&actor=&tenant=&orderId=&status=&limit=
+app.get('/api/auditoria', requireApiKey('admin'), (req, res) => {
+  const rango = rangoAuditoria(req.query);
+  if (!rango) {
+    return res.status(400).json({ error: 'Fechas invalidas (aaaa-mm-dd)' });
+  }
+
+  const entradas = auditLogger.buscar({
+    ...rango,
+    event: 'operation',
+    action: req.query.accion,
+    actor: req.query.actor,
+    tenant: req.query.tenant,
+    order_id: req.query.orderId,
+    status: req.query.status,
+    limit: parseInt(req.query.limit) || 100
+  });
+
+  res.json({ total: entradas.length, entradas });
+});
+
+app.get('/api/auditoria/verificar', requireApiKey('admin'), (req, res) => {
+  const resultado = auditLogger.verificarCadena();
+
+  if (!resultado.valida) {
+    logger.error('Cadena del audit log invalida', resultado.error);
+    errorStore.addError(
+      ERROR_TYPES.SYSTEM,
+      SEVERITY_LEVELS.CRITICAL,
+      'auditoria',
+      `Audit log alterado: ${resultado.error.motivo}`,
+      resultado.error
+    );
+  }
+
+  res.status(resultado.valida ? 200 : 409).json(resultado);
+});
+
+// Exportar un rango para auditores (JSONL con seq/prev_hash/hash para verificarlo)
+app.get('/api/auditoria/exportar', requireApiKey('admin'), (req, res) => {
+  const rango = rangoAuditoria(req.query);
+  if (!rango || !rango.desde || !rango.hasta) {
+    return res.status(400).json({ error: 'desde y hasta son requeridos (aaaa-mm-dd)' });
+  }
+
+  const verificacion = auditLogger.verificarCadena();
+  const entradas = auditLogger.searchByTimeRange(rango.desde, rango.hasta);
+
+  auditLogger.registrarOperacion('exportar_auditoria', {
+    actor: actorDe(req),
+    request: { desde: req.query.desde, hasta: req.query.hasta }
+  }, { entradas: entradas.length, cadenaValida: verificacion.valida });
+
+  res.set('Content-Type', 'application/x-ndjson');
+  res.set('Content-Disposition', `attachment; filename="auditoria-${req.query.desde}-${req.query.hasta}.jsonl"`);
+  res.set('X-Audit-Chain-Valid', String(verificacion.valida));
+  res.set('X-Audit-Last-Hash', verificacion.ultimoHash);
+  res.send(entradas.map(e => JSON.stringify(e)).join('\n') + (entradas.length ? '\n' : ''));
+});
+
+// ============================================================
+// API KEYS
+// ============================================================
+
+app.get('/api/api-keys', requireApiKey('admin'), (req, res) => {
+  const keys = getApiKeyStore().listar();
+  res.json({ total: keys.length, keys });
+});
+
+// Crear: { nombre, scopes: ['read', 'emit', 'void', 'admin'], instanceId? }
+// La key en claro solo se devuelve en esta respuesta
+app.post('/api/api-keys', requireApiKey('admin'), (req, res) => {
+  const { nombre, scopes, instanceId } = req.body || {};
+
+  try {
+    const creada = getApiKeyStore().crear({ nombre, scopes, instanceId });
+
+    auditLogger.registrarOperacion('crear_api_key', {
+      actor: actorDe(req),
+      tenant: creada.apiKey.instanceId,
+      request: { nombre, scopes, instanceId: instanceId || null }
+    }, { id: creada.apiKey.id });
+
+    res.status(201).json({ success: true, ...creada });
+  } catch (error) {
+    if (error instanceof ApiKeyError) {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+    throw error;
+  }
+});
+
+app.delete('/api/api-keys/:id', requireApiKey('admin'), (req, res) => {
+  const revocada = getApiKeyStore().revocar(req.params.id);
+  if (!revocada) {
+    return res.status(404).json({ error: 'API key no encontrada' });
+  }
+
+  auditLogger.registrarOperacion('revocar_api_key', {
+    actor: actorDe(req),
+    tenant: revocada.instanceId,
+    request: { id: req.params.id }
+  }, { nombre: revocada.nombre, revocadaEn: revocada.revocadaEn });
+
+  res.json({ success: true, apiKey: revocada });
+});
+
+// Dashboard
+app.get('/api/dashboard', requireApiKey('read'), (req, res) => {
+  const stats = comprobanteStore.getStats();
+  const errorStats = errorStore.getStats();
+  const queueStats = webhookQueue.getStats();
+  const pdfStats = pdfWorker.getStats();
+  const circuitState = billerCircuit.getState();
+  const metrics = metricsCollector.getStats();
+  const uptimeSeconds = metrics.uptime_seconds;
 
   const today = new Date().toISOString().split('T')[0];
   const comprobantesHoy = stats.byFecha[today] || 0;
+  const valorUIHoy = getValorUIStore().getVigente(today) || { valor: config.dgi.valorUI, fuente: 'config' };
 
   res.json({
     summary: {
@@ -867,13 +1844,17 @@ app.get('/api/dashboard', (req, res) => {
         ncETickets: stats.ncETickets || 0,
         ncEFacturas: stats.ncEFacturas || 0
       },
-      porFecha: stats.byFecha
+      porFecha: stats.byFecha,
+      pdfs: {
+        pendientes: pdfStats.pendientes,
+        conError: pdfStats.conError
+      }
     },
     webhooks: {
-      recibidos: metrics.webhooksRecibidos,
-      procesados: metrics.webhooksProcesados,
-      fallidos: metrics.errores,
-      tasaExito: parseFloat(tasaExito),
+      recibidos: metrics.webhooks.received,
+      procesados: metrics.webhooks.processed,
+      fallidos: metrics.webhooks.failed,
+      tasaExito: parseFloat(metrics.webhooks.success_rate_percent),
       cola: {
         pendientes: queueStats.pending || 0,
         procesando: queueStats.processing || 0,
@@ -897,8 +1878,10 @@ app.get('/api/dashboard', (req, res) => {
       }
     },
     config: {
-      limiteUI: config.dgi?.limiteMontoUYU || 30000,
-      valorUI: config.dgi?.valorUI || 6.50,
+      limiteUI: calcularLimiteUYU(valorUIHoy),
+      valorUI: valorUIHoy.valor,
+      valorUIFuente: valorUIHoy.fuente,
+      valorUIMesCargado: verificarValorUIMes().ok,
       ambiente: config.biller.environment
     },
     metrics
@@ -914,24 +1897,59 @@ function formatUptime(seconds) {
   return `${mins}m`;
 }
 
-// Debug: Ver orden de Wix
-app.get('/api/debug/orden/:orderId', async (req, res) => {
+// Debug: Ver orden del canal (?canal=, default wix)
+app.get('/api/debug/orden/:orderId', requireApiKey('admin'), async (req, res) => {
   try {
-    const order = await wixClient.getOrder(req.params.orderId);
+    const fuente = fuenteDeRequest(req);
+    const order = await fuente.obtenerOrden(req.params.orderId);
     if (!order) {
-      return res.status(404).json({ error: 'Orden no encontrada' });
+      return res.status(404).json({ error: `Orden no encontrada en ${fuente.nombre}` });
     }
 
-    const normalizada = wixClient.normalizeOrder(order);
-    const decision = determinarTipoComprobante(normalizada);
+    const normalizada = fuente.normalizarOrden(order);
+    const tipoCambio = resolverTipoCambio(normalizada.montos.moneda);
+    const valorUI = resolverValorUI(formatDateISO(normalizada.createdDate));
+    const decision = determinarTipoComprobante(normalizada, { tipoCambio, valorUI });
 
     res.json({
       original: order,
       normalizada,
+      valorUI,
       decision
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error instanceof FuenteError ? 400 : 500).json({ error: error.message, code: error.code });
+  }
+});
+
+// Previsualizar el payload Biller de una orden (por ID o cuerpo crudo del canal) sin emitir ni guardar
+// Body: { orderId } o { order }; ?instanceId= para la configuracion del sitio, ?canal= (default wix)
+app.post('/api/debug/preview', requireApiKey('read', { porSitio: true }), async (req, res) => {
+  const { orderId, order: orderCruda } = req.body || {};
+  const instanceId = req.query.instanceId || req.body?.instanceId || null;
+
+  if (!orderId && !orderCruda?.id) {
+    return res.status(400).json({ error: 'orderId u order (con id) requerido' });
+  }
+
+  try {
+    const fuente = fuenteDeRequest(req);
+    const order = orderCruda || await fuente.obtenerOrden(orderId);
+    if (!order) {
+      return res.status(404).json({ error: `Orden no encontrada en ${fuente.nombre}` });
+    }
+
+    const preview = await previsualizarComprobante(order, {
+      fuente,
+      instanceId,
+      billerClient: getBillerClientForTenant(instanceId),
+      comprobanteStore
+    });
+
+    res.json({ success: true, preview });
+  } catch (error) {
+    const esDeRequest = error.code === 'TENANT_SIN_CONFIGURACION' || error instanceof FuenteError;
+    res.status(esDeRequest ? 400 : 500).json({ error: error.message, code: error.code });
   }
 });
 
@@ -946,29 +1964,86 @@ app.get('/dashboard', (req, res) => {
 
 const PORT = config.server.port || 3000;
 
+// Importar cotizaciones desde archivo (si esta configurado)
+if (config.monedas.archivoImportar) {
+  try {
+    importarCotizacionesDesdeArchivo(config.monedas.archivoImportar);
+  } catch (error) {
+    logger.error('Error importando tipos de cambio', { archivo: config.monedas.archivoImportar, error: error.message });
+  }
+}
+
+// Importar valores UI desde archivo (si esta configurado)
+if (config.dgi.archivoValoresUI) {
+  try {
+    importarValoresUIDesdeArchivo(config.dgi.archivoValoresUI);
+  } catch (error) {
+    logger.error('Error importando valores UI', { archivo: config.dgi.archivoValoresUI, error: error.message });
+  }
+}
+
 app.listen(PORT, () => {
   console.log('\n' + '='.repeat(60));
   console.log('SERVIDOR WIX-BILLER INICIADO - v1.0');
   console.log('='.repeat(60));
   console.log(`Puerto: ${PORT}`);
   console.log(`Ambiente: ${config.biller.environment}`);
-  console.log(`Limite UI: $${config.dgi?.limiteMontoUYU || 30000} UYU`);
+  console.log(`Limite UI: $${calcularLimiteUYU(resolverValorUI())} UYU`);
   console.log(`Webhook: ${config.server.publicUrl}/webhooks/wix`);
   console.log('='.repeat(60) + '\n');
 
   logger.info('Servidor iniciado', { port: PORT, version: '1.0.0' });
+
+  // Reprocesar pendientes (incluye los que quedaron en proceso al reiniciar)
+  if (config.procesamiento.worker.enabled) {
+    webhookWorker.start();
+  }
+
+  if (config.procesamiento.pdfWorker.enabled) {
+    pdfWorker.start();
+  }
+
+  if (config.conciliacion.enabled) {
+    iniciarConciliacionProgramada();
+  }
+
+  if (config.alertas.enabled) {
+    alertingSystem.startMonitoring();
+  }
+
+  if (config.datosReceptor.enabled) {
+    iniciarVencimientoDatosReceptor();
+  }
+
+  // Valores UI del mes: al iniciar y una vez por dia
+  verificarValoresUI();
+  setInterval(verificarValoresUI, 24 * 60 * 60 * 1000).unref();
 });
 
 // Graceful shutdown
+function cerrarStores() {
+  webhookWorker.stop();
+  pdfWorker.stop();
+  alertingSystem.stopMonitoring();
+  metricsCollector.stopSystemMetrics();
+  auditLogger.flush();
+  comprobanteStore.stopAutoSave();
+  getTipoCambioStore().stopAutoSave();
+  getValorUIStore().stopAutoSave();
+  getSettingsStore().stopAutoSave();
+  if (errorStore.stopAutoSave) errorStore.stopAutoSave();
+  getStorage().close();
+}
+
 process.on('SIGTERM', () => {
   logger.info('Recibido SIGTERM, cerrando...');
-  comprobanteStore.stopAutoSave();
+  cerrarStores();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('Recibido SIGINT, cerrando...');
-  comprobanteStore.stopAutoSave();
+  cerrarStores();
   process.exit(0);
 });
 
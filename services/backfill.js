@@ -0,0 +1,383 @@
+/**
+ * Backfill de ordenes historicas: factura las ordenes pagadas de un rango
+ * de fechas que no tienen CFE (ej: ventas previas a instalar la integracion)
+ *
+ * Primero se previsualiza (dry-run) y luego se emite con pausa entre
+ * comprobantes. El progreso (cursor de la pagina del canal) se persiste, por lo
+ * que un job interrumpido o pausado se retoma donde quedo. Las ordenes se
+ * leen de la fuente del canal (services/fuentes).
+ * @module services/backfill
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { sleep } = require('../utils/retry');
+const { getComprobanteStore } = require('../utils/store');
+const { getBackfillStore } = require('../utils/backfill-store');
+const { getBillerClientForTenant, tenantKey } = require('./tenant');
+const { CANALES, numeroInternoOrden, canalDe } = require('./canales');
+const { getFuente } = require('./fuentes');
+const { getRevision, ESTADOS_REVISION } = require('./revision');
+const { getRevisionStore } = require('../utils/revision-store');
+
+const ESTADOS = {
+  EN_CURSO: 'en_curso',
+  PAUSADO: 'pausado',
+  COMPLETADO: 'completado',
+  FALLIDO: 'fallido'
+};
+
+// Maximo de fallos detallados por job
+const MAX_FALLOS_DETALLE = 100;
+
+// Jobs ejecutandose en este proceso (id -> { pausar })
+const jobsActivos = new Map();
+
+/**
+ * Error de parametros o estado del backfill
+ */
+class BackfillError extends Error {
+  constructor(message, code = 'BACKFILL_PARAMETROS_INVALIDOS') {
+    super(message);
+    this.name = 'BackfillError';
+    this.code = code;
+  }
+}
+
+/**
+ * Validar rango de fechas
+ * @param {string} desde - aaaa-mm-dd
+ * @param {string} hasta - aaaa-mm-dd
+ * @throws {BackfillError}
+ */
+function validarRango(desde, hasta) {
+  const formato = /^\d{4}-\d{2}-\d{2}$/;
+  if (!formato.test(desde || '') || !formato.test(hasta || '')) {
+    throw new BackfillError('desde y hasta requeridos (aaaa-mm-dd)');
+  }
+  if (desde > hasta) {
+    throw new BackfillError('desde debe ser anterior a hasta');
+  }
+
+  const dias = (Date.parse(`${hasta}T00:00:00Z`) - Date.parse(`${desde}T00:00:00Z`)) / 86400000 + 1;
+  if (dias > config.backfill.maxDias) {
+    throw new BackfillError(`Rango maximo: ${config.backfill.maxDias} dias`);
+  }
+}
+
+/**
+ * Id del job: mismo sitio, canal y rango => mismo job (se retoma)
+ * Los jobs de Wix no llevan el canal (ids anteriores a los canales)
+ * @param {string|null} instanceId
+ * @param {string} desde
+ * @param {string} hasta
+ * @param {string} [canal='wix']
+ * @returns {string}
+ */
+function getJobId(instanceId, desde, hasta, canal = CANALES.WIX) {
+  const prefijo = canal === CANALES.WIX ? tenantKey(instanceId) : `${tenantKey(instanceId)}_${canal}`;
+  return `${prefijo}_${desde}_${hasta}`;
+}
+
+/**
+ * Pedir una pagina de ordenes del canal creadas en el rango (orden cronologico)
+ * @param {Object} fuente
+ * @param {Object} params - { desde, hasta, cursor }
+ * @returns {Object} { ordenes, cursor }
+ */
+function buscarPagina(fuente, { desde, hasta, cursor }) {
+  return fuente.listarOrdenes({ desde, hasta, cursor, limite: config.backfill.pageSize });
+}
+
+/**
+ * Decidir si una orden debe facturarse
+ * Omite las no pagadas, canceladas, las que ya tienen CFE (store local o Biller)
+ * y las retenidas en la cola de revision (solo se emiten al aprobarlas)
+ * @param {Object} orden - Orden normalizada
+ * @param {Object} deps - { store, billerClient, revisiones }
+ * @returns {Object} { emitir: boolean, motivo? }
+ */
+async function evaluarOrden(orden, { store, billerClient, revisiones }) {
+  const cancelada = orden.status === 'CANCELED' ||
+    orden.paymentStatus === 'REFUNDED' ||
+    orden.paymentStatus === 'FULLY_REFUNDED';
+  if (cancelada) return { emitir: false, motivo: 'cancelada' };
+
+  // Mismo criterio que facturarOrden
+  if (orden.status !== 'APPROVED' && orden.paymentStatus !== 'PAID') {
+    return { emitir: false, motivo: 'no_pagada' };
+  }
+
+  if (store.findByOrderId(orden.id, canalDe(orden))) {
+    return { emitir: false, motivo: 'facturada_local' };
+  }
+
+  const revision = getRevision(orden.id, canalDe(orden), revisiones);
+  if (revision?.estado === ESTADOS_REVISION.RECHAZADA) {
+    return { emitir: false, motivo: 'rechazada' };
+  }
+  if (revision && revision.estado !== ESTADOS_REVISION.APROBADA) {
+    return { emitir: false, motivo: 'en_revision' };
+  }
+
+  if (await billerClient.buscarPorNumeroInterno(numeroInternoOrden(orden.id, canalDe(orden)))) {
+    return { emitir: false, motivo: 'facturada_biller' };
+  }
+
+  return { emitir: true };
+}
+
+/**
+ * Resolver dependencias por defecto
+ */
+function resolverDeps(instanceId, canal, deps) {
+  return {
+    ...deps,
+    fuente: deps.fuente || getFuente(canal),
+    store: deps.store || getComprobanteStore(),
+    revisiones: deps.revisiones || getRevisionStore(),
+    billerClient: deps.billerClient || getBillerClientForTenant(instanceId),
+    progreso: deps.progreso || getBackfillStore(),
+    delayMs: deps.delayMs ?? config.backfill.delayMs
+  };
+}
+
+/**
+ * Dry-run: listar las ordenes que se facturarian, sin emitir
+ * @param {Object} params
+ * @param {string} params.desde - aaaa-mm-dd
+ * @param {string} params.hasta - aaaa-mm-dd
+ * @param {string} [params.instanceId]
+ * @param {string} [params.canal='wix']
+ * @param {Object} [deps]
+ * @param {Object} [deps.fuente] - default: getFuente(canal)
+ * @param {Object} [deps.store] - default: ComprobanteStore
+ * @param {Object} [deps.revisiones] - default: RevisionStore
+ * @param {Object} [deps.billerClient] - default: el del sitio
+ * @returns {Object} { desde, hasta, instanceId, canal, resumen, ordenes }
+ * @throws {BackfillError}
+ */
+async function previsualizarBackfill({ desde, hasta, instanceId = null, canal = CANALES.WIX }, deps = {}) {
+  validarRango(desde, hasta);
+  const { fuente, store, billerClient, revisiones } = resolverDeps(instanceId, canal, deps);
+
+  const ordenes = [];
+  const omitidas = {};
+  let revisadas = 0;
+  let cursor = null;
+
+  do {
+    const pagina = await buscarPagina(fuente, { desde, hasta, cursor });
+
+    for (const order of pagina.ordenes) {
+      const orden = fuente.normalizarOrden(order);
+      const evaluacion = await evaluarOrden(orden, { store, billerClient, revisiones });
+      revisadas++;
+
+      if (evaluacion.emitir) {
+        ordenes.push({
+          orderId: orden.id,
+          numero: orden.number,
+          fecha: orden.createdDate,
+          total: orden.montos?.total,
+          moneda: orden.montos?.moneda
+        });
+      } else {
+        omitidas[evaluacion.motivo] = (omitidas[evaluacion.motivo] || 0) + 1;
+      }
+    }
+
+    cursor = pagina.cursor;
+  } while (cursor);
+
+  return {
+    id: getJobId(instanceId, desde, hasta, fuente.canal),
+    desde,
+    hasta,
+    instanceId,
+    canal: fuente.canal,
+    dryRun: true,
+    resumen: { revisadas, aEmitir: ordenes.length, omitidas },
+    ordenes
+  };
+}
+
+/**
+ * Crear o retomar el job de un rango
+ * @returns {Object} Job (nuevo, o el guardado si estaba pausado/interrumpido)
+ * @throws {BackfillError} Si ya se esta ejecutando
+ */
+function prepararJob({ desde, hasta, instanceId, canal, reiniciar }, progreso) {
+  const id = getJobId(instanceId, desde, hasta, canal);
+
+  if (jobsActivos.has(id)) {
+    throw new BackfillError(`Backfill ${id} ya esta en ejecucion`, 'BACKFILL_EN_CURSO');
+  }
+
+  const existente = progreso.get(id);
+  if (existente && !reiniciar) {
+    return existente;
+  }
+
+  return {
+    id,
+    desde,
+    hasta,
+    instanceId,
+    canal,
+    estado: ESTADOS.EN_CURSO,
+    // Cursor de la pagina en curso y ordenes ya resueltas de esa pagina
+    cursor: null,
+    resueltasEnPagina: [],
+    paginas: 0,
+    contadores: { revisadas: 0, emitidas: 0, omitidas: 0, fallidas: 0 },
+    omitidas: {},
+    fallos: [],
+    iniciadoEn: new Date().toISOString(),
+    finalizadoEn: null,
+    ultimoError: null
+  };
+}
+
+/**
+ * Ejecutar (o retomar) el backfill de un rango emitiendo los CFE faltantes
+ * Un job completado no se vuelve a ejecutar salvo con reiniciar
+ * @param {Object} params
+ * @param {string} params.desde - aaaa-mm-dd
+ * @param {string} params.hasta - aaaa-mm-dd
+ * @param {string} [params.instanceId]
+ * @param {string} [params.canal='wix']
+ * @param {boolean} [params.reiniciar] - Descartar el progreso guardado
+ * @param {Object} deps
+ * @param {Object} [deps.fuente] - default: getFuente(canal)
+ * @param {Function} deps.procesarOrden - async (orderId, order, instanceId, fuente), emite el CFE y lo devuelve
+ * @param {Object} [deps.store] - default: ComprobanteStore
+ * @param {Object} [deps.revisiones] - default: RevisionStore
+ * @param {Object} [deps.billerClient] - default: el del sitio
+ * @param {Object} [deps.progreso] - default: BackfillStore
+ * @param {number} [deps.delayMs] - Pausa entre emisiones (default: config.backfill.delayMs)
+ * @returns {Object} Job con estado final
+ * @throws {BackfillError}
+ */
+async function ejecutarBackfill({ desde, hasta, instanceId = null, canal = CANALES.WIX, reiniciar = false }, deps) {
+  validarRango(desde, hasta);
+  const { fuente, procesarOrden, store, billerClient, revisiones, progreso, delayMs } = resolverDeps(instanceId, canal, deps);
+
+  let job = prepararJob({ desde, hasta, instanceId, canal: fuente.canal, reiniciar }, progreso);
+  if (job.estado === ESTADOS.COMPLETADO) {
+    logger.info('Backfill ya completado', { id: job.id });
+    return job;
+  }
+
+  const control = { pausar: false };
+  jobsActivos.set(job.id, control);
+
+  const retomado = job.paginas > 0 || job.resueltasEnPagina.length > 0;
+  job = progreso.guardar({ ...job, estado: ESTADOS.EN_CURSO, ultimoError: null });
+  logger.info(retomado ? 'Backfill retomado' : 'Backfill iniciado', { id: job.id, desde, hasta, instanceId, cursor: job.cursor });
+
+  try {
+    do {
+      const pagina = await buscarPagina(fuente, { desde, hasta, cursor: job.cursor });
+      const resueltas = new Set(job.resueltasEnPagina);
+
+      for (const order of pagina.ordenes) {
+        if (control.pausar) break;
+
+        const orden = fuente.normalizarOrden(order);
+        if (resueltas.has(orden.id)) continue;
+
+        let evaluacion = await evaluarOrden(orden, { store, billerClient, revisiones });
+        job.contadores.revisadas++;
+
+        if (evaluacion.emitir) {
+          try {
+            // Sin comprobante la orden no se emitio (ej: retenida para revision manual)
+            const comprobante = await procesarOrden(orden.id, order, instanceId, fuente);
+            if (comprobante) {
+              job.contadores.emitidas++;
+            } else {
+              const retenida = getRevision(orden.id, canalDe(orden), revisiones);
+              evaluacion = { emitir: false, motivo: retenida ? 'en_revision' : 'no_emitida' };
+            }
+          } catch (error) {
+            job.contadores.fallidas++;
+            if (job.fallos.length < MAX_FALLOS_DETALLE) {
+              job.fallos.push({ orderId: orden.id, error: error.message });
+            }
+            logger.warn('Backfill: orden no facturada', { id: job.id, orderId: orden.id, error: error.message });
+          }
+
+          if (delayMs > 0) await sleep(delayMs);
+        }
+
+        if (!evaluacion.emitir) {
+          job.contadores.omitidas++;
+          job.omitidas[evaluacion.motivo] = (job.omitidas[evaluacion.motivo] || 0) + 1;
+        }
+
+        resueltas.add(orden.id);
+        job = progreso.guardar({ ...job, resueltasEnPagina: Array.from(resueltas) });
+      }
+
+      if (control.pausar) {
+        job = progreso.guardar({ ...job, estado: ESTADOS.PAUSADO });
+        logger.info('Backfill pausado', { id: job.id, ...job.contadores });
+        return job;
+      }
+
+      // Pagina terminada: el progreso avanza al cursor siguiente
+      job = progreso.guardar({
+        ...job,
+        cursor: pagina.cursor,
+        resueltasEnPagina: [],
+        paginas: job.paginas + 1
+      });
+    } while (job.cursor);
+
+    job = progreso.guardar({ ...job, estado: ESTADOS.COMPLETADO, finalizadoEn: new Date().toISOString() });
+    logger.info('Backfill completado', { id: job.id, ...job.contadores });
+
+    return job;
+  } catch (error) {
+    // Error del canal al paginar: queda retomable desde el cursor guardado
+    job = progreso.guardar({ ...job, estado: ESTADOS.FALLIDO, ultimoError: error.message });
+    logger.error('Backfill interrumpido', { id: job.id, error: error.message });
+    throw error;
+  } finally {
+    jobsActivos.delete(job.id);
+  }
+}
+
+/**
+ * Pedir la pausa de un job en ejecucion (se detiene tras la orden actual)
+ * @param {string} id
+ * @returns {boolean} false si el job no esta en ejecucion
+ */
+function pausarBackfill(id) {
+  const control = jobsActivos.get(id);
+  if (!control) return false;
+
+  control.pausar = true;
+  return true;
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean}
+ */
+function estaEnEjecucion(id) {
+  return jobsActivos.has(id);
+}
+
+module.exports = {
+  ESTADOS,
+  BackfillError,
+  validarRango,
+  getJobId,
+  evaluarOrden,
+  previsualizarBackfill,
+  ejecutarBackfill,
+  pausarBackfill,
+  estaEnEjecucion
+};
@@ -6,12 +6,16 @@
 
 const config = require('../config');
 const logger = require('../utils/logger');
+const { convertirAUYU } = require('./tipo-cambio');
+const { calcularLimiteUYU } = require('./unidad-indexada');
 
 /**
- * Obtener limite de 5000 UI en UYU desde config
+ * Obtener limite de 5000 UI en UYU
+ * @param {Object|number} [valorUI] - Valor UI de la fecha de la orden (default: config)
  * @returns {number}
  */
-function getLimiteUIEnUYU() {
+function getLimiteUIEnUYU(valorUI) {
+  if (valorUI) return calcularLimiteUYU(valorUI);
   return config.dgi?.limiteMontoUYU || 30000;
 }
 
@@ -21,13 +25,17 @@ const { TIPOS_DOCUMENTO, MAPEO_TIPO_DOCUMENTO_WIX } = config;
 /**
  * Determinar tipo de comprobante segun datos del comprador
  * @param {Object} ordenNormalizada - Orden normalizada de Wix
+ * @param {Object} [opciones]
+ * @param {Object|number} [opciones.tipoCambio] - Cotizacion para ordenes en moneda extranjera
+ * @param {Object|number} [opciones.valorUI] - Valor UI de la fecha de la orden (resolverValorUI)
  * @returns {Object} Decision con tipo, cliente y flags
+ * @throws {TipoCambioError} Si la orden no es en UYU y no hay tipo de cambio
  */
-function determinarTipoComprobante(ordenNormalizada) {
+function determinarTipoComprobante(ordenNormalizada, opciones = {}) {
   const { fiscal, montos, buyer, direccion } = ordenNormalizada;
 
-  // Calcular monto neto (sin IVA)
-  const montoTotal = montos.total || 0;
+  // Calcular monto neto (sin IVA) en UYU: el limite 5000 UI se expresa en pesos
+  const montoTotal = convertirAUYU(montos.total || 0, montos.moneda, opciones.tipoCambio);
   const montoNeto = montoTotal / 1.22; // Excluir IVA 22%
 
   // Extraer tipo y numero de documento
@@ -42,6 +50,24 @@ function determinarTipoComprobante(ordenNormalizada) {
     documento: documento ? `***${documento.slice(-4)}` : 'N/A'
   });
 
+  // CASO 0: Envio al exterior con documento del comprador -> e-Factura de Exportacion
+  const paisDestino = obtenerPaisDestino(ordenNormalizada);
+  if (paisDestino !== config.PAISES.URUGUAY) {
+    if (documento && documento.length >= 5) {
+      logger.info('Envio al exterior -> e-Factura de Exportacion', {
+        orderId: ordenNormalizada.id,
+        paisDestino
+      });
+
+      return decisionExportacion(ordenNormalizada, paisDestino);
+    }
+
+    logger.warn('Envio al exterior sin documento del comprador, se emite CFE local', {
+      orderId: ordenNormalizada.id,
+      paisDestino
+    });
+  }
+
   // CASO A: Tiene RUT de empresa (12 digitos)
   if (tipoDocWix === 'UY_RUT' && documento?.length === 12) {
     logger.info('Cliente con RUT empresa -> e-Factura', { orderId: ordenNormalizada.id });
@@ -66,13 +92,14 @@ function determinarTipoComprobante(ordenNormalizada) {
   }
 
   // CASO B: Monto > 5000 UI (requiere identificar receptor)
-  if (montoNeto > getLimiteUIEnUYU()) {
+  const limiteUYU = getLimiteUIEnUYU(opciones.valorUI);
+  if (montoNeto > limiteUYU) {
     const tieneDocumento = documento && documento.length >= 7;
 
     logger.warn('Venta supera 5000 UI', {
       orderId: ordenNormalizada.id,
       montoNeto,
-      limite: getLimiteUIEnUYU(),
+      limite: limiteUYU,
       tieneDocumento
     });
 
@@ -128,6 +155,46 @@ function determinarTipoComprobante(ordenNormalizada) {
   };
 }
 
+/**
+ * Construir decision de e-Factura de Exportacion (121)
+ * El receptor se identifica con su documento extranjero y pais real
+ * @param {Object} ordenNormalizada
+ * @param {string} pais - Codigo ISO del pais de destino
+ * @returns {Object}
+ */
+function decisionExportacion(ordenNormalizada, pais) {
+  const { fiscal, buyer, direccion } = ordenNormalizada;
+  const envio = ordenNormalizada.envio || {};
+
+  return {
+    tipo: config.TIPOS_CFE.E_FACTURA_EXPORTACION, // 121
+    cliente: {
+      documento: fiscal.documento,
+      tipo_documento: obtenerTipoDocumento(fiscal.tipoDocumento),
+      razon_social: construirNombre(buyer, fiscal) || 'Cliente',
+      pais: pais,
+      sucursal: {
+        direccion: envio.linea1 || direccion.linea1 || '',
+        ciudad: envio.ciudad || direccion.ciudad || '',
+        pais: pais
+      }
+    },
+    exportacion: true,
+    requiereIdentificacion: true,
+    razon: 'EXPORTACION'
+  };
+}
+
+/**
+ * Obtener pais de destino de la orden (envio o, si no hay, facturacion)
+ * @param {Object} ordenNormalizada
+ * @returns {string} Codigo ISO en mayusculas
+ */
+function obtenerPaisDestino(ordenNormalizada) {
+  const pais = ordenNormalizada.envio?.pais || ordenNormalizada.direccion?.pais || config.PAISES.URUGUAY;
+  return String(pais).toUpperCase();
+}
+
 /**
  * Obtener codigo de tipo de documento Biller desde tipo Wix
  * @param {string} tipoDocWix - Tipo de documento Wix (UY_RUT, UY_CI, etc)
@@ -173,19 +240,21 @@ function obtenerDepartamento(subdivision) {
 /**
  * Verificar si un monto requiere identificacion del receptor
  * @param {number} montoTotal - Monto total con IVA
+ * @param {Object|number} [valorUI] - Valor UI de la fecha (default: config)
  * @returns {boolean}
  */
-function requiereIdentificacion(montoTotal) {
+function requiereIdentificacion(montoTotal, valorUI) {
   const montoNeto = montoTotal / 1.22;
-  return montoNeto > getLimiteUIEnUYU();
+  return montoNeto > getLimiteUIEnUYU(valorUI);
 }
 
 /**
- * Obtener limite actual de UI en UYU
+ * Obtener limite de UI en UYU
+ * @param {Object|number} [valorUI] - Valor UI de la fecha (default: config)
  * @returns {number}
  */
-function getLimiteUI() {
-  return getLimiteUIEnUYU();
+function getLimiteUI(valorUI) {
+  return getLimiteUIEnUYU(valorUI);
 }
 
 /**
@@ -205,6 +274,7 @@ function construirNombre(buyer, fiscal) {
 module.exports = {
   determinarTipoComprobante,
   obtenerTipoDocumento,
+  obtenerPaisDestino,
   obtenerDepartamento,
   requiereIdentificacion,
   getLimiteUI,
@@ -0,0 +1,261 @@
+/**
+ * Cambio de e-Ticket a e-Factura a pedido del comprador
+ * Clientes empresa que compraron sin RUT piden despues la e-Factura: se anula el
+ * e-Ticket con una NC y se emite una e-Factura 111 por los mismos items.
+ * Los tres documentos quedan vinculados en el store (cambio_factura)
+ * @module services/cambio-factura
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getComprobanteStore } = require('../utils/store');
+const { validarRUT } = require('../utils/validators');
+const { getBillerClientForTenant } = require('./tenant');
+const { anularComprobanteBiller } = require('./credit-note-service');
+const { CANALES, numeroInternoOrden, canalDe } = require('./canales');
+const { formatDateForBiller, truncateForBiller, BILLER_FIELD_LIMITS } = require('../utils/date-formatter');
+
+/**
+ * Error de un cambio a e-Factura (datos fiscales invalidos o comprobante que no admite el cambio)
+ */
+class CambioFacturaError extends Error {
+  constructor(message, code = 'CAMBIO_FACTURA_INVALIDO') {
+    super(message);
+    this.name = 'CambioFacturaError';
+    this.code = code;
+  }
+}
+
+/**
+ * Validar RUT y razon social del receptor de la e-Factura
+ * Con VALIDAR_RUT_CON_DGI se consulta DGI via Biller (si DGI no responde se
+ * acepta la validacion local con advertencia). Un digito verificador que no
+ * coincide queda como advertencia: la validacion definitiva es de DGI
+ * @param {Object} datos - { rut, razonSocial }
+ * @param {Object} [opciones]
+ * @param {Object} [opciones.billerClient] - Cliente Biller del sitio (para DGI)
+ * @param {boolean} [opciones.validarConDGI] - default: config.facturacion.validarRUTConDGI
+ * @returns {Promise<Object>} { rut, razonSocial, verificadoDGI, advertencia }
+ * @throws {CambioFacturaError}
+ */
+async function validarDatosFiscales({ rut, razonSocial } = {}, opciones = {}) {
+  const validarConDGI = opciones.validarConDGI ?? config.facturacion.validarRUTConDGI;
+
+  const validacion = validarRUT(rut);
+  if (!validacion.valid) {
+    throw new CambioFacturaError(`RUT invalido: ${validacion.reason}`, 'RUT_INVALIDO');
+  }
+  // La e-Factura requiere RUT de empresa (12 digitos), no CI
+  if (validacion.type !== 'RUT') {
+    throw new CambioFacturaError('La e-Factura requiere un RUT de 12 digitos', 'RUT_INVALIDO');
+  }
+
+  const resultado = {
+    rut: validacion.cleaned,
+    razonSocial: (razonSocial || '').trim() || null,
+    verificadoDGI: false,
+    advertencia: validacion.warning || null
+  };
+
+  if (validarConDGI && opciones.billerClient) {
+    const dgi = await opciones.billerClient.validarRUTConDGI(resultado.rut);
+    if (!dgi.valid) {
+      throw new CambioFacturaError(`RUT rechazado por DGI: ${dgi.reason || resultado.rut}`, 'RUT_RECHAZADO_DGI');
+    }
+    resultado.verificadoDGI = dgi.source === 'dgi';
+    resultado.razonSocial = resultado.razonSocial || dgi.razonSocial || null;
+    if (dgi.warning) {
+      resultado.advertencia = dgi.reason;
+    }
+  }
+
+  if (!resultado.razonSocial) {
+    throw new CambioFacturaError('Razon social requerida', 'RAZON_SOCIAL_REQUERIDA');
+  }
+
+  return resultado;
+}
+
+/**
+ * Verificar que el comprobante de la orden admita el cambio
+ * Solo e-Tickets sin NC ni ND (con notas previas el saldo ya no es la venta completa)
+ * @param {Object} comprobante
+ * @param {Object} store
+ * @throws {CambioFacturaError}
+ */
+function verificarCambioPosible(comprobante, store) {
+  if (!comprobante) {
+    throw new CambioFacturaError('La orden no tiene comprobante emitido', 'SIN_COMPROBANTE');
+  }
+
+  const orderId = comprobante.order_id;
+  if (parseInt(comprobante.tipo_comprobante) !== config.TIPOS_CFE.E_TICKET) {
+    throw new CambioFacturaError(
+      `Solo un e-Ticket puede cambiarse a e-Factura (comprobante tipo ${comprobante.tipo_comprobante})`,
+      'NO_ES_E_TICKET'
+    );
+  }
+
+  // Un cambio que quedo a medio hacer (NC emitida, e-Factura pendiente) se retoma
+  const enCurso = comprobante.cambio_factura?.nc;
+  if (!enCurso && (store.findNCByOrderId(orderId, canalDe(comprobante)) || (comprobante.total_acreditado || 0) > 0 || (comprobante.total_debitado || 0) > 0)) {
+    throw new CambioFacturaError('El comprobante tiene notas de credito o debito', 'CON_NOTAS_PREVIAS');
+  }
+
+  if (!comprobante.items?.length) {
+    throw new CambioFacturaError('El comprobante no tiene los items guardados (sincronizado desde Biller)', 'SIN_ITEMS');
+  }
+}
+
+/**
+ * Preparar la e-Factura con los items, forma de pago y moneda del e-Ticket
+ * @param {Object} comprobante - e-Ticket original (registro del store)
+ * @param {Object} receptor - { rut, razonSocial, direccion?, ciudad?, departamento? }
+ * @param {Object} opciones - { numeroInterno, sucursal }
+ * @returns {Object} Datos para emitirComprobante
+ */
+function prepararDatosFactura(comprobante, receptor, { numeroInterno, sucursal }) {
+  const sucursalOriginal = comprobante.cliente?.sucursal || {};
+
+  const datos = {
+    tipo_comprobante: config.TIPOS_CFE.E_FACTURA,
+    numero_interno: numeroInterno,
+    sucursal,
+    fecha_emision: formatDateForBiller(),
+    items: comprobante.items.map(({ wix_line_item_id, ...item }) => item),
+    forma_pago: comprobante.forma_pago || config.FORMAS_PAGO.CONTADO,
+    moneda: comprobante.moneda || 'UYU',
+    montos_brutos: 1,  // Precios con IVA incluido
+    cliente: {
+      documento: receptor.rut,
+      tipo_documento: config.TIPOS_DOCUMENTO.RUT,
+      razon_social: truncateForBiller(receptor.razonSocial, BILLER_FIELD_LIMITS.RAZON_SOCIAL),
+      pais: 'UY',
+      sucursal: {
+        direccion: truncateForBiller(receptor.direccion || sucursalOriginal.direccion || '', BILLER_FIELD_LIMITS.DIRECCION),
+        ciudad: truncateForBiller(receptor.ciudad || sucursalOriginal.ciudad || 'Montevideo', BILLER_FIELD_LIMITS.CIUDAD),
+        departamento: truncateForBiller(receptor.departamento || sucursalOriginal.departamento || 'Montevideo', BILLER_FIELD_LIMITS.DEPARTAMENTO),
+        pais: 'UY'
+      }
+    }
+  };
+
+  if (comprobante.fecha_vencimiento) {
+    datos.fecha_vencimiento = formatDateForBiller(`${comprobante.fecha_vencimiento}T12:00:00`);
+  }
+  if (comprobante.tipo_cambio) {
+    datos.tipo_cambio = comprobante.tipo_cambio;
+  }
+  if (comprobante.emails_notificacion?.length) {
+    datos.emails_notificacion = comprobante.emails_notificacion;
+  }
+
+  return datos;
+}
+
+/**
+ * Cambiar el e-Ticket de una orden por una e-Factura
+ * 1. Valida RUT/razon social  2. NC que anula el e-Ticket  3. e-Factura 111 por los mismos items
+ * Si falla la e-Factura, repetir la llamada retoma sin volver a anular
+ * @param {string} orderId
+ * @param {Object} receptor - { rut, razonSocial, direccion?, ciudad?, departamento? }
+ * @param {Object} [opciones]
+ * @param {string} [opciones.canal='wix'] - Canal de la orden
+ * @param {string} [opciones.instanceId] - default: el del comprobante
+ * @param {string} [opciones.solicitadoPor] - Quien pidio el cambio (admin o cliente)
+ * @param {boolean} [opciones.validarConDGI]
+ * @param {Object} [opciones.store]
+ * @param {Object} [opciones.billerClient]
+ * @returns {Promise<Object>} { eticket, nc, efactura, receptor }
+ * @throws {CambioFacturaError}
+ */
+async function cambiarAFactura(orderId, receptor = {}, opciones = {}) {
+  const store = opciones.store || getComprobanteStore();
+  const canal = opciones.canal || CANALES.WIX;
+  const comprobante = store.findByOrderId(orderId, canal);
+  verificarCambioPosible(comprobante, store);
+
+  const instanceId = opciones.instanceId || comprobante.instance_id || null;
+  const billerClient = opciones.billerClient || getBillerClientForTenant(instanceId);
+  const fiscales = await validarDatosFiscales(receptor, { billerClient, validarConDGI: opciones.validarConDGI });
+
+  logger.info('Cambiando e-Ticket a e-Factura', {
+    orderId,
+    serie: comprobante.serie,
+    numero: comprobante.numero,
+    rut: `***${fiscales.rut.slice(-4)}`,
+    solicitadoPor: opciones.solicitadoPor || null
+  });
+
+  // 2. NC que anula el e-Ticket (una sola vez)
+  let nc = comprobante.cambio_factura?.nc ? store.getByKey(comprobante.cambio_factura.nc) : null;
+  if (!nc) {
+    const anulacion = await anularComprobanteBiller(comprobante, orderId, { instanceId, billerClient });
+    nc = store.addNCCambioFactura(orderId, { ...anulacion, instance_id: instanceId }, canal);
+  }
+
+  // 3. e-Factura (idempotente por numero_interno)
+  const numeroInterno = numeroInternoOrden(orderId, canal, 'EF');
+  let efactura = await billerClient.buscarPorNumeroInterno(numeroInterno);
+  const datosFactura = prepararDatosFactura(comprobante, { ...receptor, ...fiscales }, {
+    numeroInterno,
+    sucursal: billerClient.sucursal
+  });
+
+  if (efactura) {
+    logger.info('e-Factura del cambio ya existe en Biller', { orderId, numeroInterno, billerId: efactura.id });
+  } else {
+    efactura = await billerClient.emitirComprobante(datosFactura);
+  }
+
+  const eticket = { serie: comprobante.serie, numero: comprobante.numero, tipo_comprobante: comprobante.tipo_comprobante };
+  const guardada = store.reemplazarPorFactura(orderId, {
+    ...efactura,
+    numero_interno: numeroInterno,
+    ...(comprobante.wix_order_id && { wix_order_id: comprobante.wix_order_id }),
+    canal,
+    instance_id: instanceId,
+    tipo_decision: 'CAMBIO_A_FACTURA',
+    cliente_identificado: true,
+    cliente: datosFactura.cliente,
+    buyer: comprobante.buyer,
+    emails_notificacion: comprobante.emails_notificacion,
+    total: comprobante.total,
+    monto_total: comprobante.monto_total,
+    moneda: datosFactura.moneda,
+    forma_pago: datosFactura.forma_pago,
+    metodo_pago: comprobante.metodo_pago,
+    fecha_vencimiento: comprobante.fecha_vencimiento,
+    items: comprobante.items,
+    tipo_cambio: comprobante.tipo_cambio,
+    tipo_cambio_fecha: comprobante.tipo_cambio_fecha,
+    tipo_cambio_fuente: comprobante.tipo_cambio_fuente,
+    valor_ui: comprobante.valor_ui,
+    valor_ui_fecha: comprobante.valor_ui_fecha,
+    valor_ui_fuente: comprobante.valor_ui_fuente,
+    rut_verificado_dgi: fiscales.verificadoDGI,
+    solicitado_por: opciones.solicitadoPor || null
+  });
+
+  logger.info('e-Ticket cambiado a e-Factura', {
+    orderId,
+    eticket: `${eticket.serie}-${eticket.numero}`,
+    nc: `${nc.serie}-${nc.numero}`,
+    efactura: `${guardada.serie}-${guardada.numero}`
+  });
+
+  return {
+    eticket,
+    nc,
+    efactura: guardada,
+    receptor: { rut: fiscales.rut, razonSocial: fiscales.razonSocial, verificadoDGI: fiscales.verificadoDGI, advertencia: fiscales.advertencia }
+  };
+}
+
+module.exports = {
+  CambioFacturaError,
+  validarDatosFiscales,
+  verificarCambioPosible,
+  prepararDatosFactura,
+  cambiarAFactura
+};
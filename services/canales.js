@@ -0,0 +1,78 @@
+/**
+ * Canales de venta (origen de las ordenes) y numero_interno de sus comprobantes
+ * Cada canal tiene su prefijo para que los CFE de distintos canales no choquen
+ * en Biller: WIX-<orderId>, ML-<orderId>, SHOP-<orderId>, NC-ML-<orderId>, ND-WIX-<orderId>-1...
+ * EF-WIX-<orderId> es la e-Factura que reemplaza al e-Ticket (cambio a pedido del comprador)
+ * @module services/canales
+ */
+
+const { truncateForBiller, BILLER_FIELD_LIMITS } = require('../utils/date-formatter');
+
+const CANALES = Object.freeze({
+  WIX: 'wix',
+  MERCADOLIBRE: 'mercadolibre',
+  SHOPIFY: 'shopify'
+});
+
+const PREFIJOS = Object.freeze({
+  [CANALES.WIX]: 'WIX',
+  [CANALES.MERCADOLIBRE]: 'ML',
+  [CANALES.SHOPIFY]: 'SHOP'
+});
+
+/**
+ * Canal de una orden normalizada o de un comprobante del store
+ * Ordenes y registros sin canal son de Wix (anteriores a los canales)
+ * @param {Object} [origen] - Orden normalizada o comprobante
+ * @returns {string}
+ */
+function canalDe(origen) {
+  return origen?.canal || CANALES.WIX;
+}
+
+/**
+ * numero_interno de un comprobante de la orden
+ * @param {string} orderId
+ * @param {string} [canal='wix']
+ * @param {string} [tipo] - 'NC', 'ND' o 'EF' (sin tipo: comprobante de venta)
+ * @param {string|number} [sufijo] - Ej: R2 (NC parcial), 1 (ND)
+ * @returns {string}
+ */
+function numeroInternoOrden(orderId, canal = CANALES.WIX, tipo = null, sufijo = null) {
+  const partes = [tipo, PREFIJOS[canal] || PREFIJOS[CANALES.WIX], orderId, sufijo]
+    .filter(p => p !== null && p !== undefined && p !== '');
+  return truncateForBiller(partes.join('-'), BILLER_FIELD_LIMITS.NUMERO_INTERNO);
+}
+
+/**
+ * Interpretar un numero_interno generado por numeroInternoOrden
+ * @param {string} numero
+ * @returns {Object|null} { tipo, canal, orderId, sufijo } o null si no es de la integracion
+ */
+function parsearNumeroInterno(numero) {
+  const prefijos = Object.values(PREFIJOS).join('|');
+  const match = new RegExp(`^(?:(NC|ND|EF)-)?(${prefijos})-(.+)$`).exec(numero || '');
+  if (!match) return null;
+
+  const [, tipo = null, prefijo, resto] = match;
+  const canal = Object.keys(PREFIJOS).find(c => PREFIJOS[c] === prefijo);
+
+  // Sufijos: NC parcial -R<n>, ND -<n>. Las ventas no llevan (los IDs de Wix tienen guiones)
+  const patronSufijo = { NC: /^(.+?)-(R\d+)$/, ND: /^(.+?)-(\d+)$/ }[tipo];
+  const conSufijo = patronSufijo?.exec(resto);
+
+  return {
+    tipo,
+    canal,
+    orderId: conSufijo ? conSufijo[1] : resto,
+    sufijo: conSufijo ? conSufijo[2] : null
+  };
+}
+
+module.exports = {
+  CANALES,
+  PREFIJOS,
+  canalDe,
+  numeroInternoOrden,
+  parsearNumeroInterno
+};
@@ -0,0 +1,237 @@
+/**
+ * Servicio para construir el payload de comprobantes para Biller
+ * a partir de una orden normalizada y la decision de facturacion
+ * @module services/comprobante-builder
+ */
+
+const config = require('../config');
+const { resolverIndicadorItem, enriquecerColecciones } = require('./indicador-iva');
+const { distribuirDescuentos, aplicarDescuentoItem, totalComprobante, redondear } = require('./descuentos');
+const { esMonedaLocal, TipoCambioError, resolverTipoCambio } = require('./tipo-cambio');
+const { resolverValorUI } = require('./unidad-indexada');
+const { determinarTipoComprobante } = require('./billing-decision');
+const { obtenerPagoOrden, resolverFormaPago } = require('./forma-pago');
+const { getSettingsStore } = require('../utils/wix-app-store');
+const { numeroInternoOrden, canalDe } = require('./canales');
+const { formatDateForBiller, formatDateISO, parseMontoSeguro, truncateForBiller, BILLER_FIELD_LIMITS } = require('../utils/date-formatter');
+
+/**
+ * Error cuando el total del comprobante no coincide con el cobrado en Wix
+ * (fuera de la tolerancia de redondeo): la orden se retiene sin emitir
+ */
+class TotalesError extends Error {
+  constructor(message, detalle) {
+    super(message);
+    this.name = 'TotalesError';
+    this.code = 'TOTALES_NO_COINCIDEN';
+    this.detalle = detalle;
+  }
+}
+
+// Concepto de la linea de ajuste
+const CONCEPTO_REDONDEO = 'Redondeo';
+
+/**
+ * Preparar datos del comprobante para Biller
+ * @param {Object} ordenNormalizada - Orden normalizada de Wix
+ * @param {Object} decision - Resultado de determinarTipoComprobante
+ * @param {Object} [opciones]
+ * @param {Object} [opciones.ivaConfig] - Config de IVA del sitio (tasas y overrides)
+ * @param {Object} [opciones.tipoCambio] - Cotizacion de la fecha de emision (ver resolverTipoCambio)
+ * @param {string} [opciones.sucursal] - Sucursal Biller del sitio (default: config global)
+ * @param {Object} [opciones.formaPago] - Forma de pago y vencimiento (ver resolverFormaPago)
+ * @returns {Object} Datos listos para emitirComprobante
+ * @throws {IndicadorIVAError} Si alguna linea tiene una tasa sin mapeo
+ * @throws {TipoCambioError} Si la moneda no es UYU y no hay tipo de cambio
+ */
+function prepararDatosBiller(ordenNormalizada, decision, opciones = {}) {
+  const { ivaConfig, tipoCambio, sucursal, formaPago } = opciones;
+  const moneda = ordenNormalizada.montos?.moneda || 'UYU';
+  const esExportacion = decision.tipo === config.TIPOS_CFE.E_FACTURA_EXPORTACION;
+
+  // FIX: Mapear items con helpers para evitar NaN y truncar correctamente
+  // En exportacion todas las lineas van con indicador EXPORTACION (sin IVA)
+  const itemsBase = ordenNormalizada.items.map(item => ({
+    concepto: truncateForBiller(item.nombre || 'Producto', BILLER_FIELD_LIMITS.CONCEPTO),
+    cantidad: parseInt(item.cantidad) || 1,
+    precio: parseMontoSeguro(item.precioUnitario, 0),
+    indicador_facturacion: esExportacion
+      ? config.INDICADORES_IVA.EXPORTACION
+      : resolverIndicadorItem(item, ivaConfig)
+  }));
+
+  // Descuentos de linea + cupon de orden prorrateado por indicador de IVA
+  const descuentos = distribuirDescuentos(
+    ordenNormalizada.items.map((item, idx) => ({
+      bruto: itemsBase[idx].cantidad * itemsBase[idx].precio,
+      descuentoLinea: parseMontoSeguro(item.descuento, 0),
+      indicador: itemsBase[idx].indicador_facturacion,
+      excluirDeCupon: item.id === 'shipping'
+    })),
+    parseMontoSeguro(ordenNormalizada.montos?.descuento, 0)
+  );
+
+  const items = itemsBase.map((item, idx) => aplicarDescuentoItem(item, descuentos[idx]));
+
+  // FIX: Usar helper centralizado para fecha
+  const fechaEmision = formatDateForBiller();
+
+  const datos = {
+    tipo_comprobante: decision.tipo,
+    numero_interno: numeroInternoOrden(ordenNormalizada.id, canalDe(ordenNormalizada)),
+    sucursal: sucursal || config.biller.empresa.sucursal,
+    fecha_emision: fechaEmision,
+    items: items,
+    forma_pago: formaPago?.forma_pago || config.FORMAS_PAGO.CONTADO,
+    moneda: moneda,
+    montos_brutos: 1  // Precios con IVA incluido
+  };
+
+  // Venta a credito: vencimiento segun el medio de pago
+  if (formaPago?.fecha_vencimiento) {
+    datos.fecha_vencimiento = formaPago.fecha_vencimiento;
+  }
+
+  if (esExportacion) {
+    const { clausulaVenta, modalidadVenta, viaTransporte } = config.facturacion.exportacion;
+    datos.clausula_venta = clausulaVenta;
+    datos.modalidad_venta = modalidadVenta;
+    datos.via_transporte = viaTransporte;
+  }
+
+  // Moneda extranjera: Biller requiere tipo de cambio de la fecha de emision
+  if (!esMonedaLocal(moneda)) {
+    if (!tipoCambio?.valor) {
+      throw new TipoCambioError(`Comprobante en ${moneda} sin tipo de cambio`, moneda, null);
+    }
+    datos.tipo_cambio = tipoCambio.valor;
+  }
+
+  // FIX: Cliente con campos truncados según límites Biller
+  if (decision.cliente && decision.cliente !== config.CLIENTE_SIN_RECEPTOR) {
+    const cliente = { ...decision.cliente };
+    if (cliente.razon_social) {
+      cliente.razon_social = truncateForBiller(cliente.razon_social, BILLER_FIELD_LIMITS.RAZON_SOCIAL);
+    }
+    if (cliente.nombre_fantasia) {
+      cliente.nombre_fantasia = truncateForBiller(cliente.nombre_fantasia, BILLER_FIELD_LIMITS.NOMBRE_FANTASIA);
+    }
+    if (cliente.sucursal) {
+      cliente.sucursal = { ...cliente.sucursal };
+      if (cliente.sucursal.direccion) {
+        cliente.sucursal.direccion = truncateForBiller(cliente.sucursal.direccion, BILLER_FIELD_LIMITS.DIRECCION);
+      }
+      if (cliente.sucursal.ciudad) {
+        cliente.sucursal.ciudad = truncateForBiller(cliente.sucursal.ciudad, BILLER_FIELD_LIMITS.CIUDAD);
+      }
+      if (cliente.sucursal.departamento) {
+        cliente.sucursal.departamento = truncateForBiller(cliente.sucursal.departamento, BILLER_FIELD_LIMITS.DEPARTAMENTO);
+      }
+    }
+    datos.cliente = cliente;
+  } else {
+    datos.cliente = config.CLIENTE_SIN_RECEPTOR;
+  }
+
+  // Email de notificacion
+  if (ordenNormalizada.buyer?.email) {
+    datos.emails_notificacion = [ordenNormalizada.buyer.email];
+  }
+
+  return datos;
+}
+
+/**
+ * Conciliar el total del comprobante con el total de la orden
+ * Diferencias dentro de la tolerancia se absorben con una linea de redondeo
+ * no facturable (positiva o negativa, sin IVA)
+ * @param {Object} datos - Resultado de prepararDatosBiller (se le agrega la linea de redondeo)
+ * @param {number} totalOrden - Total cobrado (montos.total)
+ * @param {Object} [opciones]
+ * @param {number} [opciones.tolerancia] - Diferencia maxima a ajustar (default: config)
+ * @returns {Object} { ok, totalComprobante, totalOrden, diferencia, ajuste }
+ */
+function conciliarTotales(datos, totalOrden, opciones = {}) {
+  const tolerancia = opciones.tolerancia ?? config.facturacion.toleranciaRedondeo;
+  const total = totalComprobante(datos.items);
+  const diferencia = redondear(totalOrden - total);
+  const resultado = { ok: true, totalComprobante: total, totalOrden, diferencia, ajuste: 0 };
+
+  if (diferencia === 0) return resultado;
+
+  if (Math.abs(diferencia) > tolerancia) {
+    return { ...resultado, ok: false };
+  }
+
+  datos.items.push({
+    concepto: CONCEPTO_REDONDEO,
+    cantidad: 1,
+    precio: Math.abs(diferencia),
+    indicador_facturacion: diferencia > 0
+      ? config.INDICADORES_IVA.NO_FACTURABLE
+      : config.INDICADORES_IVA.NO_FACTURABLE_NEGATIVO
+  });
+
+  return { ...resultado, totalComprobante: totalComprobante(datos.items), ajuste: diferencia };
+}
+
+/**
+ * Armar el comprobante de una orden con la configuracion del sitio
+ * Tipo (limite UI en UYU con el valor UI de la fecha de la orden), indicador de IVA
+ * por linea, forma de pago y tipo de cambio; el total se concilia con el de Wix.
+ * No emite ni guarda nada: lo usan facturarOrden y la previsualizacion,
+ * asi el payload es el mismo
+ * @param {Object} ordenNormalizada - Orden normalizada (se completan las colecciones de los items)
+ * @param {Object} opciones
+ * @param {Object} opciones.cliente - Cliente del canal de la orden (WixClient o MercadoLibreClient: colecciones y transacciones)
+ * @param {string} [opciones.instanceId] - Sitio Wix
+ * @param {string} [opciones.sucursal] - Sucursal Biller del sitio
+ * @param {Object} [opciones.settingsStore] - WixAppSettingsStore (default: singleton)
+ * @param {boolean} [opciones.permitirDiferencia] - No lanzar si los totales no concilian (previsualizacion)
+ * @returns {Promise<Object>} { datosComprobante, decision, tipoCambio, valorUI, formaPago, totales }
+ * @throws {TipoCambioError} Si la orden no es en UYU y no hay tipo de cambio
+ * @throws {IndicadorIVAError} Si alguna linea tiene una tasa sin mapeo
+ * @throws {TotalesError} Si la diferencia con el total Wix supera la tolerancia
+ */
+async function construirComprobante(ordenNormalizada, opciones) {
+  const { cliente, instanceId = null, sucursal } = opciones;
+  const settingsStore = opciones.settingsStore || getSettingsStore();
+
+  const tipoCambio = resolverTipoCambio(ordenNormalizada.montos.moneda);
+  const valorUI = resolverValorUI(formatDateISO(ordenNormalizada.createdDate));
+  const decision = determinarTipoComprobante(ordenNormalizada, { tipoCambio, valorUI });
+
+  const ivaConfig = settingsStore.getIVAConfig(instanceId);
+  await enriquecerColecciones(ordenNormalizada.items, cliente, ivaConfig);
+
+  // Pago offline (transferencia, etc.): credito con vencimiento, sin esperar el pago
+  const formaPago = resolverFormaPago(
+    await obtenerPagoOrden(cliente, ordenNormalizada.id),
+    settingsStore.getPagosConfig(instanceId)
+  );
+
+  const datosComprobante = prepararDatosBiller(ordenNormalizada, decision, {
+    ivaConfig,
+    tipoCambio,
+    formaPago,
+    sucursal
+  });
+
+  const totales = conciliarTotales(datosComprobante, ordenNormalizada.montos.total);
+  if (!totales.ok && !opciones.permitirDiferencia) {
+    throw new TotalesError(
+      `Total del comprobante (${totales.totalComprobante}) distinto al total de la orden (${totales.totalOrden}): ` +
+      `diferencia ${totales.diferencia} ${datosComprobante.moneda} supera la tolerancia de redondeo`,
+      totales
+    );
+  }
+
+  return { datosComprobante, decision, tipoCambio, valorUI, formaPago, totales };
+}
+
+module.exports = {
+  TotalesError,
+  prepararDatosBiller,
+  conciliarTotales,
+  construirComprobante
+};
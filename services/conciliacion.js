@@ -0,0 +1,443 @@
+/**
+ * Conciliacion de tres vias: ordenes del canal, store local y comprobantes Biller
+ * Detecta ordenes pagadas sin factura, CFE huerfanos, diferencias de monto
+ * y cancelaciones sin NC; cada hallazgo trae la accion que lo corrige.
+ * Se concilia un canal por vez (fuente de services/fuentes)
+ * @module services/conciliacion
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getComprobanteStore } = require('../utils/store');
+const { getBillerClientForTenant, filtroTenant } = require('./tenant');
+const { redondear } = require('./descuentos');
+const { CANALES, canalDe, numeroInternoOrden, parsearNumeroInterno } = require('./canales');
+const { getFuente } = require('./fuentes');
+
+const TIPOS_DISCREPANCIA = {
+  FACTURA_FALTANTE: 'FACTURA_FALTANTE',     // Orden pagada sin CFE (ni local ni Biller)
+  SIN_REGISTRO_LOCAL: 'SIN_REGISTRO_LOCAL', // CFE en Biller sin registro en el store
+  CFE_HUERFANO: 'CFE_HUERFANO',             // CFE de una orden que no existe en el canal
+  MONTO_DIFERENTE: 'MONTO_DIFERENTE',       // Total orden / local / Biller no coinciden
+  CANCELADA_SIN_NC: 'CANCELADA_SIN_NC'      // Orden cancelada/reembolsada con CFE y sin NC
+};
+
+// Maximo de ordenes a verificar una por una (CFE fuera del rango del canal)
+const MAX_VERIFICACIONES = 100;
+
+/**
+ * Error de parametros de conciliacion
+ */
+class ConciliacionError extends Error {
+  constructor(message, code = 'CONCILIACION_RANGO_INVALIDO') {
+    super(message);
+    this.name = 'ConciliacionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Validar rango y listar sus dias
+ * @param {string} desde - aaaa-mm-dd
+ * @param {string} hasta - aaaa-mm-dd
+ * @returns {Array<string>} Dias del rango
+ * @throws {ConciliacionError}
+ */
+function diasDelRango(desde, hasta) {
+  const formato = /^\d{4}-\d{2}-\d{2}$/;
+  if (!formato.test(desde || '') || !formato.test(hasta || '')) {
+    throw new ConciliacionError('desde y hasta requeridos (aaaa-mm-dd)');
+  }
+  if (desde > hasta) {
+    throw new ConciliacionError('desde debe ser anterior a hasta');
+  }
+
+  const dias = [];
+  const fecha = new Date(`${desde}T00:00:00Z`);
+  while (fecha.toISOString().split('T')[0] <= hasta) {
+    dias.push(fecha.toISOString().split('T')[0]);
+    fecha.setUTCDate(fecha.getUTCDate() + 1);
+  }
+
+  if (dias.length > config.conciliacion.maxDias) {
+    throw new ConciliacionError(`Rango maximo: ${config.conciliacion.maxDias} dias`);
+  }
+
+  return dias;
+}
+
+/**
+ * Orden de un numero_interno de CFE del canal (WIX-<orderId>, ML-<orderId>...)
+ * Incluye la e-Factura de un cambio (EF-WIX-...). Las NC/ND (NC-WIX-..., ND-WIX-...)
+ * y los CFE de otros canales no cuentan
+ * @param {string} numeroInterno
+ * @param {string} [canal='wix']
+ * @returns {string|null}
+ */
+function orderIdDesdeNumeroInterno(numeroInterno, canal = CANALES.WIX) {
+  const numero = parsearNumeroInterno(numeroInterno);
+  return numero && (!numero.tipo || numero.tipo === 'EF') && numero.canal === canal ? numero.orderId : null;
+}
+
+/**
+ * Orden de un numero_interno de NC del canal (NC-WIX-<orderId> o NC-WIX-<orderId>-R<n>)
+ * @param {string} numeroInterno
+ * @param {string} [canal='wix']
+ * @returns {string|null}
+ */
+function orderIdDesdeNC(numeroInterno, canal = CANALES.WIX) {
+  const numero = parsearNumeroInterno(numeroInterno);
+  return numero?.tipo === 'NC' && numero.canal === canal ? numero.orderId : null;
+}
+
+/**
+ * Total de un comprobante devuelto por Biller
+ */
+function montoBiller(cfe) {
+  const total = cfe.total ?? cfe.monto_total ?? cfe.importe_total;
+  return total === undefined || total === null ? null : parseFloat(total);
+}
+
+/**
+ * Accion de correccion: reutiliza los endpoints de reproceso / NC
+ * @param {string} tipo
+ * @param {string} orderId
+ * @param {Object} contexto - { instanceId, canal } (canal solo si no es Wix)
+ * @param {Object} [extra] - { billerId }
+ */
+function accion(tipo, orderId, { instanceId, canal }, extra = {}) {
+  const params = new URLSearchParams({
+    ...(instanceId && { instanceId }),
+    ...(canal && canal !== CANALES.WIX && { canal })
+  }).toString();
+  const query = params ? `?${params}` : '';
+
+  switch (tipo) {
+    case 'reprocesar':
+      return { tipo, method: 'POST', endpoint: `/api/reprocesar-orden/${orderId}${query}` };
+    case 'sincronizar':
+      return { tipo, method: 'POST', endpoint: `/api/reprocesar-orden/${orderId}?sincronizar=true${params ? `&${params}` : ''}` };
+    case 'emitir_nc':
+      return { tipo, method: 'POST', endpoint: `/api/emitir-nc/${orderId}${query}` };
+    case 'anular':
+      // El id de Biller solo identifica el CFE dentro de la cuenta del sitio
+      return { tipo, method: 'POST', endpoint: '/api/anular-comprobante', body: { id: extra.billerId, ...(instanceId && { instanceId }) } };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Cruzar ordenes, comprobantes locales y CFE de Biller
+ * @param {Object} datos
+ * @param {Array} datos.ordenes - Ordenes del canal normalizadas
+ * @param {Array} datos.locales - Registros del ComprobanteStore (CFE, NC, ND)
+ * @param {Array} datos.cfesBiller - Comprobantes devueltos por Biller
+ * @param {Array<string>} [datos.ordenesInexistentes] - IDs confirmados como inexistentes en el canal
+ * @param {Object} [opciones]
+ * @param {number} [opciones.tolerancia] - Diferencia de monto aceptada
+ * @param {string} [opciones.instanceId] - Sitio (para las acciones)
+ * @param {string} [opciones.canal='wix'] - Canal de las ordenes (CFE de otros canales se ignoran)
+ * @returns {Array<Object>} Discrepancias { tipo, orderId, detalle, accion }
+ */
+function conciliar(datos, opciones = {}) {
+  const tolerancia = opciones.tolerancia ?? config.conciliacion.tolerancia;
+  const { instanceId, canal = CANALES.WIX } = opciones;
+  const contexto = { instanceId, canal };
+  const discrepancias = [];
+
+  const localPorOrden = new Map();
+  const ordenesConNC = new Set();
+  for (const comp of datos.locales) {
+    // e-Ticket cambiado a e-Factura: la NC del cambio lo anula, no a la venta
+    if (comp.reemplazado || (comp.is_credit_note && comp.cambio_factura)) continue;
+    if (comp.is_credit_note) {
+      ordenesConNC.add(comp.order_id);
+    } else if (!comp.is_debit_note && comp.order_id) {
+      localPorOrden.set(comp.order_id, comp);
+    }
+  }
+
+  const billerPorOrden = new Map();
+  for (const cfe of datos.cfesBiller) {
+    const ncOrderId = orderIdDesdeNC(cfe.numero_interno, canal);
+    if (ncOrderId) {
+      ordenesConNC.add(ncOrderId);
+      continue;
+    }
+    const orderId = orderIdDesdeNumeroInterno(cfe.numero_interno, canal);
+    // La e-Factura de un cambio (EF-) reemplaza al e-Ticket anulado
+    if (orderId && (!billerPorOrden.has(orderId) || parsearNumeroInterno(cfe.numero_interno).tipo === 'EF')) {
+      billerPorOrden.set(orderId, cfe);
+    }
+  }
+
+  const ordenesCanal = new Map(datos.ordenes.map(o => [o.id, o]));
+
+  for (const orden of datos.ordenes) {
+    const local = localPorOrden.get(orden.id) || null;
+    const cfe = billerPorOrden.get(orden.id) || null;
+    const cancelada = orden.status === 'CANCELED' ||
+      orden.paymentStatus === 'REFUNDED' ||
+      orden.paymentStatus === 'FULLY_REFUNDED';
+    // Mismo criterio que facturarOrden
+    const pagada = orden.status === 'APPROVED' || orden.paymentStatus === 'PAID';
+
+    if (!local && !cfe) {
+      if (pagada && !cancelada) {
+        discrepancias.push({
+          tipo: TIPOS_DISCREPANCIA.FACTURA_FALTANTE,
+          orderId: orden.id,
+          detalle: { numero: orden.number, total: orden.montos?.total, fecha: orden.createdDate },
+          accion: accion('reprocesar', orden.id, contexto)
+        });
+      }
+      continue;
+    }
+
+    if (!local && cfe) {
+      discrepancias.push({
+        tipo: TIPOS_DISCREPANCIA.SIN_REGISTRO_LOCAL,
+        orderId: orden.id,
+        detalle: { billerId: cfe.id, serie: cfe.serie, numero: cfe.numero },
+        // El reproceso encuentra el CFE por numero_interno y lo sincroniza sin re-emitir
+        accion: accion('reprocesar', orden.id, contexto)
+      });
+    }
+
+    if (cancelada && !ordenesConNC.has(orden.id) && !(local?.total_acreditado > 0)) {
+      discrepancias.push({
+        tipo: TIPOS_DISCREPANCIA.CANCELADA_SIN_NC,
+        orderId: orden.id,
+        detalle: { status: orden.status, paymentStatus: orden.paymentStatus, billerId: cfe?.id || local?.id },
+        accion: accion('emitir_nc', orden.id, contexto)
+      });
+      continue;
+    }
+
+    const totalWix = parseFloat(orden.montos?.total) || 0;
+    const totalLocal = local && (local.total ?? local.monto_total) != null
+      ? parseFloat(local.total ?? local.monto_total)
+      : null;
+    const totalBiller = cfe ? montoBiller(cfe) : null;
+    const totalFiscal = totalBiller ?? totalLocal;
+
+    if (totalFiscal !== null && Math.abs(totalFiscal - totalWix) > tolerancia) {
+      // El CFE no refleja la venta: anular con NC
+      discrepancias.push({
+        tipo: TIPOS_DISCREPANCIA.MONTO_DIFERENTE,
+        orderId: orden.id,
+        detalle: { wix: totalWix, local: totalLocal, biller: totalBiller, diferencia: redondear(totalFiscal - totalWix) },
+        accion: accion('emitir_nc', orden.id, contexto)
+      });
+    } else if (totalLocal !== null && totalBiller !== null && Math.abs(totalLocal - totalBiller) > tolerancia) {
+      // Biller es correcto: actualizar el registro local
+      discrepancias.push({
+        tipo: TIPOS_DISCREPANCIA.MONTO_DIFERENTE,
+        orderId: orden.id,
+        detalle: { wix: totalWix, local: totalLocal, biller: totalBiller, diferencia: redondear(totalLocal - totalBiller) },
+        accion: accion('sincronizar', orden.id, contexto)
+      });
+    }
+  }
+
+  // CFE de ordenes que el canal confirma inexistentes
+  const inexistentes = new Set(datos.ordenesInexistentes || []);
+  for (const orderId of inexistentes) {
+    if (ordenesCanal.has(orderId)) continue;
+    const cfe = billerPorOrden.get(orderId);
+    const local = localPorOrden.get(orderId);
+    const billerId = cfe?.id || local?.id;
+    if (!billerId) continue;
+
+    discrepancias.push({
+      tipo: TIPOS_DISCREPANCIA.CFE_HUERFANO,
+      orderId,
+      detalle: { billerId, serie: cfe?.serie || local?.serie, numero: cfe?.numero || local?.numero, total: cfe ? montoBiller(cfe) : local?.total },
+      accion: accion('anular', orderId, contexto, { billerId })
+    });
+  }
+
+  return discrepancias;
+}
+
+/**
+ * Actualizar el registro local de una orden con los datos del CFE en Biller
+ * (accion 'sincronizar' de MONTO_DIFERENTE local vs Biller). No emite nada.
+ * @param {string} orderId
+ * @param {Object} [opciones]
+ * @param {string} [opciones.instanceId]
+ * @param {string} [opciones.canal='wix']
+ * @param {Object} [opciones.store]
+ * @returns {Object|null} Registro actualizado o null si no hay CFE en Biller
+ */
+async function sincronizarDesdeBiller(orderId, opciones = {}) {
+  const store = opciones.store || getComprobanteStore();
+  const canal = opciones.canal || CANALES.WIX;
+  const existente = store.findByOrderId(orderId, canal);
+  if (!existente) return null;
+
+  const billerClient = getBillerClientForTenant(opciones.instanceId || existente.instance_id || null);
+  const cfe = await billerClient.buscarPorNumeroInterno(existente.numero_interno || numeroInternoOrden(orderId, canal));
+  if (!cfe) return null;
+
+  const total = montoBiller(cfe) ?? existente.total;
+  logger.info('Registro local sincronizado con Biller', { orderId, billerId: cfe.id, totalAnterior: existente.total, total });
+
+  return store.update(orderId, {
+    id: cfe.id,
+    serie: cfe.serie,
+    numero: cfe.numero,
+    tipo_comprobante: cfe.tipo_comprobante || existente.tipo_comprobante,
+    total,
+    monto_total: total,
+    synced_from_biller: true,
+    sincronizado_at: new Date().toISOString()
+  }, canal);
+}
+
+/**
+ * Recorrer todas las paginas de ordenes del canal creadas en el rango
+ * @param {Object} fuente
+ * @param {string} desde
+ * @param {string} hasta
+ * @returns {Array} Ordenes normalizadas
+ */
+async function obtenerOrdenes(fuente, desde, hasta) {
+  const ordenes = [];
+  let cursor = null;
+
+  do {
+    const pagina = await fuente.listarOrdenes({ desde, hasta, cursor, limite: 100 });
+    ordenes.push(...pagina.ordenes.map(o => fuente.normalizarOrden(o)));
+    cursor = pagina.cursor;
+  } while (cursor);
+
+  return ordenes;
+}
+
+/**
+ * Listar CFE emitidos en Biller dia por dia (respuestas acotadas)
+ * @param {Object} billerClient
+ * @param {Array<string>} dias
+ * @returns {Array}
+ */
+async function obtenerComprobantesBiller(billerClient, dias) {
+  const cfes = [];
+
+  for (const dia of dias) {
+    const respuesta = await billerClient.listarComprobantes({
+      desde: `${dia} 00:00:00`,
+      hasta: `${dia} 23:59:59`
+    });
+    const lista = Array.isArray(respuesta) ? respuesta : (respuesta?.data || []);
+    cfes.push(...lista);
+  }
+
+  return cfes;
+}
+
+/**
+ * Generar reporte de conciliacion para un rango de fechas
+ * @param {Object} params
+ * @param {string} params.desde - aaaa-mm-dd
+ * @param {string} params.hasta - aaaa-mm-dd
+ * @param {string} [params.instanceId] - Sitio Wix (credenciales Biller y comprobantes del sitio)
+ * @param {string} [params.canal='wix'] - Canal a conciliar
+ * @param {Object} [deps]
+ * @param {Object} [deps.fuente] - default: getFuente(canal)
+ * @param {Object} [deps.billerClient] - default: el del sitio
+ * @param {Object} [deps.store] - default: ComprobanteStore
+ * @returns {Object} Reporte { desde, hasta, resumen, discrepancias }
+ * @throws {ConciliacionError}
+ */
+async function generarReporteConciliacion({ desde, hasta, instanceId = null, canal = CANALES.WIX }, deps = {}) {
+  const dias = diasDelRango(desde, hasta);
+  const fuente = deps.fuente || getFuente(canal);
+  const billerClient = deps.billerClient || getBillerClientForTenant(instanceId);
+  const store = deps.store || getComprobanteStore();
+
+  logger.info('Conciliacion iniciada', { desde, hasta, instanceId, canal: fuente.canal });
+
+  const ordenes = await obtenerOrdenes(fuente, desde, hasta);
+  const cfesBiller = await obtenerComprobantesBiller(billerClient, dias);
+
+  // Locales del rango mas los de las ordenes del rango (pueden facturarse despues)
+  const idsOrdenes = new Set(ordenes.map(o => o.id));
+  const filtro = filtroTenant(instanceId);
+  const hastaISO = `${hasta}T23:59:59.999Z`;
+  // Solo comprobantes del canal: los de otros canales se concilian contra el suyo
+  const locales = store.find(c => filtro(c) && canalDe(c) === fuente.canal && (
+    idsOrdenes.has(c.order_id) ||
+    (c.created_at >= `${desde}T00:00:00.000Z` && c.created_at <= hastaISO)
+  ));
+
+  // CFE cuya orden no vino en el rango: verificar si existe en el canal
+  const sinOrden = new Set();
+  for (const cfe of cfesBiller) {
+    const orderId = orderIdDesdeNumeroInterno(cfe.numero_interno, fuente.canal);
+    if (orderId && !idsOrdenes.has(orderId)) sinOrden.add(orderId);
+  }
+  for (const comp of locales) {
+    if (!comp.is_credit_note && !comp.is_debit_note && comp.order_id && !idsOrdenes.has(comp.order_id)) {
+      sinOrden.add(comp.order_id);
+    }
+  }
+
+  const ordenesInexistentes = [];
+  const clavesLocales = new Set(locales.map(c => c.key));
+  for (const orderId of Array.from(sinOrden).slice(0, MAX_VERIFICACIONES)) {
+    const order = await fuente.obtenerOrden(orderId);
+    if (order) {
+      ordenes.push(fuente.normalizarOrden(order));
+      for (const comp of store.find(c => c.order_id === orderId && canalDe(c) === fuente.canal && filtro(c))) {
+        if (!clavesLocales.has(comp.key)) locales.push(comp);
+      }
+    } else {
+      ordenesInexistentes.push(orderId);
+    }
+  }
+  if (sinOrden.size > MAX_VERIFICACIONES) {
+    logger.warn('Conciliacion: ordenes sin verificar en el canal', { total: sinOrden.size, verificadas: MAX_VERIFICACIONES });
+  }
+
+  const discrepancias = conciliar(
+    { ordenes, locales, cfesBiller, ordenesInexistentes },
+    { instanceId, canal: fuente.canal }
+  );
+
+  const porTipo = {};
+  for (const d of discrepancias) {
+    porTipo[d.tipo] = (porTipo[d.tipo] || 0) + 1;
+  }
+
+  const reporte = {
+    desde,
+    hasta,
+    instanceId,
+    canal: fuente.canal,
+    generadoEn: new Date().toISOString(),
+    resumen: {
+      ordenes: ordenes.length,
+      comprobantesLocales: locales.length,
+      comprobantesBiller: cfesBiller.length,
+      discrepancias: discrepancias.length,
+      porTipo
+    },
+    discrepancias
+  };
+
+  logger.info('Conciliacion finalizada', { desde, hasta, ...reporte.resumen });
+
+  return reporte;
+}
+
+module.exports = {
+  TIPOS_DISCREPANCIA,
+  ConciliacionError,
+  conciliar,
+  diasDelRango,
+  orderIdDesdeNumeroInterno,
+  generarReporteConciliacion,
+  sincronizarDesdeBiller
+};
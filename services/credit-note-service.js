@@ -6,17 +6,32 @@
 
 const config = require('../config');
 const logger = require('../utils/logger');
-const { BillerClient } = require('../biller-client');
 const { getComprobanteStore } = require('../utils/store');
-const { parseMontoSeguro, formatDateForBiller } = require('../utils/date-formatter');
-
-const billerClient = new BillerClient();
+const { getBillerClientForTenant } = require('./tenant');
+const { parseMontoSeguro, formatDateForBiller, truncateForBiller, BILLER_FIELD_LIMITS } = require('../utils/date-formatter');
+const { redondear, prorratear, netoItem, totalesPorIndicador } = require('./descuentos');
+const { CANALES, numeroInternoOrden, canalDe } = require('./canales');
 
 // Funcion helper para obtener el store
 function getStore() {
   return getComprobanteStore();
 }
 
+/**
+ * Resolver contexto de tenant de la operacion
+ * Si no viene instanceId se usa el del comprobante original
+ * @param {Object} contexto - { instanceId, billerClient }
+ * @param {Object} [comprobante] - Comprobante original
+ * @returns {Object} { instanceId, billerClient }
+ */
+function resolverContexto(contexto = {}, comprobante = null) {
+  const instanceId = contexto.instanceId || comprobante?.instance_id || null;
+  return {
+    instanceId,
+    billerClient: contexto.billerClient || getBillerClientForTenant(instanceId)
+  };
+}
+
 /**
  * Calcular total de una orden normalizada de Wix
  * FIX: Usar parseMontoSeguro para evitar NaN
@@ -44,47 +59,24 @@ function calcularTotalOrden(ordenNormalizada) {
  * Procesar cancelacion de orden de Wix
  * Emite NC si la orden ya estaba facturada
  * @param {Object} ordenNormalizada - Orden normalizada de Wix
+ * @param {Object} [contexto] - { instanceId } del sitio Wix
  * @returns {Object} Resultado
  */
-async function procesarCancelacion(ordenNormalizada) {
+async function procesarCancelacion(ordenNormalizada, contexto = {}) {
   const orderId = ordenNormalizada.id;
-  logger.info('Procesando cancelacion Wix para NC', { orderId });
+  const canal = canalDe(ordenNormalizada);
+  logger.info('Procesando cancelacion Wix para NC', { orderId, instanceId: contexto.instanceId });
 
-  // Buscar comprobante original en store local
   const store = getStore();
-  let comprobante = store.findByOrderId(orderId);
-
-  // Si no esta en store local, buscar en Biller
-  if (!comprobante) {
-    logger.info('Comprobante no en store local, buscando en Biller...', { orderId });
-    const numeroInterno = `WIX-${orderId}`;
-    const comprobanteEnBiller = await billerClient.buscarPorNumeroInterno(numeroInterno);
-
-    if (comprobanteEnBiller) {
-      logger.info('Comprobante encontrado en Biller', { orderId, billerId: comprobanteEnBiller.id });
-
-      // Calcular total desde la orden
-      const totalOrden = calcularTotalOrden(ordenNormalizada);
-
-      comprobante = {
-        ...comprobanteEnBiller,
-        wix_order_id: orderId,
-        total: totalOrden,
-        monto_total: totalOrden,
-        synced_from_biller: true
-      };
-
-      // Guardar en store local para futuras referencias
-      store.set(orderId, comprobante);
-      logger.info('Comprobante sincronizado a store local', { orderId, billerId: comprobanteEnBiller.id, total: totalOrden });
-    }
-  }
+  const comprobante = await obtenerComprobanteOriginal(ordenNormalizada, contexto);
 
   if (!comprobante) {
     logger.info('Cancelacion sin comprobante previo (ni en store ni en Biller)', { orderId });
     return { action: 'skipped', reason: 'no_invoice' };
   }
 
+  const { instanceId, billerClient } = resolverContexto(contexto, comprobante);
+
   logger.info('Comprobante original encontrado', {
     orderId,
     comprobanteId: comprobante.id,
@@ -93,17 +85,25 @@ async function procesarCancelacion(ordenNormalizada) {
     total: comprobante.total || comprobante.monto_total
   });
 
+  // Con NC parciales previas no se puede anular: acreditar solo el saldo
+  if (store.getTotalAcreditado(orderId, canal) > 0) {
+    logger.info('Orden con NC parciales previas, se acredita el saldo', { orderId });
+    return await procesarReembolsosParciales(ordenNormalizada, comprobante, [
+      { id: 'cancelacion', monto: calcularSaldoAcreditable(comprobante, ordenNormalizada), items: [] }
+    ], { instanceId, billerClient });
+  }
+
   // Verificar NC existente en store local
-  let ncExistente = store.findNCByOrderId(orderId);
+  let ncExistente = store.findNCByOrderId(orderId, canal);
 
   // Tambien verificar en Biller si ya existe NC
   if (!ncExistente) {
-    const ncNumeroInterno = `NC-WIX-${orderId}`;
+    const ncNumeroInterno = numeroInternoOrden(orderId, canal, 'NC');
     const ncEnBiller = await billerClient.buscarPorNumeroInterno(ncNumeroInterno);
 
     if (ncEnBiller) {
       logger.info('NC ya existe en Biller para esta cancelacion', { orderId, ncId: ncEnBiller.id });
-      store.addNC(orderId, { ...ncEnBiller, synced_from_biller: true });
+      store.addNC(orderId, { ...ncEnBiller, instance_id: instanceId, synced_from_biller: true }, canal);
       return { action: 'skipped', reason: 'nc_exists_in_biller' };
     }
   } else {
@@ -133,9 +133,9 @@ async function procesarCancelacion(ordenNormalizada) {
 
   // Usar endpoint /anular de Biller (preferible)
   logger.info('Anulando comprobante via endpoint /anular', { orderId, monto });
-  const nc = await anularComprobanteBiller(comprobante, orderId);
+  const nc = await anularComprobanteBiller(comprobante, orderId, { instanceId, billerClient });
 
-  store.addNC(orderId, nc);
+  store.addNC(orderId, { ...nc, instance_id: instanceId }, canal);
 
   logger.info('NC emitida exitosamente por cancelacion', {
     orderId,
@@ -148,24 +148,270 @@ async function procesarCancelacion(ordenNormalizada) {
   return { action: 'nc_emitted', nc };
 }
 
+/**
+ * Buscar comprobante original de una orden (store local o Biller del sitio)
+ * Si se encuentra en Biller se sincroniza al store local
+ * @param {Object} ordenNormalizada
+ * @param {Object} [contexto] - { instanceId } del sitio Wix
+ * @returns {Object|null}
+ */
+async function obtenerComprobanteOriginal(ordenNormalizada, contexto = {}) {
+  const orderId = ordenNormalizada.id;
+  const canal = canalDe(ordenNormalizada);
+
+  // Buscar comprobante original en store local
+  const store = getStore();
+  let comprobante = store.findByOrderId(orderId, canal);
+
+  // Si no esta en store local, buscar en Biller
+  if (!comprobante) {
+    logger.info('Comprobante no en store local, buscando en Biller...', { orderId });
+    const numeroInterno = numeroInternoOrden(orderId, canal);
+    const { instanceId, billerClient } = resolverContexto(contexto);
+    const comprobanteEnBiller = await billerClient.buscarPorNumeroInterno(numeroInterno);
+
+    if (comprobanteEnBiller) {
+      logger.info('Comprobante encontrado en Biller', { orderId, billerId: comprobanteEnBiller.id });
+
+      // Calcular total desde la orden
+      const totalOrden = calcularTotalOrden(ordenNormalizada);
+
+      comprobante = {
+        ...comprobanteEnBiller,
+        ...(canal === CANALES.WIX && { wix_order_id: orderId }),
+        canal,
+        total: totalOrden,
+        monto_total: totalOrden,
+        instance_id: instanceId,
+        synced_from_biller: true
+      };
+
+      // Guardar en store local para futuras referencias
+      comprobante = store.set(orderId, comprobante);
+      logger.info('Comprobante sincronizado a store local', { orderId, billerId: comprobanteEnBiller.id, total: totalOrden });
+    }
+  }
+
+  return comprobante;
+}
+
 /**
  * Procesar refund de Wix (transactionsUpdated)
+ * - REFUNDED sin NC parciales previas: anula el comprobante completo
+ * - PARTIALLY_REFUNDED (o REFUNDED luego de parciales): NC parcial por cada refund nuevo
  * @param {Object} ordenNormalizada - Orden normalizada
- * @param {Object} transactionData - Datos de la transaccion (opcional)
+ * @param {Array} [reembolsos] - Refunds normalizados (ver WixClient.normalizeRefunds)
+ * @param {Object} [contexto] - { instanceId } del sitio Wix
  * @returns {Object} Resultado
  */
-async function procesarRefund(ordenNormalizada, transactionData = null) {
+async function procesarRefund(ordenNormalizada, reembolsos = [], contexto = {}) {
   const orderId = ordenNormalizada.id;
-  logger.info('Procesando refund Wix', { orderId });
+  const canal = canalDe(ordenNormalizada);
+  const { paymentStatus } = ordenNormalizada;
+  logger.info('Procesando refund Wix', { orderId, paymentStatus, reembolsos: reembolsos.length });
 
-  // Verificar si el payment status es REFUNDED
-  if (ordenNormalizada.paymentStatus !== 'REFUNDED') {
-    logger.debug('Orden no tiene paymentStatus REFUNDED', { orderId, paymentStatus: ordenNormalizada.paymentStatus });
+  if (paymentStatus !== 'REFUNDED' && paymentStatus !== 'PARTIALLY_REFUNDED') {
+    logger.debug('Orden sin refund', { orderId, paymentStatus });
     return { action: 'skipped', reason: 'not_refunded' };
   }
 
-  // Procesar como cancelacion (misma logica)
-  return await procesarCancelacion(ordenNormalizada);
+  const store = getStore();
+
+  // Refund total sin parciales previos: misma logica que cancelacion (anular)
+  if (paymentStatus === 'REFUNDED' && store.getTotalAcreditado(orderId, canal) === 0) {
+    return await procesarCancelacion(ordenNormalizada, contexto);
+  }
+
+  const comprobante = await obtenerComprobanteOriginal(ordenNormalizada, contexto);
+  if (!comprobante) {
+    logger.info('Refund sin comprobante previo (ni en store ni en Biller)', { orderId });
+    return { action: 'skipped', reason: 'no_invoice' };
+  }
+
+  let pendientes = reembolsos.filter(r => !store.isRefundProcesado(orderId, r.id, canal));
+
+  // Refund total sin detalle de transacciones: acreditar el saldo restante
+  if (pendientes.length === 0 && paymentStatus === 'REFUNDED') {
+    pendientes = [{ id: 'saldo', monto: calcularSaldoAcreditable(comprobante, ordenNormalizada), items: [] }];
+  }
+
+  if (pendientes.length === 0) {
+    logger.info('Refund parcial sin refunds nuevos para acreditar', { orderId });
+    return { action: 'skipped', reason: 'no_new_refunds' };
+  }
+
+  return await procesarReembolsosParciales(ordenNormalizada, comprobante, pendientes, contexto);
+}
+
+/**
+ * Emitir una NC parcial por cada refund pendiente
+ * Nunca acredita mas que el saldo (facturado - acreditado acumulado)
+ * @param {Object} ordenNormalizada
+ * @param {Object} comprobante - Comprobante original
+ * @param {Array} reembolsos - Refunds normalizados pendientes
+ * @param {Object} [contexto] - { instanceId, billerClient }
+ * @returns {Object} Resultado
+ */
+async function procesarReembolsosParciales(ordenNormalizada, comprobante, reembolsos, contexto = {}) {
+  const orderId = ordenNormalizada.id;
+  const canal = canalDe(ordenNormalizada);
+  const store = getStore();
+  const { instanceId, billerClient } = resolverContexto(contexto, comprobante);
+  const ncs = [];
+
+  for (const reembolso of reembolsos) {
+    const saldo = calcularSaldoAcreditable(comprobante, ordenNormalizada);
+    if (saldo <= 0) {
+      logger.warn('Refund supera lo facturado, no se emite NC', {
+        orderId,
+        refundId: reembolso.id,
+        monto: reembolso.monto,
+        totalAcreditado: store.getTotalAcreditado(orderId, canal)
+      });
+      break;
+    }
+
+    let items = calcularItemsReembolso(comprobante, reembolso);
+    let monto = items ? sumarItems(items) : redondear(reembolso.monto);
+
+    // Recortar al saldo: se reparte el saldo por indicador en lugar de por linea
+    if (monto > saldo) {
+      logger.warn('Refund recortado al saldo acreditable', { orderId, refundId: reembolso.id, monto, saldo });
+      monto = saldo;
+      items = comprobante.items?.length ? repartirPorIndicador(comprobante.items, saldo, orderId) : null;
+    }
+
+    const numeroInterno = numeroInternoOrden(
+      orderId,
+      canal,
+      'NC',
+      `R${(comprobante.reembolsos?.length || 0) + 1}`
+    );
+
+    // Idempotencia: la NC pudo emitirse en un intento anterior que fallo al guardar
+    let nc = await billerClient.buscarPorNumeroInterno(numeroInterno);
+    if (nc) {
+      logger.info('NC parcial ya existe en Biller', { orderId, numeroInterno, ncId: nc.id });
+    } else {
+      nc = await emitirNotaCreditoManual(ordenNormalizada, comprobante, monto, {
+        items,
+        numeroInterno,
+        razon: `Devolucion parcial orden Wix ${orderId}`,
+        billerClient
+      });
+    }
+
+    store.addNCParcial(orderId, { ...nc, instance_id: instanceId }, { refundId: reembolso.id, monto }, canal);
+    ncs.push(nc);
+
+    logger.info('NC parcial emitida por refund', {
+      orderId,
+      refundId: reembolso.id,
+      ncId: nc.id,
+      monto,
+      totalAcreditado: store.getTotalAcreditado(orderId, canal)
+    });
+  }
+
+  if (ncs.length === 0) {
+    return { action: 'skipped', reason: 'fully_credited' };
+  }
+
+  return { action: 'nc_emitted', nc: ncs[ncs.length - 1], ncs };
+}
+
+/**
+ * Calcular saldo que todavia puede acreditarse para una orden
+ * (facturado + notas de debito - NC parciales)
+ * @param {Object} comprobante - Comprobante original
+ * @param {Object} ordenNormalizada
+ * @returns {number}
+ */
+function calcularSaldoAcreditable(comprobante, ordenNormalizada) {
+  const facturado = parseMontoSeguro(comprobante.total || comprobante.monto_total, 0) ||
+    calcularTotalOrden(ordenNormalizada);
+  const debitado = comprobante.total_debitado || 0;
+  return Math.max(redondear(facturado + debitado - (comprobante.total_acreditado || 0)), 0);
+}
+
+/**
+ * Construir items de NC para un refund a partir de los items del comprobante original
+ * - Con lineas en el refund: se acreditan esas lineas y cantidades a su precio neto
+ * - Sin lineas (o si no cuadran con el monto devuelto): el monto se reparte por indicador de IVA
+ * @param {Object} comprobante - Comprobante original (con items guardados)
+ * @param {Object} reembolso - Refund normalizado
+ * @returns {Array|null} Items o null si el comprobante no tiene items guardados
+ */
+function calcularItemsReembolso(comprobante, reembolso) {
+  const itemsOriginales = comprobante.items || [];
+  const orderId = comprobante.wix_order_id || comprobante.order_id;
+
+  if (itemsOriginales.length === 0) {
+    return null;
+  }
+
+  const lineas = [];
+  for (const linea of reembolso.items || []) {
+    const original = itemsOriginales.find(i => i.wix_line_item_id === linea.lineItemId);
+    if (original) {
+      lineas.push({ original, cantidad: Math.min(linea.cantidad, original.cantidad) });
+    }
+  }
+  if (reembolso.incluyeEnvio) {
+    const envio = itemsOriginales.find(i => i.wix_line_item_id === 'shipping');
+    if (envio) {
+      lineas.push({ original: envio, cantidad: envio.cantidad });
+    }
+  }
+
+  if (lineas.length > 0) {
+    const items = lineas.map(({ original, cantidad }) => ({
+      concepto: truncateForBiller(`Devolucion: ${original.concepto}`, BILLER_FIELD_LIMITS.CONCEPTO),
+      cantidad,
+      precio: redondear(netoItem(original) / original.cantidad),
+      indicador_facturacion: original.indicador_facturacion
+    }));
+
+    // El monto devuelto manda: si difiere (ej: refund de monto custom) se reparte por indicador
+    if (Math.abs(sumarItems(items) - reembolso.monto) <= 0.01 * items.length) {
+      return items;
+    }
+    return repartirPorIndicador(lineas.map(l => l.original), reembolso.monto, orderId);
+  }
+
+  return repartirPorIndicador(itemsOriginales, reembolso.monto, orderId);
+}
+
+/**
+ * Repartir un monto entre los indicadores de IVA de un conjunto de items
+ * (una linea de NC por indicador, proporcional al neto facturado)
+ * @param {Array} items - Items de Biller de referencia
+ * @param {number} monto - Monto a acreditar
+ * @param {string} orderId
+ * @returns {Array} Items de NC
+ */
+function repartirPorIndicador(items, monto, orderId) {
+  const totales = totalesPorIndicador(items);
+  const indicadores = Object.keys(totales);
+  const montos = prorratear(redondear(monto), indicadores.map(i => totales[i]));
+
+  return indicadores
+    .map((indicador, idx) => ({
+      concepto: `Devolucion parcial Orden Wix ${orderId}`,
+      cantidad: 1,
+      precio: montos[idx],
+      indicador_facturacion: parseInt(indicador)
+    }))
+    .filter(item => item.precio > 0);
+}
+
+/**
+ * Sumar total de items de NC (sin descuentos)
+ * @param {Array} items
+ * @returns {number}
+ */
+function sumarItems(items) {
+  return redondear(items.reduce((sum, i) => sum + i.cantidad * i.precio, 0));
 }
 
 /**
@@ -178,9 +424,12 @@ async function procesarRefund(ordenNormalizada, transactionData = null) {
  *
  * @param {Object} comprobanteOriginal - Comprobante a anular
  * @param {string} orderId - ID de la orden de Wix (para logging)
+ * @param {Object} [contexto] - { instanceId, billerClient }
  * @returns {Object} NC emitida por Biller
  */
-async function anularComprobanteBiller(comprobanteOriginal, orderId) {
+async function anularComprobanteBiller(comprobanteOriginal, orderId, contexto = {}) {
+  const { billerClient } = resolverContexto(contexto, comprobanteOriginal);
+
   logger.info('Anulando comprobante via endpoint /anular', {
     orderId,
     comprobanteId: comprobanteOriginal.id,
@@ -222,22 +471,30 @@ async function anularComprobanteBiller(comprobanteOriginal, orderId) {
  * @param {Object} ordenNormalizada
  * @param {Object} comprobanteOriginal
  * @param {number} monto
+ * @param {Object} [opciones]
+ * @param {Array} [opciones.items] - Items de la NC (default: una linea por el monto)
+ * @param {string} [opciones.numeroInterno] - Numero interno (default: con timestamp)
+ * @param {string} [opciones.razon] - Razon de referencia
+ * @param {BillerClient} [opciones.billerClient] - Cliente del sitio (default: segun comprobante)
  * @returns {Object} NC emitida
  */
-async function emitirNotaCreditoManual(ordenNormalizada, comprobanteOriginal, monto) {
+async function emitirNotaCreditoManual(ordenNormalizada, comprobanteOriginal, monto, opciones = {}) {
   const orderId = ordenNormalizada.id;
+  const { billerClient } = resolverContexto({ billerClient: opciones.billerClient }, comprobanteOriginal);
 
   logger.info('Emitiendo NC manual', { orderId, monto });
 
   // Determinar tipo de NC segun comprobante original
   const tipoNC = obtenerTipoNC(comprobanteOriginal.tipo_comprobante);
 
-  // Preparar items para NC
-  const items = [{
+  // Preparar items para NC (NC de exportacion mantiene indicador EXPORTACION)
+  const items = opciones.items || [{
     concepto: `Devolucion Orden Wix ${orderId}`,
     cantidad: 1,
     precio: monto,
-    indicador_facturacion: config.INDICADORES_IVA.GRAVADO_BASICA
+    indicador_facturacion: tipoNC === config.TIPOS_CFE.NC_E_FACTURA_EXPORTACION
+      ? config.INDICADORES_IVA.EXPORTACION
+      : config.INDICADORES_IVA.GRAVADO_BASICA
   }];
 
   // Preparar referencia al comprobante original
@@ -255,17 +512,23 @@ async function emitirNotaCreditoManual(ordenNormalizada, comprobanteOriginal, mo
   // Construir datos de NC
   const datosNC = {
     tipo_comprobante: tipoNC,
-    numero_interno: `NC-WIX-${orderId}-${Date.now()}`,
-    sucursal: config.biller.empresa.sucursal,
+    numero_interno: opciones.numeroInterno || numeroInternoOrden(orderId, canalDe(comprobanteOriginal), 'NC', Date.now()),
+    sucursal: billerClient.sucursal,
     fecha_emision: fechaEmision,
     items: items,
     referencias: referencias,
-    razon_referencia: `Devolucion orden Wix ${orderId}`,
-    forma_pago: config.FORMAS_PAGO.OTRO,
-    moneda: 'UYU',
+    razon_referencia: opciones.razon || `Devolucion orden Wix ${orderId}`,
+    // Misma forma de pago que el comprobante original
+    forma_pago: comprobanteOriginal.forma_pago || config.FORMAS_PAGO.CONTADO,
+    moneda: comprobanteOriginal.moneda || 'UYU',
     montos_brutos: 1  // Los precios vienen con IVA incluido
   };
 
+  // NC en moneda extranjera: mismo tipo de cambio que el comprobante original
+  if (comprobanteOriginal.tipo_cambio) {
+    datosNC.tipo_cambio = comprobanteOriginal.tipo_cambio;
+  }
+
   // Incluir datos del cliente si el original los tenia
   if (comprobanteOriginal.cliente) {
     datosNC.cliente = comprobanteOriginal.cliente;
@@ -320,8 +583,9 @@ function debeEmitirNC(eventSlug, ordenNormalizada) {
   // Evento de transacciones actualizadas (refund)
   // Puede venir como: transactionsUpdated, transactions_updated, transactionsupdated
   if (slugNormalizado.includes('transaction') || slugNormalizado.includes('refund')) {
-    // Solo emitir NC si el estado de pago es REFUNDED
-    return ordenNormalizada.paymentStatus === 'REFUNDED';
+    // Solo emitir NC si hubo devolucion (total o parcial)
+    return ordenNormalizada.paymentStatus === 'REFUNDED' ||
+      ordenNormalizada.paymentStatus === 'PARTIALLY_REFUNDED';
   }
 
   return false;
@@ -332,6 +596,9 @@ module.exports = {
   procesarRefund,
   anularComprobanteBiller,
   emitirNotaCreditoManual,
+  obtenerComprobanteOriginal,
+  calcularItemsReembolso,
+  calcularSaldoAcreditable,
   obtenerTipoNC,
   debeEmitirNC,
   calcularTotalOrden
@@ -0,0 +1,322 @@
+/**
+ * Datos del receptor pedidos al comprador
+ * Una venta > 5000 UI sin documento queda retenida (services/revision). En vez de
+ * esperar al admin se le manda al comprador un email con un link firmado a un
+ * formulario (routes/datos-receptor) donde carga tipo, numero de documento y nombre;
+ * con datos validos la orden se aprueba y se emite. Si no responde dentro del
+ * plazo se aplica el fallback configurado (dejarla al admin o emitir el e-Ticket).
+ * @module services/datos-receptor
+ */
+
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getRevisionStore } = require('../utils/revision-store');
+const { getAuditLogger } = require('../utils/audit-logger');
+const { validarEmail, sanitizarString } = require('../utils/validators');
+const { enviarSMTP } = require('../monitoring/alert-channels');
+const { tenantKey } = require('./tenant');
+const { getSecret, maskEmail } = require('../middleware/customer-auth');
+const {
+  ESTADOS_REVISION,
+  MOTIVOS_RETENCION,
+  RevisionError,
+  editarDatosFiscales,
+  aprobarRevision
+} = require('./revision');
+
+const AUDIENCIA = 'datos-receptor';
+const ACTOR_SOLICITUD = 'sistema:datos-receptor';
+const ACTOR_PLAZO = 'sistema:plazo-datos-receptor';
+
+const ESTADOS_SOLICITUD = Object.freeze({
+  ENVIADA: 'enviada',
+  RESPONDIDA: 'respondida',
+  VENCIDA: 'vencida'
+});
+
+const FALLBACKS = Object.freeze({
+  REVISION: 'revision',
+  EMITIR: 'emitir'
+});
+
+/**
+ * Error del formulario de datos del receptor
+ */
+class DatosReceptorError extends Error {
+  constructor(message, code = 'DATOS_RECEPTOR_INVALIDOS') {
+    super(message);
+    this.name = 'DatosReceptorError';
+    this.code = code;
+  }
+}
+
+/**
+ * Token del link del formulario (vence junto con la solicitud)
+ * @param {Object} registro - Registro de la cola con solicitudDatos
+ * @returns {string}
+ */
+function emitirTokenFormulario(registro) {
+  return jwt.sign(
+    { rid: registro.id, exp: Math.floor(Date.parse(registro.solicitudDatos.venceEn) / 1000) },
+    getSecret(),
+    { algorithm: 'HS256', audience: AUDIENCIA }
+  );
+}
+
+/**
+ * Verificar el token del link
+ * @param {string} token
+ * @returns {string} Id del registro en la cola
+ * @throws {DatosReceptorError} LINK_VENCIDO o LINK_INVALIDO
+ * @throws {CustomerAuthError} AUTH_NOT_CONFIGURED sin secreto
+ */
+function verificarTokenFormulario(token) {
+  const secret = getSecret();
+  let payload;
+  try {
+    payload = jwt.verify(token, secret, { algorithms: ['HS256'], audience: AUDIENCIA });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new DatosReceptorError('El link vencio', 'LINK_VENCIDO');
+    }
+    throw new DatosReceptorError('Link invalido', 'LINK_INVALIDO');
+  }
+
+  if (!payload.rid) {
+    throw new DatosReceptorError('Link invalido', 'LINK_INVALIDO');
+  }
+  return payload.rid;
+}
+
+/**
+ * URL publica del formulario
+ * @param {string} token
+ * @returns {string}
+ */
+function linkFormulario(token) {
+  return `${config.server.publicUrl}/datos-fiscales/${token}`;
+}
+
+/**
+ * Registro pendiente al que apunta un link, con la solicitud abierta
+ * @param {string} token
+ * @param {Object} [store]
+ * @returns {Object} Registro de la cola
+ * @throws {DatosReceptorError}
+ */
+function obtenerSolicitud(token, store = getRevisionStore()) {
+  const registro = store.get(verificarTokenFormulario(token));
+  if (!registro?.solicitudDatos) {
+    throw new DatosReceptorError('Link invalido', 'LINK_INVALIDO');
+  }
+  if (registro.estado !== ESTADOS_REVISION.PENDIENTE || registro.solicitudDatos.estado !== ESTADOS_SOLICITUD.ENVIADA) {
+    throw new DatosReceptorError('Los datos de esta compra ya no se pueden modificar', 'SOLICITUD_CERRADA');
+  }
+  return registro;
+}
+
+function textoEmail(registro, link, venceEn) {
+  const { numero, total, moneda, comprador } = registro.orden;
+  return [
+    `Hola${comprador ? ` ${comprador}` : ''},`,
+    '',
+    `Para emitir la factura de tu compra #${numero ?? registro.orderId} (${moneda} ${total}) la normativa de DGI`,
+    'exige identificar al comprador. Completa tu documento en el siguiente link:',
+    '',
+    link,
+    '',
+    `El link vence el ${new Date(venceEn).toLocaleString('es-UY', { timeZone: 'America/Montevideo' })}.`,
+    '',
+    'Si compraste como empresa, ingresa el RUT y la razon social.'
+  ].join('\n');
+}
+
+/**
+ * Pedir al comprador los datos que faltan para emitir
+ * Solo cuando el unico motivo de la retencion es la venta grande sin documento
+ * y hay email del comprador y SMTP configurado (si no, la orden queda al admin)
+ * @param {Object} registro - Registro de la cola (retenerOrden)
+ * @param {Object} [opciones]
+ * @param {Function} [opciones.enviar] - async (smtp, mensaje), default: enviarSMTP
+ * @param {Object} [opciones.smtp] - default: config.alertas.canales.email
+ * @param {Date} [opciones.ahora]
+ * @param {Object} [opciones.store]
+ * @param {Object} [opciones.auditLogger]
+ * @returns {Promise<Object|null>} Registro actualizado, o null si no corresponde pedirlos
+ */
+async function solicitarDatosReceptor(registro, opciones = {}) {
+  const {
+    enviar = enviarSMTP,
+    smtp = config.alertas.canales.email,
+    ahora = new Date(),
+    store = getRevisionStore(),
+    auditLogger = getAuditLogger()
+  } = opciones;
+  const email = registro.orden?.email;
+
+  const soloFaltaDocumento = registro.motivos.length > 0 &&
+    registro.motivos.every(m => m.codigo === MOTIVOS_RETENCION.VENTA_GRANDE_SIN_DOCUMENTO);
+
+  if (!config.datosReceptor.enabled || !soloFaltaDocumento || registro.solicitudDatos || !validarEmail(email) || !smtp?.host) {
+    return null;
+  }
+
+  const venceEn = new Date(ahora.getTime() + config.datosReceptor.plazoHoras * 60 * 60 * 1000).toISOString();
+  const solicitudDatos = {
+    email,
+    enviadaEn: ahora.toISOString(),
+    venceEn,
+    estado: ESTADOS_SOLICITUD.ENVIADA
+  };
+  const link = linkFormulario(emitirTokenFormulario({ ...registro, solicitudDatos }));
+
+  await enviar(smtp, {
+    to: [email],
+    subject: `Datos para la factura de tu compra #${registro.orden.numero ?? registro.orderId}`,
+    text: textoEmail(registro, link, venceEn)
+  });
+
+  const actualizado = store.guardar({ ...registro, solicitudDatos });
+
+  auditLogger.registrarOperacion('solicitar_datos_receptor', {
+    actor: ACTOR_SOLICITUD,
+    tenant: tenantKey(registro.instance_id),
+    orderId: registro.orderId,
+    request: { id: registro.id, email: maskEmail(email), venceEn }
+  }, { id: registro.id });
+
+  logger.info('Datos del receptor pedidos al comprador', { id: registro.id, email: maskEmail(email), venceEn });
+  return actualizado;
+}
+
+/**
+ * Registrar los datos cargados en el formulario y liberar la orden a emision
+ * RUT: el nombre es la razon social; CI: el nombre completo del comprador
+ * @param {string} token
+ * @param {Object} datos - { tipoDocumento (UY_RUT|UY_CI), documento, nombre }
+ * @param {Object} contexto
+ * @param {Function} contexto.emitir - async (registro, actor) => comprobante (server.js)
+ * @param {Object} [contexto.store]
+ * @param {Object} [contexto.auditLogger]
+ * @returns {Promise<Object>} { registro, comprobante }
+ * @throws {DatosReceptorError}
+ */
+async function registrarDatosReceptor(token, datos = {}, { emitir, store = getRevisionStore(), auditLogger = getAuditLogger() }) {
+  const registro = obtenerSolicitud(token, store);
+  const actor = `cliente:${maskEmail(registro.solicitudDatos.email)}`;
+
+  const nombre = sanitizarString(datos.nombre, 150);
+  if (!nombre) {
+    throw new DatosReceptorError(datos.tipoDocumento === 'UY_RUT' ? 'Ingresa la razon social' : 'Ingresa tu nombre completo', 'NOMBRE_REQUERIDO');
+  }
+
+  let editado;
+  try {
+    editado = editarDatosFiscales(registro.id, {
+      tipoDocumento: datos.tipoDocumento,
+      documento: datos.documento,
+      ...(datos.tipoDocumento === 'UY_RUT' ? { razonSocial: nombre } : { nombreCompleto: nombre })
+    }, { instanceId: registro.instance_id, actor, store, auditLogger });
+  } catch (error) {
+    if (error instanceof RevisionError && error.code === 'DATOS_FISCALES_INVALIDOS') {
+      throw new DatosReceptorError(error.message, 'DOCUMENTO_INVALIDO');
+    }
+    // El admin la esta aprobando en este momento
+    if (error instanceof RevisionError && error.code === 'REVISION_EN_CURSO') {
+      throw new DatosReceptorError('Los datos de esta compra ya no se pueden modificar', 'SOLICITUD_CERRADA');
+    }
+    throw error;
+  }
+
+  store.guardar({
+    ...editado,
+    solicitudDatos: { ...editado.solicitudDatos, estado: ESTADOS_SOLICITUD.RESPONDIDA, respondidaEn: new Date().toISOString() }
+  });
+
+  // Si la emision falla la orden queda pendiente con los datos cargados (la aprueba el admin)
+  return aprobarRevision(registro.id, {
+    emitir,
+    instanceId: registro.instance_id,
+    actor,
+    nota: 'Datos del receptor completados por el comprador',
+    store,
+    auditLogger
+  });
+}
+
+/**
+ * Cerrar las solicitudes sin respuesta cuyo plazo vencio
+ * fallback 'revision': la orden queda pendiente para el admin
+ * fallback 'emitir': se aprueba y se emite el e-Ticket sin documento
+ * @param {Object} contexto
+ * @param {Function} contexto.emitir - Ver aprobarRevision
+ * @param {Date} [contexto.ahora]
+ * @param {string} [contexto.fallback] - default: config.datosReceptor.fallback
+ * @param {Object} [contexto.store]
+ * @param {Object} [contexto.auditLogger]
+ * @returns {Promise<Object>} { vencidas, emitidas, fallidas }
+ */
+async function vencerSolicitudes({
+  emitir,
+  ahora = new Date(),
+  fallback = config.datosReceptor.fallback,
+  store = getRevisionStore(),
+  auditLogger = getAuditLogger()
+}) {
+  const vencidas = store.getAll(r =>
+    r.estado === ESTADOS_REVISION.PENDIENTE &&
+    r.solicitudDatos?.estado === ESTADOS_SOLICITUD.ENVIADA &&
+    Date.parse(r.solicitudDatos.venceEn) <= ahora.getTime()
+  );
+  const resultado = { vencidas: vencidas.length, emitidas: 0, fallidas: 0 };
+
+  for (const registro of vencidas) {
+    store.guardar({
+      ...registro,
+      solicitudDatos: { ...registro.solicitudDatos, estado: ESTADOS_SOLICITUD.VENCIDA, vencidaEn: ahora.toISOString() }
+    });
+
+    auditLogger.registrarOperacion('vencer_solicitud_datos', {
+      actor: ACTOR_PLAZO,
+      tenant: tenantKey(registro.instance_id),
+      orderId: registro.orderId,
+      request: { id: registro.id, fallback }
+    }, { id: registro.id });
+
+    if (fallback !== FALLBACKS.EMITIR) {
+      logger.info('Plazo de datos del receptor vencido, orden queda en revision', { id: registro.id });
+      continue;
+    }
+
+    try {
+      await aprobarRevision(registro.id, {
+        emitir,
+        instanceId: registro.instance_id,
+        actor: ACTOR_PLAZO,
+        nota: 'Plazo vencido sin datos del comprador',
+        store,
+        auditLogger
+      });
+      resultado.emitidas++;
+    } catch (error) {
+      resultado.fallidas++;
+      logger.error('Error emitiendo orden con plazo de datos vencido', { id: registro.id, error: error.message });
+    }
+  }
+
+  return resultado;
+}
+
+module.exports = {
+  ESTADOS_SOLICITUD,
+  FALLBACKS,
+  DatosReceptorError,
+  emitirTokenFormulario,
+  verificarTokenFormulario,
+  linkFormulario,
+  obtenerSolicitud,
+  solicitarDatosReceptor,
+  registrarDatosReceptor,
+  vencerSolicitudes
+};
@@ -0,0 +1,190 @@
+/**
+ * Servicio para manejo de Notas de Debito
+ * Recargos posteriores a la venta (envio extra, correcciones de precio)
+ * @module services/debit-note-service
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getComprobanteStore } = require('../utils/store');
+const { obtenerComprobanteOriginal } = require('./credit-note-service');
+const { getBillerClientForTenant } = require('./tenant');
+const { redondear } = require('./descuentos');
+const { normalizarIndicador } = require('./indicador-iva');
+const { numeroInternoOrden, canalDe } = require('./canales');
+const { parseMontoSeguro, formatDateForBiller, truncateForBiller, BILLER_FIELD_LIMITS } = require('../utils/date-formatter');
+
+/**
+ * Error de datos de Nota de Debito (input invalido o sin comprobante original)
+ */
+class NotaDebitoError extends Error {
+  constructor(message, code = 'ND_INVALIDA') {
+    super(message);
+    this.name = 'NotaDebitoError';
+    this.code = code;
+  }
+}
+
+/**
+ * Obtener tipo de ND segun comprobante original
+ * @param {number} tipoOriginal
+ * @returns {number|null} null si el tipo no admite ND
+ */
+function obtenerTipoND(tipoOriginal) {
+  const mapeo = {
+    101: config.TIPOS_CFE.ND_E_TICKET,                  // e-Ticket -> ND e-Ticket
+    111: config.TIPOS_CFE.ND_E_FACTURA,                 // e-Factura -> ND e-Factura
+    121: config.TIPOS_CFE.ND_E_FACTURA_EXPORTACION,     // Exportacion -> ND exportacion
+    131: config.TIPOS_CFE.ND_E_TICKET_CUENTA_AJENA,     // e-Ticket cuenta ajena -> ND
+    141: config.TIPOS_CFE.ND_E_FACTURA_CUENTA_AJENA     // e-Factura cuenta ajena -> ND
+  };
+
+  return mapeo[tipoOriginal] || null;
+}
+
+/**
+ * Construir items de la ND
+ * Acepta items explicitos o un monto + concepto (una sola linea)
+ * @param {number} tipoND
+ * @param {Object} cargo
+ * @param {Array} [cargo.items] - { concepto, cantidad, precio, indicador_facturacion }
+ * @param {number} [cargo.monto] - Monto del recargo (IVA incluido)
+ * @param {string} [cargo.concepto]
+ * @param {string|number} [cargo.indicador] - Indicador de IVA, numero o nombre (default: tasa basica)
+ * @returns {Array}
+ * @throws {NotaDebitoError}
+ */
+function construirItemsND(tipoND, cargo) {
+  // ND de exportacion: siempre indicador EXPORTACION
+  const indicadorForzado = tipoND === config.TIPOS_CFE.ND_E_FACTURA_EXPORTACION
+    ? config.INDICADORES_IVA.EXPORTACION
+    : null;
+
+  const lineas = Array.isArray(cargo.items) && cargo.items.length > 0
+    ? cargo.items
+    : [{ concepto: cargo.concepto, cantidad: 1, precio: cargo.monto, indicador_facturacion: cargo.indicador }];
+
+  return lineas.map((linea, idx) => {
+    const precio = parseMontoSeguro(linea.precio, 0);
+    const cantidad = parseFloat(linea.cantidad) || 1;
+
+    if (precio <= 0) {
+      throw new NotaDebitoError(`Item ${idx}: precio debe ser mayor a 0`);
+    }
+    if (cantidad <= 0) {
+      throw new NotaDebitoError(`Item ${idx}: cantidad debe ser mayor a 0`);
+    }
+
+    const informado = linea.indicador_facturacion;
+    const indicador = normalizarIndicador(informado);
+    if (indicador === null && ![undefined, null, ''].includes(informado)) {
+      throw new NotaDebitoError(`Item ${idx}: indicador de IVA desconocido: ${informado}`);
+    }
+
+    return {
+      concepto: truncateForBiller(linea.concepto || 'Recargo', BILLER_FIELD_LIMITS.CONCEPTO),
+      cantidad,
+      precio,
+      indicador_facturacion: indicadorForzado || indicador || config.INDICADORES_IVA.GRAVADO_BASICA
+    };
+  });
+}
+
+/**
+ * Emitir Nota de Debito referenciando el comprobante original de una orden
+ * @param {Object} ordenNormalizada - Orden normalizada de Wix
+ * @param {Object} cargo - Items o monto del recargo (ver construirItemsND)
+ * @param {string} [cargo.razon] - Motivo de la ND
+ * @param {Object} [contexto] - { instanceId } del sitio Wix (default: el del comprobante)
+ * @returns {Object} { nd, monto }
+ * @throws {NotaDebitoError} Si no hay comprobante original o los datos son invalidos
+ */
+async function emitirNotaDebito(ordenNormalizada, cargo = {}, contexto = {}) {
+  const orderId = ordenNormalizada.id;
+  const store = getComprobanteStore();
+
+  const comprobanteOriginal = await obtenerComprobanteOriginal(ordenNormalizada, contexto);
+  if (!comprobanteOriginal) {
+    throw new NotaDebitoError(`Orden ${orderId} sin comprobante emitido`, 'ND_SIN_COMPROBANTE');
+  }
+
+  const instanceId = contexto.instanceId || comprobanteOriginal.instance_id || null;
+  const billerClient = getBillerClientForTenant(instanceId);
+
+  const tipoND = obtenerTipoND(comprobanteOriginal.tipo_comprobante);
+  if (!tipoND) {
+    throw new NotaDebitoError(
+      `Tipo de comprobante ${comprobanteOriginal.tipo_comprobante} no admite Nota de Debito`,
+      'ND_TIPO_NO_SOPORTADO'
+    );
+  }
+
+  const items = construirItemsND(tipoND, cargo);
+  const monto = redondear(items.reduce((sum, i) => sum + i.cantidad * i.precio, 0));
+  const razon = cargo.razon || `Recargo orden Wix ${orderId}`;
+
+  const numeroInterno = numeroInternoOrden(
+    orderId,
+    canalDe(comprobanteOriginal),
+    'ND',
+    (comprobanteOriginal.notas_debito?.length || 0) + 1
+  );
+
+  logger.info('Emitiendo ND', { orderId, tipo: tipoND, monto, numeroInterno });
+
+  // Idempotencia: la ND pudo emitirse en un intento anterior que fallo al guardar
+  let nd = await billerClient.buscarPorNumeroInterno(numeroInterno);
+  if (nd) {
+    logger.info('ND ya existe en Biller', { orderId, numeroInterno, ndId: nd.id });
+  } else {
+    const datosND = {
+      tipo_comprobante: tipoND,
+      numero_interno: numeroInterno,
+      sucursal: billerClient.sucursal,
+      fecha_emision: formatDateForBiller(),
+      items,
+      referencias: [{
+        tipo: comprobanteOriginal.tipo_comprobante,
+        serie: comprobanteOriginal.serie,
+        numero: comprobanteOriginal.numero,
+        fecha: comprobanteOriginal.fecha_emision?.split('T')[0] ||
+          new Date().toISOString().split('T')[0]
+      }],
+      razon_referencia: truncateForBiller(razon, BILLER_FIELD_LIMITS.CONCEPTO),
+      // Misma forma de pago que el comprobante original
+      forma_pago: comprobanteOriginal.forma_pago || config.FORMAS_PAGO.CONTADO,
+      moneda: comprobanteOriginal.moneda || 'UYU',
+      montos_brutos: 1  // Precios con IVA incluido
+    };
+
+    // ND en moneda extranjera: mismo tipo de cambio que el comprobante original
+    if (comprobanteOriginal.tipo_cambio) {
+      datosND.tipo_cambio = comprobanteOriginal.tipo_cambio;
+    }
+
+    if (comprobanteOriginal.cliente) {
+      datosND.cliente = comprobanteOriginal.cliente;
+    }
+
+    nd = await billerClient.emitirComprobante(datosND);
+  }
+
+  store.addND(orderId, { ...nd, instance_id: instanceId }, { monto, razon }, canalDe(comprobanteOriginal));
+
+  logger.info('ND emitida exitosamente', {
+    orderId,
+    ndId: nd.id,
+    ndSerie: nd.serie,
+    ndNumero: nd.numero,
+    monto
+  });
+
+  return { nd, monto };
+}
+
+module.exports = {
+  NotaDebitoError,
+  emitirNotaDebito,
+  obtenerTipoND,
+  construirItemsND
+};
@@ -0,0 +1,171 @@
+/**
+ * Servicio para distribuir descuentos de Wix en items de Biller
+ * Descuentos por linea + prorrateo de cupones de orden por indicador de IVA
+ * @module services/descuentos
+ */
+
+const config = require('../config');
+
+/**
+ * Redondear a 2 decimales
+ * @param {number} valor
+ * @returns {number}
+ */
+function redondear(valor) {
+  return Math.round((valor + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Prorratear un monto entre partes segun sus pesos
+ * El residuo de redondeo se asigna a la parte de mayor peso
+ * @param {number} monto - Monto a repartir
+ * @param {number[]} pesos - Pesos (ej: montos netos)
+ * @returns {number[]} Monto asignado a cada parte
+ */
+function prorratear(monto, pesos) {
+  const totalPesos = pesos.reduce((sum, p) => sum + Math.max(p, 0), 0);
+  if (monto <= 0 || totalPesos <= 0) {
+    return pesos.map(() => 0);
+  }
+
+  const asignado = pesos.map(p => redondear(monto * Math.max(p, 0) / totalPesos));
+  const residuo = redondear(monto - asignado.reduce((sum, a) => sum + a, 0));
+
+  if (residuo !== 0) {
+    const mayor = pesos.indexOf(Math.max(...pesos));
+    asignado[mayor] = redondear(asignado[mayor] + residuo);
+  }
+
+  return asignado;
+}
+
+/**
+ * Distribuir descuentos sobre las lineas de un comprobante
+ *
+ * 1. Cada linea conserva su descuento propio (descuento de linea de Wix)
+ * 2. El descuento de orden no asignado a lineas (cupon) se reparte primero
+ *    entre indicadores de IVA segun su neto, y luego entre las lineas de
+ *    cada indicador. Asi los totales por indicador siguen cuadrando con Wix.
+ *
+ * @param {Array<Object>} lineas - { bruto, descuentoLinea, indicador, excluirDeCupon }
+ * @param {number} descuentoOrden - Descuento total de la orden (priceSummary.discount)
+ * @returns {number[]} Descuento total en $ por linea
+ */
+function distribuirDescuentos(lineas, descuentoOrden = 0) {
+  const descuentos = lineas.map(l => redondear(Math.min(l.descuentoLinea || 0, l.bruto)));
+
+  const yaAsignado = descuentos.reduce((sum, d) => sum + d, 0);
+  const remanente = redondear((descuentoOrden || 0) - yaAsignado);
+  if (remanente <= 0) {
+    return descuentos;
+  }
+
+  // Agrupar lineas elegibles por indicador de IVA
+  const grupos = new Map();
+  lineas.forEach((linea, idx) => {
+    if (linea.excluirDeCupon) return;
+    const neto = linea.bruto - descuentos[idx];
+    if (neto <= 0) return;
+
+    if (!grupos.has(linea.indicador)) {
+      grupos.set(linea.indicador, []);
+    }
+    grupos.get(linea.indicador).push({ idx, neto });
+  });
+
+  const listaGrupos = Array.from(grupos.values());
+  const netoDisponible = listaGrupos.reduce(
+    (sum, g) => sum + g.reduce((s, l) => s + l.neto, 0), 0
+  );
+  const aRepartir = Math.min(remanente, redondear(netoDisponible));
+
+  const porGrupo = prorratear(
+    aRepartir,
+    listaGrupos.map(g => g.reduce((s, l) => s + l.neto, 0))
+  );
+
+  listaGrupos.forEach((grupo, gIdx) => {
+    const porLinea = prorratear(porGrupo[gIdx], grupo.map(l => l.neto));
+    grupo.forEach((l, i) => {
+      descuentos[l.idx] = redondear(descuentos[l.idx] + porLinea[i]);
+    });
+  });
+
+  return descuentos;
+}
+
+/**
+ * Aplicar descuento en $ a un item de Biller
+ * @param {Object} itemBiller - Item ya armado (concepto, cantidad, precio, indicador)
+ * @param {number} descuento - Descuento total de la linea
+ * @returns {Object} Item con descuento_tipo y descuento_cantidad
+ */
+function aplicarDescuentoItem(itemBiller, descuento) {
+  if (!descuento || descuento <= 0) {
+    return itemBiller;
+  }
+
+  return {
+    ...itemBiller,
+    descuento_tipo: config.TIPOS_DESCUENTO.MONTO,
+    descuento_cantidad: redondear(descuento)
+  };
+}
+
+/**
+ * Calcular total neto de un item de Biller (cantidad * precio - descuento)
+ * @param {Object} item - Item de Biller
+ * @returns {number}
+ */
+function netoItem(item) {
+  const bruto = item.cantidad * item.precio;
+  let descuento = 0;
+  if (item.descuento_tipo === config.TIPOS_DESCUENTO.MONTO) {
+    descuento = item.descuento_cantidad || 0;
+  } else if (item.descuento_tipo === config.TIPOS_DESCUENTO.PORCENTAJE) {
+    descuento = bruto * (item.descuento_cantidad || 0) / 100;
+  }
+
+  return redondear(bruto - descuento);
+}
+
+/**
+ * Calcular totales netos por indicador de IVA
+ * @param {Array<Object>} items - Items de Biller (con descuento aplicado)
+ * @returns {Object} indicador -> total
+ */
+function totalesPorIndicador(items) {
+  const totales = {};
+
+  for (const item of items) {
+    const indicador = item.indicador_facturacion;
+    totales[indicador] = redondear((totales[indicador] || 0) + netoItem(item));
+  }
+
+  return totales;
+}
+
+/**
+ * Calcular total del comprobante (montos brutos, IVA incluido)
+ * Las lineas no facturables negativas (redondeo a favor del cliente) restan
+ * @param {Array<Object>} items - Items de Biller (con descuento aplicado)
+ * @returns {number}
+ */
+function totalComprobante(items) {
+  const total = items.reduce((sum, item) => {
+    const neto = netoItem(item);
+    return item.indicador_facturacion === config.INDICADORES_IVA.NO_FACTURABLE_NEGATIVO ? sum - neto : sum + neto;
+  }, 0);
+
+  return redondear(total);
+}
+
+module.exports = {
+  redondear,
+  prorratear,
+  distribuirDescuentos,
+  aplicarDescuentoItem,
+  netoItem,
+  totalesPorIndicador,
+  totalComprobante
+};
@@ -0,0 +1,149 @@
+/**
+ * Servicio para derivar la forma de pago Biller (contado/credito) y el
+ * vencimiento a partir del medio de pago de la orden Wix
+ * El mapeo medio de pago -> forma de pago es configurable por sitio
+ * @module services/forma-pago
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { formatDateForBiller, formatDateISO } = require('../utils/date-formatter');
+
+const { FORMAS_PAGO } = config;
+
+/**
+ * Mapeo por defecto (claves normalizadas, ver normalizarMetodoPago)
+ * Los medios no listados usan REGLA_DEFAULT
+ */
+const METODOS_PAGO_DEFAULT = Object.freeze({
+  OFFLINE: { formaPago: 'CREDITO', diasVencimiento: config.facturacion.diasCredito },
+  BANKTRANSFER: { formaPago: 'CREDITO', diasVencimiento: config.facturacion.diasCredito }
+});
+
+const REGLA_DEFAULT = Object.freeze({ formaPago: 'CONTADO', diasVencimiento: 0 });
+
+/**
+ * Normalizar nombre de medio de pago de Wix
+ * 'CreditCard', 'credit_card' y 'CREDIT-CARD' -> 'CREDITCARD'
+ * @param {string} metodo
+ * @returns {string|null}
+ */
+function normalizarMetodoPago(metodo) {
+  if (!metodo) return null;
+  const clave = String(metodo).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return clave || null;
+}
+
+/**
+ * Convertir valor configurado (nombre o numero) a forma de pago Biller
+ * @param {string|number} valor - Ej: 'CONTADO', 'credito', 1, '2'
+ * @returns {number|null}
+ */
+function normalizarFormaPago(valor) {
+  if (valor === null || valor === undefined) return null;
+
+  const nombre = String(valor).toUpperCase();
+  if (nombre === 'CONTADO') return FORMAS_PAGO.CONTADO;
+  if (nombre === 'CREDITO') return FORMAS_PAGO.CREDITO;
+
+  const numero = parseInt(valor);
+  return numero === FORMAS_PAGO.CONTADO || numero === FORMAS_PAGO.CREDITO ? numero : null;
+}
+
+/**
+ * Elegir el pago que define la forma de pago
+ * Prioriza pagos regulares (las gift cards no indican el medio)
+ * @param {Array} pagos - Resultado de normalizePayments del cliente del canal
+ * @returns {Object|null} { metodo, offline, ... }
+ */
+function obtenerPagoPrincipal(pagos) {
+  if (!pagos || pagos.length === 0) return null;
+  return pagos.find(p => !p.giftCard) || pagos[0];
+}
+
+/**
+ * Obtener el pago principal de una orden desde sus transacciones en el canal
+ * Si las transacciones no estan disponibles devuelve null (se usa la regla default)
+ * @param {Object} cliente - Cliente del canal (getOrderTransactions, normalizePayments)
+ * @param {string} orderId
+ * @returns {Object|null}
+ */
+async function obtenerPagoOrden(cliente, orderId) {
+  try {
+    const transacciones = await cliente.getOrderTransactions(orderId);
+    return obtenerPagoPrincipal(cliente.normalizePayments(transacciones));
+  } catch (error) {
+    logger.warn('No se pudo obtener el medio de pago de la orden', { orderId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Resolver forma de pago y vencimiento de un comprobante
+ * Regla: mapeo del medio de pago, si no OFFLINE para pagos offline, si no default
+ * @param {Object|null} pago - { metodo, offline } (obtenerPagoPrincipal)
+ * @param {Object} [pagosConfig] - Config de pagos del sitio (getPagosConfig)
+ * @param {Date} [fechaBase] - Fecha desde la que corre el plazo (default: hoy)
+ * @returns {Object} { forma_pago, metodo, offline, dias_vencimiento, fecha_vencimiento }
+ */
+function resolverFormaPago(pago, pagosConfig = {}, fechaBase = new Date()) {
+  const metodos = pagosConfig.metodos || METODOS_PAGO_DEFAULT;
+  const metodo = normalizarMetodoPago(pago?.metodo);
+  const offline = pago?.offline === true;
+
+  const regla = (metodo && metodos[metodo]) ||
+    (offline && metodos.OFFLINE) ||
+    pagosConfig.default ||
+    REGLA_DEFAULT;
+
+  const formaPago = normalizarFormaPago(regla.formaPago) || FORMAS_PAGO.CONTADO;
+  const dias = formaPago === FORMAS_PAGO.CREDITO ? (parseInt(regla.diasVencimiento) || 0) : 0;
+
+  let fechaVencimiento = null;
+  if (dias > 0) {
+    const vencimiento = new Date(fechaBase.getTime());
+    vencimiento.setDate(vencimiento.getDate() + dias);
+    fechaVencimiento = vencimiento;
+  }
+
+  return {
+    forma_pago: formaPago,
+    metodo,
+    offline,
+    dias_vencimiento: dias,
+    fecha_vencimiento: fechaVencimiento ? formatDateForBiller(fechaVencimiento) : null,
+    fecha_vencimiento_iso: fechaVencimiento ? formatDateISO(fechaVencimiento) : null
+  };
+}
+
+/**
+ * Validar config de pagos de un sitio
+ * @param {Object} pagos - { metodos: { [medio]: { formaPago, diasVencimiento } }, default? }
+ * @returns {Array<string>} Entradas invalidas
+ */
+function validarConfigPagos(pagos) {
+  const invalidos = [];
+  const reglas = Object.entries(pagos.metodos || {}).map(([medio, regla]) => [`metodos.${medio}`, regla]);
+  if (pagos.default) reglas.push(['default', pagos.default]);
+
+  for (const [clave, regla] of reglas) {
+    const dias = regla?.diasVencimiento;
+    const diasInvalidos = dias !== undefined && (isNaN(parseInt(dias)) || parseInt(dias) < 0);
+    if (!normalizarFormaPago(regla?.formaPago) || diasInvalidos) {
+      invalidos.push(clave);
+    }
+  }
+
+  return invalidos;
+}
+
+module.exports = {
+  METODOS_PAGO_DEFAULT,
+  REGLA_DEFAULT,
+  normalizarMetodoPago,
+  normalizarFormaPago,
+  obtenerPagoPrincipal,
+  obtenerPagoOrden,
+  resolverFormaPago,
+  validarConfigPagos
+};
@@ -0,0 +1,140 @@
+/**
+ * Fuentes de ordenes (canales de venta) como adaptadores intercambiables
+ *
+ * Una fuente expone:
+ *   - canal: clave de CANALES (prefijo del numero_interno, etiqueta de los registros)
+ *   - nombre: para logs y mensajes ("Wix", "MercadoLibre"...)
+ *   - cliente: objeto con getOrderTransactions/normalizePayments (y getProduct si
+ *     hay colecciones) que usa construirComprobante
+ *   - verificarWebhook(req): payload del webhook autenticado; lanza si no es valido
+ *   - parsearEvento(payload): { orderId, eventId, tipo, eventType, instanceId, accion, orden }
+ *     o null si el evento no se procesa
+ *   - obtenerOrden(orderId, [orden]): orden cruda (la del webhook si esta completa) o null
+ *   - normalizarOrden(orden): formato de WixClient.normalizeOrder con canal
+ *   - obtenerReembolsos(orden, [comprobante]): refunds normalizados ({ id, monto, items })
+ *   - listarOrdenes({ desde, hasta, cursor, limite }): { ordenes (crudas), cursor }
+ *
+ * La emision, las NC, la conciliacion y el backfill solo usan este contrato.
+ * @module services/fuentes
+ */
+
+const config = require('../../config');
+const { CANALES } = require('../canales');
+
+/**
+ * Que hacer con la orden de un evento
+ */
+const ACCIONES = Object.freeze({
+  EMITIR: 'emitir',         // Facturar (si la orden esta cancelada se anula)
+  CANCELAR: 'cancelar',     // NC por el total
+  REEMBOLSO: 'reembolso',   // NC por los refunds nuevos
+  ESTADO: 'estado'          // Decidir por el estado actual de la orden (canales sin tipo de evento)
+});
+
+const METODOS = ['verificarWebhook', 'parsearEvento', 'obtenerOrden', 'normalizarOrden', 'obtenerReembolsos', 'listarOrdenes'];
+
+/**
+ * Error de registro o resolucion de fuentes
+ */
+class FuenteError extends Error {
+  constructor(message, code = 'FUENTE_NO_DISPONIBLE') {
+    super(message);
+    this.name = 'FuenteError';
+    this.code = code;
+  }
+}
+
+/**
+ * Accion segun el estado de una orden normalizada
+ * @param {Object} ordenNormalizada
+ * @returns {string} ACCIONES.CANCELAR | REEMBOLSO | EMITIR
+ */
+function accionPorEstado(ordenNormalizada) {
+  if (ordenNormalizada.status === 'CANCELED') return ACCIONES.CANCELAR;
+  if (ordenNormalizada.paymentStatus === 'REFUNDED' || ordenNormalizada.paymentStatus === 'PARTIALLY_REFUNDED') {
+    return ACCIONES.REEMBOLSO;
+  }
+  return ACCIONES.EMITIR;
+}
+
+/**
+ * Verificar que un adaptador cumpla el contrato
+ * @param {Object} fuente
+ * @throws {FuenteError}
+ */
+function validarFuente(fuente) {
+  if (!fuente || !Object.values(CANALES).includes(fuente.canal)) {
+    throw new FuenteError(`Fuente con canal desconocido: ${fuente?.canal}`, 'FUENTE_INVALIDA');
+  }
+  const faltantes = METODOS.filter(m => typeof fuente[m] !== 'function');
+  if (faltantes.length > 0 || !fuente.cliente) {
+    throw new FuenteError(`Fuente ${fuente.canal} incompleta: ${[...faltantes, ...(fuente.cliente ? [] : ['cliente'])].join(', ')}`, 'FUENTE_INVALIDA');
+  }
+}
+
+// Fuentes registradas (canal -> adaptador)
+const fuentes = new Map();
+
+/**
+ * Registrar (o reemplazar) el adaptador de un canal
+ * @param {Object} fuente
+ * @returns {Object} La fuente
+ */
+function registrarFuente(fuente) {
+  validarFuente(fuente);
+  fuentes.set(fuente.canal, fuente);
+  return fuente;
+}
+
+/**
+ * Registrar las fuentes habilitadas en config (Wix siempre)
+ * Los adaptadores se cargan aca para no requerir clientes de canales apagados
+ */
+function inicializarFuentes() {
+  if (!fuentes.has(CANALES.WIX)) {
+    const { WixFuente } = require('./wix');
+    registrarFuente(new WixFuente());
+  }
+  if (config.mercadolibre.enabled && !fuentes.has(CANALES.MERCADOLIBRE)) {
+    const { MercadoLibreFuente } = require('./mercadolibre');
+    registrarFuente(new MercadoLibreFuente());
+  }
+  if (config.shopify.enabled && !fuentes.has(CANALES.SHOPIFY)) {
+    const { ShopifyFuente } = require('./shopify');
+    registrarFuente(new ShopifyFuente());
+  }
+}
+
+/**
+ * Adaptador de un canal
+ * @param {string} [canal='wix']
+ * @returns {Object}
+ * @throws {FuenteError} Si el canal no existe o no esta habilitado
+ */
+function getFuente(canal = CANALES.WIX) {
+  inicializarFuentes();
+  const fuente = fuentes.get(canal);
+  if (!fuente) {
+    throw new FuenteError(`Canal ${canal} no habilitado`);
+  }
+  return fuente;
+}
+
+/**
+ * Canales habilitados
+ * @returns {Array<string>}
+ */
+function listarCanales() {
+  inicializarFuentes();
+  return Array.from(fuentes.keys());
+}
+
+module.exports = {
+  ACCIONES,
+  FuenteError,
+  accionPorEstado,
+  validarFuente,
+  registrarFuente,
+  getFuente,
+  listarCanales
+};
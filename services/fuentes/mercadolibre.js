@@ -0,0 +1,80 @@
+/**
+ * Fuente MercadoLibre: notificaciones orders_v2 y ordenes de MercadoLibreClient
+ * Las notificaciones no dicen que cambio: la accion sale del estado de la orden
+ * @module services/fuentes/mercadolibre
+ */
+
+const config = require('../../config');
+const { getMercadoLibreClient, TOPIC_ORDENES } = require('../../mercadolibre-client');
+const { CANALES } = require('../canales');
+const { ACCIONES } = require('./index');
+
+class MercadoLibreFuente {
+  /**
+   * @param {Object} [cliente] - MercadoLibreClient (default: singleton)
+   * @param {Object} [opciones] - { instanceId } (default: ML_INSTANCE_ID)
+   */
+  constructor(cliente = getMercadoLibreClient(), opciones = {}) {
+    this.canal = CANALES.MERCADOLIBRE;
+    this.nombre = 'MercadoLibre';
+    this.cliente = cliente;
+    this.instanceId = opciones.instanceId !== undefined ? opciones.instanceId : config.mercadolibre.instanceId;
+  }
+
+  /**
+   * ML no firma: se valida app y vendedor (el contenido se lee de la API)
+   * @param {Object} req
+   * @returns {Object} Notificacion
+   */
+  verificarWebhook(req) {
+    this.cliente.verificarNotificacion(req.body);
+    return req.body;
+  }
+
+  parsearEvento(payload) {
+    const notificacion = this.cliente.verificarNotificacion(payload);
+    if (notificacion.topic !== TOPIC_ORDENES) return null;
+
+    return {
+      orderId: notificacion.orderId,
+      eventId: notificacion.eventId,
+      tipo: TOPIC_ORDENES,
+      eventType: TOPIC_ORDENES,
+      instanceId: this.instanceId,
+      accion: ACCIONES.ESTADO,
+      orden: null
+    };
+  }
+
+  /**
+   * Siempre desde la API (el listado no trae billing_info ni envio)
+   */
+  async obtenerOrden(orderId) {
+    return this.cliente.getOrder(orderId);
+  }
+
+  normalizarOrden(orden) {
+    return this.cliente.normalizeOrder(orden);
+  }
+
+  /**
+   * ML informa el acumulado devuelto: se acredita la diferencia con el comprobante
+   */
+  async obtenerReembolsos(orden, comprobante = null) {
+    return this.cliente.normalizeRefunds(orden, comprobante?.reembolsos || []);
+  }
+
+  async listarOrdenes({ desde, hasta, cursor = null, limite = 50 }) {
+    const pagina = await this.cliente.searchOrdersPage({
+      desde: `${desde}T00:00:00.000-00:00`,
+      hasta: `${hasta}T23:59:59.999-00:00`,
+      limit: Math.min(limite, 50),
+      cursor
+    });
+    return { ordenes: pagina.orders, cursor: pagina.nextCursor };
+  }
+}
+
+module.exports = {
+  MercadoLibreFuente
+};
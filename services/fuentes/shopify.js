@@ -0,0 +1,405 @@
+/**
+ * Fuente Shopify: webhooks HMAC y ordenes de la Admin API
+ * Shopify no tiene campo de documento: el RUT/CI se busca en los campos
+ * personalizados del checkout (SHOPIFY_CAMPOS_RUT)
+ * @module services/fuentes/shopify
+ */
+
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { getShopifyClient } = require('../../shopify-client');
+const { validarRUT } = require('../../utils/validators');
+const { CANALES } = require('../canales');
+const { redondear } = require('../descuentos');
+const { ACCIONES } = require('./index');
+
+// Topic del webhook (X-Shopify-Topic) -> accion
+const TOPICS = Object.freeze({
+  'orders/paid': ACCIONES.EMITIR,
+  'orders/cancelled': ACCIONES.CANCELAR,
+  'refunds/create': ACCIONES.REEMBOLSO
+});
+
+/**
+ * Extraer RUT de un pedido
+ * Busca en múltiples ubicaciones
+ * @param {Object} order - Pedido Shopify
+ * @returns {{rut: string|null, razonSocial: string|null, source: string|null}}
+ */
+function extraerRUTDePedido(order) {
+  if (!order) {
+    return { rut: null, razonSocial: null, source: null };
+  }
+
+  const camposRUT = config.shopify.camposRUT;
+  const camposRazonSocial = config.shopify.camposRazonSocial;
+
+  let rut = null;
+  let razonSocial = null;
+  let source = null;
+
+  // 1. Buscar en note_attributes (campos personalizados del checkout)
+  if (!rut && order.note_attributes && Array.isArray(order.note_attributes)) {
+    for (const attr of order.note_attributes) {
+      const nombreLower = (attr.name || '').toLowerCase();
+      const valor = (attr.value || '').trim();
+
+      if (!valor) continue;
+
+      // Buscar RUT
+      if (!rut && camposRUT.some(c => nombreLower.includes(c.toLowerCase()))) {
+        rut = valor;
+        source = `note_attributes.${attr.name}`;
+      }
+
+      // Buscar Razón Social
+      if (!razonSocial && camposRazonSocial.some(c => nombreLower.includes(c.toLowerCase()))) {
+        razonSocial = valor;
+      }
+    }
+  }
+
+  // 2. Buscar en metafields del pedido (checkoutblocks, etc.)
+  if (!rut && order.metafields) {
+    const metafields = Array.isArray(order.metafields) ? order.metafields : [];
+    for (const mf of metafields) {
+      const key = (mf.key || '').toLowerCase();
+      const valor = (mf.value || '').trim();
+
+      if (!valor) continue;
+
+      if (camposRUT.some(c => key.includes(c.toLowerCase()))) {
+        rut = valor;
+        source = `metafields.${mf.namespace}.${mf.key}`;
+        break;
+      }
+    }
+  }
+
+  // 3. Buscar en properties de line_items
+  if (!rut && order.line_items) {
+    outer: for (const item of order.line_items) {
+      if (!item.properties) continue;
+
+      for (const prop of item.properties) {
+        const nombre = (prop.name || '').toLowerCase();
+        const valor = (prop.value || '').trim();
+
+        if (!valor) continue;
+
+        if (camposRUT.some(c => nombre.includes(c.toLowerCase()))) {
+          rut = valor;
+          source = `line_items.properties.${prop.name}`;
+          break outer;
+        }
+      }
+    }
+  }
+
+  // 4. Buscar en nota del pedido con varios formatos
+  if (!rut && order.note) {
+    // Patrones: "RUT: 123456789012", "CI:12345678", "documento 123456789012"
+    const patterns = [
+      /(?:rut|ci|documento|cedula|cédula)[:\s]*(\d{8,12})/i,
+      /^\s*(\d{12})\s*$/m  // Solo RUT de 12 dígitos en una línea
+    ];
+
+    for (const pattern of patterns) {
+      const match = order.note.match(pattern);
+      if (match) {
+        rut = match[1];
+        source = 'note';
+        break;
+      }
+    }
+  }
+
+  // 5. Buscar en campos del cliente (company)
+  if (!rut && order.customer?.company) {
+    // A veces ponen el RUT en el campo company
+    const companyRUT = order.customer.company.match(/\d{12}/);
+    if (companyRUT) {
+      const validacion = validarRUT(companyRUT[0]);
+      if (validacion.valid) {
+        rut = companyRUT[0];
+        source = 'customer.company';
+      }
+    }
+  }
+
+  // Limpiar RUT encontrado
+  if (rut) {
+    const rutLimpio = rut.replace(/\D/g, '');
+
+    // Validar longitud
+    if (rutLimpio.length !== 8 && rutLimpio.length !== 12) {
+      logger.debug('RUT con longitud inválida descartado', {
+        rut,
+        length: rutLimpio.length,
+        source
+      });
+      rut = null;
+      source = null;
+    } else {
+      rut = rutLimpio;
+    }
+  }
+
+  // Obtener razón social si tenemos RUT pero no razón social
+  if (rut && !razonSocial) {
+    razonSocial = obtenerRazonSocialDefault(order);
+  }
+
+  return { rut, razonSocial, source };
+}
+
+/**
+ * Obtener razón social por defecto desde datos del pedido
+ * @param {Object} order
+ */
+function obtenerRazonSocialDefault(order) {
+  const customer = order.customer || {};
+  const billing = order.billing_address || {};
+  const shipping = order.shipping_address || {};
+
+  // Prioridad: company > nombre completo
+  if (billing.company) return billing.company;
+  if (customer.company) return customer.company;
+  if (shipping.company) return shipping.company;
+
+  // Nombre completo
+  const nombres = [
+    [customer.first_name, customer.last_name],
+    [billing.first_name, billing.last_name],
+    [shipping.first_name, shipping.last_name]
+  ];
+
+  for (const [first, last] of nombres) {
+    const nombre = [first, last].filter(Boolean).join(' ').trim();
+    if (nombre) return nombre;
+  }
+
+  return 'Cliente';
+}
+
+/**
+ * Estado de la orden Shopify en terminos de Wix (status / paymentStatus)
+ * @param {Object} order
+ * @returns {Object} { status, paymentStatus }
+ */
+function mapearEstado(order) {
+  const paymentStatus = {
+    paid: 'PAID',
+    refunded: 'REFUNDED',
+    partially_refunded: 'PARTIALLY_REFUNDED',
+    partially_paid: 'PARTIALLY_PAID'
+  }[order.financial_status] || 'NOT_PAID';
+
+  let status = 'INITIALIZED';
+  if (order.cancelled_at) {
+    status = 'CANCELED';
+  } else if (paymentStatus !== 'NOT_PAID' && paymentStatus !== 'PARTIALLY_PAID') {
+    status = 'APPROVED';
+  }
+
+  return { status, paymentStatus };
+}
+
+const sumarMontos = (lista, campo = 'amount') =>
+  (lista || []).reduce((sum, x) => sum + parseFloat(x[campo] || 0), 0);
+
+class ShopifyFuente {
+  /**
+   * @param {Object} [cliente] - ShopifyClient (default: singleton)
+   * @param {Object} [opciones] - { instanceId } (default: SHOPIFY_INSTANCE_ID)
+   */
+  constructor(cliente = getShopifyClient(), opciones = {}) {
+    this.canal = CANALES.SHOPIFY;
+    this.nombre = 'Shopify';
+    this.cliente = cliente;
+    this.instanceId = opciones.instanceId !== undefined ? opciones.instanceId : config.shopify.instanceId;
+  }
+
+  /**
+   * El topic viene en un header: se guarda junto al body para reprocesar desde la cola
+   * @param {Object} req
+   * @returns {Object} { topic, webhookId, body }
+   */
+  verificarWebhook(req) {
+    const body = this.cliente.verifyWebhook(req.rawBody, req.headers?.['x-shopify-hmac-sha256']);
+    return {
+      topic: req.headers?.['x-shopify-topic'] || null,
+      webhookId: req.headers?.['x-shopify-webhook-id'] || null,
+      body
+    };
+  }
+
+  parsearEvento(payload) {
+    const accion = TOPICS[payload?.topic];
+    if (!accion) return null;
+
+    // refunds/create trae el refund (order_id); el resto la orden
+    const esRefund = payload.topic === 'refunds/create';
+    const orderId = String(esRefund ? payload.body.order_id : payload.body.id);
+
+    return {
+      orderId,
+      eventId: payload.webhookId || `${payload.topic}-${orderId}-${payload.body.updated_at || payload.body.created_at || Date.now()}`,
+      tipo: payload.topic,
+      eventType: payload.topic,
+      instanceId: this.instanceId,
+      accion,
+      orden: esRefund ? null : payload.body
+    };
+  }
+
+  /**
+   * El body de orders/* es la orden completa; refunds/create requiere pedirla
+   */
+  async obtenerOrden(orderId, orden = null) {
+    if (orden?.line_items) return orden;
+    return this.cliente.getOrder(orderId);
+  }
+
+  /**
+   * Normalizar orden de Shopify al formato interno (ver WixClient.normalizeOrder)
+   * Los precios se toman con IVA incluido (taxes_included de tiendas uruguayas)
+   * @param {Object} order
+   * @returns {Object} Orden normalizada
+   */
+  normalizarOrden(order) {
+    const billing = order.billing_address || {};
+    const shipping = order.shipping_address || {};
+    const customer = order.customer || {};
+    const { rut, razonSocial } = extraerRUTDePedido(order);
+
+    const items = (order.line_items || []).map(li => {
+      const cantidad = parseInt(li.quantity) || 1;
+      const precioUnitario = parseFloat(li.price) || 0;
+      const tasa = li.tax_lines?.[0]?.rate;
+
+      return {
+        id: String(li.id),
+        nombre: [li.title, li.variant_title].filter(Boolean).join(' - ') || 'Producto',
+        sku: li.sku || null,
+        productId: null, // Sin colecciones Wix: IVA por tasa u override por SKU
+        colecciones: [],
+        cantidad,
+        precioUnitario,
+        precioTotal: redondear(precioUnitario * cantidad),
+        descuento: redondear(sumarMontos(li.discount_allocations)),
+        iva: tasa != null ? Math.round(parseFloat(tasa) * 100) : config.facturacion.ivaDefault
+      };
+    });
+
+    const shippingCost = redondear(sumarMontos(order.shipping_lines, 'price') - sumarMontos(
+      (order.shipping_lines || []).flatMap(s => s.discount_allocations || [])
+    ));
+    if (shippingCost > 0) {
+      items.push({
+        id: 'shipping',
+        nombre: 'Envio',
+        cantidad: 1,
+        precioUnitario: shippingCost,
+        precioTotal: shippingCost,
+        iva: 22
+      });
+    }
+
+    const { status, paymentStatus } = mapearEstado(order);
+    const nombreCompleto = [billing.first_name, billing.last_name].filter(Boolean).join(' ');
+
+    return {
+      id: String(order.id),
+      number: order.order_number || order.name,
+      canal: CANALES.SHOPIFY,
+      status,
+      paymentStatus,
+      createdDate: order.created_at,
+      updatedDate: order.updated_at,
+
+      buyer: {
+        email: order.email || customer.email || null,
+        firstName: customer.first_name || billing.first_name,
+        lastName: customer.last_name || billing.last_name,
+        phone: order.phone || billing.phone || null
+      },
+
+      // 12 digitos: RUT (empresa); 8: CI
+      fiscal: {
+        documento: rut,
+        tipoDocumento: rut ? (rut.length === 12 ? 'UY_RUT' : 'UY_CI') : null,
+        razonSocial: rut?.length === 12 ? razonSocial : (billing.company || null),
+        nombreCompleto
+      },
+
+      direccion: {
+        linea1: billing.address1 || null,
+        linea2: billing.address2 || null,
+        ciudad: billing.city || null,
+        departamento: billing.province || null,
+        codigoPostal: billing.zip || null,
+        pais: billing.country_code || 'UY'
+      },
+
+      envio: {
+        pais: shipping.country_code || null,
+        ciudad: shipping.city || null,
+        linea1: shipping.address1 || null
+      },
+
+      // Descuentos de linea (discount_allocations) suman total_discounts
+      montos: {
+        subtotal: parseFloat(order.subtotal_price || 0),
+        shipping: shippingCost,
+        tax: parseFloat(order.total_tax || 0),
+        descuento: redondear(sumarMontos(order.line_items?.flatMap(li => li.discount_allocations || []))),
+        total: parseFloat(order.total_price || 0),
+        moneda: order.currency || 'UYU'
+      },
+
+      items,
+
+      taxInfo: {
+        ivaIncluido: order.taxes_included !== false,
+        totalIva: parseFloat(order.total_tax || 0)
+      },
+
+      _original: order
+    };
+  }
+
+  /**
+   * Refunds de la orden (mismo formato que WixClient.normalizeRefunds)
+   */
+  async obtenerReembolsos(order) {
+    return (order.refunds || []).map(refund => ({
+      id: String(refund.id),
+      monto: redondear(sumarMontos((refund.transactions || [])
+        .filter(t => t.kind === 'refund' && t.status === 'success'))),
+      items: (refund.refund_line_items || []).map(rli => ({
+        lineItemId: String(rli.line_item_id),
+        cantidad: parseInt(rli.quantity) || 1
+      })),
+      incluyeEnvio: (refund.order_adjustments || []).some(a => a.kind === 'shipping_refund'),
+      razon: refund.note || null,
+      fecha: refund.created_at || null
+    })).filter(refund => refund.monto > 0);
+  }
+
+  async listarOrdenes({ desde, hasta, cursor = null, limite = 100 }) {
+    const pagina = await this.cliente.searchOrdersPage({
+      desde: `${desde}T00:00:00Z`,
+      hasta: `${hasta}T23:59:59Z`,
+      limit: limite,
+      cursor
+    });
+    return { ordenes: pagina.orders, cursor: pagina.nextCursor };
+  }
+}
+
+module.exports = {
+  ShopifyFuente,
+  extraerRUTDePedido,
+  obtenerRazonSocialDefault
+};
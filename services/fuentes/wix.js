@@ -0,0 +1,123 @@
+/**
+ * Fuente Wix eCommerce: webhooks JWT y ordenes de WixClient
+ * @module services/fuentes/wix
+ */
+
+const config = require('../../config');
+const { getWixClient } = require('../../wix-client');
+const { resolverInstanceId } = require('../tenant');
+const { CANALES } = require('../canales');
+const { ACCIONES } = require('./index');
+
+/**
+ * Slug o eventType coincide con alguno de los eventos configurados
+ * Comparacion sin mayusculas ni guiones bajos (order_approved ~ approved)
+ */
+function coincideEvento(eventos, slug, eventType) {
+  const normalizar = s => (s || '').toLowerCase().replace(/_/g, '');
+  const slugNorm = normalizar(slug);
+  const eventTypeNorm = normalizar(eventType);
+
+  return eventos.some(e => {
+    const eNorm = normalizar(e);
+    return slugNorm.includes(eNorm) || eventTypeNorm.includes(eNorm);
+  });
+}
+
+class WixFuente {
+  /**
+   * @param {Object} [cliente] - WixClient (default: singleton)
+   */
+  constructor(cliente = getWixClient()) {
+    this.canal = CANALES.WIX;
+    this.nombre = 'Wix';
+    this.cliente = cliente;
+  }
+
+  /**
+   * El JWT puede venir en el body (application/jwt o JSON) o en x-wix-signature
+   * @param {Object} req - Request de Express (rawBody, body, headers)
+   * @returns {Object} Payload JWT decodificado
+   */
+  verificarWebhook(req) {
+    let jwtToken = req.headers?.['x-wix-signature'] || req.rawBody || req.body;
+    if (typeof jwtToken === 'object') {
+      jwtToken = JSON.stringify(jwtToken);
+    }
+    return this.cliente.verifyWebhook(jwtToken);
+  }
+
+  /**
+   * Wix envia: { data: { order: {...} }, metadata: { eventType: "wix.ecom.v1.order_approved" } }
+   * @param {Object} payload
+   * @returns {Object|null} Evento o null si no es de emision ni de anulacion
+   */
+  parsearEvento(payload) {
+    const { data, metadata } = payload || {};
+    const eventType = metadata?.eventType || payload?.eventType || payload?.slug;
+
+    // "wix.ecom.v1.order_approved" -> "approved"
+    const tipo = eventType?.split('.').pop()?.replace('order_', '') || eventType;
+
+    let accion = null;
+    if (coincideEvento(config.wix.webhookEvents.emitir, tipo, eventType)) {
+      accion = ACCIONES.EMITIR;
+    } else if (coincideEvento(config.wix.webhookEvents.anular, tipo, eventType)) {
+      // Refund (transactionsUpdated) o cancelacion
+      const tipoNorm = (tipo || '').toLowerCase().replace(/_/g, '');
+      if (tipoNorm.includes('transaction') || tipoNorm.includes('refund')) {
+        accion = ACCIONES.REEMBOLSO;
+      } else if (tipoNorm.includes('cancel')) {
+        accion = ACCIONES.CANCELAR;
+      }
+    }
+
+    if (!accion) return null;
+
+    return {
+      orderId: data?.order?.id || data?.orderId || payload.entityId || payload.orderId,
+      eventId: metadata?.eventId || payload.id || `wix-${Date.now()}`,
+      tipo,
+      eventType,
+      instanceId: resolverInstanceId(payload),
+      accion,
+      orden: data?.order || null
+    };
+  }
+
+  /**
+   * La orden del webhook se usa si trae los items; si no se pide a Wix
+   */
+  async obtenerOrden(orderId, orden = null) {
+    if (orden?.lineItems) return orden;
+    return this.cliente.getOrder(orderId);
+  }
+
+  normalizarOrden(orden) {
+    return this.cliente.normalizeOrder(orden);
+  }
+
+  async obtenerReembolsos(orden) {
+    const transacciones = await this.cliente.getOrderTransactions(orden.id);
+    return this.cliente.normalizeRefunds(transacciones);
+  }
+
+  /**
+   * Ordenes creadas en el rango, en orden cronologico
+   * @param {Object} params - { desde, hasta (aaaa-mm-dd), cursor, limite }
+   * @returns {Promise<Object>} { ordenes, cursor }
+   */
+  async listarOrdenes({ desde, hasta, cursor = null, limite = 100 }) {
+    const pagina = await this.cliente.searchOrdersPage({
+      filter: { _createdDate: { $gte: `${desde}T00:00:00.000Z`, $lte: `${hasta}T23:59:59.999Z` } },
+      sort: [{ fieldName: '_createdDate', order: 'ASC' }],
+      limit: limite,
+      cursor
+    });
+    return { ordenes: pagina.orders, cursor: pagina.nextCursor };
+  }
+}
+
+module.exports = {
+  WixFuente
+};
@@ -0,0 +1,177 @@
+/**
+ * Servicio para mapear tasas de IVA de Wix a indicadores de facturacion Biller
+ * Soporta overrides por SKU, producto o coleccion configurados por sitio
+ * @module services/indicador-iva
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const { INDICADORES_IVA } = config;
+
+/**
+ * Tasas de IVA vigentes en Uruguay -> indicador Biller
+ */
+const TASAS_IVA_DEFAULT = Object.freeze({
+  0: INDICADORES_IVA.EXENTO,
+  10: INDICADORES_IVA.GRAVADO_MINIMA,
+  22: INDICADORES_IVA.GRAVADO_BASICA
+});
+
+/**
+ * Error cuando una linea no puede mapearse a un indicador de IVA
+ */
+class IndicadorIVAError extends Error {
+  constructor(message, item) {
+    super(message);
+    this.name = 'IndicadorIVAError';
+    this.code = 'IVA_SIN_MAPEO';
+    this.item = item;
+  }
+}
+
+/**
+ * Normalizar tasa de Wix a porcentaje
+ * Wix puede enviar "22", 22 o 0.22
+ * @param {string|number} tasa
+ * @returns {number|null}
+ */
+function normalizarTasa(tasa) {
+  if (tasa === null || tasa === undefined || tasa === '') return null;
+
+  const valor = parseFloat(tasa);
+  if (isNaN(valor)) return null;
+
+  const porcentaje = valor > 0 && valor < 1 ? valor * 100 : valor;
+  return Math.round(porcentaje * 100) / 100;
+}
+
+/**
+ * Convertir valor configurado (nombre o numero) a indicador Biller
+ * @param {string|number} valor - Ej: 'EXENTO', 'GRAVADO_MINIMA', 1, '3'
+ * @returns {number|null}
+ */
+function normalizarIndicador(valor) {
+  if (valor === null || valor === undefined) return null;
+
+  if (typeof valor === 'string' && INDICADORES_IVA[valor.toUpperCase()] !== undefined) {
+    return INDICADORES_IVA[valor.toUpperCase()];
+  }
+
+  const numero = parseInt(valor, 10);
+  if (Object.values(INDICADORES_IVA).includes(numero)) {
+    return numero;
+  }
+
+  return null;
+}
+
+/**
+ * Obtener indicador para una tasa de IVA
+ * @param {number} tasa - Tasa en porcentaje
+ * @param {Object} [tasas] - Tabla tasa -> indicador
+ * @returns {number|null}
+ */
+function indicadorDesdeTasa(tasa, tasas = TASAS_IVA_DEFAULT) {
+  const porcentaje = normalizarTasa(tasa);
+  if (porcentaje === null) return null;
+
+  return normalizarIndicador(tasas[porcentaje] ?? tasas[String(porcentaje)]);
+}
+
+/**
+ * Resolver indicador de IVA de una linea de la orden normalizada
+ * Prioridad: SKU > producto > coleccion > tasa de IVA
+ * @param {Object} item - Item normalizado (sku, productId, colecciones, iva)
+ * @param {Object} [ivaConfig] - Config de IVA del sitio (ver getIVAConfig)
+ * @returns {number} Indicador de facturacion
+ * @throws {IndicadorIVAError} Si la tasa no tiene mapeo
+ */
+function resolverIndicadorItem(item, ivaConfig = {}) {
+  const overrides = ivaConfig.overrides || {};
+  const tasas = ivaConfig.tasas || TASAS_IVA_DEFAULT;
+
+  if (item.sku && overrides.sku?.[item.sku] !== undefined) {
+    const indicador = normalizarIndicador(overrides.sku[item.sku]);
+    if (indicador) return indicador;
+  }
+
+  if (item.productId && overrides.productos?.[item.productId] !== undefined) {
+    const indicador = normalizarIndicador(overrides.productos[item.productId]);
+    if (indicador) return indicador;
+  }
+
+  for (const coleccionId of item.colecciones || []) {
+    if (overrides.colecciones?.[coleccionId] !== undefined) {
+      const indicador = normalizarIndicador(overrides.colecciones[coleccionId]);
+      if (indicador) return indicador;
+    }
+  }
+
+  const indicador = indicadorDesdeTasa(item.iva, tasas);
+  if (!indicador) {
+    throw new IndicadorIVAError(
+      `Tasa de IVA ${item.iva}% sin indicador configurado para "${item.nombre || item.id}" ` +
+      '(agregar la tasa o un override por SKU/producto/coleccion en settings.iva)',
+      { id: item.id, sku: item.sku, productId: item.productId, iva: item.iva }
+    );
+  }
+
+  return indicador;
+}
+
+/**
+ * Verificar si la config tiene overrides por coleccion
+ * (requieren consultar el producto en Wix Stores)
+ * @param {Object} ivaConfig
+ * @returns {boolean}
+ */
+function requiereColecciones(ivaConfig) {
+  return Object.keys(ivaConfig?.overrides?.colecciones || {}).length > 0;
+}
+
+/**
+ * Completar colecciones de cada item consultando Wix Stores
+ * Solo se consulta si el sitio tiene overrides por coleccion
+ * @param {Array} items - Items normalizados
+ * @param {Object} wixClient - Cliente Wix (getProduct)
+ * @param {Object} ivaConfig
+ * @returns {Promise<Array>} Items con colecciones
+ */
+async function enriquecerColecciones(items, wixClient, ivaConfig) {
+  if (!requiereColecciones(ivaConfig)) return items;
+
+  const cache = new Map();
+
+  for (const item of items) {
+    if (!item.productId || item.colecciones?.length) continue;
+
+    if (!cache.has(item.productId)) {
+      try {
+        const producto = await wixClient.getProduct(item.productId);
+        cache.set(item.productId, producto?.collectionIds || []);
+      } catch (error) {
+        logger.warn('No se pudieron obtener colecciones del producto', {
+          productId: item.productId,
+          error: error.message
+        });
+        cache.set(item.productId, []);
+      }
+    }
+
+    item.colecciones = cache.get(item.productId);
+  }
+
+  return items;
+}
+
+module.exports = {
+  TASAS_IVA_DEFAULT,
+  IndicadorIVAError,
+  normalizarTasa,
+  normalizarIndicador,
+  indicadorDesdeTasa,
+  resolverIndicadorItem,
+  requiereColecciones,
+  enriquecerColecciones
+};
@@ -0,0 +1,217 @@
+/**
+ * Worker que descarga el PDF de cada CFE emitido al archivo local
+ * Biller genera el PDF en forma asincrona: los intentos fallidos se
+ * reprograman con backoff y, agotados los intentos, el comprobante queda
+ * con pdf_status 'error' (visible en el dashboard)
+ * @module services/pdf-worker
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { calculateBackoff } = require('../utils/retry');
+const { getPDFArchive } = require('../utils/pdf-archive');
+const { getBillerClientForTenant } = require('./tenant');
+
+class PDFWorker {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - ComprobanteStore
+   * @param {Object} options.archive - PDFArchive
+   * @param {Function} options.getBillerClient - (instanceId) => BillerClient del sitio
+   * @param {Function} [options.onFallido] - (comprobante, error) al agotar intentos
+   * @param {Object} [options.metrics] - MetricsCollector (recordPDF*)
+   * @param {number} [options.pollInterval] - ms entre revisiones
+   * @param {number} [options.initialDelay] - Backoff inicial (ms)
+   * @param {number} [options.maxDelay] - Backoff maximo (ms)
+   * @param {number} [options.maxIntentos] - Intentos antes de marcar error
+   * @param {number} [options.batchSize=5] - PDFs por revision
+   */
+  constructor(options) {
+    const defaults = config.procesamiento.pdfWorker;
+
+    this.store = options.store;
+    this.archive = options.archive;
+    this.getBillerClient = options.getBillerClient;
+    this.onFallido = options.onFallido || (() => {});
+    this.metrics = options.metrics || null;
+    this.pollInterval = options.pollInterval || defaults.pollInterval;
+    this.initialDelay = options.initialDelay || defaults.initialDelay;
+    this.maxDelay = options.maxDelay || defaults.maxDelay;
+    this.maxIntentos = options.maxIntentos || defaults.maxIntentos;
+    this.batchSize = options.batchSize || 5;
+
+    this.interval = null;
+    this.running = false;
+
+    this.stats = {
+      obtenidos: 0,
+      reintentos: 0,
+      fallidos: 0,
+      ultimaRevision: null
+    };
+  }
+
+  /**
+   * Iniciar revision periodica
+   */
+  start() {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error('Error en worker de PDFs', { error: error.message });
+      });
+    }, this.pollInterval);
+
+    // No bloquear el proceso
+    this.interval.unref();
+
+    logger.info('Worker de PDFs iniciado', {
+      pollInterval: this.pollInterval,
+      maxIntentos: this.maxIntentos
+    });
+  }
+
+  /**
+   * Detener revision periodica
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Descargar los PDFs pendientes cuyo backoff vencio
+   * @returns {number} PDFs intentados en esta revision
+   */
+  async tick() {
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      const pendientes = this.store
+        .findPDFsPending(this.maxIntentos, Date.now())
+        .slice(0, this.batchSize);
+
+      for (const comprobante of pendientes) {
+        await this.obtener(comprobante);
+      }
+
+      return pendientes.length;
+    } finally {
+      this.running = false;
+      this.stats.ultimaRevision = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Descargar y archivar el PDF de un comprobante
+   * @param {Object} comprobante - Registro del store (con key)
+   * @returns {Object} { success, ruta?, error?, fallido? }
+   */
+  async obtener(comprobante) {
+    const instanceId = comprobante.instance_id || null;
+    const intento = (comprobante.pdf_attempt_count || 0) + 1;
+
+    try {
+      let ruta = this.archive.existe(comprobante.id, instanceId)
+        ? this.archive.ruta(comprobante.id, instanceId)
+        : null;
+
+      if (!ruta) {
+        const pdf = await this.getBillerClient(instanceId).obtenerPDF(comprobante.id);
+        ruta = this.archive.guardar(comprobante.id, pdf, instanceId);
+      }
+
+      this.store.updatePDFStatus(comprobante.key, 'ready', ruta, null, intento);
+      this.stats.obtenidos++;
+      if (this.metrics) this.metrics.recordPDFObtained(intento);
+
+      return { success: true, ruta };
+    } catch (error) {
+      if (intento >= this.maxIntentos) {
+        this.store.updatePDFStatus(comprobante.key, 'error', null, error.message, intento);
+        this.stats.fallidos++;
+        if (this.metrics) this.metrics.recordPDFFailed();
+
+        logger.error('PDF no disponible tras agotar intentos', {
+          key: comprobante.key,
+          billerId: comprobante.id,
+          intentos: intento,
+          error: error.message
+        });
+        this.onFallido(comprobante, error);
+
+        return { success: false, error, fallido: true };
+      }
+
+      const delay = calculateBackoff(intento - 1, this.initialDelay, this.maxDelay);
+      const proximo = new Date(Date.now() + delay).toISOString();
+      this.store.updatePDFStatus(comprobante.key, 'pending', null, error.message, intento, proximo);
+      this.stats.reintentos++;
+      if (this.metrics) this.metrics.recordPDFRetried();
+
+      logger.debug('PDF aun no disponible, se reintentara', {
+        key: comprobante.key,
+        billerId: comprobante.id,
+        intento,
+        proximoIntento: proximo
+      });
+
+      return { success: false, error, fallido: false };
+    }
+  }
+
+  /**
+   * Reintentar un PDF con error (desde el dashboard/API)
+   * @param {string} key - Key del comprobante en el store
+   * @returns {Object|null} Resultado o null si no existe
+   */
+  async reintentar(key) {
+    const comprobante = this.store.getByKey(key);
+    if (!comprobante || !comprobante.id) return null;
+
+    return this.obtener({ ...comprobante, key, pdf_attempt_count: 0 });
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      activo: !!this.interval,
+      pendientes: this.store.findPDFsPending(this.maxIntentos).length,
+      conError: this.store.findPDFsFallidos().length
+    };
+  }
+}
+
+/**
+ * Obtener el PDF de un comprobante para servirlo
+ * Usa el archivo local; si aun no esta archivado lo pide a Biller y lo archiva
+ * (el worker lo marca ready en su proxima revision sin volver a descargarlo)
+ * @param {Object} comprobante - Registro del store
+ * @param {Object} [deps] - { archive, getBillerClient } (tests)
+ * @returns {Buffer}
+ */
+async function obtenerPDFComprobante(comprobante, deps = {}) {
+  const archive = deps.archive || getPDFArchive();
+  const getBillerClient = deps.getBillerClient || getBillerClientForTenant;
+  const instanceId = comprobante.instance_id || null;
+
+  const archivado = archive.leer(comprobante.id, instanceId);
+  if (archivado) return archivado;
+
+  const pdf = Buffer.from(await getBillerClient(instanceId).obtenerPDF(comprobante.id));
+  try {
+    archive.guardar(comprobante.id, pdf, instanceId);
+  } catch (error) {
+    logger.warn('No se pudo archivar PDF', { billerId: comprobante.id, error: error.message });
+  }
+  return pdf;
+}
+
+module.exports = {
+  PDFWorker,
+  obtenerPDFComprobante
+};
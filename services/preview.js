@@ -0,0 +1,175 @@
+/**
+ * Previsualizacion (dry-run) del comprobante de una orden de cualquier canal
+ * Arma el payload exacto que facturarOrden enviaria a Biller, lo valida y
+ * compara los totales contra la orden. No emite ni guarda nada
+ * @module services/preview
+ */
+
+const config = require('../config');
+const { construirComprobante } = require('./comprobante-builder');
+const { numeroInternoOrden, canalDe } = require('./canales');
+const { totalesPorIndicador, totalComprobante, redondear } = require('./descuentos');
+const { validarDatosComprobante } = require('../utils/validators');
+const { motivosRetencion, MOTIVOS_RETENCION } = require('./revision');
+
+/**
+ * Advertencias de la previsualizacion
+ */
+const ADVERTENCIAS = {
+  ORDEN_CANCELADA: 'ORDEN_CANCELADA',                       // Se procesaria como NC, no como venta
+  ORDEN_NO_PAGADA: 'ORDEN_NO_PAGADA',                       // facturarOrden la ignoraria
+  YA_FACTURADA: 'YA_FACTURADA',                             // Hay CFE en el store local
+  YA_FACTURADA_BILLER: 'YA_FACTURADA_BILLER',               // Hay CFE en Biller con el mismo numero_interno
+  BILLER_NO_DISPONIBLE: 'BILLER_NO_DISPONIBLE',             // No se pudo verificar idempotencia en Biller
+  VENTA_GRANDE_SIN_DOCUMENTO: 'VENTA_GRANDE_SIN_DOCUMENTO', // Supera el limite UI sin documento del receptor: se retendria
+  DOCUMENTO_INVALIDO: 'DOCUMENTO_INVALIDO',                 // RUT/CI con digito verificador invalido: se retendria
+  VALOR_UI_SIN_TABLA: 'VALOR_UI_SIN_TABLA',                 // Limite UI calculado con DGI_VALOR_UI
+  REDONDEO_AJUSTADO: 'REDONDEO_AJUSTADO',                   // Se agrego linea de redondeo
+  TOTAL_DIFERENTE: 'TOTAL_DIFERENTE',                       // Diferencia fuera de tolerancia: se retendria
+  PAYLOAD_INVALIDO: 'PAYLOAD_INVALIDO',                     // validarDatosComprobante con errores
+  ERROR_ARMADO: 'ERROR_ARMADO'                              // No se pudo armar el comprobante
+};
+
+/**
+ * Totales del payload por indicador de IVA contra el total de la orden
+ * @param {Array<Object>} items - Items de Biller
+ * @param {number} totalWix
+ * @returns {Object} { porIndicador, totalComprobante, totalWix, diferencia }
+ */
+function compararTotales(items, totalWix) {
+  const total = totalComprobante(items);
+
+  return {
+    porIndicador: totalesPorIndicador(items),
+    totalComprobante: total,
+    totalWix,
+    diferencia: redondear(total - totalWix)
+  };
+}
+
+/**
+ * Previsualizar el comprobante de una orden sin emitirlo
+ * @param {Object} order - Orden cruda del canal
+ * @param {Object} opciones
+ * @param {Object} opciones.fuente - Adaptador del canal (services/fuentes)
+ * @param {string} [opciones.instanceId] - Sitio Wix
+ * @param {Object} [opciones.billerClient] - Cliente Biller del sitio (solo lectura: idempotencia y sucursal)
+ * @param {Object} [opciones.comprobanteStore] - Store local (solo lectura)
+ * @param {Object} [opciones.settingsStore] - WixAppSettingsStore
+ * @returns {Promise<Object>} { orderId, instanceId, emitiria, decision, payload, validacion, totales, retencion, advertencias, contexto, error }
+ */
+async function previsualizarComprobante(order, opciones) {
+  const { fuente, instanceId = null, billerClient = null, comprobanteStore = null } = opciones;
+  const ordenNormalizada = fuente.normalizarOrden(order);
+  const orderId = ordenNormalizada.id;
+  const advertencias = [];
+  const advertir = (codigo, mensaje, detalle) => advertencias.push({ codigo, mensaje, ...(detalle && { detalle }) });
+
+  // Mismas condiciones que procesarOrden/facturarOrden (pasos 3 a 5)
+  if (ordenNormalizada.status === 'CANCELED') {
+    advertir(ADVERTENCIAS.ORDEN_CANCELADA, 'Orden cancelada: se procesaria como nota de credito');
+  } else if (ordenNormalizada.status !== 'APPROVED' && ordenNormalizada.paymentStatus !== 'PAID') {
+    advertir(ADVERTENCIAS.ORDEN_NO_PAGADA, 'Orden no aprobada/pagada: no se emitiria', {
+      status: ordenNormalizada.status,
+      paymentStatus: ordenNormalizada.paymentStatus
+    });
+  }
+
+  const existente = comprobanteStore?.findByOrderId(orderId, canalDe(ordenNormalizada));
+  if (existente) {
+    advertir(ADVERTENCIAS.YA_FACTURADA, 'La orden ya tiene comprobante en el store local', {
+      serie: existente.serie,
+      numero: existente.numero
+    });
+  } else if (billerClient) {
+    try {
+      const existenteEnBiller = await billerClient.buscarPorNumeroInterno(numeroInternoOrden(orderId, canalDe(ordenNormalizada)));
+      if (existenteEnBiller) {
+        advertir(ADVERTENCIAS.YA_FACTURADA_BILLER, 'La orden ya tiene comprobante en Biller', {
+          billerId: existenteEnBiller.id
+        });
+      }
+    } catch (error) {
+      advertir(ADVERTENCIAS.BILLER_NO_DISPONIBLE, `No se pudo verificar en Biller: ${error.message}`);
+    }
+  }
+
+  const resultado = {
+    orderId,
+    instanceId,
+    emitiria: false,
+    decision: null,
+    payload: null,
+    validacion: null,
+    totales: null,
+    retencion: [],
+    advertencias,
+    contexto: null,
+    error: null
+  };
+
+  // Pasos 6-7: mismo armado que la emision real
+  let armado;
+  try {
+    armado = await construirComprobante(ordenNormalizada, {
+      cliente: fuente.cliente,
+      instanceId,
+      sucursal: billerClient?.sucursal,
+      settingsStore: opciones.settingsStore,
+      permitirDiferencia: true
+    });
+  } catch (error) {
+    resultado.error = { code: error.code || null, message: error.message };
+    advertir(ADVERTENCIAS.ERROR_ARMADO, error.message, { code: error.code || null });
+    return resultado;
+  }
+
+  const { datosComprobante, decision, tipoCambio, valorUI, formaPago, totales } = armado;
+  resultado.decision = decision;
+  resultado.payload = datosComprobante;
+  resultado.validacion = validarDatosComprobante(datosComprobante);
+  resultado.totales = compararTotales(datosComprobante.items, ordenNormalizada.montos.total);
+  resultado.contexto = { tipoCambio, valorUI, formaPago };
+  // Motivos por los que facturarOrden la mandaria a la cola de revision
+  resultado.retencion = motivosRetencion(decision, totales);
+
+  if (decision.advertencia === ADVERTENCIAS.VENTA_GRANDE_SIN_DOCUMENTO) {
+    advertir(ADVERTENCIAS.VENTA_GRANDE_SIN_DOCUMENTO, 'La venta supera el limite de UI y el receptor no tiene documento: la orden se retendria');
+  }
+  const documentoInvalido = resultado.retencion.find(m => m.codigo === MOTIVOS_RETENCION.DOCUMENTO_INVALIDO);
+  if (documentoInvalido) {
+    advertir(ADVERTENCIAS.DOCUMENTO_INVALIDO, `${documentoInvalido.detalle}: la orden se retendria`);
+  }
+  if (valorUI.fuente === 'config') {
+    advertir(ADVERTENCIAS.VALOR_UI_SIN_TABLA, `Sin valor UI para la fecha de la orden: limite calculado con ${config.dgi.valorUI}`);
+  }
+  if (totales.ajuste !== 0) {
+    advertir(ADVERTENCIAS.REDONDEO_AJUSTADO, `Se agrega una linea de redondeo de ${totales.ajuste}`);
+  }
+  if (!totales.ok) {
+    advertir(ADVERTENCIAS.TOTAL_DIFERENTE, 'La suma de las lineas no coincide con el total de Wix: la orden se retendria', {
+      totalComprobante: resultado.totales.totalComprobante,
+      totalWix: resultado.totales.totalWix
+    });
+  }
+  if (!resultado.validacion.valid) {
+    advertir(ADVERTENCIAS.PAYLOAD_INVALIDO, 'El payload no pasa validarDatosComprobante', {
+      errors: resultado.validacion.errors
+    });
+  }
+
+  resultado.emitiria = resultado.validacion.valid && resultado.retencion.length === 0 && !advertencias.some(a => [
+    ADVERTENCIAS.ORDEN_CANCELADA,
+    ADVERTENCIAS.ORDEN_NO_PAGADA,
+    ADVERTENCIAS.YA_FACTURADA,
+    ADVERTENCIAS.YA_FACTURADA_BILLER
+  ].includes(a.codigo));
+
+  return resultado;
+}
+
+module.exports = {
+  ADVERTENCIAS,
+  compararTotales,
+  previsualizarComprobante
+};
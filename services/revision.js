@@ -0,0 +1,379 @@
+/**
+ * Cola de revision manual: ordenes que no se pueden facturar con seguridad
+ * (venta > 5000 UI sin documento, total distinto al cobrado, RUT/CI con digito
+ * verificador invalido) se retienen en vez de enviarse a Biller. Un admin del
+ * sitio corrige los datos fiscales y aprueba (se emite) o rechaza la orden.
+ * Cada decision queda en el audit log.
+ * @module services/revision
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getRevisionStore } = require('../utils/revision-store');
+const { getAuditLogger } = require('../utils/audit-logger');
+const { validarRUT } = require('../utils/validators');
+const { filtroTenant, tenantKey } = require('./tenant');
+const { CANALES } = require('./canales');
+
+const ESTADOS_REVISION = Object.freeze({
+  PENDIENTE: 'pendiente',
+  APROBADA: 'aprobada',
+  RECHAZADA: 'rechazada'
+});
+
+const MOTIVOS_RETENCION = Object.freeze({
+  VENTA_GRANDE_SIN_DOCUMENTO: 'VENTA_GRANDE_SIN_DOCUMENTO',
+  TOTALES_NO_COINCIDEN: 'TOTALES_NO_COINCIDEN',
+  DOCUMENTO_INVALIDO: 'DOCUMENTO_INVALIDO'
+});
+
+// Tipos de documento Wix que se pueden cargar al editar
+const TIPOS_DOCUMENTO_EDITABLES = ['UY_RUT', 'UY_CI'];
+
+// Ordenes aprobadas que se estan emitiendo en este proceso (ids de la cola)
+const aprobacionesEnCurso = new Set();
+
+/**
+ * Error de una operacion sobre la cola de revision
+ */
+class RevisionError extends Error {
+  constructor(message, code = 'REVISION_INVALIDA') {
+    super(message);
+    this.name = 'RevisionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Id de la orden en la cola (una por orden y canal)
+ * @param {string} orderId
+ * @param {string} [canal='wix']
+ * @returns {string}
+ */
+function idRevision(orderId, canal = CANALES.WIX) {
+  return `${canal}-${orderId}`;
+}
+
+/**
+ * Validar digito verificador de un RUT o CI
+ * Las CI de 7 digitos se completan con un 0 adelante
+ * @param {string} documento
+ * @param {number} tipoDocumento - config.TIPOS_DOCUMENTO
+ * @returns {Object} { valido, documento, motivo }
+ */
+function validarDocumento(documento, tipoDocumento) {
+  const limpio = String(documento || '').replace(/\D/g, '');
+  const esCI = tipoDocumento === config.TIPOS_DOCUMENTO.CI;
+  const numero = esCI ? limpio.padStart(8, '0') : limpio;
+
+  if ((esCI && numero.length !== 8) || (!esCI && numero.length !== 12)) {
+    return { valido: false, documento: limpio, motivo: `Longitud invalida para ${esCI ? 'CI' : 'RUT'}: ${limpio.length}` };
+  }
+
+  const validacion = validarRUT(numero);
+  if (!validacion.valid || validacion.needsVerification) {
+    return { valido: false, documento: numero, motivo: validacion.reason || validacion.warning };
+  }
+
+  return { valido: true, documento: numero, motivo: null };
+}
+
+/**
+ * Motivos para retener una orden antes de emitir
+ * @param {Object} decision - Resultado de determinarTipoComprobante
+ * @param {Object} totales - Resultado de conciliarTotales
+ * @returns {Array<Object>} [{ codigo, detalle }] (vacio: se puede emitir)
+ */
+function motivosRetencion(decision, totales) {
+  const motivos = [];
+
+  if (decision.advertencia === MOTIVOS_RETENCION.VENTA_GRANDE_SIN_DOCUMENTO) {
+    motivos.push({
+      codigo: MOTIVOS_RETENCION.VENTA_GRANDE_SIN_DOCUMENTO,
+      detalle: 'Venta mayor a 5000 UI sin documento del receptor'
+    });
+  }
+
+  if (totales && !totales.ok) {
+    motivos.push({
+      codigo: MOTIVOS_RETENCION.TOTALES_NO_COINCIDEN,
+      detalle: `Total del comprobante ${totales.totalComprobante} vs cobrado ${totales.totalOrden} (diferencia ${totales.diferencia})`
+    });
+  }
+
+  // Solo documentos uruguayos: los extranjeros (exportacion) no tienen digito verificador
+  const { documento, tipo_documento: tipoDocumento } = decision.cliente || {};
+  if (documento && [config.TIPOS_DOCUMENTO.RUT, config.TIPOS_DOCUMENTO.CI].includes(tipoDocumento)) {
+    const validacion = validarDocumento(documento, tipoDocumento);
+    if (!validacion.valido) {
+      motivos.push({
+        codigo: MOTIVOS_RETENCION.DOCUMENTO_INVALIDO,
+        detalle: `${tipoDocumento === config.TIPOS_DOCUMENTO.RUT ? 'RUT' : 'CI'} ***${validacion.documento.slice(-4)}: ${validacion.motivo}`
+      });
+    }
+  }
+
+  return motivos;
+}
+
+/**
+ * Retener una orden en la cola de revision (no se emite)
+ * Si la orden ya estaba pendiente se actualizan los motivos
+ * @param {Object} ordenNormalizada
+ * @param {Array<Object>} motivos - Ver motivosRetencion
+ * @param {Object} contexto
+ * @param {string} [contexto.instanceId]
+ * @param {string} contexto.actor
+ * @param {Object} [contexto.decision] - Decision de facturacion (tipo y razon)
+ * @param {Object} [contexto.store] - default: RevisionStore
+ * @param {Object} [contexto.auditLogger] - default: singleton
+ * @returns {Object} Registro de la cola
+ */
+function retenerOrden(ordenNormalizada, motivos, { instanceId = null, actor, decision = null, store = getRevisionStore(), auditLogger = getAuditLogger() }) {
+  const canal = ordenNormalizada.canal || CANALES.WIX;
+  const id = idRevision(ordenNormalizada.id, canal);
+  const existente = store.get(id);
+
+  const registro = store.guardar({
+    ...existente,
+    id,
+    orderId: ordenNormalizada.id,
+    canal,
+    instance_id: instanceId,
+    estado: ESTADOS_REVISION.PENDIENTE,
+    motivos,
+    orden: {
+      numero: ordenNormalizada.number ?? null,
+      fecha: ordenNormalizada.createdDate || null,
+      total: ordenNormalizada.montos?.total ?? null,
+      moneda: ordenNormalizada.montos?.moneda || 'UYU',
+      comprador: [ordenNormalizada.buyer?.firstName, ordenNormalizada.buyer?.lastName].filter(Boolean).join(' ') || null,
+      email: ordenNormalizada.buyer?.email || null,
+      fiscal: ordenNormalizada.fiscal || null
+    },
+    tipoPropuesto: decision?.tipo ?? null,
+    razonPropuesta: decision?.razon ?? null,
+    datosFiscales: existente?.datosFiscales || null,
+    retenidaEn: existente?.retenidaEn || new Date().toISOString()
+  });
+
+  if (!existente) {
+    auditLogger.registrarOperacion('retener_orden', {
+      actor,
+      tenant: tenantKey(instanceId),
+      orderId: ordenNormalizada.id,
+      request: { canal, motivos: motivos.map(m => m.codigo) }
+    }, { id });
+  }
+
+  logger.warn('Orden retenida para revision manual', {
+    orderId: ordenNormalizada.id,
+    canal,
+    motivos: motivos.map(m => m.codigo)
+  });
+
+  return registro;
+}
+
+/**
+ * Registro de la cola de una orden
+ * @param {string} orderId
+ * @param {string} [canal='wix']
+ * @param {Object} [store]
+ * @returns {Object|null}
+ */
+function getRevision(orderId, canal = CANALES.WIX, store = getRevisionStore()) {
+  return store.get(idRevision(orderId, canal));
+}
+
+/**
+ * Ordenes de la cola de un sitio
+ * @param {Object} [filtros] - { instanceId, estado }
+ * @param {Object} [store]
+ * @returns {Array}
+ */
+function listarRevisiones({ instanceId = null, estado = null } = {}, store = getRevisionStore()) {
+  const delSitio = filtroTenant(instanceId);
+  return store.getAll(r => delSitio(r) && (!estado || r.estado === estado));
+}
+
+/**
+ * Registro pendiente del sitio (o error)
+ * @throws {RevisionError}
+ */
+function obtenerPendiente(id, instanceId, store) {
+  const registro = store.get(id);
+  if (!registro || !filtroTenant(instanceId)(registro)) {
+    throw new RevisionError(`Orden en revision no encontrada: ${id}`, 'REVISION_NO_ENCONTRADA');
+  }
+  if (registro.estado !== ESTADOS_REVISION.PENDIENTE) {
+    throw new RevisionError(`La orden ya fue ${registro.estado}`, 'REVISION_CERRADA');
+  }
+  // Una segunda aprobacion (o edicion/rechazo) mientras se emite duplicaria el CFE
+  if (aprobacionesEnCurso.has(id)) {
+    throw new RevisionError('La orden se esta emitiendo', 'REVISION_EN_CURSO');
+  }
+  return registro;
+}
+
+/**
+ * Corregir los datos fiscales de una orden retenida
+ * Se usan al aprobar en lugar de los de la orden
+ * @param {string} id - Ver idRevision
+ * @param {Object} datos - { tipoDocumento (UY_RUT|UY_CI), documento, razonSocial?, nombreCompleto? }
+ * @param {Object} contexto - { instanceId, actor, store, auditLogger }
+ * @returns {Object} Registro actualizado
+ * @throws {RevisionError}
+ */
+function editarDatosFiscales(id, datos = {}, { instanceId = null, actor, store = getRevisionStore(), auditLogger = getAuditLogger() }) {
+  const registro = obtenerPendiente(id, instanceId, store);
+
+  if (!TIPOS_DOCUMENTO_EDITABLES.includes(datos.tipoDocumento)) {
+    throw new RevisionError(`tipoDocumento debe ser ${TIPOS_DOCUMENTO_EDITABLES.join(' o ')}`, 'DATOS_FISCALES_INVALIDOS');
+  }
+
+  const validacion = validarDocumento(datos.documento, config.MAPEO_TIPO_DOCUMENTO_WIX[datos.tipoDocumento]);
+  if (!validacion.valido) {
+    throw new RevisionError(`Documento invalido: ${validacion.motivo}`, 'DATOS_FISCALES_INVALIDOS');
+  }
+
+  const datosFiscales = {
+    tipoDocumento: datos.tipoDocumento,
+    documento: validacion.documento,
+    razonSocial: datos.razonSocial?.trim() || null,
+    nombreCompleto: datos.nombreCompleto?.trim() || null
+  };
+
+  const actualizado = store.guardar({
+    ...registro,
+    datosFiscales,
+    editadaPor: actor,
+    editadaEn: new Date().toISOString()
+  });
+
+  auditLogger.registrarOperacion('editar_orden_retenida', {
+    actor,
+    tenant: tenantKey(registro.instance_id),
+    orderId: registro.orderId,
+    request: { id, tipoDocumento: datosFiscales.tipoDocumento, documento: `***${datosFiscales.documento.slice(-4)}` }
+  }, { id });
+
+  return actualizado;
+}
+
+/**
+ * Aplicar los datos fiscales corregidos a la orden normalizada
+ * @param {Object} ordenNormalizada
+ * @param {Object|null} datosFiscales - Ver editarDatosFiscales
+ * @returns {Object} La misma orden
+ */
+function aplicarDatosFiscales(ordenNormalizada, datosFiscales) {
+  if (!datosFiscales) return ordenNormalizada;
+
+  ordenNormalizada.fiscal = {
+    ...ordenNormalizada.fiscal,
+    tipoDocumento: datosFiscales.tipoDocumento,
+    documento: datosFiscales.documento,
+    ...(datosFiscales.razonSocial && { razonSocial: datosFiscales.razonSocial }),
+    ...(datosFiscales.nombreCompleto && { nombreCompleto: datosFiscales.nombreCompleto })
+  };
+  return ordenNormalizada;
+}
+
+/**
+ * Aprobar una orden retenida: se emite con los datos fiscales corregidos
+ * (aunque persista algun motivo, la aprobacion del admin lo acepta)
+ * @param {string} id - Ver idRevision
+ * @param {Object} contexto
+ * @param {Function} contexto.emitir - async (registro, actor) => comprobante, factura la orden (server.js)
+ * @param {string} [contexto.instanceId]
+ * @param {string} contexto.actor
+ * @param {string} [contexto.nota]
+ * @param {Object} [contexto.store]
+ * @param {Object} [contexto.auditLogger]
+ * @returns {Promise<Object>} { registro, comprobante }
+ * @throws {RevisionError} REVISION_EN_CURSO si otra aprobacion de la orden se esta emitiendo
+ */
+async function aprobarRevision(id, { emitir, instanceId = null, actor, nota = null, store = getRevisionStore(), auditLogger = getAuditLogger() }) {
+  const registro = obtenerPendiente(id, instanceId, store);
+  aprobacionesEnCurso.add(id);
+
+  try {
+    return await emitirAprobada(registro, { emitir, actor, nota, store, auditLogger });
+  } finally {
+    aprobacionesEnCurso.delete(id);
+  }
+}
+
+/**
+ * Emitir una orden aprobada y cerrar su registro (ver aprobarRevision)
+ */
+async function emitirAprobada(registro, { emitir, actor, nota, store, auditLogger }) {
+  const { id } = registro;
+  const comprobante = await auditLogger.auditar('aprobar_orden_retenida', {
+    actor,
+    tenant: tenantKey(registro.instance_id),
+    orderId: registro.orderId,
+    request: { id, canal: registro.canal, motivos: registro.motivos.map(m => m.codigo), nota, datosCorregidos: !!registro.datosFiscales }
+  }, async () => {
+    const cfe = await emitir(registro, actor);
+    // Orden cancelada o no pagada desde que se retuvo
+    if (!cfe) {
+      throw new RevisionError('La orden ya no esta en condiciones de facturarse (rechazarla)', 'ORDEN_NO_FACTURABLE');
+    }
+    return cfe;
+  }, cfe => ({ comprobante: { id: cfe.id, tipo_comprobante: cfe.tipo_comprobante, serie: cfe.serie, numero: cfe.numero } }));
+
+  const actualizado = store.guardar({
+    ...registro,
+    estado: ESTADOS_REVISION.APROBADA,
+    decision: { actor, nota, en: new Date().toISOString() },
+    comprobante: { id: comprobante.id, tipo_comprobante: comprobante.tipo_comprobante, serie: comprobante.serie, numero: comprobante.numero }
+  });
+
+  logger.info('Orden en revision aprobada y emitida', { id, actor, serie: comprobante.serie, numero: comprobante.numero });
+  return { registro: actualizado, comprobante };
+}
+
+/**
+ * Rechazar una orden retenida: no se factura (los webhooks siguientes la ignoran)
+ * @param {string} id - Ver idRevision
+ * @param {Object} contexto - { instanceId, actor, motivo, store, auditLogger }
+ * @returns {Object} Registro actualizado
+ * @throws {RevisionError}
+ */
+function rechazarRevision(id, { instanceId = null, actor, motivo = null, store = getRevisionStore(), auditLogger = getAuditLogger() }) {
+  const registro = obtenerPendiente(id, instanceId, store);
+
+  const actualizado = store.guardar({
+    ...registro,
+    estado: ESTADOS_REVISION.RECHAZADA,
+    decision: { actor, nota: motivo, en: new Date().toISOString() }
+  });
+
+  auditLogger.registrarOperacion('rechazar_orden_retenida', {
+    actor,
+    tenant: tenantKey(registro.instance_id),
+    orderId: registro.orderId,
+    request: { id, motivo }
+  }, { id });
+
+  logger.info('Orden en revision rechazada', { id, actor, motivo });
+  return actualizado;
+}
+
+module.exports = {
+  ESTADOS_REVISION,
+  MOTIVOS_RETENCION,
+  RevisionError,
+  idRevision,
+  validarDocumento,
+  motivosRetencion,
+  retenerOrden,
+  getRevision,
+  listarRevisiones,
+  editarDatosFiscales,
+  aplicarDatosFiscales,
+  aprobarRevision,
+  rechazarRevision
+};
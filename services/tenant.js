@@ -0,0 +1,139 @@
+/**
+ * Resolucion de tenant (sitio Wix) para operar con sus credenciales de Biller
+ * Cada instancia de la Wix App tiene su token, empresa y sucursal en WixAppSettingsStore
+ * @module services/tenant
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { BillerClient } = require('../biller-client');
+const { getSettingsStore } = require('../utils/wix-app-store');
+
+// Tenant de los datos emitidos con las credenciales globales (env vars)
+const TENANT_DEFAULT = 'default';
+
+// Cache de clientes por tenant: instanceId -> { firma, client }
+const clientes = new Map();
+
+/**
+ * Error cuando un sitio no tiene credenciales de Biller configuradas
+ */
+class TenantError extends Error {
+  constructor(message, instanceId) {
+    super(message);
+    this.name = 'TenantError';
+    this.code = 'TENANT_SIN_CONFIGURACION';
+    this.instanceId = instanceId;
+  }
+}
+
+/**
+ * Extraer instanceId del payload de un webhook de Wix
+ * @param {Object} payload - Payload JWT decodificado
+ * @returns {string|null}
+ */
+function resolverInstanceId(payload) {
+  if (!payload) return null;
+  return payload.instanceId || payload.metadata?.instanceId || payload.data?.instanceId || null;
+}
+
+/**
+ * Clave de tenant para etiquetar metricas y errores
+ * @param {string|null} instanceId
+ * @returns {string}
+ */
+function tenantKey(instanceId) {
+  return instanceId || TENANT_DEFAULT;
+}
+
+/**
+ * Verificar si un sitio usa su propia cuenta de Biller
+ * @param {string|null} instanceId
+ * @param {Object} [settingsStore]
+ * @returns {boolean}
+ */
+function esTenantDedicado(instanceId, settingsStore = getSettingsStore()) {
+  if (!instanceId) return false;
+  return settingsStore.getBillerConfig(instanceId).isCustomConfig;
+}
+
+/**
+ * Obtener BillerClient con las credenciales del sitio
+ * Sin instanceId (o sitio sin config propia) usa las credenciales globales,
+ * salvo que config.wix.requireTenantConfig exija config por sitio
+ * @param {string|null} instanceId
+ * @param {Object} [settingsStore]
+ * @returns {BillerClient}
+ * @throws {TenantError}
+ */
+function getBillerClientForTenant(instanceId, settingsStore = getSettingsStore()) {
+  const billerConfig = settingsStore.getBillerConfig(instanceId);
+
+  if (instanceId && !billerConfig.isCustomConfig && config.wix.requireTenantConfig) {
+    throw new TenantError(`Sitio ${instanceId} sin credenciales de Biller configuradas`, instanceId);
+  }
+
+  const key = billerConfig.isCustomConfig ? instanceId : TENANT_DEFAULT;
+  const firma = [billerConfig.token, billerConfig.empresaId, billerConfig.sucursal, billerConfig.ambiente].join('|');
+
+  // Reusar cliente mientras no cambien las credenciales del sitio
+  const cached = clientes.get(key);
+  if (cached && cached.firma === firma) {
+    return cached.client;
+  }
+
+  const client = new BillerClient({
+    token: billerConfig.token,
+    empresaId: billerConfig.empresaId,
+    sucursal: billerConfig.sucursal,
+    ambiente: billerConfig.ambiente
+  });
+  clientes.set(key, { firma, client });
+
+  logger.debug('BillerClient creado para tenant', { tenant: key, ambiente: billerConfig.ambiente });
+
+  return client;
+}
+
+/**
+ * Crear filtro de comprobantes/errores de un sitio
+ * Los registros sin instance_id (previos a multi-tenant) pertenecen a la
+ * cuenta global y solo se muestran a sitios sin cuenta de Biller propia
+ * @param {string|null} instanceId
+ * @param {Object} [settingsStore]
+ * @returns {Function} (registro) => boolean
+ */
+function filtroTenant(instanceId, settingsStore = getSettingsStore()) {
+  const dedicado = esTenantDedicado(instanceId, settingsStore);
+
+  return (registro) => {
+    const registroInstance = registro.instance_id || registro.context?.instanceId || null;
+    if (registroInstance) {
+      return registroInstance === instanceId;
+    }
+    return !dedicado;
+  };
+}
+
+/**
+ * Limpiar cache de clientes (al cambiar settings o en tests)
+ * @param {string} [instanceId] - Solo ese sitio (default: todos)
+ */
+function limpiarClientes(instanceId) {
+  if (instanceId) {
+    clientes.delete(instanceId);
+  } else {
+    clientes.clear();
+  }
+}
+
+module.exports = {
+  TENANT_DEFAULT,
+  TenantError,
+  resolverInstanceId,
+  tenantKey,
+  esTenantDedicado,
+  getBillerClientForTenant,
+  filtroTenant,
+  limpiarClientes
+};
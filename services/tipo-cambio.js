@@ -0,0 +1,171 @@
+/**
+ * Servicio de tipo de cambio para facturacion en moneda extranjera
+ * Resuelve la cotizacion BCU de la fecha de emision y convierte a UYU
+ * @module services/tipo-cambio
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getTipoCambioStore } = require('../utils/tipo-cambio-store');
+const { formatDateISO } = require('../utils/date-formatter');
+
+/**
+ * Error cuando no hay cotizacion disponible para facturar
+ */
+class TipoCambioError extends Error {
+  constructor(message, moneda, fecha) {
+    super(message);
+    this.name = 'TipoCambioError';
+    this.code = 'TIPO_CAMBIO_NO_DISPONIBLE';
+    this.moneda = moneda;
+    this.fecha = fecha;
+  }
+}
+
+/**
+ * Verificar si una moneda es la moneda local
+ * @param {string} moneda
+ * @returns {boolean}
+ */
+function esMonedaLocal(moneda) {
+  return !moneda || String(moneda).toUpperCase() === config.monedas.base;
+}
+
+/**
+ * Resolver tipo de cambio para una moneda y fecha de emision
+ * @param {string} moneda - Codigo ISO de la orden
+ * @param {string} [fecha] - Fecha de emision aaaa-mm-dd (default: hoy)
+ * @param {Object} [store] - TipoCambioStore (default: singleton)
+ * @returns {Object|null} { valor, fecha, fuente } o null si es moneda local
+ * @throws {TipoCambioError} Si no hay cotizacion vigente
+ */
+function resolverTipoCambio(moneda, fecha = formatDateISO(), store = getTipoCambioStore()) {
+  if (esMonedaLocal(moneda)) {
+    return null;
+  }
+
+  const cotizacion = store.getVigente(moneda, fecha);
+  if (!cotizacion) {
+    throw new TipoCambioError(
+      `No hay tipo de cambio ${String(moneda).toUpperCase()} vigente para ${fecha} ` +
+      `(cargar cotizacion BCU via POST /api/tipos-cambio)`,
+      moneda,
+      fecha
+    );
+  }
+
+  return {
+    moneda: cotizacion.moneda,
+    valor: cotizacion.valor,
+    fecha: cotizacion.fecha,
+    fuente: cotizacion.fuente
+  };
+}
+
+/**
+ * Convertir monto a UYU
+ * @param {number} monto
+ * @param {string} moneda
+ * @param {Object|number|null} tipoCambio - Resultado de resolverTipoCambio o valor
+ * @returns {number}
+ */
+function convertirAUYU(monto, moneda, tipoCambio) {
+  if (esMonedaLocal(moneda)) {
+    return monto;
+  }
+
+  const valor = typeof tipoCambio === 'object' ? tipoCambio?.valor : tipoCambio;
+  if (!valor) {
+    throw new TipoCambioError(
+      `Monto en ${moneda} sin tipo de cambio para convertir a UYU`,
+      moneda,
+      null
+    );
+  }
+
+  return monto * valor;
+}
+
+/**
+ * Parsear cotizaciones desde contenido de archivo
+ * Acepta JSON ([{ fecha, moneda, valor }] o { cotizaciones: [...] })
+ * o CSV con columnas fecha,moneda,valor (separador ; o tab con coma decimal,
+ * o , con punto decimal; una linea con , y mas de 3 columnas es ambigua y se descarta)
+ * @param {string} contenido
+ * @returns {Array<{fecha: string, moneda: string, valor: number}>}
+ */
+function parsearCotizaciones(contenido) {
+  const texto = contenido.trim();
+
+  if (texto.startsWith('[') || texto.startsWith('{')) {
+    const parsed = JSON.parse(texto);
+    const lista = Array.isArray(parsed) ? parsed : (parsed.cotizaciones || []);
+    return lista.map(normalizarCotizacion).filter(Boolean);
+  }
+
+  return texto.split(/\r?\n/)
+    // Con ';' o tab como separador la coma queda libre para decimales
+    .map(linea => {
+      const separadorComa = !/[;\t]/.test(linea);
+      const cols = linea.split(separadorComa ? ',' : /[;\t]/).map(c => c.trim());
+      // "fecha,USD,39,25": no se sabe si la coma es decimal
+      return separadorComa && cols.length > 3 ? [] : cols;
+    })
+    .filter(cols => cols.length >= 3 && /^\d/.test(cols[0]))
+    .map(([fecha, moneda, valor]) => normalizarCotizacion({ fecha, moneda, valor }))
+    .filter(Boolean);
+}
+
+/**
+ * Normalizar una cotizacion (fecha dd/mm/aaaa o aaaa-mm-dd, valor con coma decimal)
+ * @param {Object} raw
+ * @returns {Object|null}
+ */
+function normalizarCotizacion(raw) {
+  if (!raw || !raw.fecha || !raw.moneda) return null;
+
+  let fecha = String(raw.fecha).trim();
+  const ddmmaaaa = fecha.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (ddmmaaaa) {
+    fecha = `${ddmmaaaa[3]}-${ddmmaaaa[2]}-${ddmmaaaa[1]}`;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(fecha)) return null;
+
+  const valor = parseFloat(String(raw.valor).replace(',', '.'));
+  if (isNaN(valor) || valor <= 0) return null;
+
+  return { fecha, moneda: String(raw.moneda).toUpperCase(), valor };
+}
+
+/**
+ * Importar cotizaciones desde archivo al store
+ * @param {string} filePath
+ * @param {Object} [store]
+ * @returns {number} Cantidad importada
+ */
+function importarCotizacionesDesdeArchivo(filePath, store = getTipoCambioStore()) {
+  const contenido = fs.readFileSync(filePath, 'utf8');
+  const cotizaciones = parsearCotizaciones(contenido);
+
+  for (const c of cotizaciones) {
+    store.set(c.moneda, c.fecha, c.valor, 'archivo');
+  }
+
+  logger.info('Tipos de cambio importados desde archivo', {
+    archivo: filePath,
+    total: cotizaciones.length
+  });
+
+  return cotizaciones.length;
+}
+
+module.exports = {
+  TipoCambioError,
+  esMonedaLocal,
+  resolverTipoCambio,
+  convertirAUYU,
+  parsearCotizaciones,
+  normalizarCotizacion,
+  importarCotizacionesDesdeArchivo
+};
@@ -0,0 +1,137 @@
+/**
+ * Servicio de Unidad Indexada (UI) para el limite de 5000 UI de e-Ticket
+ * Resuelve el valor UI de la fecha de la orden desde la tabla cargada
+ * (CSV del INE o API) y calcula el limite en UYU con ese valor
+ * @module services/unidad-indexada
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getValorUIStore } = require('../utils/valor-ui-store');
+const { formatDateISO } = require('../utils/date-formatter');
+
+/**
+ * Resolver valor UI para una fecha
+ * Sin valor en la tabla usa config.dgi.valorUI (fuente 'config') y lo advierte
+ * @param {string} [fecha] - Fecha de la orden aaaa-mm-dd (default: hoy)
+ * @param {Object} [store] - ValorUIStore (default: singleton)
+ * @returns {Object} { valor, fecha, fuente }
+ */
+function resolverValorUI(fecha = formatDateISO(), store = getValorUIStore()) {
+  const vigente = store.getVigente(fecha);
+
+  if (!vigente) {
+    logger.warn('Sin valor UI en la tabla para la fecha, se usa DGI_VALOR_UI', {
+      fecha,
+      valorUI: config.dgi.valorUI
+    });
+    return { valor: config.dgi.valorUI, fecha: null, fuente: 'config' };
+  }
+
+  return {
+    valor: vigente.valor,
+    fecha: vigente.fecha,
+    fuente: vigente.fuente
+  };
+}
+
+/**
+ * Calcular limite de 5000 UI en UYU (con margen de seguridad)
+ * @param {Object|number} [valorUI] - Resultado de resolverValorUI o valor (default: config)
+ * @returns {number}
+ */
+function calcularLimiteUYU(valorUI) {
+  const valor = (typeof valorUI === 'object' ? valorUI?.valor : valorUI) || config.dgi.valorUI;
+  return Math.floor(config.dgi.limiteUI * valor * config.dgi.margenSeguridad);
+}
+
+/**
+ * Verificar que haya valores UI cargados para el mes de una fecha
+ * @param {string} [fecha] - aaaa-mm-dd (default: hoy)
+ * @param {Object} [store]
+ * @returns {Object} { ok, mes, ultimo } - ultimo: fecha mas reciente cargada
+ */
+function verificarValorUIMes(fecha = formatDateISO(), store = getValorUIStore()) {
+  const mes = fecha.slice(0, 7);
+  const ultimo = store.getAll()[0]?.fecha || null;
+
+  return { ok: store.tieneMes(mes), mes, ultimo };
+}
+
+/**
+ * Parsear valores UI desde contenido de archivo
+ * Acepta JSON ([{ fecha, valor }] o { valores: [...] }) o el CSV del INE
+ * (fecha;valor con dd/mm/aaaa y coma decimal; se ignoran titulos y encabezados)
+ * @param {string} contenido
+ * @returns {Array<{fecha: string, valor: number}>}
+ */
+function parsearValoresUI(contenido) {
+  const texto = contenido.trim();
+
+  if (texto.startsWith('[') || texto.startsWith('{')) {
+    const parsed = JSON.parse(texto);
+    const lista = Array.isArray(parsed) ? parsed : (parsed.valores || []);
+    return lista.map(normalizarValorUI).filter(Boolean);
+  }
+
+  return texto.split(/\r?\n/)
+    // Con ';' o tab como separador la coma queda libre para decimales
+    .map(linea => linea.split(/[;\t]/.test(linea) ? /[;\t]/ : ',').map(c => c.trim()))
+    .filter(cols => cols.length >= 2 && /^\d/.test(cols[0]))
+    .map(([fecha, valor]) => normalizarValorUI({ fecha, valor }))
+    .filter(Boolean);
+}
+
+/**
+ * Normalizar un valor UI (fecha dd/mm/aaaa o aaaa-mm-dd, valor con coma decimal)
+ * @param {Object} raw
+ * @returns {Object|null}
+ */
+function normalizarValorUI(raw) {
+  if (!raw || !raw.fecha) return null;
+
+  let fecha = String(raw.fecha).trim();
+  const ddmmaaaa = fecha.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (ddmmaaaa) {
+    fecha = `${ddmmaaaa[3]}-${ddmmaaaa[2].padStart(2, '0')}-${ddmmaaaa[1].padStart(2, '0')}`;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(fecha)) return null;
+
+  const valor = parseFloat(String(raw.valor).replace(',', '.'));
+  if (isNaN(valor) || valor <= 0) return null;
+
+  return { fecha, valor };
+}
+
+/**
+ * Importar valores UI desde archivo al store
+ * @param {string} filePath
+ * @param {Object} [store]
+ * @returns {number} Cantidad importada
+ */
+function importarValoresUIDesdeArchivo(filePath, store = getValorUIStore()) {
+  const contenido = fs.readFileSync(filePath, 'utf8');
+  const valores = parsearValoresUI(contenido);
+
+  for (const v of valores) {
+    store.set(v.fecha, v.valor, 'archivo');
+  }
+  store.save();
+
+  logger.info('Valores UI importados desde archivo', {
+    archivo: filePath,
+    total: valores.length
+  });
+
+  return valores.length;
+}
+
+module.exports = {
+  resolverValorUI,
+  calcularLimiteUYU,
+  verificarValorUIMes,
+  parsearValoresUI,
+  normalizarValorUI,
+  importarValoresUIDesdeArchivo
+};
@@ -0,0 +1,151 @@
+/**
+ * Worker que drena la cola persistente de webhooks
+ * Reintenta los items fallidos con backoff exponencial y, agotados los
+ * reintentos, los deja en dead letters para reprocesarlos manualmente
+ * @module services/webhook-worker
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { calculateBackoff } = require('../utils/retry');
+
+class WebhookQueueWorker {
+  /**
+   * @param {Object} options
+   * @param {Object} options.queue - PersistentWebhookQueue
+   * @param {Function} options.procesar - async (item) => void, lanza error si falla
+   * @param {Function} [options.onDeadLetter] - (item, error) al agotar reintentos
+   * @param {number} [options.pollInterval] - ms entre revisiones de la cola
+   * @param {number} [options.initialDelay] - Backoff inicial (ms)
+   * @param {number} [options.maxDelay] - Backoff maximo (ms)
+   * @param {number} [options.batchSize=10] - Items por revision
+   */
+  constructor(options) {
+    const defaults = config.procesamiento.worker;
+
+    this.queue = options.queue;
+    this.procesar = options.procesar;
+    this.onDeadLetter = options.onDeadLetter || (() => {});
+    this.pollInterval = options.pollInterval || defaults.pollInterval;
+    this.initialDelay = options.initialDelay || defaults.initialDelay;
+    this.maxDelay = options.maxDelay || defaults.maxDelay;
+    this.batchSize = options.batchSize || 10;
+
+    this.interval = null;
+    this.running = false;
+
+    this.stats = {
+      procesados: 0,
+      fallidos: 0,
+      deadLetters: 0,
+      ultimaRevision: null
+    };
+  }
+
+  /**
+   * Iniciar revision periodica de la cola
+   */
+  start() {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error('Error en worker de webhooks', { error: error.message });
+      });
+    }, this.pollInterval);
+
+    // No bloquear el proceso
+    this.interval.unref();
+
+    logger.info('Worker de webhooks iniciado', {
+      pollInterval: this.pollInterval,
+      maxRetries: this.queue.maxRetries
+    });
+  }
+
+  /**
+   * Detener revision periodica
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Procesar los items pendientes cuyo backoff vencio
+   * @returns {number} Items procesados en esta revision
+   */
+  async tick() {
+    // Una revision a la vez: los items se procesan en orden
+    if (this.running) return 0;
+    this.running = true;
+
+    let count = 0;
+    try {
+      let item;
+      while (count < this.batchSize && (item = this.queue.getNext())) {
+        await this.procesarItem(item);
+        count++;
+      }
+    } finally {
+      this.running = false;
+      this.stats.ultimaRevision = new Date().toISOString();
+    }
+
+    return count;
+  }
+
+  /**
+   * Procesar un item ya tomado de la cola (status processing)
+   * Completa el item si tiene exito; si falla lo reprograma con backoff
+   * @param {Object} item
+   * @returns {Object} { success, error?, dead? }
+   */
+  async procesarItem(item) {
+    try {
+      await this.procesar(item);
+      this.queue.complete(item.id);
+      this.stats.procesados++;
+
+      if (item.retries > 0) {
+        logger.info('Webhook procesado tras reintento', { id: item.id, orderId: item.orderId, retries: item.retries });
+      }
+
+      return { success: true };
+    } catch (error) {
+      const delay = calculateBackoff(item.retries, this.initialDelay, this.maxDelay);
+      this.queue.fail(item.id, error.message, delay);
+      this.stats.fallidos++;
+
+      const dead = item.status === 'dead';
+      if (dead) {
+        this.stats.deadLetters++;
+        this.onDeadLetter(item, error);
+      } else {
+        logger.warn('Webhook fallido, se reintentara', {
+          id: item.id,
+          orderId: item.orderId,
+          retries: item.retries,
+          nextAttemptAt: item.nextAttemptAt,
+          error: error.message
+        });
+      }
+
+      return { success: false, error, dead };
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      activo: !!this.interval,
+      cola: this.queue.getStats()
+    };
+  }
+}
+
+module.exports = {
+  WebhookQueueWorker
+};
@@ -0,0 +1,181 @@
+/**
+ * Cliente para la Admin API (REST) de Shopify
+ * Ordenes, transacciones y verificacion de webhooks. La normalizacion al
+ * formato interno la hace el adaptador services/fuentes/shopify
+ * @module shopify-client
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./utils/logger');
+
+// Gateways de pago manual (transferencia, contra entrega): venta a credito
+const GATEWAYS_OFFLINE = ['manual', 'bank_deposit', 'cash_on_delivery', 'money_order'];
+
+/**
+ * Error de la API o de un webhook de Shopify
+ */
+class ShopifyError extends Error {
+  constructor(message, status = null, code = 'SHOPIFY_API_ERROR') {
+    super(message);
+    this.name = 'ShopifyError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class ShopifyClient {
+  /**
+   * @param {Object} [opciones] - Sobrescribe config.shopify (tests); baseUrl reemplaza tienda y version
+   */
+  constructor(opciones = {}) {
+    const shopify = { ...config.shopify, ...opciones };
+
+    this.baseUrl = shopify.baseUrl || `https://${shopify.shop}/admin/api/${shopify.apiVersion}`;
+    this.timeout = shopify.timeout;
+    this.accessToken = shopify.accessToken;
+    this.webhookSecret = shopify.webhookSecret;
+  }
+
+  /**
+   * Request autenticado a la Admin API
+   * @param {string} ruta - Ej: /orders/123.json
+   * @returns {Object|null} { data, link } o null si es 404
+   */
+  async request(ruta) {
+    if (!this.accessToken) {
+      throw new ShopifyError('No hay access token de Shopify configurado', null, 'SHOPIFY_SIN_TOKEN');
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${ruta}`, {
+        method: 'GET',
+        headers: {
+          'X-Shopify-Access-Token': this.accessToken,
+          'Accept': 'application/json'
+        },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        throw new ShopifyError(`Timeout consultando Shopify (${ruta})`, null, 'SHOPIFY_TIMEOUT');
+      }
+      throw error;
+    }
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new ShopifyError(`Error ${response.status} en ${ruta}: ${errorText}`, response.status);
+    }
+
+    return { data: await response.json(), link: response.headers.get('link') };
+  }
+
+  /**
+   * Verificar firma de un webhook (HMAC-SHA256 del body crudo en base64)
+   * @param {string} rawBody
+   * @param {string} hmac - Header X-Shopify-Hmac-Sha256
+   * @returns {Object} Body parseado
+   * @throws {ShopifyError} Si la firma no coincide
+   */
+  verifyWebhook(rawBody, hmac) {
+    if (!this.webhookSecret) {
+      throw new ShopifyError('SHOPIFY_WEBHOOK_SECRET no configurado', null, 'SHOPIFY_WEBHOOK_INVALIDO');
+    }
+
+    const esperado = crypto.createHmac('sha256', this.webhookSecret).update(rawBody || '', 'utf8').digest();
+    const recibido = Buffer.from(hmac || '', 'base64');
+    if (recibido.length !== esperado.length || !crypto.timingSafeEqual(recibido, esperado)) {
+      throw new ShopifyError('Firma HMAC de Shopify invalida', null, 'SHOPIFY_WEBHOOK_INVALIDO');
+    }
+
+    return JSON.parse(rawBody);
+  }
+
+  /**
+   * Obtener orden
+   * @param {string|number} orderId
+   * @returns {Object|null}
+   */
+  async getOrder(orderId) {
+    const respuesta = await this.request(`/orders/${orderId}.json`);
+    if (!respuesta) {
+      logger.debug('Orden Shopify no encontrada', { orderId });
+      return null;
+    }
+    return respuesta.data.order;
+  }
+
+  /**
+   * Transacciones de la orden (mismo contrato que WixClient.getOrderTransactions)
+   * @param {string|number} orderId
+   * @returns {Object|null} { transactions }
+   */
+  async getOrderTransactions(orderId) {
+    const respuesta = await this.request(`/orders/${orderId}/transactions.json`);
+    return respuesta ? respuesta.data : null;
+  }
+
+  /**
+   * Normalizar pagos (mismo formato que WixClient.normalizePayments)
+   * @param {Object} transacciones - { transactions }
+   * @returns {Array<{id: string, metodo: string, offline: boolean, giftCard: boolean, estado: string, monto: number}>}
+   */
+  normalizePayments(transacciones) {
+    return (transacciones?.transactions || [])
+      .filter(t => t.kind === 'sale' || t.kind === 'capture')
+      .map(t => ({
+        id: String(t.id),
+        metodo: t.gateway || null,
+        offline: GATEWAYS_OFFLINE.includes(t.gateway),
+        giftCard: t.gateway === 'gift_card',
+        estado: t.status || null,
+        monto: parseFloat(t.amount || 0)
+      }));
+  }
+
+  /**
+   * Buscar una pagina de ordenes creadas en un rango (paginacion por page_info)
+   * @param {Object} filtros
+   * @param {string} filtros.desde - ISO
+   * @param {string} filtros.hasta - ISO
+   * @param {number} [filtros.limit=50] - Max 250
+   * @param {string} [filtros.cursor] - page_info de la pagina anterior
+   * @returns {Object} { orders, nextCursor }
+   */
+  async searchOrdersPage({ desde, hasta, limit = 50, cursor = null }) {
+    // Con page_info Shopify no admite otros filtros: van en el cursor
+    const params = cursor
+      ? new URLSearchParams({ limit: String(limit), page_info: cursor })
+      : new URLSearchParams({ limit: String(limit), status: 'any', created_at_min: desde, created_at_max: hasta, order: 'created_at asc' });
+
+    const respuesta = await this.request(`/orders.json?${params}`);
+    const siguiente = /<[^>]*[?&]page_info=([^&>]+)[^>]*>;\s*rel="next"/.exec(respuesta?.link || '');
+
+    return {
+      orders: respuesta?.data.orders || [],
+      nextCursor: siguiente ? decodeURIComponent(siguiente[1]) : null
+    };
+  }
+}
+
+// Singleton
+let shopifyClient = null;
+
+function getShopifyClient() {
+  if (!shopifyClient) {
+    shopifyClient = new ShopifyClient();
+  }
+  return shopifyClient;
+}
+
+module.exports = {
+  ShopifyError,
+  ShopifyClient,
+  getShopifyClient
+};
@@ -0,0 +1,156 @@
+/**
+ * API falsa de MercadoLibre para probar el canal sin conexion a ML
+ * Sirve /orders/:id, /orders/:id/billing_info, /shipments/:id y /oauth/token
+ *
+ * Uso standalone (con ML_API_URL=http://localhost:4010 en el .env):
+ *   node tests/fake-mercadolibre.js [puerto]
+ * Luego simular la notificacion:
+ *   curl -X POST localhost:3000/webhooks/mercadolibre -H 'Content-Type: application/json' \
+ *     -d '{"resource":"/orders/2000001","topic":"orders_v2","user_id":123456,"application_id":999}'
+ */
+
+const http = require('http');
+
+const TOKEN_INICIAL = 'APP_USR-fake-token';
+
+/**
+ * Orden pagada de ejemplo: 2 items + envio, comprador con CI
+ * @param {Object} [opciones] - { id, total, refunded, status, docType, docNumber }
+ * @returns {Object} { order, billing_info, shipment }
+ */
+function crearOrdenML(opciones = {}) {
+  const id = opciones.id || 2000001;
+  const refunded = opciones.refunded || 0;
+
+  return {
+    order: {
+      id,
+      status: opciones.status || 'paid',
+      date_created: '2024-06-10T14:00:00.000-03:00',
+      last_updated: '2024-06-10T14:05:00.000-03:00',
+      currency_id: 'UYU',
+      total_amount: 1500,
+      buyer: { id: 555, nickname: 'COMPRADOR', first_name: 'Ana', last_name: 'Perez', email: 'ana@test.uy' },
+      order_items: [
+        { item: { id: 'MLU100', title: 'Remera', seller_sku: 'REM-1', variation_id: null }, quantity: 2, unit_price: 500 },
+        { item: { id: 'MLU200', title: 'Gorro', seller_sku: 'GOR-1' }, quantity: 1, unit_price: 500 }
+      ],
+      payments: [{
+        id: 9000001,
+        status: refunded > 0 && refunded >= 1650 ? 'refunded' : 'approved',
+        payment_type: opciones.paymentType || 'credit_card',
+        transaction_amount: 1500,
+        shipping_cost: 150,
+        total_paid_amount: 1650,
+        transaction_amount_refunded: refunded,
+        date_last_modified: '2024-06-12T10:00:00.000-03:00'
+      }],
+      shipping: { id: 4000001 }
+    },
+    billing_info: {
+      doc_type: opciones.docType || 'CI',
+      doc_number: opciones.docNumber || '1.234.567-2',
+      additional_info: [
+        { type: 'FIRST_NAME', value: 'Ana' },
+        { type: 'LAST_NAME', value: 'Perez' },
+        { type: 'STREET_NAME', value: 'Av Brasil' },
+        { type: 'STREET_NUMBER', value: '2500' },
+        { type: 'CITY_NAME', value: 'Montevideo' },
+        { type: 'STATE_NAME', value: 'Montevideo' }
+      ]
+    },
+    shipment: {
+      id: 4000001,
+      shipping_option: { cost: 150 },
+      receiver_address: {
+        address_line: 'Av Brasil 2500',
+        zip_code: '11300',
+        city: { name: 'Montevideo' },
+        state: { id: 'UY-MO', name: 'Montevideo' },
+        country: { id: 'UY' }
+      }
+    }
+  };
+}
+
+/**
+ * Crear servidor fake (sin levantar)
+ * @param {Object} [datos] - { ordenes: { [id]: crearOrdenML() }, token, refreshToken }
+ * @returns {http.Server} Con .estado: { token, refreshToken, requests, renovaciones }
+ */
+function crearFakeMercadoLibre(datos = {}) {
+  const estado = {
+    ordenes: datos.ordenes || { 2000001: crearOrdenML() },
+    token: datos.token || TOKEN_INICIAL,
+    refreshToken: datos.refreshToken || 'TG-fake-refresh',
+    requests: [],
+    renovaciones: 0
+  };
+
+  const responder = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const ruta = req.url.split('?')[0];
+      estado.requests.push(`${req.method} ${ruta}`);
+
+      if (req.method === 'POST' && ruta === '/oauth/token') {
+        const params = new URLSearchParams(body);
+        if (params.get('grant_type') !== 'refresh_token' || params.get('refresh_token') !== estado.refreshToken) {
+          return responder(res, 400, { error: 'invalid_grant' });
+        }
+        estado.renovaciones++;
+        estado.token = `APP_USR-fake-token-${estado.renovaciones}`;
+        estado.refreshToken = `TG-fake-refresh-${estado.renovaciones}`;
+        return responder(res, 200, {
+          access_token: estado.token,
+          refresh_token: estado.refreshToken,
+          token_type: 'Bearer',
+          expires_in: 21600
+        });
+      }
+
+      if (req.headers.authorization !== `Bearer ${estado.token}`) {
+        return responder(res, 401, { message: 'invalid access token', status: 401 });
+      }
+
+      let match = /^\/orders\/(\d+)(\/billing_info)?$/.exec(ruta);
+      if (req.method === 'GET' && match) {
+        const orden = estado.ordenes[match[1]];
+        if (!orden) return responder(res, 404, { message: 'Order not found', status: 404 });
+        return match[2]
+          ? responder(res, 200, { billing_info: orden.billing_info })
+          : responder(res, 200, orden.order);
+      }
+
+      match = /^\/shipments\/(\d+)$/.exec(ruta);
+      if (req.method === 'GET' && match) {
+        const orden = Object.values(estado.ordenes).find(o => String(o.shipment?.id) === match[1]);
+        return orden ? responder(res, 200, orden.shipment) : responder(res, 404, { message: 'Shipment not found' });
+      }
+
+      responder(res, 404, { message: `Ruta no soportada por el fake: ${req.method} ${ruta}` });
+    });
+  });
+
+  server.estado = estado;
+  return server;
+}
+
+module.exports = {
+  TOKEN_INICIAL,
+  crearOrdenML,
+  crearFakeMercadoLibre
+};
+
+if (require.main === module) {
+  const puerto = parseInt(process.argv[2]) || 4010;
+  crearFakeMercadoLibre().listen(puerto, () => {
+    console.log(`Fake MercadoLibre en http://localhost:${puerto} (token: ${TOKEN_INICIAL})`);
+  });
+}
@@ -10,6 +10,9 @@ process.env.WIX_CLIENT_ID = 'test';
 process.env.WIX_CLIENT_SECRET = 'test';
 process.env.SERVER_PUBLIC_URL = 'https://test.onrender.com';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const config = require('../config');
 const { determinarTipoComprobante, obtenerDepartamento, requiereIdentificacion } = require('../services/billing-decision');
 
@@ -147,6 +150,80 @@ test('e-Ticket con CI disponible (monto bajo)', () => {
   assertTrue(decision.cliente.documento === '12345678');
 });
 
+const { validarDatosComprobante, validarRUT } = require('../utils/validators');
+
+test('Digito verificador de RUT con la regla de DGI (4,3,2,9,8,7,6,5,4,3,2 modulo 11)', () => {
+  for (const rut of ['214844360018', '219999830019', '210003270017', '211003420017', '210475730011', '215521750017']) {
+    const validacion = validarRUT(rut);
+    assertEqual(validacion.type, 'RUT');
+    assertFalse(Boolean(validacion.needsVerification), `${rut} es valido para DGI`);
+  }
+
+  for (const [rut, esperado] of [['214844360010', 8], ['219999830011', 9], ['212345670010', 5], ['210003270015', 7]]) {
+    const validacion = validarRUT(rut);
+    assertTrue(validacion.needsVerification, `${rut} no es valido`);
+    assertTrue(validacion.warning.includes(`esperado ${esperado}`));
+  }
+
+  // Resto 1: ningun digito es valido (DGI no emite esos numeros)
+  assertTrue(validarRUT('210000000060').warning.includes('ningun digito'));
+});
+
+test('e-Factura exportacion para envio al exterior con pasaporte', () => {
+  const orden = {
+    id: 'order-export',
+    fiscal: {
+      tipoDocumento: 'PASSPORT',
+      documento: 'AB123456',
+      nombreCompleto: 'John Smith'
+    },
+    montos: { total: 1000 },
+    buyer: { firstName: 'John', lastName: 'Smith' },
+    direccion: { linea1: 'Av Uruguay', ciudad: 'Montevideo', pais: 'UY' },
+    envio: { pais: 'AR', ciudad: 'Buenos Aires', linea1: 'Corrientes 1234' }
+  };
+
+  const decision = determinarTipoComprobante(orden);
+  assertEqual(decision.tipo, config.TIPOS_CFE.E_FACTURA_EXPORTACION);
+  assertEqual(decision.razon, 'EXPORTACION');
+  assertEqual(decision.cliente.tipo_documento, config.TIPOS_DOCUMENTO.PASAPORTE);
+  assertEqual(decision.cliente.pais, 'AR');
+  assertEqual(decision.cliente.sucursal.ciudad, 'Buenos Aires');
+});
+
+test('Envio al exterior sin documento emite CFE local', () => {
+  const orden = {
+    id: 'order-export-sin-doc',
+    fiscal: { tipoDocumento: null, documento: null },
+    montos: { total: 1000 },
+    buyer: { firstName: 'John' },
+    direccion: { pais: 'BR' }
+  };
+
+  const decision = determinarTipoComprobante(orden);
+  assertEqual(decision.tipo, config.TIPOS_CFE.E_TICKET);
+});
+
+test('prepararDatosBiller usa indicador EXPORTACION en 121', () => {
+  const orden = {
+    id: 'order-export-2',
+    items: [
+      { id: 'a', nombre: 'Libro', cantidad: 1, precioUnitario: 100, iva: 10 },
+      { id: 'shipping', nombre: 'Envio', cantidad: 1, precioUnitario: 50, iva: 22 }
+    ],
+    montos: { total: 150, moneda: 'UYU' },
+    fiscal: { tipoDocumento: 'DNI', documento: '30123456' },
+    buyer: {},
+    direccion: { pais: 'AR' }
+  };
+
+  const decision = determinarTipoComprobante(orden);
+  const datos = prepararDatosBiller(orden, decision);
+  assertTrue(datos.items.every(i => i.indicador_facturacion === config.INDICADORES_IVA.EXPORTACION));
+  assertEqual(datos.cliente.tipo_documento, config.TIPOS_DOCUMENTO.DNI);
+  assertTrue(validarDatosComprobante(datos).valid);
+});
+
 // ============================================================
 // TESTS DE MAPEO DEPARTAMENTOS
 // ============================================================
@@ -258,7 +335,8 @@ test('Circuit breaker resetea con exito', () => {
 
 console.log('\n--- Notas de Credito ---\n');
 
-const { obtenerTipoNC, debeEmitirNC } = require('../services/credit-note-service');
+const { obtenerTipoNC, debeEmitirNC, calcularItemsReembolso, calcularSaldoAcreditable } = require('../services/credit-note-service');
+const { ComprobanteStore } = require('../utils/store');
 
 test('NC tipo correcto para e-Ticket (101 -> 102)', () => {
   assertEqual(obtenerTipoNC(101), 102);
@@ -311,6 +389,122 @@ test('debeEmitirNC - evento approved no emite NC', () => {
   assertFalse(debeEmitirNC('approved', orden));
 });
 
+test('debeEmitirNC - evento transactionsUpdated con PARTIALLY_REFUNDED', () => {
+  const orden = { paymentStatus: 'PARTIALLY_REFUNDED' };
+  assertTrue(debeEmitirNC('transactionsUpdated', orden));
+});
+
+// Comprobante emitido con items guardados (como lo guarda procesarOrdenWix)
+const comprobanteConItems = {
+  wix_order_id: 'order-refund',
+  tipo_comprobante: 101,
+  total: 1150,
+  items: [
+    { concepto: 'Remera', cantidad: 2, precio: 500, indicador_facturacion: 3, wix_line_item_id: 'li-1' },
+    { concepto: 'Libro', cantidad: 1, precio: 200, indicador_facturacion: 2,
+      descuento_tipo: '$', descuento_cantidad: 50, wix_line_item_id: 'li-2' }
+  ]
+};
+
+test('NC parcial acredita solo las lineas y cantidades devueltas', () => {
+  const items = calcularItemsReembolso(comprobanteConItems, {
+    id: 'r1', monto: 500, items: [{ lineItemId: 'li-1', cantidad: 1 }]
+  });
+  assertEqual(items.length, 1);
+  assertEqual(items[0].cantidad, 1);
+  assertEqual(items[0].precio, 500);
+  assertEqual(items[0].indicador_facturacion, 3);
+});
+
+test('NC parcial usa precio neto de descuento', () => {
+  const items = calcularItemsReembolso(comprobanteConItems, {
+    id: 'r2', monto: 150, items: [{ lineItemId: 'li-2', cantidad: 1 }]
+  });
+  assertEqual(items[0].precio, 150);
+  assertEqual(items[0].indicador_facturacion, 2);
+});
+
+test('Refund por monto se reparte por indicador de IVA', () => {
+  const items = calcularItemsReembolso(comprobanteConItems, { id: 'r3', monto: 115, items: [] });
+  const porIndicador = Object.fromEntries(items.map(i => [i.indicador_facturacion, i.precio]));
+  assertEqual(porIndicador[3], 100);
+  assertEqual(porIndicador[2], 15);
+});
+
+test('Saldo acreditable descuenta NC parciales previas', () => {
+  const store = new ComprobanteStore(path.join(os.tmpdir(), `comprobantes-test-${Date.now()}.json`));
+  clearInterval(store.saveInterval);
+  store.set('order-refund', comprobanteConItems);
+
+  store.addNCParcial('order-refund', { id: 1, tipo_comprobante: 102 }, { refundId: 'r1', monto: 500 });
+  store.addNCParcial('order-refund', { id: 2, tipo_comprobante: 102 }, { refundId: 'r2', monto: 150 });
+
+  const original = store.findByOrderId('order-refund');
+  assertEqual(store.getTotalAcreditado('order-refund'), 650);
+  assertEqual(calcularSaldoAcreditable(original, { montos: {} }), 500);
+  assertTrue(store.isRefundProcesado('order-refund', 'r1'));
+  assertEqual(store.findNCsByOrderId('order-refund').length, 2);
+});
+
+console.log('\n--- Notas de Debito ---\n');
+
+const { obtenerTipoND, construirItemsND, NotaDebitoError } = require('../services/debit-note-service');
+
+test('ND tipo segun comprobante original (101->103, 111->113, 121->123)', () => {
+  assertEqual(obtenerTipoND(101), config.TIPOS_CFE.ND_E_TICKET);
+  assertEqual(obtenerTipoND(111), config.TIPOS_CFE.ND_E_FACTURA);
+  assertEqual(obtenerTipoND(121), config.TIPOS_CFE.ND_E_FACTURA_EXPORTACION);
+  assertEqual(obtenerTipoND(102), null);
+});
+
+test('ND por monto arma una linea con tasa basica', () => {
+  const items = construirItemsND(config.TIPOS_CFE.ND_E_TICKET, { monto: 350, concepto: 'Envio adicional' });
+  assertEqual(items.length, 1);
+  assertEqual(items[0].precio, 350);
+  assertEqual(items[0].indicador_facturacion, config.INDICADORES_IVA.GRAVADO_BASICA);
+});
+
+test('ND de exportacion fuerza indicador EXPORTACION', () => {
+  const items = construirItemsND(config.TIPOS_CFE.ND_E_FACTURA_EXPORTACION, {
+    items: [{ concepto: 'Correccion', cantidad: 1, precio: 10, indicador_facturacion: 3 }]
+  });
+  assertEqual(items[0].indicador_facturacion, config.INDICADORES_IVA.EXPORTACION);
+});
+
+test('ND acepta indicador por nombre y cantidades decimales, y rechaza indicadores desconocidos', () => {
+  const items = construirItemsND(config.TIPOS_CFE.ND_E_TICKET, {
+    items: [
+      { concepto: 'Flete', cantidad: '2.5', precio: 100, indicador_facturacion: 'exento' },
+      { concepto: 'Ajuste', cantidad: 1, precio: 50, indicador_facturacion: '2' }
+    ]
+  });
+  assertEqual(items[0].cantidad, 2.5);
+  assertEqual(items[0].indicador_facturacion, config.INDICADORES_IVA.EXENTO);
+  assertEqual(items[1].indicador_facturacion, config.INDICADORES_IVA.GRAVADO_MINIMA);
+
+  let error = null;
+  try {
+    construirItemsND(config.TIPOS_CFE.ND_E_TICKET, { monto: 100, indicador: 'IVA_RARO' });
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error instanceof NotaDebitoError);
+  assertTrue(error.message.includes('IVA_RARO'));
+});
+
+test('ND queda en el historial de la orden y suma al saldo acreditable', () => {
+  const store = new ComprobanteStore(path.join(os.tmpdir(), `comprobantes-nd-test-${Date.now()}.json`));
+  clearInterval(store.saveInterval);
+  store.set('order-nd', { tipo_comprobante: 101, total: 1000 });
+
+  store.addND('order-nd', { id: 10, tipo_comprobante: 103 }, { monto: 350, razon: 'Envio adicional' });
+
+  const historial = store.getHistorialOrden('order-nd');
+  assertEqual(historial.notasDebito.length, 1);
+  assertEqual(historial.total_debitado, 350);
+  assertEqual(calcularSaldoAcreditable(historial.comprobante, { montos: {} }), 1350);
+});
+
 // ============================================================
 // TESTS MOCK DE WIX ORDER
 // ============================================================
@@ -498,6 +692,2160 @@ test('Flujo: Formas de pago definidas', () => {
   assertEqual(config.FORMAS_PAGO.CREDITO, 2);
 });
 
+// ============================================================
+// TESTS DE INDICADOR IVA POR LINEA
+// ============================================================
+
+console.log('\n--- Indicador IVA ---\n');
+
+const { resolverIndicadorItem, normalizarTasa, IndicadorIVAError } = require('../services/indicador-iva');
+const { prepararDatosBiller } = require('../services/comprobante-builder');
+
+test('Tasa 0% -> EXENTO, 10% -> GRAVADO_MINIMA, 22% -> GRAVADO_BASICA', () => {
+  assertEqual(resolverIndicadorItem({ iva: 0 }), config.INDICADORES_IVA.EXENTO);
+  assertEqual(resolverIndicadorItem({ iva: 10 }), config.INDICADORES_IVA.GRAVADO_MINIMA);
+  assertEqual(resolverIndicadorItem({ iva: 22 }), config.INDICADORES_IVA.GRAVADO_BASICA);
+});
+
+test('Tasa decimal de Wix (0.22) se normaliza a porcentaje', () => {
+  assertEqual(normalizarTasa('0.22'), 22);
+  assertEqual(normalizarTasa('0.1'), 10);
+  assertEqual(normalizarTasa('22'), 22);
+  assertEqual(normalizarTasa(null), null);
+});
+
+test('Tasa sin mapeo lanza IndicadorIVAError', () => {
+  let error = null;
+  try {
+    resolverIndicadorItem({ id: 'item-1', nombre: 'Vino', iva: 5 });
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error instanceof IndicadorIVAError, 'Debe lanzar IndicadorIVAError');
+  assertEqual(error.code, 'IVA_SIN_MAPEO');
+  assertTrue(error.message.includes('5%'));
+});
+
+test('Tasa extra configurada por sitio -> OTRA_TASA', () => {
+  const ivaConfig = { tasas: { 0: 1, 10: 2, 22: 3, 5: 'OTRA_TASA' } };
+  assertEqual(resolverIndicadorItem({ iva: 5 }, ivaConfig), config.INDICADORES_IVA.OTRA_TASA);
+});
+
+test('Override por SKU tiene prioridad sobre producto, coleccion y tasa', () => {
+  const ivaConfig = {
+    overrides: {
+      sku: { 'LIB-001': 'EXENTO' },
+      productos: { 'prod-1': 'GRAVADO_MINIMA' },
+      colecciones: { 'col-libros': 'GRAVADO_MINIMA' }
+    }
+  };
+  const item = { sku: 'LIB-001', productId: 'prod-1', colecciones: ['col-libros'], iva: 22 };
+  assertEqual(resolverIndicadorItem(item, ivaConfig), config.INDICADORES_IVA.EXENTO);
+  assertEqual(resolverIndicadorItem({ ...item, sku: 'OTRO' }, ivaConfig), config.INDICADORES_IVA.GRAVADO_MINIMA);
+});
+
+test('Override por coleccion aplica cuando no hay SKU ni producto', () => {
+  const ivaConfig = { overrides: { colecciones: { 'col-alimentos': 2 } } };
+  const item = { productId: 'prod-9', colecciones: ['col-otra', 'col-alimentos'], iva: 22 };
+  assertEqual(resolverIndicadorItem(item, ivaConfig), config.INDICADORES_IVA.GRAVADO_MINIMA);
+});
+
+test('prepararDatosBiller asigna indicador por linea', () => {
+  const orden = {
+    id: 'order-iva',
+    items: [
+      { id: 'a', nombre: 'Libro', cantidad: 1, precioUnitario: 500, iva: 0 },
+      { id: 'b', nombre: 'Yerba', cantidad: 2, precioUnitario: 200, iva: 10 },
+      { id: 'c', nombre: 'Remera', cantidad: 1, precioUnitario: 800, iva: 22 }
+    ],
+    montos: { total: 1700, moneda: 'UYU' },
+    buyer: {}
+  };
+  const decision = { tipo: 101, cliente: config.CLIENTE_SIN_RECEPTOR };
+  const datos = prepararDatosBiller(orden, decision);
+
+  assertEqual(datos.items[0].indicador_facturacion, config.INDICADORES_IVA.EXENTO);
+  assertEqual(datos.items[1].indicador_facturacion, config.INDICADORES_IVA.GRAVADO_MINIMA);
+  assertEqual(datos.items[2].indicador_facturacion, config.INDICADORES_IVA.GRAVADO_BASICA);
+  assertEqual(datos.numero_interno, 'WIX-order-iva');
+});
+
+// ============================================================
+// TESTS DE DESCUENTOS
+// ============================================================
+
+console.log('\n--- Descuentos ---\n');
+
+const { distribuirDescuentos, totalesPorIndicador } = require('../services/descuentos');
+
+test('Descuento de linea se mantiene en su linea', () => {
+  const descuentos = distribuirDescuentos([
+    { bruto: 1000, descuentoLinea: 100, indicador: 3 },
+    { bruto: 500, descuentoLinea: 0, indicador: 3 }
+  ], 100);
+  assertEqual(descuentos[0], 100);
+  assertEqual(descuentos[1], 0);
+});
+
+test('Cupon de orden se reparte por indicador segun neto', () => {
+  const descuentos = distribuirDescuentos([
+    { bruto: 600, indicador: 1 },
+    { bruto: 300, indicador: 3 },
+    { bruto: 100, indicador: 3 },
+    { bruto: 150, indicador: 3, excluirDeCupon: true }
+  ], 100);
+  assertEqual(descuentos[0], 60);
+  assertEqual(descuentos[1], 30);
+  assertEqual(descuentos[2], 10);
+  assertEqual(descuentos[3], 0, 'Envio no recibe cupon');
+});
+
+test('Residuo de redondeo cierra exacto con el descuento de Wix', () => {
+  const descuentos = distribuirDescuentos([
+    { bruto: 100, indicador: 3 },
+    { bruto: 100, indicador: 3 },
+    { bruto: 100, indicador: 3 }
+  ], 10);
+  const suma = Math.round(descuentos.reduce((s, d) => s + d, 0) * 100) / 100;
+  assertEqual(suma, 10);
+});
+
+test('prepararDatosBiller con cupon cuadra con total pagado', () => {
+  const orden = {
+    id: 'order-cupon',
+    items: [
+      { id: 'a', nombre: 'Libro', cantidad: 1, precioUnitario: 500, iva: 0 },
+      { id: 'b', nombre: 'Remera', cantidad: 2, precioUnitario: 750, iva: 22, descuento: 150 },
+      { id: 'shipping', nombre: 'Envio', cantidad: 1, precioUnitario: 200, iva: 22 }
+    ],
+    montos: { total: 1850, descuento: 350, moneda: 'UYU' },
+    buyer: {}
+  };
+  const datos = prepararDatosBiller(orden, { tipo: 101, cliente: config.CLIENTE_SIN_RECEPTOR });
+  const totales = totalesPorIndicador(datos.items);
+  const total = Object.values(totales).reduce((s, t) => s + t, 0);
+
+  assertEqual(datos.items[1].descuento_tipo, config.TIPOS_DESCUENTO.MONTO);
+  assertEqual(datos.items[2].descuento_cantidad, undefined);
+  assertEqual(Math.round(total * 100) / 100, 1850);
+});
+
+// ============================================================
+// TESTS DE TIPO DE CAMBIO
+// ============================================================
+
+console.log('\n--- Tipo de Cambio ---\n');
+
+const { TipoCambioStore } = require('../utils/tipo-cambio-store');
+const { resolverTipoCambio, parsearCotizaciones, TipoCambioError } = require('../services/tipo-cambio');
+
+function crearTipoCambioStoreTemporal() {
+  const store = new TipoCambioStore(path.join(os.tmpdir(), `tipos-cambio-test-${Date.now()}-${Math.random()}.json`));
+  clearInterval(store.saveInterval);
+  return store;
+}
+
+test('UYU no requiere tipo de cambio', () => {
+  assertEqual(resolverTipoCambio('UYU', '2024-03-15', crearTipoCambioStoreTemporal()), null);
+});
+
+test('USD usa la ultima cotizacion en o antes de la fecha', () => {
+  const store = crearTipoCambioStoreTemporal();
+  store.set('USD', '2024-03-14', 38.9, 'archivo');
+  store.set('USD', '2024-03-15', 39.1, 'archivo');
+  store.set('USD', '2024-03-18', 39.5, 'archivo');
+
+  const tc = resolverTipoCambio('USD', '2024-03-17', store);
+  assertEqual(tc.valor, 39.1);
+  assertEqual(tc.fecha, '2024-03-15');
+  assertEqual(tc.fuente, 'archivo');
+});
+
+test('USD sin cotizacion vigente lanza TipoCambioError', () => {
+  const store = crearTipoCambioStoreTemporal();
+  store.set('USD', '2024-01-02', 39, 'manual');
+  let error = null;
+  try {
+    resolverTipoCambio('USD', '2024-03-15', store);
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error instanceof TipoCambioError);
+  assertEqual(error.code, 'TIPO_CAMBIO_NO_DISPONIBLE');
+});
+
+test('Parsear cotizaciones CSV con fecha dd/mm/aaaa y coma decimal', () => {
+  const cotizaciones = parsearCotizaciones('fecha;moneda;valor\n15/03/2024;usd;39,12\n2024-03-15;EUR;42.5');
+  assertEqual(cotizaciones.length, 2);
+  assertEqual(cotizaciones[0].fecha, '2024-03-15');
+  assertEqual(cotizaciones[0].moneda, 'USD');
+  assertEqual(cotizaciones[0].valor, 39.12);
+});
+
+test('Parsear cotizaciones: tab admite coma decimal y con coma como separador se descartan lineas ambiguas', () => {
+  const cotizaciones = parsearCotizaciones([
+    '2024-03-15\tUSD\t39,12',
+    '2024-03-16,USD,39.20',
+    '2024-03-17,USD,39,25'
+  ].join('\n'));
+  assertEqual(cotizaciones.map(c => c.valor).join('|'), '39.12|39.2');
+  assertEqual(cotizaciones.some(c => c.fecha === '2024-03-17'), false, 'No se toma 39 de "39,25"');
+});
+
+test('Limite UI se compara en UYU para ordenes en USD', () => {
+  const orden = {
+    id: 'order-usd',
+    fiscal: { tipoDocumento: null, documento: null },
+    montos: { total: 1000, moneda: 'USD' },
+    buyer: { firstName: 'John' },
+    direccion: {}
+  };
+  const sinConvertir = determinarTipoComprobante(orden, { tipoCambio: { valor: 1 } });
+  assertEqual(sinConvertir.razon, 'CONSUMIDOR_FINAL');
+
+  const convertido = determinarTipoComprobante(orden, { tipoCambio: { valor: 40 } });
+  assertEqual(convertido.razon, 'MONTO_MAYOR_5000UI');
+});
+
+test('prepararDatosBiller incluye tipo_cambio para moneda extranjera', () => {
+  const orden = {
+    id: 'order-usd-2',
+    items: [{ id: 'a', nombre: 'Item', cantidad: 1, precioUnitario: 10, iva: 22 }],
+    montos: { total: 10, moneda: 'USD' },
+    buyer: {}
+  };
+  const datos = prepararDatosBiller(orden, { tipo: 101, cliente: config.CLIENTE_SIN_RECEPTOR }, {
+    tipoCambio: { valor: 39.1, fecha: '2024-03-15', fuente: 'archivo' }
+  });
+  assertEqual(datos.moneda, 'USD');
+  assertEqual(datos.tipo_cambio, 39.1);
+});
+
+// ============================================================
+// TESTS: MULTI-TENANT
+// ============================================================
+
+console.log('\n--- Multi-tenant ---\n');
+
+const { WixAppSettingsStore } = require('../utils/wix-app-store');
+const { getBillerClientForTenant, filtroTenant, resolverInstanceId, limpiarClientes } = require('../services/tenant');
+
+function crearSettingsStoreTemporal() {
+  const store = new WixAppSettingsStore(path.join(os.tmpdir(), `wix-settings-test-${Date.now()}-${Math.random()}.json`));
+  clearInterval(store.saveInterval);
+  store.update('site-a', { biller: { token: 'token-a', empresaId: '10', sucursal: '7', ambiente: 'production' } });
+  return store;
+}
+
+test('BillerClient usa credenciales recibidas', () => {
+  const client = new BillerClient({ token: 'tok', empresaId: '10', sucursal: '7', ambiente: 'production' });
+  assertEqual(client.token, 'tok');
+  assertEqual(client.sucursal, '7');
+  assertEqual(client.baseUrl, 'https://biller.uy/v2');
+});
+
+test('Sitio con config propia obtiene su BillerClient, el resto el global', () => {
+  limpiarClientes();
+  const settings = crearSettingsStoreTemporal();
+  const clientA = getBillerClientForTenant('site-a', settings);
+  const clientB = getBillerClientForTenant('site-b', settings);
+
+  assertEqual(clientA.token, 'token-a');
+  assertEqual(clientA.sucursal, '7');
+  assertEqual(clientB.token, config.biller.token);
+  assertTrue(getBillerClientForTenant('site-a', settings) === clientA, 'Cliente cacheado');
+  assertTrue(getBillerClientForTenant(null, settings) === clientB, 'Sitios sin config comparten el global');
+});
+
+test('filtroTenant aisla comprobantes por sitio', () => {
+  const settings = crearSettingsStoreTemporal();
+  const legacy = { id: 1 };
+  const deA = { id: 2, instance_id: 'site-a' };
+  const deB = { id: 3, instance_id: 'site-b' };
+
+  const filtroA = filtroTenant('site-a', settings);
+  const filtroB = filtroTenant('site-b', settings);
+
+  assertTrue(filtroA(deA));
+  assertFalse(filtroA(deB));
+  assertFalse(filtroA(legacy), 'Sitio con cuenta propia no ve registros globales');
+  assertTrue(filtroB(legacy));
+  assertFalse(filtroB(deA));
+  assertTrue(filtroB({ context: { instanceId: 'site-b' } }), 'Errores con contexto del sitio');
+});
+
+test('resolverInstanceId lee instanceId del payload del webhook', () => {
+  assertEqual(resolverInstanceId({ instanceId: 'abc' }), 'abc');
+  assertEqual(resolverInstanceId({ data: '{}' }), null);
+  assertEqual(resolverInstanceId(null), null);
+});
+
+// ============================================================
+// TESTS: STORAGE
+// ============================================================
+
+console.log('\n--- Storage ---\n');
+
+const { crearStorage, migrarDesdeJson } = require('../utils/storage');
+const { ErrorStore } = require('../utils/error-store');
+const { PersistentWebhookQueue } = require('../utils/webhook-queue');
+
+function crearSqliteTemporal() {
+  return crearStorage({ backend: 'sqlite', sqliteFile: ':memory:' });
+}
+
+test('Backend JSON mantiene el formato de data/comprobantes.json', () => {
+  const filePath = path.join(os.tmpdir(), `comprobantes-json-${Date.now()}.json`);
+  const store = new ComprobanteStore(filePath);
+  clearInterval(store.saveInterval);
+  store.set('ord-json', { id: 10, tipo_comprobante: 101, numero_interno: 'WIX-ord-json' });
+  store.save();
+
+  const contenido = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assertEqual(contenido.total, 1);
+  assertEqual(contenido.comprobantes['wix-ord-json'].numero_interno, 'WIX-ord-json');
+});
+
+test('SQLite persiste cada cambio sin esperar autosave', () => {
+  const storage = crearSqliteTemporal();
+  const store = new ComprobanteStore(null, storage);
+  clearInterval(store.saveInterval);
+  store.set('ord-sql', { id: 20, tipo_comprobante: 111, total: 500, numero_interno: 'WIX-ord-sql' });
+  store.addNCParcial('ord-sql', { id: 21, tipo_comprobante: 112 }, { refundId: 'r1', monto: 100 });
+
+  // Otra instancia sobre la misma base: equivale a reiniciar tras un crash
+  const reabierto = new ComprobanteStore(null, storage);
+  clearInterval(reabierto.saveInterval);
+  assertEqual(reabierto.size, 2);
+  assertEqual(reabierto.findByOrderId('ord-sql').total_acreditado, 100);
+  assertEqual(reabierto.findByNumeroInterno('WIX-ord-sql').id, 20);
+
+  const indices = storage.db.prepare('PRAGMA index_list(comprobantes)').all().map(i => i.name);
+  assertTrue(indices.includes('idx_comprobantes_order_id'));
+  assertTrue(indices.includes('idx_comprobantes_biller_id'));
+  storage.close();
+});
+
+test('ErrorStore y webhook queue sobre SQLite', () => {
+  const storage = crearSqliteTemporal();
+  const errores = new ErrorStore(null, storage);
+  clearInterval(errores.saveInterval);
+  errores.maxErrors = 2;
+  errores.addError('biller', 'high', 'test', 'uno');
+  errores.addError('biller', 'high', 'test', 'dos');
+  const ultimo = errores.addError('biller', 'high', 'test', 'tres');
+  errores.markResolved(ultimo.id);
+
+  const queue = new PersistentWebhookQueue(null, storage);
+  queue.add({ topic: 'orders', resource: '/orders/1' });
+  const item = queue.getNext();
+
+  const erroresReabierto = new ErrorStore(null, storage);
+  clearInterval(erroresReabierto.saveInterval);
+  assertEqual(erroresReabierto.size, 2, 'Errores descartados por maxErrors se eliminan');
+  assertTrue(erroresReabierto.getErrors({ resolved: true }).length === 1);
+
+  const queueReabierta = new PersistentWebhookQueue(null, storage);
+  assertEqual(queueReabierta.queue[0].id, item.id);
+  assertEqual(queueReabierta.queue[0].status, 'pending', 'Items processing vuelven a pending');
+  storage.close();
+});
+
+test('Migracion importa data/*.json a SQLite', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migracion-'));
+  fs.writeFileSync(path.join(dataDir, 'comprobantes.json'), JSON.stringify({
+    version: 1,
+    comprobantes: { 'wix-m1': { id: 1, order_id: 'm1', numero_interno: 'WIX-m1', created_at: '2024-01-01T00:00:00Z' } }
+  }));
+  fs.writeFileSync(path.join(dataDir, 'errors.json'), JSON.stringify({
+    version: 1,
+    errors: [{ id: 'err-1', type: 'biller', timestamp: '2024-01-01T00:00:00Z' }]
+  }));
+
+  const storage = crearSqliteTemporal();
+  const resultado = migrarDesdeJson(storage, { dataDir });
+  migrarDesdeJson(storage, { dataDir });
+
+  assertEqual(resultado.find(r => r.coleccion === 'comprobantes').registros, 1);
+  assertEqual(resultado.find(r => r.coleccion === 'webhook_queue').estado, 'sin_archivo');
+
+  const store = new ComprobanteStore(null, storage);
+  clearInterval(store.saveInterval);
+  assertEqual(store.size, 1, 'Migracion idempotente');
+  assertEqual(store.findByOrderId('m1').numero_interno, 'WIX-m1');
+  storage.close();
+});
+
+// ============================================================
+// TESTS: WORKER DE WEBHOOKS
+// ============================================================
+
+console.log('\n--- Worker de Webhooks ---\n');
+
+const { WebhookQueueWorker } = require('../services/webhook-worker');
+
+function crearColaTemporal(maxRetries) {
+  return new PersistentWebhookQueue(path.join(os.tmpdir(), `webhook-queue-${Date.now()}-${Math.random()}.json`), undefined, { maxRetries });
+}
+
+test('Worker reprograma fallos con backoff y completa al recuperarse', async () => {
+  const queue = crearColaTemporal(5);
+  let fallar = true;
+  const worker = new WebhookQueueWorker({
+    queue,
+    procesar: async () => { if (fallar) throw new Error('Biller caido'); },
+    initialDelay: 60000,
+    maxDelay: 120000
+  });
+
+  const id = await queue.add({ slug: 'approved', orderId: 'ord-1', payload: { data: {} } });
+  await worker.tick();
+
+  const item = queue.get(id);
+  assertEqual(item.status, 'pending');
+  assertEqual(item.retries, 1);
+  assertTrue(new Date(item.nextAttemptAt).getTime() > Date.now() + 30000, 'Backoff aplicado');
+  assertEqual(await worker.tick(), 0, 'No reintenta antes del backoff');
+
+  fallar = false;
+  const pendiente = queue.getNext(new Date(item.nextAttemptAt).getTime());
+  const resultado = await worker.procesarItem(pendiente);
+  assertTrue(resultado.success);
+  assertEqual(queue.get(id), null);
+});
+
+test('Worker mueve a dead letters tras maxRetries; replay y discard', async () => {
+  const queue = crearColaTemporal(2);
+  const muertos = [];
+  const worker = new WebhookQueueWorker({
+    queue,
+    procesar: async () => { throw new Error('VALIDATION_ERROR'); },
+    onDeadLetter: (item) => muertos.push(item.id),
+    initialDelay: 1,
+    maxDelay: 1
+  });
+
+  const id = await queue.add({ slug: 'approved', orderId: 'ord-2' });
+  await worker.procesarItem(queue.claim(id));
+  await worker.procesarItem(queue.getNext(Date.now() + 1000));
+
+  assertEqual(queue.get(id).status, 'dead');
+  assertEqual(muertos.length, 1);
+  assertEqual(queue.getDeadLetters().length, 1);
+  assertEqual(queue.get(id).attempts.length, 2);
+
+  const reencolado = queue.replay(id);
+  assertEqual(reencolado.status, 'pending');
+  assertEqual(reencolado.retries, 0);
+
+  await worker.procesarItem(queue.claim(id));
+  await worker.procesarItem(queue.getNext(Date.now() + 1000));
+  assertTrue(queue.discard(id));
+  assertEqual(queue.getStats().total, 0);
+});
+
+// ============================================================
+// TESTS: CONCILIACION
+// ============================================================
+
+console.log('\n--- Conciliacion ---\n');
+
+const { conciliar, generarReporteConciliacion, diasDelRango, TIPOS_DISCREPANCIA, ConciliacionError } = require('../services/conciliacion');
+const { WixFuente } = require('../services/fuentes/wix');
+
+function ordenConciliacion(id, total, extra = {}) {
+  return { id, status: 'APPROVED', paymentStatus: 'PAID', montos: { total }, ...extra };
+}
+
+test('Conciliar detecta faltantes, montos, cancelaciones sin NC y huerfanos', () => {
+  const discrepancias = conciliar({
+    ordenes: [
+      ordenConciliacion('ok', 100),
+      ordenConciliacion('sin-factura', 200),
+      ordenConciliacion('solo-biller', 300),
+      ordenConciliacion('monto', 400),
+      ordenConciliacion('local-viejo', 500),
+      ordenConciliacion('cancelada', 600, { status: 'CANCELED' }),
+      ordenConciliacion('cancelada-con-nc', 700, { status: 'CANCELED' })
+    ],
+    locales: [
+      { order_id: 'ok', id: 1, total: 100 },
+      { order_id: 'monto', id: 4, total: 400 },
+      { order_id: 'local-viejo', id: 5, total: 480 },
+      { order_id: 'cancelada', id: 6, total: 600 },
+      { order_id: 'cancelada-con-nc', id: 7, total: 700 },
+      { order_id: 'cancelada-con-nc', id: 70, is_credit_note: true }
+    ],
+    cfesBiller: [
+      { id: 1, numero_interno: 'WIX-ok', total: 100 },
+      { id: 3, numero_interno: 'WIX-solo-biller', total: 300 },
+      { id: 4, numero_interno: 'WIX-monto', total: 350 },
+      { id: 5, numero_interno: 'WIX-local-viejo', total: 500 },
+      { id: 6, numero_interno: 'WIX-cancelada', total: 600 },
+      { id: 9, numero_interno: 'WIX-borrada', total: 50 },
+      { id: 10, numero_interno: 'NC-WIX-ok-R1', total: 10 }
+    ],
+    ordenesInexistentes: ['borrada']
+  }, { tolerancia: 0.5 });
+
+  const porOrden = Object.fromEntries(discrepancias.map(d => [d.orderId, d]));
+  assertEqual(discrepancias.length, 6);
+  assertEqual(porOrden['sin-factura'].tipo, TIPOS_DISCREPANCIA.FACTURA_FALTANTE);
+  assertEqual(porOrden['sin-factura'].accion.endpoint, '/api/reprocesar-orden/sin-factura');
+  assertEqual(porOrden['solo-biller'].tipo, TIPOS_DISCREPANCIA.SIN_REGISTRO_LOCAL);
+  assertEqual(porOrden.monto.tipo, TIPOS_DISCREPANCIA.MONTO_DIFERENTE);
+  assertEqual(porOrden.monto.accion.tipo, 'emitir_nc');
+  assertEqual(porOrden['local-viejo'].accion.tipo, 'sincronizar');
+  assertEqual(porOrden.cancelada.tipo, TIPOS_DISCREPANCIA.CANCELADA_SIN_NC);
+  assertEqual(porOrden.borrada.tipo, TIPOS_DISCREPANCIA.CFE_HUERFANO);
+  assertEqual(porOrden.borrada.accion.body.id, 9);
+  assertEqual(porOrden.borrada.accion.body.instanceId, undefined);
+
+  const delSitio = conciliar({
+    ordenes: [],
+    locales: [],
+    cfesBiller: [{ id: 9, numero_interno: 'WIX-borrada', total: 50 }],
+    ordenesInexistentes: ['borrada']
+  }, { tolerancia: 0.5, instanceId: 'site-b' });
+  assertEqual(delSitio[0].accion.body.instanceId, 'site-b', 'Anular en la cuenta Biller del sitio');
+});
+
+test('Reporte de conciliacion pagina Wix, consulta Biller por dia y verifica huerfanos', async () => {
+  const paginas = {
+    null: { orders: [{ id: 'a', status: 'APPROVED', total: 100 }], nextCursor: 'c2' },
+    c2: { orders: [{ id: 'b', status: 'APPROVED', total: 50 }], nextCursor: null }
+  };
+  const wixFake = {
+    searchOrdersPage: async ({ cursor }) => paginas[cursor],
+    getOrder: async (id) => (id === 'vieja' ? { id: 'vieja', status: 'APPROVED', total: 80 } : null),
+    normalizeOrder: (o) => ({ id: o.id, status: o.status, montos: { total: o.total } })
+  };
+  const diasConsultados = [];
+  const billerFake = {
+    listarComprobantes: async ({ desde }) => {
+      diasConsultados.push(desde.split(' ')[0]);
+      return desde.startsWith('2024-05-01')
+        ? [{ id: 1, numero_interno: 'WIX-a', total: 100 }, { id: 2, numero_interno: 'WIX-vieja', total: 80 }, { id: 3, numero_interno: 'WIX-fantasma', total: 5 }]
+        : { data: [] };
+    }
+  };
+  const store = new ComprobanteStore(path.join(os.tmpdir(), `conciliacion-${Date.now()}.json`));
+  clearInterval(store.saveInterval);
+  store.set('a', { id: 1, total: 100 });
+  store.set('vieja', { id: 2, total: 80 });
+
+  const reporte = await generarReporteConciliacion(
+    { desde: '2024-05-01', hasta: '2024-05-02' },
+    { fuente: new WixFuente(wixFake), billerClient: billerFake, store }
+  );
+
+  assertEqual(diasConsultados.join(','), '2024-05-01,2024-05-02');
+  assertEqual(reporte.resumen.ordenes, 3, 'Incluye la orden fuera de rango verificada');
+  assertEqual(reporte.resumen.porTipo.FACTURA_FALTANTE, 1);
+  assertEqual(reporte.resumen.porTipo.CFE_HUERFANO, 1);
+  assertEqual(reporte.discrepancias.length, 2);
+});
+
+test('Rango de conciliacion invalido lanza ConciliacionError', () => {
+  let error = null;
+  try {
+    diasDelRango('2024-05-02', '2024-05-01');
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error instanceof ConciliacionError);
+  assertEqual(diasDelRango('2024-02-28', '2024-03-01').length, 3);
+});
+
+// ============================================================
+// TESTS: BACKFILL
+// ============================================================
+
+console.log('\n--- Backfill ---\n');
+
+const { previsualizarBackfill, ejecutarBackfill, pausarBackfill, ESTADOS: ESTADOS_BACKFILL, BackfillError } = require('../services/backfill');
+const { BackfillStore } = require('../utils/backfill-store');
+
+function crearEntornoBackfill() {
+  const storage = crearSqliteTemporal();
+  const store = new ComprobanteStore(null, storage);
+  clearInterval(store.saveInterval);
+  store.set('local', { id: 1, total: 10 });
+
+  const paginas = {
+    null: {
+      orders: [
+        { id: 'nueva-1', status: 'APPROVED' },
+        { id: 'local', status: 'APPROVED' },
+        { id: 'cancelada', status: 'CANCELED' }
+      ],
+      nextCursor: 'p2'
+    },
+    p2: {
+      orders: [
+        { id: 'en-biller', status: 'APPROVED' },
+        { id: 'pendiente', status: 'INITIALIZED', paymentStatus: 'NOT_PAID' },
+        { id: 'nueva-2', status: 'APPROVED' }
+      ],
+      nextCursor: null
+    }
+  };
+
+  return {
+    storage,
+    store,
+    fuente: new WixFuente({
+      searchOrdersPage: async ({ cursor }) => paginas[cursor],
+      normalizeOrder: (o) => ({ ...o, montos: { total: 100, moneda: 'UYU' } })
+    }),
+    billerClient: {
+      buscarPorNumeroInterno: async (numero) => (numero === 'WIX-en-biller' ? { id: 2 } : null)
+    }
+  };
+}
+
+test('Backfill dry-run lista solo ordenes pagadas sin CFE', async () => {
+  const { fuente, billerClient, store } = crearEntornoBackfill();
+  const preview = await previsualizarBackfill(
+    { desde: '2024-05-01', hasta: '2024-05-31' },
+    { fuente, billerClient, store }
+  );
+
+  assertEqual(preview.ordenes.map(o => o.orderId).join(','), 'nueva-1,nueva-2');
+  assertEqual(preview.resumen.revisadas, 6);
+  assertEqual(preview.resumen.omitidas.facturada_local, 1);
+  assertEqual(preview.resumen.omitidas.facturada_biller, 1);
+  assertEqual(preview.resumen.omitidas.cancelada, 1);
+  assertEqual(preview.resumen.omitidas.no_pagada, 1);
+});
+
+test('Backfill pausado se retoma sin re-emitir ni recontar ordenes', async () => {
+  const { fuente, billerClient, store, storage } = crearEntornoBackfill();
+  const progreso = new BackfillStore(null, storage);
+  const emitidas = [];
+  const procesarOrden = async (orderId) => {
+    emitidas.push(orderId);
+    const comprobante = store.set(orderId, { id: emitidas.length + 10 });
+    if (emitidas.length === 1) pausarBackfill('default_2024-05-01_2024-05-31');
+    return comprobante;
+  };
+  const deps = { fuente, billerClient, store, progreso, procesarOrden, delayMs: 0 };
+  const params = { desde: '2024-05-01', hasta: '2024-05-31' };
+
+  const pausado = await ejecutarBackfill(params, deps);
+  assertEqual(pausado.estado, ESTADOS_BACKFILL.PAUSADO);
+  assertEqual(pausado.cursor, null, 'Sigue en la primera pagina');
+
+  // Reabrir el progreso como tras un reinicio
+  const reabierto = new BackfillStore(null, storage);
+  assertEqual(reabierto.get(pausado.id).resueltasEnPagina.join(','), 'nueva-1');
+
+  const completado = await ejecutarBackfill(params, { ...deps, progreso: reabierto });
+  assertEqual(completado.estado, ESTADOS_BACKFILL.COMPLETADO);
+  assertEqual(emitidas.join(','), 'nueva-1,nueva-2');
+  assertEqual(completado.contadores.revisadas, 6);
+  assertEqual(completado.contadores.emitidas, 2);
+  assertEqual(completado.paginas, 2);
+
+  // Un job completado no se vuelve a ejecutar
+  await ejecutarBackfill(params, { ...deps, progreso: reabierto });
+  assertEqual(emitidas.length, 2);
+});
+
+test('Backfill registra fallos de emision y rechaza rangos invalidos', async () => {
+  const { fuente, billerClient, store, storage } = crearEntornoBackfill();
+  const job = await ejecutarBackfill(
+    { desde: '2024-05-01', hasta: '2024-05-31' },
+    {
+      fuente, billerClient, store, progreso: new BackfillStore(null, storage), delayMs: 0,
+      procesarOrden: async () => { throw new Error('Biller caido'); }
+    }
+  );
+  assertEqual(job.estado, ESTADOS_BACKFILL.COMPLETADO);
+  assertEqual(job.contadores.fallidas, 2);
+  assertEqual(job.fallos[0].error, 'Biller caido');
+
+  let error = null;
+  try {
+    await previsualizarBackfill({ desde: '2024-01-01', hasta: '2024-12-31' }, { fuente, billerClient, store });
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error instanceof BackfillError);
+});
+
+test('Backfill omite ordenes de la cola de revision y no cuenta retenidas como emitidas', async () => {
+  const { fuente, billerClient, store, storage } = crearEntornoBackfill();
+  const registros = new Map([
+    ['wix-nueva-1', { estado: 'pendiente' }],
+    ['wix-nueva-2', { estado: 'rechazada' }]
+  ]);
+  const revisiones = { get: (id) => registros.get(id) || null };
+
+  const preview = await previsualizarBackfill(
+    { desde: '2024-05-01', hasta: '2024-05-31' },
+    { fuente, billerClient, store, revisiones }
+  );
+  assertEqual(preview.ordenes.length, 0);
+  assertEqual(preview.resumen.omitidas.en_revision, 1);
+  assertEqual(preview.resumen.omitidas.rechazada, 1);
+
+  // procesarOrden retiene la orden (no devuelve comprobante)
+  registros.delete('wix-nueva-1');
+  const job = await ejecutarBackfill(
+    { desde: '2024-05-01', hasta: '2024-05-31' },
+    {
+      fuente, billerClient, store, revisiones, progreso: new BackfillStore(null, storage), delayMs: 0,
+      procesarOrden: async (orderId) => {
+        registros.set(`wix-${orderId}`, { estado: 'pendiente' });
+      }
+    }
+  );
+  assertEqual(job.contadores.emitidas, 0);
+  assertEqual(job.omitidas.en_revision, 1);
+  assertEqual(job.omitidas.rechazada, 1);
+  assertEqual(job.contadores.omitidas, 6);
+});
+
+// ============================================================
+// TESTS: VALORES UI
+// ============================================================
+
+console.log('\n--- Valores UI ---\n');
+
+const { ValorUIStore } = require('../utils/valor-ui-store');
+const { resolverValorUI, calcularLimiteUYU, verificarValorUIMes, parsearValoresUI } = require('../services/unidad-indexada');
+
+function crearValorUIStoreTemporal() {
+  const store = new ValorUIStore(path.join(os.tmpdir(), `valores-ui-test-${Date.now()}-${Math.random()}.json`));
+  clearInterval(store.saveInterval);
+  return store;
+}
+
+test('Parsear CSV del INE ignora titulos y acepta coma decimal', () => {
+  const csv = 'Unidad Indexada (UI)\nFecha;Valor\n01/05/2024;6,0123\n2/5/2024;6,0131\n;\n';
+  const valores = parsearValoresUI(csv);
+  assertEqual(valores.length, 2);
+  assertEqual(valores[1].fecha, '2024-05-02');
+  assertEqual(valores[0].valor, 6.0123);
+});
+
+test('Valor UI de la fecha de la orden, anterior o de respaldo', () => {
+  const store = crearValorUIStoreTemporal();
+  store.set('2024-05-01', 6.0123, 'archivo');
+  store.set('2024-05-03', 6.0140, 'archivo');
+
+  assertEqual(resolverValorUI('2024-05-03', store).valor, 6.0140);
+  assertEqual(resolverValorUI('2024-05-02', store).fecha, '2024-05-01');
+
+  const respaldo = resolverValorUI('2023-01-15', store);
+  assertEqual(respaldo.fuente, 'config');
+  assertEqual(respaldo.valor, config.dgi.valorUI);
+
+  assertTrue(verificarValorUIMes('2024-05-20', store).ok);
+  const junio = verificarValorUIMes('2024-06-01', store);
+  assertFalse(junio.ok);
+  assertEqual(junio.ultimo, '2024-05-03');
+});
+
+test('Limite de 5000 UI usa el valor UI de la fecha', () => {
+  const limiteBajo = calcularLimiteUYU({ valor: 5 });
+  const limiteAlto = calcularLimiteUYU({ valor: 6 });
+  const orden = {
+    id: 'order-ui',
+    fiscal: { tipoDocumento: 'UY_CI', documento: '12345678', nombreCompleto: 'Ana Perez' },
+    montos: { total: ((limiteBajo + limiteAlto) / 2) * 1.22 },
+    buyer: { firstName: 'Ana' },
+    direccion: {}
+  };
+
+  assertEqual(determinarTipoComprobante(orden, { valorUI: { valor: 5 } }).razon, 'MONTO_MAYOR_5000UI');
+  assertEqual(determinarTipoComprobante(orden, { valorUI: { valor: 6 } }).razon, 'CI_DISPONIBLE');
+});
+
+// ============================================================
+// TESTS: FORMA DE PAGO
+// ============================================================
+
+console.log('\n--- Forma de pago ---\n');
+
+const { WixClient } = require('../wix-client');
+const { resolverFormaPago, obtenerPagoPrincipal, validarConfigPagos } = require('../services/forma-pago');
+
+test('Pago con tarjeta es contado; pago offline es credito con vencimiento', () => {
+  const base = new Date(2024, 4, 10);
+
+  const tarjeta = resolverFormaPago({ metodo: 'CreditCard', offline: false }, {}, base);
+  assertEqual(tarjeta.forma_pago, config.FORMAS_PAGO.CONTADO);
+  assertEqual(tarjeta.fecha_vencimiento, null);
+
+  const offline = resolverFormaPago({ metodo: 'Manual', offline: true }, {}, base);
+  assertEqual(offline.forma_pago, config.FORMAS_PAGO.CREDITO);
+  assertEqual(offline.dias_vencimiento, config.facturacion.diasCredito);
+
+  const sinPago = resolverFormaPago(null);
+  assertEqual(sinPago.forma_pago, config.FORMAS_PAGO.CONTADO);
+});
+
+test('Mapeo de medios de pago por sitio define forma y plazo', () => {
+  const store = crearSettingsStoreTemporal();
+  store.update('site-b2b', {
+    pagos: { metodos: { 'bank-transfer': { formaPago: 'CREDITO', diasVencimiento: 60 }, PayPal: { formaPago: 'CREDITO' } } }
+  });
+  const pagosConfig = store.getPagosConfig('site-b2b');
+
+  const transferencia = resolverFormaPago({ metodo: 'BankTransfer' }, pagosConfig, new Date(2024, 0, 1));
+  assertEqual(transferencia.dias_vencimiento, 60);
+  assertEqual(transferencia.fecha_vencimiento, '01/03/2024');
+  assertEqual(transferencia.fecha_vencimiento_iso, '2024-03-01');
+
+  const paypal = resolverFormaPago({ metodo: 'PayPal' }, pagosConfig);
+  assertEqual(paypal.forma_pago, config.FORMAS_PAGO.CREDITO);
+  assertEqual(paypal.fecha_vencimiento, null, 'Credito sin plazo no lleva vencimiento');
+
+  assertEqual(validarConfigPagos({ metodos: { X: { formaPago: 'FIADO' }, Y: { formaPago: 2, diasVencimiento: -1 } } }).join(','), 'metodos.X,metodos.Y');
+});
+
+test('Pagos Wix: la gift card no define el medio y el comprobante lleva vencimiento', () => {
+  const pagos = WixClient.prototype.normalizePayments({
+    payments: [
+      { id: 'g1', amount: { amount: '100' }, giftcardPaymentDetails: { giftCardId: 'x' } },
+      { id: 'p1', amount: { amount: '900' }, regularPaymentDetails: { paymentMethod: 'offline', offlinePayment: true, status: 'PENDING' } }
+    ]
+  });
+  const pago = obtenerPagoPrincipal(pagos);
+  assertEqual(pago.id, 'p1');
+  assertTrue(pago.offline);
+
+  const orden = {
+    id: 'order-credito',
+    items: [{ id: 'a', nombre: 'Servicio', cantidad: 1, precioUnitario: 1000, iva: 22 }],
+    montos: { total: 1000, moneda: 'UYU' },
+    buyer: {}
+  };
+  const datos = prepararDatosBiller(orden, { tipo: 111, cliente: config.CLIENTE_SIN_RECEPTOR }, {
+    formaPago: resolverFormaPago(pago)
+  });
+  assertEqual(datos.forma_pago, config.FORMAS_PAGO.CREDITO);
+  assertTrue(/^\d{2}\/\d{2}\/\d{4}$/.test(datos.fecha_vencimiento));
+
+  const contado = prepararDatosBiller(orden, { tipo: 101, cliente: config.CLIENTE_SIN_RECEPTOR });
+  assertEqual(contado.forma_pago, config.FORMAS_PAGO.CONTADO);
+  assertEqual(contado.fecha_vencimiento, undefined);
+});
+
+// ============================================================
+// TESTS: Portal de clientes
+// ============================================================
+
+console.log('\n--- Portal de Clientes ---\n');
+
+const { emitirTokenCliente, verificarTokenCliente, requireCustomerToken, tieneAccesoCliente } = require('../middleware/customer-auth');
+
+async function conSecretoCliente(fn) {
+  const anterior = config.customerPortal.tokenSecret;
+  config.customerPortal.tokenSecret = 'secreto-portal-test';
+  try {
+    return await fn();
+  } finally {
+    config.customerPortal.tokenSecret = anterior;
+  }
+}
+
+test('Token de cliente fija email y sitio; firma ajena es rechazada', () => {
+  return conSecretoCliente(() => {
+    const { token, expiresIn } = emitirTokenCliente({ email: 'Ana@Mail.com', memberId: 'm-1', instanceId: 'site-a' });
+    assertEqual(expiresIn, config.customerPortal.tokenTtlMinutos * 60);
+
+    const cliente = verificarTokenCliente(token);
+    assertEqual(cliente.email, 'ana@mail.com');
+    assertEqual(cliente.memberId, 'm-1');
+    assertEqual(cliente.instanceId, 'site-a');
+
+    const ajeno = require('jsonwebtoken').sign({ email: 'ana@mail.com' }, 'otro', { audience: 'customer-portal' });
+    let code = null;
+    try { verificarTokenCliente(ajeno); } catch (error) { code = error.code; }
+    assertEqual(code, 'AUTH_INVALID');
+  });
+});
+
+test('Rutas del portal exigen token: sin token 401, con token en query pasa', () => {
+  return conSecretoCliente(() => {
+    const crearRes = () => ({
+      statusCode: 200,
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    });
+
+    const sinToken = crearRes();
+    let siguio = false;
+    requireCustomerToken({ headers: {}, query: { email: 'ana@mail.com' } }, sinToken, () => { siguio = true; });
+    assertFalse(siguio, 'El email en query ya no da acceso');
+    assertEqual(sinToken.statusCode, 401);
+    assertEqual(sinToken.body.code, 'AUTH_MISSING');
+
+    const { token } = emitirTokenCliente({ email: 'ana@mail.com', instanceId: 'site-a' });
+    const req = { headers: {}, query: { token } };
+    requireCustomerToken(req, crearRes(), () => { siguio = true; });
+    assertTrue(siguio);
+    assertEqual(req.customer.email, 'ana@mail.com');
+  });
+});
+
+test('Token de cliente lleva el canal de las ordenes (Wix por defecto)', () => {
+  return conSecretoCliente(() => {
+    const wix = verificarTokenCliente(emitirTokenCliente({ email: 'ana@mail.com', instanceId: 'site-a' }).token);
+    assertEqual(wix.canal, 'wix');
+
+    const ml = verificarTokenCliente(emitirTokenCliente({ email: 'ana@mail.com', instanceId: 'site-a', canal: 'mercadolibre' }).token);
+    assertEqual(ml.canal, 'mercadolibre');
+
+    // Tokens sin el claim (anteriores a los canales)
+    const viejo = require('jsonwebtoken').sign({ email: 'ana@mail.com' }, config.customerPortal.tokenSecret, { audience: 'customer-portal' });
+    assertEqual(verificarTokenCliente(viejo).canal, 'wix');
+  });
+});
+
+test('Acceso del cliente requiere mismo email y mismo sitio', () => {
+  const cliente = { email: 'ana@mail.com', instanceId: 'site-a' };
+
+  assertTrue(tieneAccesoCliente({ instance_id: 'site-a', buyer: { email: 'ANA@mail.com' } }, cliente));
+  assertTrue(tieneAccesoCliente({ instance_id: 'site-a', emails_notificacion: ['ana@mail.com'] }, cliente));
+  assertFalse(tieneAccesoCliente({ instance_id: 'site-b', buyer: { email: 'ana@mail.com' } }, cliente), 'Otro sitio');
+  assertFalse(tieneAccesoCliente({ instance_id: 'site-a', buyer: { email: 'otro@mail.com' } }, cliente), 'Otro email');
+  assertFalse(tieneAccesoCliente({ instance_id: 'site-a', buyer: { email: 'ana@mail.com' } }, null));
+});
+
+// ============================================================
+// TESTS: Worker y archivo de PDFs
+// ============================================================
+
+console.log('\n--- Archivo de PDFs ---\n');
+
+const { PDFWorker, obtenerPDFComprobante } = require('../services/pdf-worker');
+const { PDFArchive } = require('../utils/pdf-archive');
+
+function crearEntornoPDF(obtenerPDF) {
+  const store = new ComprobanteStore(null, crearSqliteTemporal());
+  clearInterval(store.saveInterval);
+  const archive = new PDFArchive(fs.mkdtempSync(path.join(os.tmpdir(), 'pdfs-')));
+  const pedidos = [];
+  const getBillerClient = (instanceId) => ({
+    obtenerPDF: async (id) => {
+      pedidos.push({ id, instanceId });
+      return obtenerPDF(id);
+    }
+  });
+  const worker = new PDFWorker({ store, archive, getBillerClient, maxIntentos: 3, initialDelay: 1000, maxDelay: 5000 });
+  return { store, archive, getBillerClient, worker, pedidos };
+}
+
+test('CFE nuevo queda con PDF pendiente y el worker lo archiva por sitio e ID de Biller', async () => {
+  const { store, archive, worker, pedidos } = crearEntornoPDF(async () => Buffer.from('%PDF-1.4 test'));
+  store.set('o-pdf', { id: 77, serie: 'A', numero: 1, instance_id: 'site-a' });
+  store.set('o-sin-cfe', { total: 10 });
+
+  assertEqual(store.findByOrderId('o-pdf').pdf_status, 'pending');
+  assertEqual(store.findByOrderId('o-sin-cfe').pdf_status, undefined, 'Sin ID de Biller no hay PDF');
+
+  assertEqual(await worker.tick(), 1);
+  const comp = store.findByOrderId('o-pdf');
+  assertEqual(comp.pdf_status, 'ready');
+  assertEqual(comp.pdf_url, archive.ruta(77, 'site-a'));
+  assertEqual(pedidos[0].instanceId, 'site-a');
+  assertEqual(archive.leer(77, 'site-a').toString(), '%PDF-1.4 test');
+  assertEqual(archive.leer(77, 'site-b'), null, 'Mismo ID en otra cuenta Biller es otro archivo');
+
+  assertEqual(await worker.tick(), 0, 'Nada pendiente');
+});
+
+test('PDF no listo se reintenta con backoff y tras N intentos queda con error', async () => {
+  const { store, worker } = crearEntornoPDF(async () => { throw new Error('Error obteniendo PDF: 404'); });
+  store.set('o-falla', { id: 5 });
+
+  await worker.tick();
+  let comp = store.findByOrderId('o-falla');
+  assertEqual(comp.pdf_status, 'pending');
+  assertEqual(comp.pdf_attempt_count, 1);
+  assertTrue(new Date(comp.pdf_next_attempt_at) > new Date(), 'Proximo intento en el futuro');
+  assertEqual(await worker.tick(), 0, 'Backoff no vencido');
+
+  // Simular backoff vencido hasta agotar intentos
+  for (let i = 0; i < 2; i++) {
+    store.findByOrderId('o-falla').pdf_next_attempt_at = null;
+    await worker.tick();
+  }
+
+  comp = store.findByOrderId('o-falla');
+  assertEqual(comp.pdf_status, 'error');
+  assertEqual(comp.pdf_attempt_count, 3);
+  assertEqual(store.findPDFsFallidos().length, 1);
+  assertEqual(worker.getStats().conError, 1);
+});
+
+test('Descarga sirve el PDF archivado sin consultar Biller', async () => {
+  const { archive, getBillerClient, pedidos } = crearEntornoPDF(async () => Buffer.from('desde-biller'));
+  archive.guardar(9, Buffer.from('archivado'));
+
+  const archivado = await obtenerPDFComprobante({ id: 9 }, { archive, getBillerClient });
+  assertEqual(archivado.toString(), 'archivado');
+  assertEqual(pedidos.length, 0);
+
+  const enVivo = await obtenerPDFComprobante({ id: 10, instance_id: 'site-a' }, { archive, getBillerClient });
+  assertEqual(enVivo.toString(), 'desde-biller');
+  assertTrue(archive.existe(10, 'site-a'), 'Lo descargado en vivo queda archivado');
+});
+
+// ============================================================
+// TESTS: Metricas y alertas
+// ============================================================
+
+console.log('\n--- Metricas y alertas ---\n');
+
+const MetricsCollector = require('../monitoring/metrics-collector');
+const AlertingSystem = require('../monitoring/alerting-system');
+const { WebhookChannel, EmailChannel, CanalAlerta, firmarWebhook } = require('../monitoring/alert-channels');
+const { CircuitBreaker: CircuitBreakerV2 } = require('../utils/circuit-breaker-v2');
+
+function crearMetricsCollector() {
+  const metrics = new MetricsCollector();
+  metrics.stopSystemMetrics();
+  return metrics;
+}
+
+class CanalFalso extends CanalAlerta {
+  constructor(severidadMinima) {
+    super('falso', { severidadMinima });
+    this.enviadas = [];
+  }
+
+  async enviar(alerta) {
+    this.enviadas.push(alerta);
+  }
+}
+
+test('MetricsCollector agrega emisiones por tenant y estado de circuitos', async () => {
+  const metrics = crearMetricsCollector();
+  metrics.recordInvoiceEmitted('eTicket', 'site-a');
+  metrics.recordInvoiceEmitted('eFactura', 'site-a');
+  metrics.recordCreditNoteEmitted('site-b');
+  metrics.recordBillerRequest(true, 100, 'site-a');
+  metrics.recordBillerRequest(false, 300, 'site-b');
+
+  const circuito = new CircuitBreakerV2('biller-api-site-b', {
+    failureThreshold: 1,
+    onStateChange: (estado) => metrics.setCircuitState('biller-api-site-b', estado)
+  });
+  await circuito.fire(async () => { throw new Error('Biller caido'); }).catch(() => {});
+
+  const stats = metrics.getStats();
+  assertEqual(stats.invoices.emitted, 2);
+  assertEqual(stats.invoices.credit_notes, 1);
+  assertEqual(stats.biller.avg_latency_ms, 200);
+  assertEqual(stats.biller.circuits_open, 1);
+  assertEqual(stats.porTenant['site-b'].biller_errors, 1);
+
+  const prometheus = metrics.exportPrometheus();
+  assertTrue(prometheus.includes('invoices_emitted_by_tenant_total{tenant="site-a",tipo="eFactura"} 1'));
+  assertTrue(prometheus.includes('circuit_breaker_open{circuit="biller-api-site-b"} 1'));
+});
+
+test('Reglas de alerta del settings store: umbral propio, cooldown y severidad minima', async () => {
+  const settings = crearSettingsStoreTemporal();
+  const metrics = crearMetricsCollector();
+  const critico = new CanalFalso('CRITICAL');
+  const todos = new CanalFalso('LOW');
+  const alertas = new AlertingSystem(metrics, {
+    canales: [critico, todos],
+    getReglas: () => settings.getAlertasConfig(),
+    cooldown: 60000
+  });
+
+  for (let i = 0; i < 9; i++) metrics.recordInvoiceEmitted('eTicket', 'site-a');
+  metrics.recordInvoiceError();
+
+  // 10% de error: debajo del umbral propio
+  settings.setAlertasConfig({ invoice_error_rate: { umbral: 20 }, memory_max_mb: { activa: false } });
+  assertEqual((await alertas.checkThresholds()).length, 0);
+  assertEqual(settings.getAlertasConfig().invoice_error_rate.minEventos, 5, 'Conserva los defaults de la regla');
+
+  settings.setAlertasConfig({ invoice_error_rate: { umbral: 5 } });
+  const disparadas = await alertas.checkThresholds();
+  assertEqual(disparadas.map(a => a.regla).join(','), 'invoice_error_rate');
+  assertEqual(todos.enviadas.length, 1);
+  assertEqual(critico.enviadas.length, 0, 'HIGH no llega a un canal CRITICAL');
+
+  await alertas.checkThresholds();
+  assertEqual(todos.enviadas.length, 1, 'Cooldown evita repetir la alerta');
+
+  assertEqual(AlertingSystem.validarReglasAlertas({ no_existe: {}, webhooks_dead: { umbral: -1 } }).length, 2);
+});
+
+test('Canal webhook firma el body y el de email arma el mensaje', async () => {
+  const http = require('http');
+  let recibido = null;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      recibido = { headers: req.headers, body };
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const canal = new WebhookChannel({ url: `http://127.0.0.1:${server.address().port}/alertas`, secret: 's3cret' });
+    await canal.enviar({ severity: 'HIGH', title: 'PRUEBA', data: { x: 1 }, timestamp: new Date().toISOString() });
+
+    const esperada = firmarWebhook('s3cret', recibido.headers['x-alert-timestamp'], recibido.body);
+    assertEqual(recibido.headers['x-alert-signature'], esperada);
+    assertEqual(JSON.parse(recibido.body).title, 'PRUEBA');
+  } finally {
+    server.close();
+  }
+
+  const enviados = [];
+  const email = new EmailChannel({ host: 'smtp.test', to: ['ops@test.uy'], severidadMinima: 'HIGH' }, async (smtp, mensaje) => {
+    enviados.push(mensaje);
+  });
+  assertFalse(email.acepta({ severity: 'MEDIUM' }));
+  await email.enviar({ severity: 'CRITICAL', title: 'BILLER CIRCUIT OPEN', data: { circuits: ['biller-api'] }, timestamp: 't' });
+  assertEqual(enviados[0].subject, '[CRITICAL] BILLER CIRCUIT OPEN');
+  assertTrue(enviados[0].text.includes('biller-api'));
+});
+
+// ============================================================
+// TESTS: Audit log encadenado
+// ============================================================
+
+console.log('\n--- Audit log ---\n');
+
+const AuditLogger = require('../utils/audit-logger');
+const { ocultarSecretos } = AuditLogger;
+
+function crearAuditTemporal() {
+  return new AuditLogger(fs.mkdtempSync(path.join(os.tmpdir(), 'audit-')));
+}
+
+test('Operaciones fiscales quedan registradas con actor, tenant y resumen', async () => {
+  const audit = crearAuditTemporal();
+
+  const cfe = await audit.auditar('emitir_cfe', { actor: 'wix-webhook', tenant: 'site-a', orderId: 'o-1', request: { total: 100 } },
+    async () => ({ id: 7, serie: 'A', numero: 1 }), c => ({ id: c.id }));
+  assertEqual(cfe.id, 7);
+
+  let error = null;
+  try {
+    await audit.auditar('anular_cfe', { actor: 'admin@127.0.0.1', tenant: 'default' }, async () => {
+      throw Object.assign(new Error('Biller rechazo'), { code: 'BILLER_400' });
+    });
+  } catch (e) {
+    error = e;
+  }
+  assertEqual(error.message, 'Biller rechazo', 'El error se relanza');
+
+  const deSitio = audit.buscar({ event: 'operation', tenant: 'site-a' });
+  assertEqual(deSitio.length, 1);
+  assertEqual(deSitio[0].action, 'emitir_cfe');
+  assertEqual(deSitio[0].order_id, 'o-1');
+  assertEqual(deSitio[0].result.id, 7);
+
+  const fallida = audit.buscar({ action: 'anular_cfe' })[0];
+  assertEqual(fallida.status, 'error');
+  assertEqual(fallida.error_code, 'BILLER_400');
+
+  // Otra instancia (reinicio) continua la cadena; la rotacion la conserva
+  audit.rotate();
+  const reiniciado = new AuditLogger(audit.dirPath);
+  reiniciado.registrarOperacion('actualizar_valores_ui', { actor: 'admin@127.0.0.1' }, { total: 1 });
+  const verificacion = reiniciado.verificarCadena();
+  assertTrue(verificacion.valida, JSON.stringify(verificacion.error));
+  assertEqual(verificacion.entradas, 3);
+  assertEqual(reiniciado.buscar({ event: 'operation' }).length, 3, 'Busca tambien en archivos rotados');
+});
+
+test('Cadena de hashes detecta entradas editadas, borradas o truncadas', () => {
+  const preparar = () => {
+    const audit = crearAuditTemporal();
+    for (let i = 1; i <= 3; i++) {
+      audit.registrarOperacion('emitir_cfe', { actor: 'wix-webhook', orderId: `o-${i}` }, { numero: i });
+    }
+    return { audit, lineas: fs.readFileSync(audit.fileName, 'utf8').trim().split('\n') };
+  };
+
+  let { audit, lineas } = preparar();
+  assertTrue(audit.verificarCadena().valida);
+  const editada = JSON.parse(lineas[1]);
+  editada.result.numero = 99;
+  lineas[1] = JSON.stringify(editada);
+  fs.writeFileSync(audit.fileName, lineas.join('\n') + '\n');
+  let resultado = audit.verificarCadena();
+  assertFalse(resultado.valida);
+  assertEqual(resultado.error.seq, 2);
+  assertTrue(resultado.error.motivo.includes('modificada'));
+
+  ({ audit, lineas } = preparar());
+  fs.writeFileSync(audit.fileName, [lineas[0], lineas[2]].join('\n') + '\n');
+  resultado = audit.verificarCadena();
+  assertFalse(resultado.valida);
+  assertTrue(resultado.error.motivo.includes('secuencia'));
+
+  ({ audit, lineas } = preparar());
+  fs.writeFileSync(audit.fileName, lineas.slice(0, 2).join('\n') + '\n');
+  resultado = audit.verificarCadena();
+  assertFalse(resultado.valida);
+  assertTrue(resultado.error.motivo.includes('final'));
+});
+
+test('Request de settings se audita sin credenciales', () => {
+  const oculto = ocultarSecretos({ biller: { token: 'abc', empresaRut: '211234560019' }, pagos: { metodos: [{ apiKey: 'k' }] } });
+  assertEqual(oculto.biller.token, '***');
+  assertEqual(oculto.biller.empresaRut, '211234560019');
+  assertEqual(oculto.pagos.metodos[0].apiKey, '***');
+
+  const audit = crearAuditTemporal();
+  audit.registrarOperacion('actualizar_settings', { actor: 'wix:uid-1', tenant: 'site-a', request: oculto });
+  const texto = fs.readFileSync(audit.fileName, 'utf8');
+  assertFalse(texto.includes('abc'), 'El token no llega al archivo');
+
+  const ayer = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  assertEqual(audit.searchByTimeRange(ayer, new Date()).length, 1);
+  assertEqual(audit.searchByTimeRange(new Date(0), ayer).length, 0);
+});
+
+// ============================================================
+// TESTS: API keys
+// ============================================================
+
+console.log('\n--- API keys ---\n');
+
+const { ApiKeyStore, ApiKeyError, tieneScope } = require('../utils/api-key-store');
+const { requireApiKey } = require('../middleware/api-key-auth');
+
+function crearRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+function llamarConKey(middleware, key, req = {}) {
+  const res = crearRes();
+  let siguio = false;
+  const request = { method: 'POST', path: '/api/test', ip: '127.0.0.1', query: {}, ...req, headers: key ? { 'x-api-key': key } : {} };
+  middleware(request, res, () => { siguio = true; });
+  return { req: request, res, siguio };
+}
+
+test('API key se guarda hasheada, se verifica y se revoca', () => {
+  const filePath = path.join(os.tmpdir(), `api-keys-${Date.now()}-${Math.random()}.json`);
+  const store = new ApiKeyStore(filePath, crearStorage({ backend: 'json' }), { recargaMs: 60000 });
+  const otroProceso = new ApiKeyStore(filePath, crearStorage({ backend: 'json' }), { recargaMs: 60000 });
+
+  const { key, apiKey } = store.crear({ nombre: 'ops', scopes: ['emit'] });
+  assertTrue(key.startsWith(`wbk_${apiKey.id}_`));
+  assertEqual(apiKey.hash, undefined, 'No expone el hash');
+  assertFalse(fs.readFileSync(filePath, 'utf8').includes(key), 'La key en claro no se guarda');
+
+  assertEqual(store.verificar(key).nombre, 'ops');
+  assertEqual(store.verificar(key.slice(0, -1) + 'x'), null);
+
+  // Key creada por otro proceso (CLI): se toma al no encontrarla
+  otroProceso.ultimaCarga = 0;
+  assertEqual(otroProceso.verificar(key).id, apiKey.id);
+
+  store.revocar(apiKey.id);
+  assertEqual(store.verificar(key), null, 'Revocada no autentica');
+
+  let error = null;
+  try {
+    store.crear({ nombre: 'x', scopes: ['borrar'] });
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error instanceof ApiKeyError);
+  assertEqual(error.code, 'API_KEY_SCOPES_INVALIDOS');
+
+  assertTrue(tieneScope(['emit'], 'read'));
+  assertFalse(tieneScope(['emit'], 'void'));
+  assertTrue(tieneScope(['admin'], 'void'));
+});
+
+test('Rutas exigen key con scope y registran uso y rechazos en el audit log', () => {
+  const store = new ApiKeyStore(null, crearSqliteTemporal());
+  const audit = crearAuditTemporal();
+  const { key } = store.crear({ nombre: 'lectura', scopes: ['read'] });
+
+  const sinKey = llamarConKey(requireApiKey('void', { store, audit }), null);
+  assertFalse(sinKey.siguio);
+  assertEqual(sinKey.res.statusCode, 401);
+  assertEqual(sinKey.res.body.code, 'AUTH_MISSING');
+
+  const sinScope = llamarConKey(requireApiKey('void', { store, audit }), key);
+  assertFalse(sinScope.siguio, 'Key read no puede anular');
+  assertEqual(sinScope.res.statusCode, 403);
+  assertEqual(sinScope.res.body.code, 'AUTH_SCOPE');
+
+  const ok = llamarConKey(requireApiKey('read', { store, audit }), key);
+  assertTrue(ok.siguio);
+  assertEqual(ok.req.apiKey.nombre, 'lectura');
+  assertEqual(store.listar()[0].usos, 1);
+
+  assertEqual(audit.search({ event: 'api_key_usage', api_key: 'lectura' }).length, 1);
+  assertEqual(audit.search({ event: 'api_key_denied', code: 'AUTH_SCOPE' })[0].api_key, 'lectura');
+  assertTrue(audit.verificarCadena().valida);
+});
+
+test('Key limitada a un sitio solo opera sobre ese sitio; ADMIN_API_KEY es admin', () => {
+  const store = new ApiKeyStore(null, crearSqliteTemporal());
+  const audit = crearAuditTemporal();
+  const { key } = store.crear({ nombre: 'tienda-a', scopes: ['emit'], instanceId: 'site-a' });
+  const emitirPorSitio = requireApiKey('emit', { porSitio: true, store, audit });
+
+  assertTrue(llamarConKey(emitirPorSitio, key, { query: { instanceId: 'site-a' } }).siguio);
+  assertTrue(llamarConKey(emitirPorSitio, key, { body: { instanceId: 'site-a' } }).siguio, 'instanceId en body (backfill)');
+  assertEqual(llamarConKey(emitirPorSitio, key, { query: { instanceId: 'site-b' } }).res.body.code, 'AUTH_TENANT');
+  assertEqual(llamarConKey(emitirPorSitio, key).res.body.code, 'AUTH_TENANT', 'Sin instanceId operaria sobre la cuenta global');
+  assertEqual(llamarConKey(requireApiKey('read', { store, audit }), key).res.body.code, 'AUTH_TENANT', 'Ruta sin sitio');
+
+  const anterior = config.apiKeys.adminKey;
+  config.apiKeys.adminKey = 'clave-de-entorno';
+  try {
+    const admin = llamarConKey(requireApiKey('void', { store, audit }), 'clave-de-entorno');
+    assertTrue(admin.siguio);
+    assertEqual(admin.req.apiKey.nombre, 'ADMIN_API_KEY');
+  } finally {
+    config.apiKeys.adminKey = anterior;
+  }
+});
+
+// ============================================================
+// TESTS: PREVISUALIZACION
+// ============================================================
+
+console.log('\n--- Previsualizacion ---\n');
+
+const { previsualizarComprobante, ADVERTENCIAS } = require('../services/preview');
+
+function crearOrdenWix(opciones = {}) {
+  return {
+    id: opciones.id || 'orden-preview',
+    status: opciones.status || 'APPROVED',
+    paymentStatus: opciones.paymentStatus || 'PAID',
+    _createdDate: '2024-05-10T12:00:00Z',
+    buyerInfo: { email: 'cliente@example.com', firstName: 'Ana' },
+    billingInfo: { contactDetails: { firstName: 'Ana', lastName: 'Perez' } },
+    lineItems: [
+      { id: 'l1', productName: { original: 'Remera' }, quantity: 2, price: opciones.precio || '300', taxDetails: { taxRate: '0.22' } },
+      { id: 'l2', productName: { original: 'Libro' }, quantity: 1, price: '400', taxDetails: { taxRate: '0.10' } }
+    ],
+    priceSummary: {
+      shipping: { amount: '100' },
+      total: { amount: String(opciones.total || 1100), currency: opciones.moneda || 'UYU' }
+    }
+  };
+}
+
+function crearEntornoPreview() {
+  const efectos = [];
+  const wixClient = Object.assign(Object.create(WixClient.prototype), {
+    getOrderTransactions: async () => { throw new Error('sin transacciones'); }
+  });
+  return {
+    efectos,
+    wixClient,
+    fuente: new WixFuente(wixClient),
+    billerClient: {
+      sucursal: '7',
+      buscarPorNumeroInterno: async (numero) => (numero === 'WIX-en-biller' ? { id: 55 } : null),
+      emitirComprobante: async () => { efectos.push('emitir'); }
+    },
+    comprobanteStore: {
+      findByOrderId: () => null,
+      set: () => { efectos.push('guardar'); }
+    },
+    settingsStore: crearSettingsStoreTemporal()
+  };
+}
+
+test('Previsualizacion devuelve el payload de prepararDatosBiller sin emitir ni guardar', async () => {
+  const entorno = crearEntornoPreview();
+  const preview = await previsualizarComprobante(crearOrdenWix(), entorno);
+
+  const esperado = prepararDatosBiller(
+    entorno.wixClient.normalizeOrder(crearOrdenWix()),
+    preview.decision,
+    { formaPago: preview.contexto.formaPago, sucursal: '7' }
+  );
+  assertEqual(JSON.stringify(preview.payload.items), JSON.stringify(esperado.items));
+  assertEqual(preview.payload.sucursal, '7');
+  assertEqual(preview.payload.numero_interno, 'WIX-orden-preview');
+  assertTrue(preview.validacion.valid);
+  assertEqual(preview.totales.totalComprobante, 1100);
+  assertEqual(preview.totales.diferencia, 0);
+  assertEqual(preview.totales.porIndicador[config.INDICADORES_IVA.GRAVADO_BASICA], 700);
+  assertEqual(preview.totales.porIndicador[config.INDICADORES_IVA.GRAVADO_MINIMA], 400);
+  assertTrue(preview.emitiria);
+  assertEqual(entorno.efectos.length, 0, 'No emite ni guarda');
+});
+
+test('Previsualizacion advierte venta grande sin documento y diferencia de totales', async () => {
+  const entorno = crearEntornoPreview();
+  const preview = await previsualizarComprobante(crearOrdenWix({ precio: '30000', total: 60550 }), entorno);
+  const codigos = preview.advertencias.map(a => a.codigo);
+
+  assertTrue(codigos.includes(ADVERTENCIAS.VENTA_GRANDE_SIN_DOCUMENTO));
+  assertTrue(codigos.includes(ADVERTENCIAS.TOTAL_DIFERENTE));
+  assertEqual(preview.totales.totalWix, 60550);
+  assertEqual(preview.totales.diferencia, -50);
+  assertFalse(preview.emitiria, 'Diferencia fuera de tolerancia: se retendria');
+});
+
+test('Previsualizacion marca ordenes ya facturadas, no pagadas o sin tipo de cambio', async () => {
+  const entorno = crearEntornoPreview();
+
+  const enBiller = await previsualizarComprobante(crearOrdenWix({ id: 'en-biller', status: 'INITIALIZED', paymentStatus: 'NOT_PAID' }), entorno);
+  const codigos = enBiller.advertencias.map(a => a.codigo);
+  assertTrue(codigos.includes(ADVERTENCIAS.YA_FACTURADA_BILLER));
+  assertTrue(codigos.includes(ADVERTENCIAS.ORDEN_NO_PAGADA));
+  assertFalse(enBiller.emitiria);
+  assertTrue(enBiller.payload !== null, 'El payload se arma igual');
+
+  const sinCotizacion = await previsualizarComprobante(crearOrdenWix({ moneda: 'JPY' }), entorno);
+  assertEqual(sinCotizacion.payload, null);
+  assertEqual(sinCotizacion.error.code, 'TIPO_CAMBIO_NO_DISPONIBLE');
+  assertEqual(sinCotizacion.advertencias[0].codigo, ADVERTENCIAS.ERROR_ARMADO);
+  assertFalse(sinCotizacion.emitiria);
+  assertEqual(entorno.efectos.length, 0);
+});
+
+// ============================================================
+// TESTS: CONCILIACION DE TOTALES
+// ============================================================
+
+console.log('\n--- Conciliacion de totales ---\n');
+
+const { conciliarTotales, construirComprobante } = require('../services/comprobante-builder');
+
+test('Diferencia dentro de tolerancia se ajusta con linea de redondeo', () => {
+  const datos = { items: [{ concepto: 'A', cantidad: 3, precio: 33.33, indicador_facturacion: 3 }] };
+  const totales = conciliarTotales(datos, 100, { tolerancia: 0.5 });
+
+  assertTrue(totales.ok);
+  assertEqual(totales.ajuste, 0.01);
+  assertEqual(totales.totalComprobante, 100);
+  const redondeo = datos.items[1];
+  assertEqual(redondeo.concepto, 'Redondeo');
+  assertEqual(redondeo.precio, 0.01);
+  assertEqual(redondeo.indicador_facturacion, config.INDICADORES_IVA.NO_FACTURABLE);
+
+  const aFavor = { items: [{ concepto: 'B', cantidad: 1, precio: 100.4, indicador_facturacion: 3 }] };
+  const negativo = conciliarTotales(aFavor, 100, { tolerancia: 0.5 });
+  assertEqual(negativo.ajuste, -0.4);
+  assertEqual(aFavor.items[1].indicador_facturacion, config.INDICADORES_IVA.NO_FACTURABLE_NEGATIVO);
+  assertEqual(negativo.totalComprobante, 100, 'La linea negativa resta');
+  assertTrue(validarDatosComprobante({ ...aFavor, tipo_comprobante: 101 }).valid);
+});
+
+test('Totales que coinciden no agregan linea; fuera de tolerancia no concilian', () => {
+  const exacto = { items: [{ concepto: 'A', cantidad: 2, precio: 50, indicador_facturacion: 3 }] };
+  assertEqual(conciliarTotales(exacto, 100).ajuste, 0);
+  assertEqual(exacto.items.length, 1);
+
+  const lejos = { items: [{ concepto: 'A', cantidad: 1, precio: 90, indicador_facturacion: 3 }] };
+  const totales = conciliarTotales(lejos, 100, { tolerancia: 0.5 });
+  assertFalse(totales.ok);
+  assertEqual(totales.diferencia, 10);
+  assertEqual(lejos.items.length, 1, 'No se ajustan diferencias grandes');
+});
+
+test('construirComprobante retiene la orden si el total no coincide con Wix', async () => {
+  const entorno = crearEntornoPreview();
+  const orden = entorno.wixClient.normalizeOrder(crearOrdenWix({ total: 1250 }));
+
+  let error = null;
+  try {
+    await construirComprobante(orden, { ...entorno, cliente: entorno.wixClient, sucursal: '7' });
+  } catch (e) {
+    error = e;
+  }
+
+  assertTrue(error !== null, 'Debe lanzar');
+  assertEqual(error.code, 'TOTALES_NO_COINCIDEN');
+  assertEqual(error.detalle.totalComprobante, 1100);
+  assertEqual(error.detalle.diferencia, 150);
+
+  const ajustada = entorno.wixClient.normalizeOrder(crearOrdenWix({ total: 1100.3 }));
+  const { datosComprobante, totales } = await construirComprobante(ajustada, { ...entorno, cliente: entorno.wixClient, sucursal: '7' });
+  assertEqual(totales.ajuste, 0.3);
+  assertEqual(datosComprobante.items[datosComprobante.items.length - 1].concepto, 'Redondeo');
+  assertEqual(entorno.efectos.length, 0);
+});
+
+// ============================================================
+// TESTS: Canal MercadoLibre
+// ============================================================
+
+console.log('\n--- MercadoLibre ---\n');
+
+const { MercadoLibreClient } = require('../mercadolibre-client');
+const { crearFakeMercadoLibre, crearOrdenML, TOKEN_INICIAL } = require('./fake-mercadolibre');
+const { numeroInternoOrden, parsearNumeroInterno } = require('../services/canales');
+const { orderIdDesdeNumeroInterno } = require('../services/conciliacion');
+
+async function conFakeML(datos, fn) {
+  const server = crearFakeMercadoLibre(datos);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const client = new MercadoLibreClient({
+      apiUrl: `http://127.0.0.1:${server.address().port}`,
+      timeout: 5000,
+      appId: '999',
+      sellerId: '123456',
+      accessToken: datos.accessToken || TOKEN_INICIAL,
+      refreshToken: 'TG-fake-refresh'
+    });
+    await fn(client, server.estado);
+  } finally {
+    server.close();
+  }
+}
+
+test('Orden MercadoLibre se normaliza al formato Wix y se arma con prefijo ML', async () => {
+  await conFakeML({}, async (client) => {
+    const orden = client.normalizeOrder(await client.getOrder(2000001));
+
+    assertEqual(orden.id, '2000001');
+    assertEqual(orden.canal, 'mercadolibre');
+    assertEqual(orden.status, 'APPROVED');
+    assertEqual(orden.paymentStatus, 'PAID');
+    assertEqual(orden.fiscal.tipoDocumento, 'UY_CI');
+    assertEqual(orden.fiscal.documento, '12345672');
+    assertEqual(orden.direccion.linea1, 'Av Brasil 2500');
+    assertEqual(orden.items.length, 3, '2 items + envio');
+    assertEqual(orden.montos.total, 1650);
+
+    const { datosComprobante, totales } = await construirComprobante(orden, {
+      cliente: client,
+      sucursal: '7',
+      settingsStore: crearSettingsStoreTemporal()
+    });
+    assertEqual(datosComprobante.numero_interno, 'ML-2000001');
+    assertTrue(totales.ok);
+    assertEqual(totales.totalComprobante, 1650);
+  });
+});
+
+test('Cliente MercadoLibre renueva el token ante un 401 y valida notificaciones', async () => {
+  await conFakeML({ accessToken: 'vencido' }, async (client, estado) => {
+    const pagos = client.normalizePayments(await client.getOrderTransactions(2000001));
+    assertEqual(estado.renovaciones, 1);
+    assertEqual(client.accessToken, 'APP_USR-fake-token-1');
+    assertEqual(client.refreshToken, 'TG-fake-refresh-1');
+    assertEqual(pagos[0].metodo, 'credit_card');
+    assertFalse(pagos[0].offline);
+    assertEqual(await client.getOrder(404), null);
+
+    const notificacion = client.verificarNotificacion({
+      _id: 'n-1', resource: '/orders/2000001', topic: 'orders_v2', user_id: 123456, application_id: 999
+    });
+    assertEqual(notificacion.orderId, '2000001');
+    assertEqual(notificacion.eventId, 'n-1');
+
+    let error = null;
+    try {
+      client.verificarNotificacion({ resource: '/orders/1', topic: 'orders_v2', user_id: 1, application_id: 999 });
+    } catch (e) {
+      error = e;
+    }
+    assertEqual(error?.code, 'ML_NOTIFICACION_INVALIDA');
+  });
+});
+
+test('Devoluciones MercadoLibre se acreditan por diferencia y no cruzan la conciliacion Wix', () => {
+  const client = new MercadoLibreClient({ accessToken: 'x' });
+  const { order } = crearOrdenML({ refunded: 500 });
+
+  assertEqual(client.normalizeOrder(order).paymentStatus, 'PARTIALLY_REFUNDED');
+  const [primero] = client.normalizeRefunds(order);
+  assertEqual(primero.id, 'ml-9000001-50000');
+  assertEqual(primero.monto, 500);
+
+  order.payments[0].transaction_amount_refunded = 800;
+  const [segundo] = client.normalizeRefunds(order, [{ refund_id: primero.id, monto: 500 }]);
+  assertEqual(segundo.id, 'ml-9000001-80000');
+  assertEqual(segundo.monto, 300);
+  assertEqual(client.normalizeRefunds(order, [{ refund_id: primero.id, monto: 500 }, { refund_id: segundo.id, monto: 300 }]).length, 0);
+
+  assertEqual(numeroInternoOrden('2000001', 'mercadolibre', 'NC', 'R2'), 'NC-ML-2000001-R2');
+  assertEqual(parsearNumeroInterno('NC-ML-2000001-R2').canal, 'mercadolibre');
+  assertEqual(parsearNumeroInterno('WIX-abc-123').orderId, 'abc-123');
+  assertEqual(orderIdDesdeNumeroInterno('ML-2000001'), null);
+  assertEqual(orderIdDesdeNumeroInterno('WIX-abc-123'), 'abc-123');
+});
+
+// ============================================================
+// TESTS: Fuentes de ordenes (adaptadores por canal)
+// ============================================================
+
+console.log('\n--- Fuentes de ordenes ---\n');
+
+const crypto = require('crypto');
+const { ACCIONES, FuenteError, validarFuente, getFuente } = require('../services/fuentes');
+const { ShopifyFuente, extraerRUTDePedido } = require('../services/fuentes/shopify');
+const { ShopifyClient, ShopifyError } = require('../shopify-client');
+
+function crearOrdenShopify(opciones = {}) {
+  return {
+    id: 5550001,
+    order_number: 1001,
+    created_at: '2024-06-10T12:00:00-03:00',
+    financial_status: opciones.financialStatus || 'paid',
+    cancelled_at: null,
+    currency: 'UYU',
+    taxes_included: true,
+    total_price: '1350.00',
+    subtotal_price: '1200.00',
+    total_tax: '243.44',
+    note_attributes: [
+      { name: 'RUT', value: '21.234.567.0012' },
+      { name: 'Razon Social', value: 'Tienda SA' }
+    ],
+    billing_address: { first_name: 'Ana', last_name: 'Perez', address1: 'Av. Italia 1234', city: 'Montevideo' },
+    line_items: [
+      { id: 1, title: 'Remera', sku: 'REM-1', quantity: 2, price: '600.00', tax_lines: [{ rate: 0.22 }], discount_allocations: [] }
+    ],
+    shipping_lines: [{ price: '150.00', discount_allocations: [] }],
+    refunds: []
+  };
+}
+
+test('Contrato de fuentes rechaza adaptadores incompletos y canales apagados', () => {
+  let error = null;
+  try {
+    validarFuente({ canal: 'wix', cliente: {}, parsearEvento: () => null });
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error instanceof FuenteError);
+  assertEqual(error.code, 'FUENTE_INVALIDA');
+  assertTrue(error.message.includes('obtenerOrden'));
+
+  error = null;
+  try {
+    getFuente('tiendanube');
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error instanceof FuenteError);
+  assertEqual(error.code, 'FUENTE_NO_DISPONIBLE');
+  assertEqual(getFuente().canal, 'wix', 'Wix siempre habilitado');
+});
+
+test('Fuente Wix traduce eventos a acciones y omite los no configurados', () => {
+  const fuente = new WixFuente({});
+  const evento = (eventType) => fuente.parsearEvento({
+    data: { order: { id: 'w1', lineItems: [] } },
+    metadata: { eventType, eventId: `ev-${eventType}` },
+    instanceId: 'sitio-1'
+  });
+
+  const aprobada = evento('wix.ecom.v1.order_approved');
+  assertEqual(aprobada.accion, ACCIONES.EMITIR);
+  assertEqual(aprobada.tipo, 'approved');
+  assertEqual(aprobada.orderId, 'w1');
+  assertEqual(aprobada.instanceId, 'sitio-1');
+  assertEqual(evento('wix.ecom.v1.order_canceled').accion, ACCIONES.CANCELAR);
+  assertEqual(evento('wix.ecom.v1.order_transactions_updated').accion, ACCIONES.REEMBOLSO);
+  assertEqual(evento('wix.ecom.v1.order_created'), null);
+});
+
+test('Fuente Shopify verifica HMAC, extrae el RUT de note_attributes y arma con prefijo SHOP', async () => {
+  const cliente = new ShopifyClient({ baseUrl: 'http://127.0.0.1:1', webhookSecret: 'secreto-shopify' });
+  Object.assign(cliente, {
+    getOrderTransactions: async () => ({ transactions: [{ id: 9, kind: 'sale', status: 'success', gateway: 'mercadopago', amount: '1350.00' }] })
+  });
+  const fuente = new ShopifyFuente(cliente, { instanceId: null });
+  const orden = crearOrdenShopify();
+  const rawBody = JSON.stringify(orden);
+  const hmac = crypto.createHmac('sha256', 'secreto-shopify').update(rawBody, 'utf8').digest('base64');
+
+  const payload = fuente.verificarWebhook({ rawBody, headers: { 'x-shopify-hmac-sha256': hmac, 'x-shopify-topic': 'orders/paid' } });
+  const evento = fuente.parsearEvento(payload);
+  assertEqual(evento.accion, ACCIONES.EMITIR);
+  assertEqual(evento.orderId, '5550001');
+
+  let error = null;
+  try {
+    fuente.verificarWebhook({ rawBody, headers: { 'x-shopify-hmac-sha256': 'AAAA' } });
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error instanceof ShopifyError);
+  assertEqual(error.code, 'SHOPIFY_WEBHOOK_INVALIDO');
+
+  assertEqual(extraerRUTDePedido(orden).rut, '212345670012');
+  const normalizada = fuente.normalizarOrden(await fuente.obtenerOrden(evento.orderId, evento.orden));
+  assertEqual(normalizada.fiscal.tipoDocumento, 'UY_RUT');
+  assertEqual(normalizada.fiscal.razonSocial, 'Tienda SA');
+  assertEqual(normalizada.items.length, 2, 'Linea de envio');
+
+  const { datosComprobante, decision } = await construirComprobante(normalizada, {
+    cliente: fuente.cliente,
+    sucursal: '7',
+    settingsStore: crearSettingsStoreTemporal()
+  });
+  assertEqual(datosComprobante.numero_interno, 'SHOP-5550001');
+  assertEqual(decision.tipo, 111, 'e-Factura con RUT');
+});
+
+test('Store: el mismo ID en distintos canales no choca y las keys wix- viejas se migran', () => {
+  const filePath = path.join(os.tmpdir(), `comprobantes-canales-${Date.now()}.json`);
+  fs.writeFileSync(filePath, JSON.stringify({
+    comprobantes: {
+      'wix-900': { id: 1, order_id: '900', canal: 'mercadolibre', total: 100, reembolsos: [{ nc_key: 'nc-wix-900-1', monto: 10 }] },
+      'nc-wix-900-1': { id: 2, order_id: '900', is_credit_note: true, parcial: true }
+    }
+  }));
+
+  const store = new ComprobanteStore(filePath);
+  clearInterval(store.saveInterval);
+  assertEqual(store.findByOrderId('900'), null, 'Ya no ocupa la key de Wix');
+  assertEqual(store.findByOrderId('900', 'mercadolibre').id, 1);
+  assertEqual(store.findByOrderId('900', 'mercadolibre').reembolsos[0].nc_key, 'nc-mercadolibre-900-1');
+  assertEqual(store.findNCsByOrderId('900', 'mercadolibre').length, 1);
+
+  store.set('900', { id: 3, canal: 'shopify', total: 200 });
+  store.addNC('900', { id: 4, tipo_comprobante: 102 }, 'shopify');
+  assertEqual(store.findByOrderId('900', 'shopify').id, 3);
+  assertEqual(store.findByOrderId('900', 'mercadolibre').id, 1, 'La orden de ML sigue facturada aparte');
+  assertEqual(store.findNCByOrderId('900', 'shopify').id, 4);
+  assertEqual(store.findNCsByOrderId('900', 'mercadolibre').length, 1);
+  assertEqual(store.getHistorialOrden('900', 'shopify').notasCredito.length, 1);
+});
+
+// ============================================================
+// TESTS: Cambio de e-Ticket a e-Factura
+// ============================================================
+
+console.log('\n--- Cambio a e-Factura ---\n');
+
+const { cambiarAFactura, validarDatosFiscales, CambioFacturaError } = require('../services/cambio-factura');
+
+function crearStoreCambio(comprobante) {
+  const store = new ComprobanteStore(path.join(os.tmpdir(), `cambio-factura-${Date.now()}-${Math.random()}.json`));
+  clearInterval(store.saveInterval);
+  store.set('orden-ef', {
+    id: 500, serie: 'A', numero: 10, tipo_comprobante: 101, total: 1220, monto_total: 1220,
+    moneda: 'UYU', forma_pago: 1, instance_id: 'sitio-1', emails_notificacion: ['compras@empresa.com.uy'],
+    items: [{ concepto: 'Silla', cantidad: 2, precio: 610, indicador_facturacion: 3, wix_line_item_id: 'li-1' }],
+    ...comprobante
+  });
+  return store;
+}
+
+function crearBillerCambio({ fallarFactura = false } = {}) {
+  const llamadas = { anular: 0, emitir: [] };
+  return {
+    llamadas,
+    sucursal: '3',
+    anularComprobante: async () => { llamadas.anular++; return { id: 501, serie: 'A', numero: 11, tipo_comprobante: 102 }; },
+    buscarPorNumeroInterno: async () => null,
+    emitirComprobante: async (datos) => {
+      if (fallarFactura) throw new Error('Biller no disponible');
+      llamadas.emitir.push(datos);
+      return { id: 502, serie: 'B', numero: 1, tipo_comprobante: 111 };
+    }
+  };
+}
+
+test('Cambio a e-Factura rechaza CI, falta de razon social y comprobantes que no son e-Ticket', async () => {
+  const esperarError = async (store, receptor) => {
+    try {
+      await cambiarAFactura('orden-ef', receptor, { store, billerClient: crearBillerCambio(), validarConDGI: false });
+    } catch (e) {
+      assertTrue(e instanceof CambioFacturaError);
+      return e.code;
+    }
+    return null;
+  };
+
+  assertEqual(await esperarError(crearStoreCambio(), { rut: '12345672', razonSocial: 'Empresa SA' }), 'RUT_INVALIDO');
+  assertEqual(await esperarError(crearStoreCambio(), { rut: '212345670015' }), 'RAZON_SOCIAL_REQUERIDA');
+  assertEqual(await esperarError(crearStoreCambio({ tipo_comprobante: 111 }), { rut: '212345670015', razonSocial: 'Empresa SA' }), 'NO_ES_E_TICKET');
+  assertEqual(await esperarError(crearStoreCambio({ total_acreditado: 100 }), { rut: '212345670015', razonSocial: 'Empresa SA' }), 'CON_NOTAS_PREVIAS');
+});
+
+test('Cambio a e-Factura acepta RUTs validos sin consultar DGI y deja advertencia si el digito no verifica', async () => {
+  const sinDGI = { validarConDGI: false };
+
+  const valido = await validarDatosFiscales({ rut: '21.484436.0018', razonSocial: 'Empresa SA' }, sinDGI);
+  assertEqual(valido.rut, '214844360018');
+  assertFalse(valido.verificadoDGI);
+
+  const dudoso = await validarDatosFiscales({ rut: '212345670019', razonSocial: 'Empresa SA' }, sinDGI);
+  assertTrue(dudoso.advertencia.includes('verificador'));
+
+  let error = null;
+  try {
+    await validarDatosFiscales({ rut: '212345670019', razonSocial: 'Empresa SA' }, {
+      validarConDGI: true,
+      billerClient: { validarRUTConDGI: async () => ({ valid: false, reason: 'RUT inexistente', source: 'dgi' }) }
+    });
+  } catch (e) {
+    error = e;
+  }
+  assertEqual(error.code, 'RUT_RECHAZADO_DGI');
+});
+
+test('Cambio a e-Factura emite NC y e-Factura 111 con los mismos items y vincula los tres documentos', async () => {
+  const store = crearStoreCambio();
+  const billerClient = crearBillerCambio();
+
+  const resultado = await cambiarAFactura('orden-ef', { rut: '21.234567.0015', razonSocial: 'Empresa SA' }, {
+    store, billerClient, validarConDGI: false
+  });
+
+  assertEqual(billerClient.llamadas.anular, 1);
+  const datos = billerClient.llamadas.emitir[0];
+  assertEqual(datos.tipo_comprobante, 111);
+  assertEqual(datos.numero_interno, 'EF-WIX-orden-ef');
+  assertEqual(datos.cliente.documento, '212345670015');
+  assertEqual(datos.cliente.tipo_documento, config.TIPOS_DOCUMENTO.RUT);
+  assertEqual(datos.items.length, 1);
+  assertEqual(datos.items[0].wix_line_item_id, undefined);
+
+  const actual = store.findByOrderId('orden-ef');
+  assertEqual(actual.tipo_comprobante, 111);
+  assertEqual(actual.total, 1220);
+  assertEqual(resultado.nc.anula.numero, 10);
+
+  const historial = store.getHistorialOrden('orden-ef');
+  assertEqual(historial.reemplazados.length, 1);
+  assertEqual(historial.reemplazados[0].numero, 10);
+  assertEqual(historial.notasCredito[0].cambio_factura.efactura, actual.cambio_factura.efactura);
+  assertEqual(actual.cambio_factura.eticket, historial.reemplazados[0].cambio_factura.eticket);
+  assertEqual(store.findNCByOrderId('orden-ef'), null, 'La NC del cambio no bloquea anular la e-Factura');
+});
+
+test('Cambio a e-Factura retoma sin volver a anular si fallo la e-Factura', async () => {
+  const store = crearStoreCambio();
+  const receptor = { rut: '212345670015', razonSocial: 'Empresa SA' };
+
+  let error = null;
+  try {
+    await cambiarAFactura('orden-ef', receptor, { store, billerClient: crearBillerCambio({ fallarFactura: true }), validarConDGI: false });
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error !== null);
+  assertEqual(store.findByOrderId('orden-ef').tipo_comprobante, 101);
+  assertTrue(Boolean(store.findByOrderId('orden-ef').cambio_factura.nc));
+
+  const billerClient = crearBillerCambio();
+  await cambiarAFactura('orden-ef', receptor, { store, billerClient, validarConDGI: false });
+  assertEqual(billerClient.llamadas.anular, 0, 'La NC ya estaba emitida');
+  assertEqual(store.findByOrderId('orden-ef').tipo_comprobante, 111);
+
+  const numero = parsearNumeroInterno('EF-WIX-orden-ef');
+  assertEqual(numero.tipo, 'EF');
+  assertEqual(numero.orderId, 'orden-ef');
+});
+
+// ============================================================
+// TESTS: Cola de revision manual
+// ============================================================
+
+console.log('\n--- Cola de revision manual ---\n');
+
+const { RevisionStore } = require('../utils/revision-store');
+const {
+  ESTADOS_REVISION, MOTIVOS_RETENCION, RevisionError, motivosRetencion, retenerOrden,
+  listarRevisiones, editarDatosFiscales, aprobarRevision, rechazarRevision
+} = require('../services/revision');
+
+function crearRevisionTemporal() {
+  return {
+    store: new RevisionStore(path.join(os.tmpdir(), `revision-${Date.now()}-${Math.random()}.json`)),
+    auditLogger: new AuditLogger(fs.mkdtempSync(path.join(os.tmpdir(), 'audit-revision-')))
+  };
+}
+
+function ordenRetenida(id = 'orden-rev') {
+  return {
+    id,
+    number: 1042,
+    montos: { total: 80000, moneda: 'UYU' },
+    buyer: { firstName: 'Ana', email: 'ana@example.com' },
+    fiscal: { tipoDocumento: null, documento: null }
+  };
+}
+
+test('Retencion por venta grande sin documento, totales distintos y RUT/CI con digito invalido', () => {
+  const cliente = (documento, tipo) => ({ cliente: { documento, tipo_documento: tipo } });
+  const codigos = (decision, totales = { ok: true }) => motivosRetencion(decision, totales).map(m => m.codigo);
+
+  assertEqual(codigos({ advertencia: 'VENTA_GRANDE_SIN_DOCUMENTO', cliente: { documento: null } })[0], MOTIVOS_RETENCION.VENTA_GRANDE_SIN_DOCUMENTO);
+  assertEqual(codigos({ cliente: config.CLIENTE_SIN_RECEPTOR }, { ok: false, diferencia: -50 })[0], MOTIVOS_RETENCION.TOTALES_NO_COINCIDEN);
+  assertEqual(codigos(cliente('212345670012', config.TIPOS_DOCUMENTO.RUT))[0], MOTIVOS_RETENCION.DOCUMENTO_INVALIDO);
+  assertEqual(codigos(cliente('12345678', config.TIPOS_DOCUMENTO.CI))[0], MOTIVOS_RETENCION.DOCUMENTO_INVALIDO);
+  assertEqual(codigos(cliente('212345670015', config.TIPOS_DOCUMENTO.RUT)).length, 0);
+  assertEqual(codigos(cliente('21.484436.0018', config.TIPOS_DOCUMENTO.RUT)).length, 0, 'RUT real valido para DGI');
+  assertEqual(codigos(cliente('1.234.567-2', config.TIPOS_DOCUMENTO.CI)).length, 0);
+  assertEqual(codigos(cliente('0345672', config.TIPOS_DOCUMENTO.CI)).length, 0, 'CI de 7 digitos');
+  assertEqual(codigos(cliente('X1234567', config.TIPOS_DOCUMENTO.PASAPORTE)).length, 0, 'Documento extranjero');
+});
+
+test('Orden retenida: se edita el documento (validado) y se rechaza, solo desde su sitio', () => {
+  const { store, auditLogger } = crearRevisionTemporal();
+  const motivos = [{ codigo: MOTIVOS_RETENCION.VENTA_GRANDE_SIN_DOCUMENTO }];
+  const registro = retenerOrden(ordenRetenida(), motivos, { instanceId: 'site-a', actor: 'wix-webhook', store, auditLogger });
+  retenerOrden(ordenRetenida(), motivos, { instanceId: 'site-a', actor: 'wix-webhook', store, auditLogger });
+
+  assertEqual(registro.id, 'wix-orden-rev');
+  assertEqual(registro.estado, ESTADOS_REVISION.PENDIENTE);
+  assertEqual(listarRevisiones({ instanceId: 'site-a', estado: ESTADOS_REVISION.PENDIENTE }, store).length, 1);
+  assertEqual(listarRevisiones({ instanceId: 'site-b' }, store).length, 0);
+
+  const intentar = (fn) => {
+    try {
+      fn();
+    } catch (e) {
+      assertTrue(e instanceof RevisionError);
+      return e.code;
+    }
+    return null;
+  };
+  const contexto = { instanceId: 'site-a', actor: 'wix:owner', store, auditLogger };
+  assertEqual(intentar(() => editarDatosFiscales(registro.id, { tipoDocumento: 'UY_CI', documento: '12345678' }, contexto)), 'DATOS_FISCALES_INVALIDOS');
+  assertEqual(intentar(() => editarDatosFiscales(registro.id, { tipoDocumento: 'UY_CI', documento: '12345672' }, { ...contexto, instanceId: 'site-b' })), 'REVISION_NO_ENCONTRADA');
+
+  const editado = editarDatosFiscales(registro.id, { tipoDocumento: 'UY_CI', documento: '1.234.567-2', nombreCompleto: 'Ana Perez' }, contexto);
+  assertEqual(editado.datosFiscales.documento, '12345672');
+
+  const rechazado = rechazarRevision(registro.id, { ...contexto, motivo: 'Venta duplicada' });
+  assertEqual(rechazado.estado, ESTADOS_REVISION.RECHAZADA);
+  assertEqual(rechazado.decision.actor, 'wix:owner');
+  assertEqual(intentar(() => rechazarRevision(registro.id, contexto)), 'REVISION_CERRADA');
+
+  const acciones = auditLogger.buscar({ event: 'operation' }).map(e => e.action);
+  assertTrue(['retener_orden', 'editar_orden_retenida', 'rechazar_orden_retenida'].every(a => acciones.includes(a)));
+  assertEqual(acciones.filter(a => a === 'retener_orden').length, 1, 'Una retencion por orden');
+});
+
+test('Aprobar una orden retenida la emite con los datos corregidos y queda auditada', async () => {
+  const { store, auditLogger } = crearRevisionTemporal();
+  const registro = retenerOrden(ordenRetenida(), [{ codigo: MOTIVOS_RETENCION.VENTA_GRANDE_SIN_DOCUMENTO }], {
+    instanceId: 'site-a', actor: 'wix-webhook', store, auditLogger
+  });
+  const contexto = { instanceId: 'site-a', actor: 'wix:owner', store, auditLogger };
+  editarDatosFiscales(registro.id, { tipoDocumento: 'UY_CI', documento: '12345672' }, contexto);
+
+  let error = null;
+  try {
+    await aprobarRevision(registro.id, { ...contexto, emitir: async () => undefined });
+  } catch (e) {
+    error = e;
+  }
+  assertEqual(error.code, 'ORDEN_NO_FACTURABLE');
+  assertEqual(store.get(registro.id).estado, ESTADOS_REVISION.PENDIENTE);
+
+  let recibido = null;
+  const { registro: aprobado, comprobante } = await aprobarRevision(registro.id, {
+    ...contexto,
+    nota: 'CI confirmada con el cliente',
+    emitir: async (r, actor) => {
+      recibido = { datosFiscales: r.datosFiscales, actor };
+      return { id: 900, tipo_comprobante: 101, serie: 'A', numero: 77 };
+    }
+  });
+
+  assertEqual(recibido.datosFiscales.documento, '12345672');
+  assertEqual(recibido.actor, 'wix:owner');
+  assertEqual(comprobante.numero, 77);
+  assertEqual(aprobado.estado, ESTADOS_REVISION.APROBADA);
+  assertEqual(aprobado.comprobante.serie, 'A');
+  const aprobaciones = auditLogger.buscar({ action: 'aprobar_orden_retenida' });
+  assertEqual(aprobaciones.map(e => e.status).sort().join(','), 'error,success');
+});
+
+test('Una segunda aprobacion mientras la primera emite se rechaza sin emitir otro CFE', async () => {
+  const { store, auditLogger } = crearRevisionTemporal();
+  const registro = retenerOrden(ordenRetenida('orden-doble'), [{ codigo: MOTIVOS_RETENCION.TOTALES_NO_COINCIDEN }], {
+    instanceId: 'site-a', actor: 'wix-webhook', store, auditLogger
+  });
+  const contexto = { instanceId: 'site-a', actor: 'wix:owner', store, auditLogger };
+
+  let emisiones = 0;
+  let liberar;
+  const primera = aprobarRevision(registro.id, {
+    ...contexto,
+    emitir: async () => {
+      emisiones++;
+      await new Promise(resolve => { liberar = resolve; });
+      return { id: 901, tipo_comprobante: 101, serie: 'A', numero: 78 };
+    }
+  });
+
+  const errores = [];
+  for (const intento of [
+    () => aprobarRevision(registro.id, { ...contexto, emitir: async () => { emisiones++; return { id: 902 }; } }),
+    async () => rechazarRevision(registro.id, contexto)
+  ]) {
+    try {
+      await intento();
+    } catch (e) {
+      errores.push(e.code);
+    }
+  }
+  assertEqual(errores.join(','), 'REVISION_EN_CURSO,REVISION_EN_CURSO');
+
+  liberar();
+  const { registro: aprobado } = await primera;
+  assertEqual(emisiones, 1);
+  assertEqual(aprobado.estado, ESTADOS_REVISION.APROBADA);
+});
+
+// ============================================================
+// TESTS: Datos del receptor pedidos al comprador
+// ============================================================
+
+console.log('\n--- Datos del receptor pedidos al comprador ---\n');
+
+const {
+  ESTADOS_SOLICITUD, DatosReceptorError, verificarTokenFormulario, obtenerSolicitud,
+  solicitarDatosReceptor, registrarDatosReceptor, vencerSolicitudes
+} = require('../services/datos-receptor');
+
+async function solicitudTemporal(orderId, ahora = new Date()) {
+  const { store, auditLogger } = crearRevisionTemporal();
+  const registro = retenerOrden(ordenRetenida(orderId), [{ codigo: MOTIVOS_RETENCION.VENTA_GRANDE_SIN_DOCUMENTO }], {
+    instanceId: 'site-a', actor: 'wix-webhook', store, auditLogger
+  });
+  const enviados = [];
+  const solicitado = await solicitarDatosReceptor(registro, {
+    enviar: async (smtp, mensaje) => enviados.push(mensaje),
+    smtp: { host: 'smtp.test', from: 'facturas@tienda.uy' },
+    ahora,
+    store,
+    auditLogger
+  });
+  const token = enviados[0]?.text.match(/\/datos-fiscales\/(\S+)/)?.[1];
+  return { store, auditLogger, registro, solicitado, enviados, token };
+}
+
+const codigoDe = async (fn) => {
+  try {
+    await fn();
+  } catch (e) {
+    return e.code;
+  }
+  return null;
+};
+
+test('Links del formulario se firman con el secreto del portal de clientes', async () => {
+  const { getSecret, CustomerAuthError } = require('../middleware/customer-auth');
+  const jwt = require('jsonwebtoken');
+
+  await conSecretoCliente(() => {
+    const token = jwt.sign({ rid: 'wix-orden-1' }, getSecret(), { audience: 'datos-receptor' });
+    assertEqual(verificarTokenFormulario(token), 'wix-orden-1');
+  });
+
+  const anterior = config.customerPortal.tokenSecret;
+  config.customerPortal.tokenSecret = null;
+  try {
+    let error = null;
+    try { verificarTokenFormulario('cualquiera'); } catch (e) { error = e; }
+    assertTrue(error instanceof CustomerAuthError);
+    assertEqual(error.code, 'AUTH_NOT_CONFIGURED');
+  } finally {
+    config.customerPortal.tokenSecret = anterior;
+  }
+});
+
+test('Solicitud de datos: email con link firmado solo cuando falta el documento', () => conSecretoCliente(async () => {
+  const { solicitado, enviados, token, store, auditLogger } = await solicitudTemporal('orden-datos-1');
+
+  assertEqual(enviados.length, 1);
+  assertEqual(enviados[0].to[0], 'ana@example.com');
+  assertTrue(enviados[0].subject.includes('#1042'));
+  assertEqual(solicitado.solicitudDatos.estado, ESTADOS_SOLICITUD.ENVIADA);
+  assertEqual(verificarTokenFormulario(token), 'wix-orden-datos-1');
+  assertEqual(obtenerSolicitud(token, store).orderId, 'orden-datos-1');
+  assertEqual(await codigoDe(() => verificarTokenFormulario(token.slice(0, -2) + 'xx')), 'LINK_INVALIDO');
+  assertEqual(auditLogger.buscar({ action: 'solicitar_datos_receptor' }).length, 1);
+
+  // Con otros motivos (o ya solicitada) queda para el admin
+  const otra = retenerOrden(ordenRetenida('orden-datos-2'), [
+    { codigo: MOTIVOS_RETENCION.VENTA_GRANDE_SIN_DOCUMENTO }, { codigo: MOTIVOS_RETENCION.TOTALES_NO_COINCIDEN }
+  ], { instanceId: 'site-a', actor: 'wix-webhook', store, auditLogger });
+  const opciones = { enviar: async () => assertTrue(false, 'No debe enviar'), smtp: { host: 'smtp.test' }, store, auditLogger };
+  assertEqual(await solicitarDatosReceptor(otra, opciones), null);
+  assertEqual(await solicitarDatosReceptor(solicitado, opciones), null);
+
+  // Link vencido
+  const vieja = await solicitudTemporal('orden-datos-3', new Date(Date.now() - (config.datosReceptor.plazoHoras + 1) * 3600 * 1000));
+  assertEqual(await codigoDe(() => verificarTokenFormulario(vieja.token)), 'LINK_VENCIDO');
+}));
+
+test('Formulario de datos: documento validado y la orden se libera a emision', () => conSecretoCliente(async () => {
+  const { store, auditLogger, token } = await solicitudTemporal('orden-datos-4');
+  let recibido = null;
+  const emitir = async (r, actor) => {
+    recibido = { datosFiscales: r.datosFiscales, actor };
+    return { id: 901, tipo_comprobante: 101, serie: 'A', numero: 78 };
+  };
+
+  assertEqual(await codigoDe(() => registrarDatosReceptor(token, { tipoDocumento: 'UY_CI', documento: '12345678', nombre: 'Ana Perez' }, { emitir, store, auditLogger })), 'DOCUMENTO_INVALIDO');
+  assertEqual(await codigoDe(() => registrarDatosReceptor(token, { tipoDocumento: 'UY_CI', documento: '12345672', nombre: ' ' }, { emitir, store, auditLogger })), 'NOMBRE_REQUERIDO');
+  assertEqual(recibido, null);
+
+  const { registro, comprobante } = await registrarDatosReceptor(token, { tipoDocumento: 'UY_RUT', documento: '212345670015', nombre: 'Ana SRL' }, { emitir, store, auditLogger });
+  assertEqual(comprobante.numero, 78);
+  assertEqual(recibido.datosFiscales.documento, '212345670015');
+  assertEqual(recibido.datosFiscales.razonSocial, 'Ana SRL');
+  assertTrue(recibido.actor.startsWith('cliente:a***a@'));
+  assertEqual(registro.estado, ESTADOS_REVISION.APROBADA);
+  assertEqual(registro.solicitudDatos.estado, ESTADOS_SOLICITUD.RESPONDIDA);
+
+  const error = await registrarDatosReceptor(token, { tipoDocumento: 'UY_CI', documento: '12345672', nombre: 'Ana' }, { emitir, store, auditLogger }).catch(e => e);
+  assertTrue(error instanceof DatosReceptorError);
+  assertEqual(error.code, 'SOLICITUD_CERRADA');
+}));
+
+test('Plazo vencido sin respuesta: queda en revision o se emite segun el fallback', () => conSecretoCliente(async () => {
+  const despues = new Date(Date.now() + (config.datosReceptor.plazoHoras + 1) * 3600 * 1000);
+  let emitidas = 0;
+  const emitir = async (r) => {
+    emitidas++;
+    assertEqual(r.datosFiscales, null, 'e-Ticket sin documento');
+    return { id: 902, tipo_comprobante: 101, serie: 'A', numero: 79 };
+  };
+
+  const enRevision = await solicitudTemporal('orden-datos-5');
+  assertEqual((await vencerSolicitudes({ emitir, store: enRevision.store, auditLogger: enRevision.auditLogger })).vencidas, 0, 'Dentro del plazo');
+  const r1 = await vencerSolicitudes({ emitir, ahora: despues, fallback: 'revision', store: enRevision.store, auditLogger: enRevision.auditLogger });
+  assertEqual(r1.vencidas, 1);
+  assertEqual(r1.emitidas, 0);
+  const pendiente = enRevision.store.get(enRevision.registro.id);
+  assertEqual(pendiente.estado, ESTADOS_REVISION.PENDIENTE);
+  assertEqual(pendiente.solicitudDatos.estado, ESTADOS_SOLICITUD.VENCIDA);
+
+  const aEmitir = await solicitudTemporal('orden-datos-6');
+  const r2 = await vencerSolicitudes({ emitir, ahora: despues, fallback: 'emitir', store: aEmitir.store, auditLogger: aEmitir.auditLogger });
+  assertEqual(r2.emitidas, 1);
+  assertEqual(emitidas, 1);
+  const aprobado = aEmitir.store.get(aEmitir.registro.id);
+  assertEqual(aprobado.estado, ESTADOS_REVISION.APROBADA);
+  assertEqual(aprobado.decision.actor, 'sistema:plazo-datos-receptor');
+  assertEqual(aEmitir.auditLogger.buscar({ action: 'vencer_solicitud_datos' }).length, 1);
+}));
+
 // ============================================================
 // EJECUTAR TESTS
 // ============================================================
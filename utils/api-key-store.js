@@ -0,0 +1,236 @@
+/**
+ * API keys de las rutas /api de administracion
+ * Solo se guarda el hash SHA-256 de cada key: la key en claro se muestra
+ * una unica vez al crearla
+ * @module utils/api-key-store
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const config = require('../config');
+const { abrirColeccion } = require('./storage');
+
+/**
+ * Scopes: admin incluye todos; emit y void incluyen read
+ */
+const SCOPES = ['read', 'emit', 'void', 'admin'];
+
+const INCLUIDOS = {
+  read: ['read'],
+  emit: ['emit', 'read'],
+  void: ['void', 'read'],
+  admin: SCOPES
+};
+
+// Formato: wbk_<id>_<secreto>
+const PREFIJO_KEY = 'wbk_';
+
+class ApiKeyError extends Error {
+  constructor(message, code = 'API_KEY_INVALIDA') {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.code = code;
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Verificar si los scopes de una key habilitan un scope requerido
+ * @param {Array<string>} scopes - Scopes de la key
+ * @param {string} requerido
+ * @returns {boolean}
+ */
+function tieneScope(scopes, requerido) {
+  return (scopes || []).some(scope => (INCLUIDOS[scope] || []).includes(requerido));
+}
+
+/**
+ * Datos publicos de una key (sin hash)
+ */
+function resumenKey(registro) {
+  const { hash, ...publico } = registro;
+  return publico;
+}
+
+class ApiKeyStore {
+  /**
+   * @param {string} [filePath] - Archivo JSON (solo backend JSON)
+   * @param {Object} [storage] - Backend de storage (default: getStorage())
+   * @param {Object} [opciones]
+   * @param {number} [opciones.recargaMs] - Releer el storage cada N ms (keys creadas o revocadas por CLI)
+   */
+  constructor(filePath, storage, opciones = {}) {
+    this.filePath = filePath || path.join(
+      path.dirname(config.storage.comprobantesFile),
+      'api-keys.json'
+    );
+    this.collection = abrirColeccion('api_keys', { filePath: this.filePath, storage });
+    this.recargaMs = opciones.recargaMs ?? config.apiKeys.recargaMs;
+    this.data = new Map();
+    this.usos = new Map();
+    this.ultimaCarga = 0;
+
+    this.load();
+  }
+
+  /**
+   * Cargar keys desde el storage
+   */
+  load() {
+    try {
+      this.data.clear();
+      for (const [key, value] of this.collection.load()) {
+        this.data.set(key, value);
+      }
+      this.ultimaCarga = Date.now();
+
+      logger.debug(`Cargadas ${this.data.size} API keys desde storage`);
+    } catch (error) {
+      logger.error('Error cargando API keys', { error: error.message });
+    }
+  }
+
+  recargarSiCorresponde() {
+    if (Date.now() - this.ultimaCarga >= this.recargaMs) {
+      this.load();
+    }
+  }
+
+  guardar(registro) {
+    this.data.set(registro.id, registro);
+    this.collection.put(registro.id, registro);
+    this.collection.flush();
+  }
+
+  /**
+   * Crear API key
+   * @param {Object} params
+   * @param {string} params.nombre - Identifica la key en el audit log
+   * @param {Array<string>} params.scopes - read, emit, void, admin
+   * @param {string} [params.instanceId] - Limitar la key a un sitio
+   * @returns {Object} { key, apiKey } - key en claro (unica vez) y datos publicos
+   * @throws {ApiKeyError}
+   */
+  crear({ nombre, scopes, instanceId = null }) {
+    if (!nombre || typeof nombre !== 'string') {
+      throw new ApiKeyError('nombre es requerido', 'API_KEY_NOMBRE_REQUERIDO');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new ApiKeyError(`scopes es requerido (${SCOPES.join(', ')})`, 'API_KEY_SCOPES_REQUERIDOS');
+    }
+    const invalidos = scopes.filter(s => !SCOPES.includes(s));
+    if (invalidos.length > 0) {
+      throw new ApiKeyError(`Scopes invalidos: ${invalidos.join(', ')}`, 'API_KEY_SCOPES_INVALIDOS');
+    }
+
+    this.recargarSiCorresponde();
+
+    const id = crypto.randomBytes(4).toString('hex');
+    const key = `${PREFIJO_KEY}${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    const registro = {
+      id,
+      nombre,
+      scopes: Array.from(new Set(scopes)),
+      instanceId: instanceId || null,
+      hash: hashKey(key),
+      creadaEn: new Date().toISOString(),
+      revocadaEn: null
+    };
+
+    this.guardar(registro);
+    logger.info('API key creada', { id, nombre, scopes: registro.scopes, instanceId: registro.instanceId });
+
+    return { key, apiKey: resumenKey(registro) };
+  }
+
+  /**
+   * Verificar una key en claro
+   * @param {string} key
+   * @returns {Object|null} Datos publicos de la key activa, o null
+   */
+  verificar(key) {
+    const match = /^wbk_([0-9a-f]{8})_/.exec(key || '');
+    if (!match) return null;
+
+    this.recargarSiCorresponde();
+    let registro = this.data.get(match[1]);
+
+    // Key creada por CLI despues de la ultima carga
+    if (!registro && Date.now() - this.ultimaCarga >= 1000) {
+      this.load();
+      registro = this.data.get(match[1]);
+    }
+
+    if (!registro || registro.revocadaEn) return null;
+
+    const esperado = Buffer.from(registro.hash, 'hex');
+    const recibido = Buffer.from(hashKey(key), 'hex');
+    if (!crypto.timingSafeEqual(esperado, recibido)) return null;
+
+    return resumenKey(registro);
+  }
+
+  /**
+   * Registrar uso (en memoria; el detalle queda en el audit log)
+   * @param {string} id
+   */
+  registrarUso(id) {
+    const uso = this.usos.get(id) || { usos: 0, ultimoUso: null };
+    uso.usos++;
+    uso.ultimoUso = new Date().toISOString();
+    this.usos.set(id, uso);
+  }
+
+  /**
+   * Revocar key (queda registrada, deja de autenticar)
+   * @param {string} id
+   * @returns {Object|null} Key revocada o null si no existe
+   */
+  revocar(id) {
+    this.recargarSiCorresponde();
+    const registro = this.data.get(id);
+    if (!registro) return null;
+
+    if (!registro.revocadaEn) {
+      this.guardar({ ...registro, revocadaEn: new Date().toISOString() });
+      logger.info('API key revocada', { id, nombre: registro.nombre });
+    }
+
+    return resumenKey(this.data.get(id));
+  }
+
+  /**
+   * Listar keys (sin hashes) con su uso desde el inicio del proceso
+   * @returns {Array}
+   */
+  listar() {
+    this.recargarSiCorresponde();
+    return Array.from(this.data.values()).map(registro => ({
+      ...resumenKey(registro),
+      ...(this.usos.get(registro.id) || { usos: 0, ultimoUso: null })
+    }));
+  }
+}
+
+// Singleton
+let apiKeyStore = null;
+
+function getApiKeyStore() {
+  if (!apiKeyStore) {
+    apiKeyStore = new ApiKeyStore();
+  }
+  return apiKeyStore;
+}
+
+module.exports = {
+  SCOPES,
+  ApiKeyError,
+  ApiKeyStore,
+  getApiKeyStore,
+  tieneScope,
+  hashKey
+};
@@ -4,18 +4,67 @@
  * Sistema de auditoría basado en archivos JSON
  * Persiste eventos de operaciones sin necesidad de BD adicional
  *
+ * Cada entrada lleva seq, prev_hash y hash (SHA-256 de la entrada con el
+ * hash de la anterior): borrar o editar una entrada rompe la cadena
+ *
  * Fase 2 - Auditoría y trazabilidad completa
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+// prev_hash de la primera entrada de la cadena
+const HASH_INICIAL = '0'.repeat(64);
+
+// Claves que no se guardan en el audit log (credenciales en settings)
+const CLAVES_SECRETAS = /token|secret|pass|apikey|api_key/i;
+
+/**
+ * JSON con claves ordenadas (el hash no depende del orden de las claves)
+ */
+function serializar(valor) {
+  if (Array.isArray(valor)) {
+    return `[${valor.map(v => serializar(v === undefined ? null : v)).join(',')}]`;
+  }
+  if (valor && typeof valor === 'object') {
+    const claves = Object.keys(valor).filter(k => valor[k] !== undefined).sort();
+    return `{${claves.map(k => `${JSON.stringify(k)}:${serializar(valor[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(valor);
+}
+
+/**
+ * Hash de una entrada (todo menos el propio hash, incluye prev_hash)
+ * @param {Object} entry
+ * @returns {string} SHA-256 hex
+ */
+function calcularHash(entry) {
+  const { hash, ...resto } = entry;
+  return crypto.createHash('sha256').update(serializar(resto)).digest('hex');
+}
+
+/**
+ * Copia sin credenciales para registrar requests de settings
+ * @param {*} valor
+ */
+function ocultarSecretos(valor) {
+  if (Array.isArray(valor)) return valor.map(ocultarSecretos);
+  if (!valor || typeof valor !== 'object') return valor;
+
+  return Object.fromEntries(Object.entries(valor).map(([clave, v]) => [
+    clave,
+    CLAVES_SECRETAS.test(clave) && v ? '***' : ocultarSecretos(v)
+  ]));
+}
 
 class AuditLogger {
   /**
    * Constructor
-   * @param {string} dirPath - Directorio donde guardar logs (default: logs/)
+   * @param {string} dirPath - Directorio donde guardar logs (default: config.storage.auditDir)
    */
-  constructor(dirPath = 'logs') {
+  constructor(dirPath = config.storage.auditDir) {
     this.dirPath = dirPath;
     this.fileName = path.join(dirPath, 'audit.jsonl');
     this.entries = [];
@@ -26,6 +75,61 @@ class AuditLogger {
     if (!fs.existsSync(dirPath)) {
       fs.mkdirSync(dirPath, { recursive: true });
     }
+
+    // Continuar la cadena desde la ultima entrada persistida
+    const ultima = this.leerUltimaEntrada();
+    this.seq = ultima?.seq || 0;
+    this.lastHash = ultima?.hash || HASH_INICIAL;
+  }
+
+  /**
+   * Archivos del log en orden cronologico (rotados + actual)
+   * @returns {Array<string>}
+   */
+  archivos() {
+    const rotados = fs.readdirSync(this.dirPath)
+      .filter(f => /^audit\..+\.jsonl$/.test(f))
+      .sort()
+      .map(f => path.join(this.dirPath, f));
+
+    return fs.existsSync(this.fileName) ? [...rotados, this.fileName] : rotados;
+  }
+
+  leerUltimaEntrada() {
+    const archivos = this.archivos();
+    for (let i = archivos.length - 1; i >= 0; i--) {
+      const lines = fs.readFileSync(archivos[i], 'utf8').trim().split('\n').filter(l => l);
+      if (lines.length > 0) {
+        try {
+          return JSON.parse(lines[lines.length - 1]);
+        } catch {
+          return null;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Leer todas las entradas (persiste antes las pendientes)
+   * @returns {Array<Object>}
+   */
+  leerEntradas() {
+    this.flush();
+    const entradas = [];
+
+    for (const archivo of this.archivos()) {
+      const lines = fs.readFileSync(archivo, 'utf8').trim().split('\n').filter(l => l);
+      for (const line of lines) {
+        try {
+          entradas.push(JSON.parse(line));
+        } catch {
+          // Skip líneas inválidas (verificarCadena las reporta)
+        }
+      }
+    }
+
+    return entradas;
   }
 
   /**
@@ -44,6 +148,7 @@ class AuditLogger {
 
   /**
    * Registrar finalización de operación
+   * Las operaciones se persisten en el momento (no esperan al flush)
    * @param {string} operationId - ID de la operación
    * @param {string} status - 'success' | 'error' | 'skipped'
    * @param {object} result - Resultado de la operación
@@ -59,22 +164,64 @@ class AuditLogger {
         result,
         error: error?.message || null
       });
+      this.flush();
       return;
     }
 
-    const duration = Date.now() - opData.startTime;
+    // actor, tenant y orden quedan en el primer nivel para poder buscarlos
+    const { actor, tenant, orderId, request, ...context } = opData.context;
 
     this.log('operation', {
       operation_id: operationId,
       action: opData.action,
       status,
-      duration_ms: duration,
-      context: opData.context,
+      duration_ms: Date.now() - opData.startTime,
+      actor: actor || null,
+      tenant: tenant || null,
+      order_id: orderId || null,
+      request: request || null,
+      context,
       result,
-      error: error?.message || null
-    });
+      error: error?.message || null,
+      error_code: error?.code || null
+    }, status === 'error' ? 'error' : 'info');
 
     this.operationLog.delete(operationId);
+    this.flush();
+  }
+
+  /**
+   * Ejecutar y auditar una operación fiscal
+   * @param {string} action - ej: 'emitir_cfe', 'emitir_nc', 'anular_cfe'
+   * @param {object} context - { actor, tenant, orderId, request }
+   * @param {Function} fn - async () => resultado
+   * @param {Function} [resumir] - (resultado) => resumen de la respuesta
+   * @returns {Promise<any>} Resultado de fn (los errores se registran y se relanzan)
+   */
+  async auditar(action, context, fn, resumir = () => ({})) {
+    const operationId = crypto.randomUUID();
+    this.startOperation(operationId, action, context);
+
+    try {
+      const resultado = await fn();
+      this.endOperation(operationId, 'success', resumir(resultado));
+      return resultado;
+    } catch (error) {
+      this.endOperation(operationId, 'error', {}, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar una operación ya realizada (sincrónica, ej: cambio de settings)
+   * @param {string} action
+   * @param {object} context - { actor, tenant, orderId, request }
+   * @param {object} [result]
+   */
+  registrarOperacion(action, context, result = {}) {
+    const operationId = crypto.randomUUID();
+    this.startOperation(operationId, action, context);
+    this.endOperation(operationId, 'success', result);
   }
 
   /**
@@ -88,9 +235,14 @@ class AuditLogger {
       timestamp: new Date().toISOString(),
       event,
       level,
-      ...details
+      ...details,
+      seq: this.seq + 1,
+      prev_hash: this.lastHash
     };
+    entry.hash = calcularHash(entry);
 
+    this.seq = entry.seq;
+    this.lastHash = entry.hash;
     this.entries.push(entry);
 
     // Auto-flush si hemos acumulado suficientes entradas
@@ -182,17 +334,7 @@ class AuditLogger {
    */
   getTailEntries(limit = 50) {
     try {
-      const content = fs.readFileSync(this.fileName, 'utf8');
-      const lines = content.trim().split('\n').filter(l => l);
-      const lastLines = lines.slice(-limit);
-
-      return lastLines.map(line => {
-        try {
-          return JSON.parse(line);
-        } catch {
-          return null;
-        }
-      }).filter(e => e !== null);
+      return this.leerEntradas().slice(-limit);
     } catch (error) {
       return [];
     }
@@ -205,33 +347,9 @@ class AuditLogger {
    */
   search(criteria = {}) {
     try {
-      const content = fs.readFileSync(this.fileName, 'utf8');
-      const lines = content.trim().split('\n').filter(l => l);
-
-      const results = [];
-
-      for (const line of lines) {
-        try {
-          const entry = JSON.parse(line);
-
-          // Verificar si coincide con criterios
-          let matches = true;
-          for (const [key, value] of Object.entries(criteria)) {
-            if (entry[key] !== value) {
-              matches = false;
-              break;
-            }
-          }
-
-          if (matches) {
-            results.push(entry);
-          }
-        } catch {
-          // Skip líneas inválidas
-        }
-      }
-
-      return results;
+      return this.leerEntradas().filter(entry =>
+        Object.entries(criteria).every(([key, value]) => entry[key] === value)
+      );
     } catch (error) {
       return [];
     }
@@ -245,31 +363,92 @@ class AuditLogger {
    */
   searchByTimeRange(startDate, endDate) {
     try {
-      const content = fs.readFileSync(this.fileName, 'utf8');
-      const lines = content.trim().split('\n').filter(l => l);
-
       const start = startDate.getTime();
       const end = endDate.getTime();
 
-      const results = [];
+      return this.leerEntradas().filter(entry => {
+        const ts = new Date(entry.timestamp).getTime();
+        return ts >= start && ts <= end;
+      });
+    } catch (error) {
+      return [];
+    }
+  }
 
-      for (const line of lines) {
-        try {
-          const entry = JSON.parse(line);
-          const ts = new Date(entry.timestamp).getTime();
+  /**
+   * Buscar operaciones (criterios exactos + rango opcional), más recientes primero
+   * @param {object} filtros - { desde, hasta (Date), action, actor, tenant, order_id, status, limit }
+   * @returns {array}
+   */
+  buscar(filtros = {}) {
+    const { desde, hasta, limit, ...criteria } = filtros;
+    const definidos = Object.entries(criteria).filter(([, value]) => value !== undefined && value !== null);
+
+    const resultados = this.search(Object.fromEntries(definidos)).filter(entry => {
+      const ts = new Date(entry.timestamp).getTime();
+      return (!desde || ts >= desde.getTime()) && (!hasta || ts <= hasta.getTime());
+    });
 
-          if (ts >= start && ts <= end) {
-            results.push(entry);
-          }
+    return resultados.reverse().slice(0, limit || resultados.length);
+  }
+
+  /**
+   * Verificar la cadena de hashes de todos los archivos
+   * Detecta entradas editadas (hash), borradas o reordenadas (seq/prev_hash)
+   * y entradas finales eliminadas (el último hash no coincide con el de memoria)
+   * @returns {object} { valida, entradas, ultimoHash, error? }
+   */
+  verificarCadena() {
+    this.flush();
+
+    let previo = HASH_INICIAL;
+    let esperado = 1;
+
+    const invalida = (archivo, linea, motivo, entry = null) => ({
+      valida: false,
+      entradas: esperado - 1,
+      ultimoHash: previo,
+      error: { archivo: path.basename(archivo), linea, seq: entry?.seq ?? null, motivo }
+    });
+
+    for (const archivo of this.archivos()) {
+      const lines = fs.readFileSync(archivo, 'utf8').split('\n');
+
+      for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
         } catch {
-          // Skip
+          return invalida(archivo, i + 1, 'linea_invalida');
+        }
+
+        if (entry.seq !== esperado) {
+          return invalida(archivo, i + 1, `secuencia: se esperaba ${esperado}`, entry);
+        }
+        if (entry.prev_hash !== previo) {
+          return invalida(archivo, i + 1, 'prev_hash no coincide con la entrada anterior', entry);
         }
+        if (calcularHash(entry) !== entry.hash) {
+          return invalida(archivo, i + 1, 'hash no coincide: entrada modificada', entry);
+        }
+
+        previo = entry.hash;
+        esperado++;
       }
+    }
 
-      return results;
-    } catch (error) {
-      return [];
+    if (previo !== this.lastHash) {
+      return {
+        valida: false,
+        entradas: esperado - 1,
+        ultimoHash: previo,
+        error: { archivo: path.basename(this.fileName), linea: null, seq: this.seq, motivo: 'faltan entradas al final del log' }
+      };
     }
+
+    return { valida: true, entradas: esperado - 1, ultimoHash: previo };
   }
 
   /**
@@ -278,24 +457,18 @@ class AuditLogger {
    */
   getStats() {
     try {
-      const content = fs.readFileSync(this.fileName, 'utf8');
-      const lines = content.trim().split('\n').filter(l => l);
+      const entradas = this.leerEntradas();
 
       const stats = {
-        total_entries: lines.length,
+        total_entries: entradas.length,
         by_event: {},
         by_level: {},
-        file_size_kb: fs.statSync(this.fileName).size / 1024
+        file_size_kb: this.archivos().reduce((total, f) => total + fs.statSync(f).size, 0) / 1024
       };
 
-      for (const line of lines) {
-        try {
-          const entry = JSON.parse(line);
-          stats.by_event[entry.event] = (stats.by_event[entry.event] || 0) + 1;
-          stats.by_level[entry.level] = (stats.by_level[entry.level] || 0) + 1;
-        } catch {
-          // Skip
-        }
+      for (const entry of entradas) {
+        stats.by_event[entry.event] = (stats.by_event[entry.event] || 0) + 1;
+        stats.by_level[entry.level] = (stats.by_level[entry.level] || 0) + 1;
       }
 
       return stats;
@@ -311,14 +484,17 @@ class AuditLogger {
 
   /**
    * Limpiar log (archivar actual)
+   * La cadena continúa en el archivo nuevo: los rotados se conservan para verificarla
    * @returns {string} Nombre del archivo archivado
    */
   rotate() {
+    this.flush();
+
     if (!fs.existsSync(this.fileName)) {
       return null;
     }
 
-    const timestamp = new Date().toISOString().split('T')[0];
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const archiveName = path.join(
       this.dirPath,
       `audit.${timestamp}.jsonl`
@@ -329,4 +505,18 @@ class AuditLogger {
   }
 }
 
+// Singleton
+let auditLogger = null;
+
+function getAuditLogger() {
+  if (!auditLogger) {
+    auditLogger = new AuditLogger();
+  }
+  return auditLogger;
+}
+
 module.exports = AuditLogger;
+module.exports.getAuditLogger = getAuditLogger;
+module.exports.calcularHash = calcularHash;
+module.exports.ocultarSecretos = ocultarSecretos;
+module.exports.HASH_INICIAL = HASH_INICIAL;
@@ -0,0 +1,108 @@
+/**
+ * Persistencia del progreso de los jobs de backfill
+ * Cada job guarda el cursor de la pagina Wix en curso para poder retomarse
+ * @module utils/backfill-store
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const config = require('../config');
+const { abrirColeccion } = require('./storage');
+
+class BackfillStore {
+  /**
+   * @param {string} [filePath] - Archivo JSON (solo backend JSON)
+   * @param {Object} [storage] - Backend de storage (default: getStorage())
+   */
+  constructor(filePath, storage) {
+    this.filePath = filePath || path.join(
+      path.dirname(config.storage.comprobantesFile),
+      'backfill-jobs.json'
+    );
+    this.collection = abrirColeccion('backfill_jobs', { filePath: this.filePath, storage });
+    this.data = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Cargar jobs desde el storage
+   */
+  load() {
+    try {
+      for (const [key, value] of this.collection.load()) {
+        this.data.set(key, value);
+      }
+
+      logger.info(`Cargados ${this.data.size} jobs de backfill desde storage`);
+    } catch (error) {
+      logger.error('Error cargando jobs de backfill', { error: error.message });
+    }
+  }
+
+  /**
+   * Guardar job y persistirlo en el momento
+   * (el progreso tiene que sobrevivir a un reinicio)
+   * @param {Object} job - Debe tener id
+   * @returns {Object} Job guardado
+   */
+  guardar(job) {
+    const entry = { ...job, actualizadoEn: new Date().toISOString() };
+
+    this.data.set(job.id, entry);
+    this.collection.put(job.id, entry);
+
+    try {
+      this.collection.flush();
+    } catch (error) {
+      logger.error('Error guardando progreso de backfill', { id: job.id, error: error.message });
+    }
+
+    return entry;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.data.get(id) || null;
+  }
+
+  /**
+   * Listar jobs (mas recientes primero)
+   * @returns {Array}
+   */
+  getAll() {
+    return Array.from(this.data.values())
+      .sort((a, b) => (b.iniciadoEn || '').localeCompare(a.iniciadoEn || ''));
+  }
+
+  /**
+   * Eliminar job
+   * @param {string} id
+   */
+  delete(id) {
+    const existed = this.data.delete(id);
+    if (existed) {
+      this.collection.delete(id);
+      this.collection.flush();
+    }
+    return existed;
+  }
+}
+
+// Singleton
+let backfillStore = null;
+
+function getBackfillStore() {
+  if (!backfillStore) {
+    backfillStore = new BackfillStore();
+  }
+  return backfillStore;
+}
+
+module.exports = {
+  BackfillStore,
+  getBackfillStore
+};
@@ -23,6 +23,7 @@ class CircuitBreaker {
      * @param {number} options.successThreshold - Éxitos para cerrar en half-open (default: 2)
      * @param {number} options.timeout - Tiempo de reset en ms (default: 30000)
      * @param {Function} options.fallback - Función fallback opcional
+     * @param {Function} options.onStateChange - (nuevoEstado, estadoAnterior) al cambiar de estado
      */
     constructor(name, options = {}) {
         this.name = name;
@@ -37,6 +38,7 @@ class CircuitBreaker {
         this.successThreshold = options.successThreshold || 2;
         this.timeout = options.timeout || 30000;
         this.fallback = options.fallback || null;
+        this.onStateChange = options.onStateChange || null;
 
         // Métricas
         this.metrics = {
@@ -169,6 +171,10 @@ class CircuitBreaker {
         if (this.metrics.stateChanges.length > 10) {
             this.metrics.stateChanges.shift();
         }
+
+        if (this.onStateChange) {
+            this.onStateChange(newState, oldState);
+        }
     }
 
     /**
@@ -196,6 +202,10 @@ class CircuitBreaker {
         this.lastFailureTime = null;
         this.nextAttempt = null;
 
+        if (this.onStateChange) {
+            this.onStateChange(STATES.CLOSED, null);
+        }
+
         logger.info(`Circuit breaker "${this.name}" reseteado manualmente`);
     }
 
@@ -4,10 +4,10 @@
  * @module utils/error-store
  */
 
-const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
 const config = require('../config');
+const { abrirColeccion } = require('./storage');
 
 /**
  * Tipos de error soportados
@@ -16,8 +16,10 @@ const ERROR_TYPES = {
   WEBHOOK: 'webhook',
   BILLER: 'biller',
   ML_API: 'ml_api',
+  SHOPIFY_API: 'shopify_api',
   PDF: 'pdf',
   RECONCILIATION: 'reconciliation',
+  REVISION: 'revision',
   SYSTEM: 'system'
 };
 
@@ -32,19 +34,17 @@ const SEVERITY_LEVELS = {
 };
 
 class ErrorStore {
-  constructor(filePath) {
+  /**
+   * @param {string} [filePath] - Archivo JSON (solo backend JSON)
+   * @param {Object} [storage] - Backend de storage (default: getStorage())
+   */
+  constructor(filePath, storage) {
     this.filePath = filePath || path.join(config.storage?.dataDir || './data', 'errors.json');
+    this.collection = abrirColeccion('errores', { filePath: this.filePath, storage });
     this.errors = [];
     this.maxErrors = 1000; // Mantener últimos 1000 errores
-    this.dirty = false;
     this.saveInterval = null;
 
-    // Crear directorio si no existe
-    const dir = path.dirname(this.filePath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-
     // Cargar datos existentes
     this.load();
 
@@ -53,19 +53,14 @@ class ErrorStore {
   }
 
   /**
-   * Cargar errores desde archivo
+   * Cargar errores desde el storage (más reciente primero)
    */
   load() {
     try {
-      if (fs.existsSync(this.filePath)) {
-        const content = fs.readFileSync(this.filePath, 'utf8');
-        const parsed = JSON.parse(content);
-
-        if (parsed.errors && Array.isArray(parsed.errors)) {
-          this.errors = parsed.errors;
-          logger.info(`Cargados ${this.errors.length} errores desde storage`);
-        }
-      }
+      this.errors = this.collection.load()
+        .map(([, error]) => error)
+        .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+      logger.info(`Cargados ${this.errors.length} errores desde storage`);
     } catch (error) {
       logger.error('Error cargando errores', { error: error.message });
       this.errors = [];
@@ -73,26 +68,13 @@ class ErrorStore {
   }
 
   /**
-   * Guardar errores a archivo
+   * Guardar cambios pendientes
    */
   save() {
-    if (!this.dirty) return;
-
     try {
-      const obj = {
-        version: 1,
-        updated_at: new Date().toISOString(),
-        total: this.errors.length,
-        errors: this.errors
-      };
-
-      // Escribir a archivo temporal primero (atomic write)
-      const tempPath = `${this.filePath}.tmp`;
-      fs.writeFileSync(tempPath, JSON.stringify(obj, null, 2));
-      fs.renameSync(tempPath, this.filePath);
-
-      this.dirty = false;
-      logger.debug('Errores guardados', { total: this.errors.length });
+      if (this.collection.flush()) {
+        logger.debug('Errores guardados', { total: this.errors.length });
+      }
     } catch (error) {
       logger.error('Error guardando errores', { error: error.message });
     }
@@ -125,7 +107,7 @@ class ErrorStore {
 
   /**
    * Agregar un nuevo error
-   * @param {string} type - Tipo de error (webhook, biller, ml_api, pdf, reconciliation, system)
+   * @param {string} type - Tipo de error (webhook, biller, ml_api, shopify_api, pdf, reconciliation, system)
    * @param {string} severity - Severidad (critical, high, medium, low)
    * @param {string} source - Fuente del error (función/módulo)
    * @param {string} message - Mensaje de error
@@ -153,14 +135,16 @@ class ErrorStore {
 
     // Agregar al inicio (más reciente primero)
     this.errors.unshift(error);
+    this.collection.put(error.id, error);
 
     // Limitar tamaño
     if (this.errors.length > this.maxErrors) {
+      for (const descartado of this.errors.slice(this.maxErrors)) {
+        this.collection.delete(descartado.id);
+      }
       this.errors = this.errors.slice(0, this.maxErrors);
     }
 
-    this.dirty = true;
-
     // Log del error
     logger.warn('Error registrado en ErrorStore', {
       id: error.id,
@@ -192,6 +176,11 @@ class ErrorStore {
       result = result.filter(e => e.resolved === filters.resolved);
     }
 
+    // Partition por tenant (sitio Wix): context.instanceId
+    if (filters.instanceId !== undefined) {
+      result = result.filter(e => (e.context?.instanceId || null) === (filters.instanceId || null));
+    }
+
     if (filters.source) {
       result = result.filter(e => e.source && e.source.includes(filters.source));
     }
@@ -226,7 +215,7 @@ class ErrorStore {
       error.resolved = true;
       error.resolvedAt = new Date().toISOString();
       error.resolvedBy = resolvedBy;
-      this.dirty = true;
+      this.collection.put(error.id, error);
 
       logger.info('Error marcado como resuelto', { errorId, resolvedBy });
     }
@@ -249,12 +238,12 @@ class ErrorStore {
         error.resolved = true;
         error.resolvedAt = new Date().toISOString();
         error.resolvedBy = resolvedBy;
+        this.collection.put(error.id, error);
         count++;
       }
     }
 
     if (count > 0) {
-      this.dirty = true;
       logger.info('Errores marcados como resueltos', { count, resolvedBy });
     }
 
@@ -263,19 +252,21 @@ class ErrorStore {
 
   /**
    * Obtener estadísticas de errores
+   * @param {Function} [filterFn] - Filtro opcional (ej: errores de un tenant)
    * @returns {Object} Estadísticas
    */
-  getStats() {
+  getStats(filterFn = null) {
     const now = new Date();
     const last24h = new Date(now - 24 * 60 * 60 * 1000);
     const lastHour = new Date(now - 60 * 60 * 1000);
 
-    const errorsLast24h = this.errors.filter(e => new Date(e.timestamp) >= last24h);
-    const errorsLastHour = this.errors.filter(e => new Date(e.timestamp) >= lastHour);
+    const errors = filterFn ? this.errors.filter(filterFn) : this.errors;
+    const errorsLast24h = errors.filter(e => new Date(e.timestamp) >= last24h);
+    const errorsLastHour = errors.filter(e => new Date(e.timestamp) >= lastHour);
 
     return {
-      total: this.errors.length,
-      unresolved: this.errors.filter(e => !e.resolved).length,
+      total: errors.length,
+      unresolved: errors.filter(e => !e.resolved).length,
       last24h: {
         total: errorsLast24h.length,
         bySeverity: this.groupBy(errorsLast24h, 'severity'),
@@ -323,13 +314,14 @@ class ErrorStore {
 
     this.errors = this.errors.filter(e => {
       const timestamp = new Date(e.timestamp).getTime();
-      return timestamp >= cutoff;
+      if (timestamp >= cutoff) return true;
+      this.collection.delete(e.id);
+      return false;
     });
 
     const removed = before - this.errors.length;
 
     if (removed > 0) {
-      this.dirty = true;
       logger.info(`Limpiados ${removed} errores antiguos`);
     }
 
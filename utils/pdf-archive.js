@@ -0,0 +1,94 @@
+/**
+ * Archivo local de PDFs de comprobantes
+ * Guarda cada PDF en disco por sitio e ID de Biller para servirlo sin
+ * consultar Biller en cada descarga
+ * @module utils/pdf-archive
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const config = require('../config');
+const { tenantKey } = require('../services/tenant');
+
+class PDFArchive {
+  /**
+   * @param {string} [dir] - Directorio base (default: config.storage.pdfDir)
+   */
+  constructor(dir) {
+    this.dir = dir || config.storage.pdfDir;
+  }
+
+  /**
+   * Ruta del PDF de un comprobante
+   * Los IDs de Biller son por cuenta: cada sitio tiene su subdirectorio
+   * @param {string|number} billerId
+   * @param {string} [instanceId]
+   * @returns {string}
+   */
+  ruta(billerId, instanceId = null) {
+    const sitio = String(tenantKey(instanceId)).replace(/[^a-zA-Z0-9_-]/g, '_');
+    const id = String(billerId).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(this.dir, sitio, `${id}.pdf`);
+  }
+
+  /**
+   * Guardar PDF (escritura atomica: archivo temporal + rename)
+   * @param {string|number} billerId
+   * @param {Buffer|ArrayBuffer} contenido
+   * @param {string} [instanceId]
+   * @returns {string} Ruta del archivo
+   */
+  guardar(billerId, contenido, instanceId = null) {
+    const destino = this.ruta(billerId, instanceId);
+    fs.mkdirSync(path.dirname(destino), { recursive: true });
+
+    const temporal = `${destino}.tmp`;
+    fs.writeFileSync(temporal, Buffer.from(contenido));
+    fs.renameSync(temporal, destino);
+
+    logger.debug('PDF archivado', { billerId, instanceId, ruta: destino });
+    return destino;
+  }
+
+  /**
+   * Leer PDF archivado
+   * @param {string|number} billerId
+   * @param {string} [instanceId]
+   * @returns {Buffer|null}
+   */
+  leer(billerId, instanceId = null) {
+    try {
+      return fs.readFileSync(this.ruta(billerId, instanceId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Error leyendo PDF archivado', { billerId, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Verificar si el PDF esta archivado
+   * @param {string|number} billerId
+   * @param {string} [instanceId]
+   */
+  existe(billerId, instanceId = null) {
+    return fs.existsSync(this.ruta(billerId, instanceId));
+  }
+}
+
+// Singleton
+let pdfArchive = null;
+
+function getPDFArchive() {
+  if (!pdfArchive) {
+    pdfArchive = new PDFArchive();
+  }
+  return pdfArchive;
+}
+
+module.exports = {
+  PDFArchive,
+  getPDFArchive
+};
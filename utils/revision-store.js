@@ -0,0 +1,97 @@
+/**
+ * Persistencia de la cola de revision manual (ordenes retenidas sin emitir)
+ * Cada registro guarda los motivos, los datos fiscales editados y la decision
+ * @module utils/revision-store
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const config = require('../config');
+const { abrirColeccion } = require('./storage');
+
+class RevisionStore {
+  /**
+   * @param {string} [filePath] - Archivo JSON (solo backend JSON)
+   * @param {Object} [storage] - Backend de storage (default: getStorage())
+   */
+  constructor(filePath, storage) {
+    this.filePath = filePath || path.join(
+      path.dirname(config.storage.comprobantesFile),
+      'ordenes-retenidas.json'
+    );
+    this.collection = abrirColeccion('ordenes_retenidas', { filePath: this.filePath, storage });
+    this.data = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Cargar ordenes retenidas desde el storage
+   */
+  load() {
+    try {
+      for (const [key, value] of this.collection.load()) {
+        this.data.set(key, value);
+      }
+
+      logger.info(`Cargadas ${this.data.size} ordenes en revision desde storage`);
+    } catch (error) {
+      logger.error('Error cargando ordenes en revision', { error: error.message });
+    }
+  }
+
+  /**
+   * Guardar registro y persistirlo en el momento
+   * (una orden retenida no puede perderse con un reinicio)
+   * @param {Object} registro - Debe tener id
+   * @returns {Object} Registro guardado
+   */
+  guardar(registro) {
+    const entry = { ...registro, actualizadoEn: new Date().toISOString() };
+
+    this.data.set(registro.id, entry);
+    this.collection.put(registro.id, entry);
+
+    try {
+      this.collection.flush();
+    } catch (error) {
+      logger.error('Error guardando orden en revision', { id: registro.id, error: error.message });
+    }
+
+    return entry;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.data.get(id) || null;
+  }
+
+  /**
+   * Listar registros (mas recientes primero)
+   * @param {Function} [filtro]
+   * @returns {Array}
+   */
+  getAll(filtro = () => true) {
+    return Array.from(this.data.values())
+      .filter(filtro)
+      .sort((a, b) => (b.retenidaEn || '').localeCompare(a.retenidaEn || ''));
+  }
+}
+
+// Singleton
+let revisionStore = null;
+
+function getRevisionStore() {
+  if (!revisionStore) {
+    revisionStore = new RevisionStore();
+  }
+  return revisionStore;
+}
+
+module.exports = {
+  RevisionStore,
+  getRevisionStore
+};
@@ -0,0 +1,212 @@
+/**
+ * Interfaz de storage para los stores persistentes
+ *
+ * Un backend expone collection(nombre, definicion, opciones) y close().
+ * Cada coleccion implementa:
+ *   - load(): Array<[key, valor]> con todos los registros
+ *   - put(key, valor) / putMany(entries) / delete(key)
+ *   - count(): cantidad de registros
+ *   - flush(): persiste cambios pendientes (JSON) o no-op (SQLite)
+ *   - writeThrough: true si put/delete quedan persistidos al instante
+ *
+ * Los stores mantienen los datos en memoria para lecturas sincronas y
+ * notifican cada cambio a su coleccion.
+ * @module utils/storage
+ */
+
+const path = require('path');
+const fs = require('fs');
+const logger = require('../logger');
+const config = require('../../config');
+const { JsonStorage, JsonCollection } = require('./json-storage');
+
+/**
+ * Colecciones conocidas: archivo/campo del formato JSON historico
+ * y columnas indexadas en SQLite
+ */
+const COLECCIONES = {
+  comprobantes: {
+    archivo: 'comprobantes.json',
+    campo: 'comprobantes',
+    formato: 'map',
+    indices: {
+      order_id: v => v.order_id || v.wix_order_id,
+      numero_interno: v => v.numero_interno,
+      biller_id: v => v.id,
+      created_at: v => v.created_at
+    }
+  },
+  errores: {
+    archivo: 'errors.json',
+    campo: 'errors',
+    formato: 'array',
+    idField: 'id',
+    indices: {
+      type: v => v.type,
+      timestamp: v => v.timestamp
+    }
+  },
+  wix_app_settings: {
+    archivo: 'wix-app-settings.json',
+    campo: 'settings',
+    formato: 'map'
+  },
+  webhook_queue: {
+    archivo: 'webhook-queue.json',
+    campo: 'queue',
+    formato: 'array',
+    idField: 'id',
+    indices: {
+      status: v => v.status,
+      created_at: v => v.createdAt
+    }
+  },
+  tipos_cambio: {
+    archivo: 'tipos-cambio.json',
+    campo: 'cotizaciones',
+    formato: 'map'
+  },
+  valores_ui: {
+    archivo: 'valores-ui.json',
+    campo: 'valores',
+    formato: 'map'
+  },
+  backfill_jobs: {
+    archivo: 'backfill-jobs.json',
+    campo: 'jobs',
+    formato: 'map'
+  },
+  api_keys: {
+    archivo: 'api-keys.json',
+    campo: 'keys',
+    formato: 'map'
+  },
+  ordenes_retenidas: {
+    archivo: 'ordenes-retenidas.json',
+    campo: 'ordenes',
+    formato: 'map'
+  }
+};
+
+/**
+ * Error de configuracion del storage
+ */
+class StorageError extends Error {
+  constructor(message, code = 'STORAGE_ERROR') {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+  }
+}
+
+/**
+ * Definicion de una coleccion
+ * @param {string} nombre
+ * @returns {Object}
+ * @throws {StorageError}
+ */
+function getDefinicion(nombre) {
+  const definicion = COLECCIONES[nombre];
+  if (!definicion) {
+    throw new StorageError(`Coleccion desconocida: ${nombre}`, 'STORAGE_COLECCION_DESCONOCIDA');
+  }
+  return definicion;
+}
+
+/**
+ * Crear backend de storage
+ * @param {Object} [opciones]
+ * @param {string} [opciones.backend] - 'json' | 'sqlite' (default: config.storage.backend)
+ * @param {string} [opciones.dataDir] - Directorio de archivos JSON
+ * @param {string} [opciones.sqliteFile] - Archivo de la base SQLite
+ * @returns {JsonStorage|SqliteStorage}
+ * @throws {StorageError}
+ */
+function crearStorage(opciones = {}) {
+  const backend = opciones.backend || config.storage.backend;
+  const dataDir = opciones.dataDir || config.storage.dataDir;
+
+  if (backend === 'json') {
+    return new JsonStorage(dataDir);
+  }
+
+  if (backend === 'sqlite') {
+    let SqliteStorage;
+    try {
+      ({ SqliteStorage } = require('./sqlite-storage'));
+      return new SqliteStorage(opciones.sqliteFile || config.storage.sqliteFile);
+    } catch (error) {
+      // better-sqlite3 es opcional (modulo nativo): se carga recien al crear la base
+      if (SqliteStorage && error.code !== 'MODULE_NOT_FOUND') throw error;
+      throw new StorageError(`SQLite no disponible (instalar better-sqlite3): ${error.message}`, 'STORAGE_SQLITE_NO_DISPONIBLE');
+    }
+  }
+
+  throw new StorageError(`Backend de storage invalido: ${backend}`, 'STORAGE_BACKEND_INVALIDO');
+}
+
+// Singleton
+let storageInstance = null;
+
+function getStorage() {
+  if (!storageInstance) {
+    storageInstance = crearStorage();
+    logger.info('Storage inicializado', { backend: storageInstance.tipo });
+  }
+  return storageInstance;
+}
+
+/**
+ * Abrir coleccion de un store
+ * @param {string} nombre - Clave de COLECCIONES
+ * @param {Object} [opciones]
+ * @param {string} [opciones.filePath] - Archivo JSON especifico (ignorado en SQLite)
+ * @param {Object} [opciones.storage] - Backend (default: getStorage())
+ */
+function abrirColeccion(nombre, opciones = {}) {
+  const storage = opciones.storage || getStorage();
+  return storage.collection(nombre, getDefinicion(nombre), { filePath: opciones.filePath });
+}
+
+/**
+ * Importar los archivos data/*.json a otro backend (ej: SQLite)
+ * Idempotente: los registros se insertan o reemplazan por key
+ * @param {Object} destino - Backend destino
+ * @param {Object} [opciones]
+ * @param {string} [opciones.dataDir] - Directorio de los JSON (default: config.storage.dataDir)
+ * @param {boolean} [opciones.dryRun] - Solo contar registros
+ * @returns {Array<Object>} { coleccion, archivo, registros, estado }
+ */
+function migrarDesdeJson(destino, opciones = {}) {
+  const dataDir = opciones.dataDir || config.storage.dataDir;
+  const resultado = [];
+
+  for (const [nombre, definicion] of Object.entries(COLECCIONES)) {
+    const archivo = path.join(dataDir, definicion.archivo);
+
+    if (!fs.existsSync(archivo)) {
+      resultado.push({ coleccion: nombre, archivo, registros: 0, estado: 'sin_archivo' });
+      continue;
+    }
+
+    const entries = new JsonCollection(archivo, definicion).load();
+
+    if (!opciones.dryRun) {
+      destino.collection(nombre, definicion).putMany(entries);
+    }
+
+    logger.info('Coleccion migrada', { coleccion: nombre, registros: entries.length, dryRun: !!opciones.dryRun });
+    resultado.push({ coleccion: nombre, archivo, registros: entries.length, estado: opciones.dryRun ? 'dry_run' : 'migrada' });
+  }
+
+  return resultado;
+}
+
+module.exports = {
+  COLECCIONES,
+  StorageError,
+  crearStorage,
+  getStorage,
+  abrirColeccion,
+  migrarDesdeJson
+};
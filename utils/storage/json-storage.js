@@ -0,0 +1,155 @@
+/**
+ * Backend de storage en archivos JSON (formato historico de data/*.json)
+ * Cada coleccion es un archivo que se reescribe completo en flush()
+ * @module utils/storage/json-storage
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonCollection {
+  /**
+   * @param {string} filePath - Archivo JSON de la coleccion
+   * @param {Object} definicion - Ver COLECCIONES en utils/storage
+   */
+  constructor(filePath, definicion) {
+    this.filePath = filePath;
+    this.definicion = definicion;
+    this.data = new Map();
+    this.dirty = false;
+    this.writeThrough = false;
+
+    // Crear directorio si no existe
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Leer todos los registros del archivo
+   * @returns {Array<[string, Object]>} Pares [key, valor] en el orden del archivo
+   */
+  load() {
+    this.data.clear();
+
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const contenido = parsed[this.definicion.campo];
+
+    if (this.definicion.formato === 'array') {
+      for (const value of Array.isArray(contenido) ? contenido : []) {
+        this.data.set(String(value[this.definicion.idField]), value);
+      }
+    } else {
+      for (const [key, value] of Object.entries(contenido || {})) {
+        this.data.set(key, value);
+      }
+    }
+
+    return Array.from(this.data.entries());
+  }
+
+  /**
+   * Guardar o reemplazar un registro (se escribe en el proximo flush)
+   * @param {string} key
+   * @param {Object} value
+   */
+  put(key, value) {
+    this.data.set(String(key), value);
+    this.dirty = true;
+  }
+
+  /**
+   * Guardar varios registros
+   * @param {Array<[string, Object]>} entries
+   */
+  putMany(entries) {
+    for (const [key, value] of entries) {
+      this.put(key, value);
+    }
+  }
+
+  /**
+   * Eliminar un registro
+   * @param {string} key
+   */
+  delete(key) {
+    if (this.data.delete(String(key))) {
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Cantidad de registros
+   * @returns {number}
+   */
+  count() {
+    return this.data.size;
+  }
+
+  /**
+   * Escribir el archivo completo si hubo cambios (atomic write)
+   * @returns {boolean} true si se escribio
+   * @throws {Error} Si falla la escritura (los cambios quedan pendientes)
+   */
+  flush() {
+    if (!this.dirty) return false;
+
+    const contenido = this.definicion.formato === 'array'
+      ? Array.from(this.data.values())
+      : Object.fromEntries(this.data);
+
+    const obj = {
+      version: 1,
+      updated_at: new Date().toISOString(),
+      total: this.data.size,
+      [this.definicion.campo]: contenido
+    };
+
+    // Escribir a archivo temporal primero
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(obj, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+
+    // Marcar dirty=false SOLO despues de confirmar escritura exitosa
+    this.dirty = false;
+    return true;
+  }
+
+  close() {
+    this.flush();
+  }
+}
+
+class JsonStorage {
+  /**
+   * @param {string} dataDir - Directorio de los archivos por defecto
+   */
+  constructor(dataDir) {
+    this.tipo = 'json';
+    this.dataDir = dataDir;
+  }
+
+  /**
+   * @param {string} nombre
+   * @param {Object} definicion
+   * @param {Object} [opciones]
+   * @param {string} [opciones.filePath] - Archivo especifico (default: dataDir/definicion.archivo)
+   * @returns {JsonCollection}
+   */
+  collection(nombre, definicion, opciones = {}) {
+    const filePath = opciones.filePath || path.join(this.dataDir, definicion.archivo);
+    return new JsonCollection(filePath, definicion);
+  }
+
+  close() {}
+}
+
+module.exports = {
+  JsonStorage,
+  JsonCollection
+};
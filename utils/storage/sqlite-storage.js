@@ -0,0 +1,143 @@
+/**
+ * Backend de storage en SQLite embebido (better-sqlite3)
+ * Cada coleccion es una tabla key/data (JSON) con columnas indexadas;
+ * las escrituras se confirman en el momento (sin ventana de autosave)
+ * @module utils/storage/sqlite-storage
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class SqliteCollection {
+  /**
+   * @param {Object} db - Conexion better-sqlite3
+   * @param {string} nombre - Tabla (nombre de la coleccion)
+   * @param {Object} definicion - Ver COLECCIONES en utils/storage
+   */
+  constructor(db, nombre, definicion) {
+    this.db = db;
+    this.nombre = nombre;
+    this.definicion = definicion;
+    this.writeThrough = true;
+
+    const indices = Object.keys(definicion.indices || {});
+    this.columnas = indices;
+
+    const columnasSql = indices.map(col => `, ${col}`).join('');
+    db.exec(`CREATE TABLE IF NOT EXISTS ${nombre} (key TEXT PRIMARY KEY, data TEXT NOT NULL${columnasSql})`);
+    for (const col of indices) {
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_${nombre}_${col} ON ${nombre} (${col})`);
+    }
+
+    const placeholders = indices.map(() => ', ?').join('');
+    const updates = ['data = excluded.data', ...indices.map(col => `${col} = excluded.${col}`)].join(', ');
+
+    this.stmtLoad = db.prepare(`SELECT key, data FROM ${nombre} ORDER BY rowid`);
+    this.stmtPut = db.prepare(
+      `INSERT INTO ${nombre} (key, data${columnasSql}) VALUES (?, ?${placeholders}) ` +
+      `ON CONFLICT(key) DO UPDATE SET ${updates}`
+    );
+    this.stmtDelete = db.prepare(`DELETE FROM ${nombre} WHERE key = ?`);
+    this.stmtCount = db.prepare(`SELECT COUNT(*) AS total FROM ${nombre}`);
+    this.putManyTx = db.transaction((entries) => {
+      for (const [key, value] of entries) {
+        this.put(key, value);
+      }
+    });
+  }
+
+  /**
+   * Valor de una columna indexada (SQLite no acepta undefined ni objetos)
+   */
+  valorIndice(col, value) {
+    const v = this.definicion.indices[col](value);
+    if (v === undefined || v === null) return null;
+    return typeof v === 'number' ? v : String(v);
+  }
+
+  /**
+   * @returns {Array<[string, Object]>} Pares [key, valor] en orden de insercion
+   */
+  load() {
+    return this.stmtLoad.all().map(row => [row.key, JSON.parse(row.data)]);
+  }
+
+  put(key, value) {
+    const indices = this.columnas.map(col => this.valorIndice(col, value));
+    this.stmtPut.run(String(key), JSON.stringify(value), ...indices);
+  }
+
+  /**
+   * Guardar varios registros en una sola transaccion
+   * @param {Array<[string, Object]>} entries
+   */
+  putMany(entries) {
+    this.putManyTx(entries);
+  }
+
+  delete(key) {
+    this.stmtDelete.run(String(key));
+  }
+
+  count() {
+    return this.stmtCount.get().total;
+  }
+
+  /**
+   * Sin escrituras pendientes: cada put/delete ya quedo confirmado
+   * @returns {boolean}
+   */
+  flush() {
+    return false;
+  }
+
+  close() {}
+}
+
+class SqliteStorage {
+  /**
+   * @param {string} dbFile - Archivo de la base (':memory:' para tests)
+   */
+  constructor(dbFile) {
+    // Carga diferida: el backend JSON no requiere el modulo nativo
+    const Database = require('better-sqlite3');
+
+    if (dbFile !== ':memory:') {
+      const dir = path.dirname(dbFile);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    }
+
+    this.tipo = 'sqlite';
+    this.dbFile = dbFile;
+    this.db = new Database(dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.colecciones = new Map();
+  }
+
+  /**
+   * @param {string} nombre
+   * @param {Object} definicion
+   * @returns {SqliteCollection} Una instancia por tabla
+   */
+  collection(nombre, definicion) {
+    if (!this.colecciones.has(nombre)) {
+      this.colecciones.set(nombre, new SqliteCollection(this.db, nombre, definicion));
+    }
+    return this.colecciones.get(nombre);
+  }
+
+  close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = {
+  SqliteStorage,
+  SqliteCollection
+};
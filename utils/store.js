@@ -1,27 +1,53 @@
 /**
  * Sistema de persistencia para comprobantes
- * Guarda en archivo JSON con auto-save
+ * Mantiene los comprobantes en memoria y los persiste en el backend
+ * de storage configurado (JSON con auto-save o SQLite)
  * @module utils/store
  */
 
-const fs = require('fs');
-const path = require('path');
 const logger = require('./logger');
 const config = require('../config');
+const { abrirColeccion } = require('./storage');
+const { CANALES, canalDe } = require('../services/canales');
+
+/**
+ * Key de un registro de la orden: <canal>-<orderId> (wix-<orderId> para Wix),
+ * con el tipo delante para NC, ND y e-Ticket reemplazado (nc-mercadolibre-<orderId>)
+ * Los IDs de distintos canales pueden coincidir: la key incluye siempre el canal
+ * @param {string} orderId
+ * @param {string} [canal='wix']
+ * @param {string} [tipo] - 'nc', 'nd' o 'eticket'
+ * @returns {string}
+ */
+function claveOrden(orderId, canal = CANALES.WIX, tipo = null) {
+  const base = `${canal || CANALES.WIX}-${orderId}`;
+  return tipo ? `${tipo}-${base}` : base;
+}
+
+/**
+ * Marcar el PDF de un CFE nuevo como pendiente (lo descarga el worker de PDFs)
+ * @param {Object} entry
+ * @returns {Object}
+ */
+function conPDFPendiente(entry) {
+  if (entry.id && !entry.pdf_status) {
+    entry.pdf_status = 'pending';
+    entry.pdf_attempt_count = 0;
+  }
+  return entry;
+}
 
 class ComprobanteStore {
-  constructor(filePath) {
+  /**
+   * @param {string} [filePath] - Archivo JSON (solo backend JSON)
+   * @param {Object} [storage] - Backend de storage (default: getStorage())
+   */
+  constructor(filePath, storage) {
     this.filePath = filePath || config.storage.comprobantesFile;
+    this.collection = abrirColeccion('comprobantes', { filePath: this.filePath, storage });
     this.data = new Map();
-    this.dirty = false;
     this.saveInterval = null;
 
-    // Crear directorio si no existe
-    const dir = path.dirname(this.filePath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-
     // Cargar datos existentes
     this.load();
 
@@ -30,23 +56,16 @@ class ComprobanteStore {
   }
 
   /**
-   * Cargar datos desde archivo
+   * Cargar datos desde el storage
    */
   load() {
     try {
-      if (fs.existsSync(this.filePath)) {
-        const content = fs.readFileSync(this.filePath, 'utf8');
-        const parsed = JSON.parse(content);
-
-        // Convertir objeto a Map
-        if (parsed.comprobantes) {
-          for (const [key, value] of Object.entries(parsed.comprobantes)) {
-            this.data.set(key, value);
-          }
-        }
-
-        logger.info(`Cargados ${this.data.size} comprobantes desde storage`);
+      for (const [key, value] of this.collection.load()) {
+        this.data.set(key, value);
       }
+      this.migrarKeysPorCanal();
+
+      logger.info(`Cargados ${this.data.size} comprobantes desde storage`);
     } catch (error) {
       logger.error('Error cargando comprobantes', { error: error.message });
       // Continuar con Map vacío
@@ -54,29 +73,71 @@ class ComprobanteStore {
   }
 
   /**
-   * Guardar datos a archivo
+   * Mover los registros de otros canales guardados como wix-<orderId>
+   * (anteriores a las keys por canal) a <canal>-<orderId>, con sus NC, ND
+   * y e-Ticket reemplazado, y actualizar las keys que los referencian
    */
-  save() {
-    if (!this.dirty) return;
+  migrarKeysPorCanal() {
+    const movidos = [];
 
+    for (const [key, value] of this.data) {
+      const canal = canalDe(value);
+      if (canal === CANALES.WIX || key !== claveOrden(value.order_id)) continue;
+
+      const orderId = value.order_id;
+      for (const [otra, registro] of this.data) {
+        if (registro.order_id !== orderId) continue;
+        for (const tipo of [null, 'nc', 'nd', 'eticket']) {
+          const vieja = claveOrden(orderId, CANALES.WIX, tipo);
+          if (otra === vieja || otra.startsWith(`${vieja}-`)) {
+            movidos.push({ vieja: otra, nueva: claveOrden(orderId, canal, tipo) + otra.slice(vieja.length), canal });
+          }
+        }
+      }
+    }
+
+    if (movidos.length === 0) return;
+
+    // Referencias entre registros (reembolsos, notas_debito, cambio_factura) a las keys nuevas
+    const renombres = new Map(movidos.map(m => [m.vieja, m.nueva]));
+    const reescribir = (valor) => JSON.parse(JSON.stringify(valor, (k, v) => (
+      typeof v === 'string' && renombres.has(v) ? renombres.get(v) : v
+    )));
+
+    for (const { vieja, nueva, canal } of movidos) {
+      const valor = this.data.get(vieja);
+      this.data.delete(vieja);
+      this.data.set(nueva, { ...reescribir(valor), canal });
+      this.persistir(vieja);
+      this.persistir(nueva);
+    }
+
+    logger.info('Comprobantes de otros canales movidos a keys por canal', { total: movidos.length });
+  }
+
+  /**
+   * Persistir un registro modificado
+   * @param {string} key
+   */
+  persistir(key) {
+    const value = this.data.get(key);
+    if (value) {
+      this.collection.put(key, value);
+    } else {
+      this.collection.delete(key);
+    }
+  }
+
+  /**
+   * Guardar cambios pendientes
+   */
+  save() {
     try {
-      const obj = {
-        version: 1,
-        updated_at: new Date().toISOString(),
-        total: this.data.size,
-        comprobantes: Object.fromEntries(this.data)
-      };
-
-      // Escribir a archivo temporal primero (atomic write)
-      const tempPath = `${this.filePath}.tmp`;
-      fs.writeFileSync(tempPath, JSON.stringify(obj, null, 2));
-      fs.renameSync(tempPath, this.filePath);
-
-      // FIX: Marcar dirty=false SOLO después de confirmar escritura exitosa
-      this.dirty = false;
-      logger.debug('Comprobantes guardados', { total: this.data.size });
+      if (this.collection.flush()) {
+        logger.debug('Comprobantes guardados', { total: this.data.size });
+      }
     } catch (error) {
-      // FIX: NO marcar dirty=false si falla - se reintentará en próximo auto-save
+      // Los cambios quedan pendientes: se reintentará en próximo auto-save
       logger.error('Error guardando comprobantes, se reintentará', { error: error.message });
     }
   }
@@ -109,20 +170,20 @@ class ComprobanteStore {
 
   /**
    * Guardar comprobante emitido
-   * @param {string} orderId - ID del pedido Wix
-   * @param {Object} comprobante - Datos del comprobante
+   * @param {string} orderId - ID de la orden en su canal
+   * @param {Object} comprobante - Datos del comprobante (comprobante.canal define la key, default Wix)
    */
   set(orderId, comprobante) {
-    const key = `wix-${orderId}`;
+    const key = claveOrden(orderId, canalDe(comprobante));
 
-    const entry = {
+    const entry = conPDFPendiente({
       ...comprobante,
       created_at: new Date().toISOString(),
       order_id: orderId
-    };
+    });
 
     this.data.set(key, entry);
-    this.dirty = true;
+    this.persistir(key);
 
     logger.debug('Comprobante guardado en store', { key, tipo: comprobante.tipo_comprobante });
 
@@ -130,13 +191,31 @@ class ComprobanteStore {
   }
 
   /**
-   * Obtener comprobante por ID de pedido Wix
+   * Actualizar campos de un comprobante existente (conserva created_at)
    * @param {string} orderId
+   * @param {Object} cambios
+   * @param {string} [canal='wix']
+   * @returns {Object|null} Comprobante actualizado o null si no existe
    */
-  get(orderId) {
-    // Intentar primero con prefijo wix-
-    let key = `wix-${orderId}`;
-    let result = this.data.get(key);
+  update(orderId, cambios, canal = CANALES.WIX) {
+    const key = claveOrden(orderId, canal);
+    const existente = this.data.get(key);
+    if (!existente) return null;
+
+    Object.assign(existente, cambios, { updated_at: new Date().toISOString() });
+    this.persistir(key);
+
+    return existente;
+  }
+
+  /**
+   * Obtener comprobante por ID de orden (o por key)
+   * @param {string} orderId
+   * @param {string} [canal='wix']
+   */
+  get(orderId, canal = CANALES.WIX) {
+    // Intentar primero con la key del canal
+    const result = this.data.get(claveOrden(orderId, canal));
     if (result) return result;
 
     // Buscar sin prefijo (por si se pasó key directo)
@@ -152,11 +231,12 @@ class ComprobanteStore {
   }
 
   /**
-   * Verificar si existe comprobante para un pedido Wix
+   * Verificar si existe comprobante para una orden
    * @param {string} orderId
+   * @param {string} [canal='wix']
    */
-  has(orderId) {
-    return this.data.has(`wix-${orderId}`) || this.data.has(orderId);
+  has(orderId, canal = CANALES.WIX) {
+    return this.data.has(claveOrden(orderId, canal)) || this.data.has(orderId);
   }
 
   /**
@@ -179,9 +259,10 @@ class ComprobanteStore {
 
   /**
    * Obtener estadísticas
+   * @param {Function} [filterFn] - Filtro opcional (ej: comprobantes de un tenant)
    */
-  getStats() {
-    const all = this.getAll();
+  getStats(filterFn = null) {
+    const all = filterFn ? this.find(filterFn) : this.getAll();
 
     const byTipo = {};
     const byFecha = {};
@@ -221,12 +302,12 @@ class ComprobanteStore {
       const createdAt = new Date(value.created_at).getTime();
       if (createdAt < cutoff) {
         this.data.delete(key);
+        this.persistir(key);
         removed++;
       }
     }
 
     if (removed > 0) {
-      this.dirty = true;
       logger.info(`Limpiados ${removed} comprobantes antiguos`);
     }
 
@@ -246,33 +327,52 @@ class ComprobanteStore {
 
   /**
    * Encontrar comprobantes con PDF pendiente
+   * @param {number} [maxIntentos] - Intentos maximos (default: config)
+   * @param {number} [ahora] - Solo los que ya cumplieron el backoff (timestamp)
    * @returns {Array} Comprobantes con pdf_status === 'pending'
    */
-  findPDFsPending() {
+  findPDFsPending(maxIntentos = config.procesamiento.pdfWorker.maxIntentos, ahora = null) {
     const all = this.getAll();
-    return all.filter(comp => comp.pdf_status === 'pending' && comp.pdf_attempt_count < 10);
+    return all.filter(comp =>
+      comp.pdf_status === 'pending' &&
+      (comp.pdf_attempt_count || 0) < maxIntentos &&
+      (!ahora || !comp.pdf_next_attempt_at || new Date(comp.pdf_next_attempt_at).getTime() <= ahora)
+    );
+  }
+
+  /**
+   * Encontrar comprobantes cuyo PDF no se pudo obtener (agotaron intentos)
+   * @param {Function} [filterFn] - Filtro opcional (ej: comprobantes de un tenant)
+   * @returns {Array}
+   */
+  findPDFsFallidos(filterFn = null) {
+    return this.getAll().filter(comp => comp.pdf_status === 'error' && (!filterFn || filterFn(comp)));
   }
 
   /**
    * Actualizar estado del PDF de un comprobante
-   * @param {string|number} billerId - ID del comprobante en Biller
+   * @param {string|number} billerId - ID del comprobante en Biller o key del store
+   *   (la key evita ambigüedad entre cuentas Biller de distintos sitios)
    * @param {string} status - 'pending', 'ready', 'error'
    * @param {string} pdfUrl - URL del PDF (si está ready)
    * @param {string} errorMessage - Mensaje de error (si está error)
    * @param {number} attemptCount - Número de intentos
+   * @param {string} [nextAttemptAt] - Próximo intento (ISO) si sigue pendiente
    */
-  updatePDFStatus(billerId, status, pdfUrl = null, errorMessage = null, attemptCount = 0) {
-    // Buscar por ID de Biller
+  updatePDFStatus(billerId, status, pdfUrl = null, errorMessage = null, attemptCount = 0, nextAttemptAt = null) {
+    // Buscar por key o por ID de Biller
     let found = false;
+    const porKey = this.data.has(billerId);
 
     for (const [key, value] of this.data) {
-      if (value.id === billerId || value.id === parseInt(billerId)) {
+      if (porKey ? key === billerId : (value.id === billerId || value.id === parseInt(billerId))) {
         value.pdf_status = status;
         value.pdf_url = pdfUrl;
         value.pdf_error_message = errorMessage;
         value.pdf_attempt_count = attemptCount;
         value.pdf_last_attempt_at = new Date().toISOString();
-        this.dirty = true;
+        value.pdf_next_attempt_at = nextAttemptAt;
+        this.persistir(key);
         found = true;
         logger.debug('PDF status actualizado', {
           billerId,
@@ -325,51 +425,308 @@ class ComprobanteStore {
   /**
    * Buscar Nota de Crédito por order ID
    * @param {string} orderId
+   * @param {string} [canal='wix']
    * @returns {Object|null}
    */
-  findNCByOrderId(orderId) {
-    const key = `nc-wix-${orderId}`;
-    return this.data.get(key) || null;
+  findNCByOrderId(orderId, canal = CANALES.WIX) {
+    return this.data.get(claveOrden(orderId, canal, 'nc')) || null;
   }
 
   /**
    * Guardar Nota de Crédito relacionada a una orden
    * @param {string} orderId
    * @param {Object} nc - Datos de la NC
+   * @param {string} [canal='wix']
    */
-  addNC(orderId, nc) {
-    const key = `nc-wix-${orderId}`;
-    const entry = {
+  addNC(orderId, nc, canal = CANALES.WIX) {
+    const key = claveOrden(orderId, canal, 'nc');
+    const entry = conPDFPendiente({
       ...nc,
       order_id: orderId,
+      canal,
       is_credit_note: true,
       created_at: new Date().toISOString()
-    };
+    });
 
     this.data.set(key, entry);
-    this.dirty = true;
+    this.persistir(key);
 
     logger.info('NC guardada en store', { key, tipo: nc.tipo_comprobante });
     return entry;
   }
 
+  /**
+   * Guardar NC parcial (refund parcial) y acumular el monto acreditado
+   * en el comprobante original para no acreditar mas de lo facturado
+   * @param {string} orderId
+   * @param {Object} nc - Datos de la NC
+   * @param {Object} detalle
+   * @param {string} detalle.refundId - ID del refund de Wix
+   * @param {number} detalle.monto - Monto acreditado por esta NC
+   * @param {string} [canal='wix']
+   */
+  addNCParcial(orderId, nc, { refundId, monto }, canal = CANALES.WIX) {
+    const original = this.findByOrderId(orderId, canal);
+    const reembolsos = original?.reembolsos || [];
+    const key = `${claveOrden(orderId, canal, 'nc')}-${reembolsos.length + 1}`;
+
+    const entry = conPDFPendiente({
+      ...nc,
+      order_id: orderId,
+      canal,
+      is_credit_note: true,
+      parcial: true,
+      refund_id: refundId,
+      monto_acreditado: monto,
+      created_at: new Date().toISOString()
+    });
+
+    this.data.set(key, entry);
+
+    if (original) {
+      original.total_acreditado = Math.round(((original.total_acreditado || 0) + monto) * 100) / 100;
+      original.reembolsos = [...reembolsos, {
+        refund_id: refundId,
+        monto,
+        nc_key: key,
+        fecha: entry.created_at
+      }];
+      this.persistir(claveOrden(orderId, canal));
+    }
+
+    this.persistir(key);
+
+    logger.info('NC parcial guardada en store', { key, refundId, monto, tipo: nc.tipo_comprobante });
+    return entry;
+  }
+
+  /**
+   * Obtener monto acumulado acreditado por NCs parciales
+   * @param {string} orderId
+   * @param {string} [canal='wix']
+   * @returns {number}
+   */
+  getTotalAcreditado(orderId, canal = CANALES.WIX) {
+    return this.findByOrderId(orderId, canal)?.total_acreditado || 0;
+  }
+
+  /**
+   * Verificar si un refund de Wix ya fue acreditado
+   * @param {string} orderId
+   * @param {string} refundId
+   * @param {string} [canal='wix']
+   * @returns {boolean}
+   */
+  isRefundProcesado(orderId, refundId, canal = CANALES.WIX) {
+    const reembolsos = this.findByOrderId(orderId, canal)?.reembolsos || [];
+    return reembolsos.some(r => r.refund_id === refundId);
+  }
+
+  /**
+   * Listar todas las NC (totales y parciales) de una orden
+   * @param {string} orderId
+   * @param {string} [canal='wix']
+   * @returns {Array}
+   */
+  findNCsByOrderId(orderId, canal = CANALES.WIX) {
+    return this.find(comp => comp.is_credit_note === true && comp.order_id === orderId && canalDe(comp) === canal)
+      .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+  }
+
   /**
    * Listar todas las Notas de Crédito
+   * @param {Function} [filterFn] - Filtro opcional (ej: NC de un tenant)
    * @returns {Array}
    */
-  listNC() {
-    return this.getAll().filter(comp => comp.is_credit_note === true);
+  listNC(filterFn = null) {
+    return this.getAll().filter(comp => comp.is_credit_note === true && (!filterFn || filterFn(comp)));
   }
 
   /**
-   * Buscar comprobante por order ID (Wix)
+   * Buscar comprobante por order ID
    * @param {string} orderId
+   * @param {string} [canal='wix']
    * @returns {Object|null}
    */
-  findByOrderId(orderId) {
-    // Intentar con prefijo wix-
-    const key = `wix-${orderId}`;
-    return this.data.get(key) || null;
+  findByOrderId(orderId, canal = CANALES.WIX) {
+    return this.data.get(claveOrden(orderId, canal)) || null;
+  }
+
+  // ========================================================================
+  // MÉTODOS PARA NOTAS DE DÉBITO
+  // ========================================================================
+
+  /**
+   * Guardar Nota de Débito y acumular el monto debitado en el comprobante original
+   * @param {string} orderId
+   * @param {Object} nd - Datos de la ND
+   * @param {Object} detalle
+   * @param {number} detalle.monto - Monto debitado
+   * @param {string} [detalle.razon] - Motivo (recargo, correccion de precio, ...)
+   * @param {string} [canal='wix']
+   */
+  addND(orderId, nd, { monto, razon = null }, canal = CANALES.WIX) {
+    const original = this.findByOrderId(orderId, canal);
+    const notasDebito = original?.notas_debito || [];
+    const key = `${claveOrden(orderId, canal, 'nd')}-${notasDebito.length + 1}`;
+
+    const entry = conPDFPendiente({
+      ...nd,
+      order_id: orderId,
+      canal,
+      is_debit_note: true,
+      monto_debitado: monto,
+      razon,
+      created_at: new Date().toISOString()
+    });
+
+    this.data.set(key, entry);
+
+    if (original) {
+      original.total_debitado = Math.round(((original.total_debitado || 0) + monto) * 100) / 100;
+      original.notas_debito = [...notasDebito, {
+        nd_key: key,
+        monto,
+        razon,
+        fecha: entry.created_at
+      }];
+      this.persistir(claveOrden(orderId, canal));
+    }
+
+    this.persistir(key);
+
+    logger.info('ND guardada en store', { key, monto, tipo: nd.tipo_comprobante });
+    return entry;
+  }
+
+  /**
+   * Listar Notas de Débito de una orden
+   * @param {string} orderId
+   * @param {string} [canal='wix']
+   * @returns {Array}
+   */
+  findNDsByOrderId(orderId, canal = CANALES.WIX) {
+    return this.find(comp => comp.is_debit_note === true && comp.order_id === orderId && canalDe(comp) === canal)
+      .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+  }
+
+  // ========================================================================
+  // MÉTODOS PARA CAMBIO DE e-Ticket A e-Factura
+  // ========================================================================
+
+  /**
+   * Guardar la NC que anula el e-Ticket de un cambio a e-Factura
+   * Queda registrada en el comprobante para retomar si la e-Factura falla
+   * @param {string} orderId
+   * @param {Object} nc - Datos de la NC
+   * @param {string} [canal='wix']
+   * @returns {Object} NC guardada
+   */
+  addNCCambioFactura(orderId, nc, canal = CANALES.WIX) {
+    const original = this.findByOrderId(orderId, canal);
+    const key = `${claveOrden(orderId, canal, 'nc')}-cambio`;
+
+    const entry = conPDFPendiente({
+      ...nc,
+      order_id: orderId,
+      canal,
+      is_credit_note: true,
+      anula: original ? { serie: original.serie, numero: original.numero, tipo_comprobante: original.tipo_comprobante } : null,
+      created_at: new Date().toISOString()
+    });
+
+    this.data.set(key, entry);
+    this.persistir(key);
+
+    // Cambio a medio hacer: la NC ya anulo el e-Ticket, falta la e-Factura
+    if (original) {
+      original.cambio_factura = { nc: key, efactura: null };
+      this.persistir(claveOrden(orderId, canal));
+    }
+
+    logger.info('NC de cambio a e-Factura guardada en store', { key, tipo: nc.tipo_comprobante });
+    return entry;
+  }
+
+  /**
+   * Reemplazar el e-Ticket de una orden por la e-Factura del cambio
+   * El e-Ticket se conserva en eticket-<canal>-<orderId> y los tres documentos
+   * quedan vinculados con cambio_factura: { eticket, nc, efactura } (keys)
+   * @param {string} orderId
+   * @param {Object} efactura - Datos de la e-Factura (efactura.canal: canal de la orden)
+   * @returns {Object} e-Factura guardada (nuevo comprobante de la orden)
+   */
+  reemplazarPorFactura(orderId, efactura) {
+    const canal = canalDe(efactura);
+    const eticket = this.findByOrderId(orderId, canal);
+    const vinculo = {
+      eticket: claveOrden(orderId, canal, 'eticket'),
+      nc: `${claveOrden(orderId, canal, 'nc')}-cambio`,
+      efactura: claveOrden(orderId, canal)
+    };
+
+    if (eticket) {
+      this.data.set(vinculo.eticket, {
+        ...eticket,
+        reemplazado: true,
+        reemplazado_at: new Date().toISOString(),
+        cambio_factura: vinculo
+      });
+      this.persistir(vinculo.eticket);
+    }
+
+    const nc = this.data.get(vinculo.nc);
+    if (nc) {
+      nc.cambio_factura = vinculo;
+      this.persistir(vinculo.nc);
+    }
+
+    const entry = this.set(orderId, { ...efactura, cambio_factura: vinculo });
+
+    logger.info('e-Ticket reemplazado por e-Factura en store', {
+      orderId,
+      eticket: eticket ? `${eticket.serie}-${eticket.numero}` : null,
+      efactura: `${efactura.serie}-${efactura.numero}`
+    });
+    return entry;
+  }
+
+  /**
+   * Comprobantes reemplazados de una orden (e-Ticket cambiado a e-Factura)
+   * @param {string} orderId
+   * @param {string} [canal='wix']
+   * @returns {Array}
+   */
+  findReemplazadosByOrderId(orderId, canal = CANALES.WIX) {
+    return this.find(comp => comp.reemplazado === true && comp.order_id === orderId && canalDe(comp) === canal);
+  }
+
+  /**
+   * Historial de documentos de una orden: comprobante original, NC y ND
+   * (y el e-Ticket reemplazado si se cambio a e-Factura)
+   * @param {string} orderId
+   * @param {string} [canal='wix']
+   * @returns {Object|null} null si la orden no tiene comprobante
+   */
+  getHistorialOrden(orderId, canal = CANALES.WIX) {
+    const comprobante = this.findByOrderId(orderId, canal);
+    const notasCredito = this.findNCsByOrderId(orderId, canal);
+    const notasDebito = this.findNDsByOrderId(orderId, canal);
+
+    if (!comprobante && notasCredito.length === 0 && notasDebito.length === 0) {
+      return null;
+    }
+
+    return {
+      orderId,
+      comprobante,
+      reemplazados: this.findReemplazadosByOrderId(orderId, canal),
+      notasCredito,
+      notasDebito,
+      total_facturado: comprobante?.total || comprobante?.monto_total || 0,
+      total_debitado: comprobante?.total_debitado || 0,
+      total_acreditado: comprobante?.total_acreditado || 0
+    };
   }
 }
 
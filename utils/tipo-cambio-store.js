@@ -0,0 +1,195 @@
+/**
+ * Sistema de persistencia para tipos de cambio (cotizaciones BCU)
+ * Guarda cotizaciones por moneda y fecha en el backend de storage configurado
+ * @module utils/tipo-cambio-store
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const config = require('../config');
+const { abrirColeccion } = require('./storage');
+
+class TipoCambioStore {
+  /**
+   * @param {string} [filePath] - Archivo JSON (solo backend JSON)
+   * @param {Object} [storage] - Backend de storage (default: getStorage())
+   */
+  constructor(filePath, storage) {
+    this.filePath = filePath || path.join(
+      path.dirname(config.storage.comprobantesFile),
+      'tipos-cambio.json'
+    );
+    this.collection = abrirColeccion('tipos_cambio', { filePath: this.filePath, storage });
+    this.data = new Map();
+    this.saveInterval = null;
+
+    // Cargar datos existentes
+    this.load();
+
+    // Configurar auto-save
+    this.startAutoSave();
+  }
+
+  /**
+   * Cargar datos desde el storage
+   */
+  load() {
+    try {
+      for (const [key, value] of this.collection.load()) {
+        this.data.set(key, value);
+      }
+
+      logger.info(`Cargados ${this.data.size} tipos de cambio desde storage`);
+    } catch (error) {
+      logger.error('Error cargando tipos de cambio', { error: error.message });
+    }
+  }
+
+  /**
+   * Guardar cambios pendientes
+   */
+  save() {
+    try {
+      if (this.collection.flush()) {
+        logger.debug('Tipos de cambio guardados', { total: this.data.size });
+      }
+    } catch (error) {
+      logger.error('Error guardando tipos de cambio, se reintentará', { error: error.message });
+    }
+  }
+
+  /**
+   * Iniciar auto-save periodico
+   */
+  startAutoSave() {
+    const interval = (config.storage.autoSaveInterval || 30) * 1000;
+
+    this.saveInterval = setInterval(() => {
+      this.save();
+    }, interval);
+
+    this.saveInterval.unref();
+  }
+
+  /**
+   * Detener auto-save
+   */
+  stopAutoSave() {
+    if (this.saveInterval) {
+      clearInterval(this.saveInterval);
+      this.saveInterval = null;
+    }
+    this.save();
+  }
+
+  /**
+   * Guardar cotizacion
+   * @param {string} moneda - Codigo ISO (USD, EUR, ...)
+   * @param {string} fecha - Fecha aaaa-mm-dd
+   * @param {number} valor - UYU por unidad de moneda
+   * @param {string} [fuente='manual'] - Origen (manual, archivo, bcu)
+   */
+  set(moneda, fecha, valor, fuente = 'manual') {
+    const monedaUpper = String(moneda).toUpperCase();
+    const key = `${monedaUpper}:${fecha}`;
+
+    const entry = {
+      moneda: monedaUpper,
+      fecha,
+      valor: parseFloat(valor),
+      fuente,
+      created_at: new Date().toISOString()
+    };
+
+    this.data.set(key, entry);
+    this.collection.put(key, entry);
+
+    logger.debug('Tipo de cambio guardado', { key, valor: entry.valor, fuente });
+
+    return entry;
+  }
+
+  /**
+   * Obtener cotizacion exacta de una fecha
+   * @param {string} moneda
+   * @param {string} fecha - aaaa-mm-dd
+   */
+  get(moneda, fecha) {
+    return this.data.get(`${String(moneda).toUpperCase()}:${fecha}`) || null;
+  }
+
+  /**
+   * Obtener cotizacion vigente para una fecha
+   * Usa la ultima cotizacion publicada en o antes de la fecha
+   * (el BCU no publica fines de semana ni feriados)
+   * @param {string} moneda
+   * @param {string} fecha - aaaa-mm-dd
+   * @param {number} [maxDias] - Antiguedad maxima aceptada
+   */
+  getVigente(moneda, fecha, maxDias = config.monedas.maxAntiguedadDias) {
+    const monedaUpper = String(moneda).toUpperCase();
+    const limite = new Date(`${fecha}T00:00:00Z`);
+    limite.setUTCDate(limite.getUTCDate() - maxDias);
+    const desde = limite.toISOString().split('T')[0];
+
+    let vigente = null;
+    for (const entry of this.data.values()) {
+      if (entry.moneda !== monedaUpper) continue;
+      if (entry.fecha > fecha || entry.fecha < desde) continue;
+      if (!vigente || entry.fecha > vigente.fecha) {
+        vigente = entry;
+      }
+    }
+
+    return vigente;
+  }
+
+  /**
+   * Listar cotizaciones (opcionalmente por moneda)
+   * @param {string} [moneda]
+   */
+  getAll(moneda = null) {
+    const all = Array.from(this.data.values());
+    const filtered = moneda
+      ? all.filter(e => e.moneda === String(moneda).toUpperCase())
+      : all;
+
+    return filtered.sort((a, b) => b.fecha.localeCompare(a.fecha));
+  }
+
+  /**
+   * Eliminar cotizacion
+   * @param {string} moneda
+   * @param {string} fecha
+   */
+  delete(moneda, fecha) {
+    const key = `${String(moneda).toUpperCase()}:${fecha}`;
+    const existed = this.data.delete(key);
+    if (existed) {
+      this.collection.delete(key);
+    }
+    return existed;
+  }
+
+  /**
+   * Tamaño del store
+   */
+  get size() {
+    return this.data.size;
+  }
+}
+
+// Singleton
+let tipoCambioStore = null;
+
+function getTipoCambioStore() {
+  if (!tipoCambioStore) {
+    tipoCambioStore = new TipoCambioStore();
+  }
+  return tipoCambioStore;
+}
+
+module.exports = {
+  TipoCambioStore,
+  getTipoCambioStore
+};
@@ -4,7 +4,6 @@
  */
 
 const config = require('../config');
-const logger = require('./logger');
 
 /**
  * Validar RUT uruguayo usando algoritmo módulo 11
@@ -35,12 +34,10 @@ function validarRUT(rut) {
   // Determinar tipo
   const tipo = rutLimpio.length === 12 ? 'RUT' : 'CI';
 
-  // Validación del dígito verificador usando módulo 11
-  // El algoritmo uruguayo usa multiplicadores 2,9,8,7,6,5,4,3,2 de derecha a izquierda
-  // Pero dado que existen variantes, hacemos validación básica y dejamos
-  // la validación definitiva a DGI/Biller
-  
-  const verificacionBasica = validarDigitoVerificador(rutLimpio);
+  // El RUT usa el módulo 11 de DGI; la CI su propio digito verificador (modulo 10)
+  const verificacionBasica = tipo === 'CI'
+    ? validarDigitoCI(rutLimpio)
+    : validarDigitoVerificador(rutLimpio);
   
   // Aceptamos el RUT si pasa la verificación básica O si tiene formato correcto
   // La validación final la hace DGI a través de la API de Biller
@@ -63,216 +60,51 @@ function validarRUT(rut) {
 }
 
 /**
- * Validar dígito verificador con algoritmo módulo 11 uruguayo
+ * Validar dígito verificador de RUT (regla DGI)
+ * Multiplicadores 4,3,2,9,8,7,6,5,4,3,2 sobre los 11 primeros dígitos,
+ * de izquierda a derecha; verificador = 11 - (suma módulo 11), 11 => 0
+ * y 10 no corresponde a ningún RUT emitido
  * @param {string} numero - Número limpio (solo dígitos)
  */
 function validarDigitoVerificador(numero) {
-  try {
-    // Rellenar a 12 dígitos
-    const padded = numero.padStart(12, '0');
-    const digitos = padded.split('').map(Number);
-    
-    // Multiplicadores de derecha a izquierda (excluyendo verificador): 2,9,8,7,6,5,4,3,2,9,8,7...
-    // Para 11 dígitos: posiciones 0-10, verificador en 11
-    const multiplicadores = [2, 9, 8, 7, 6, 5, 4, 3, 2, 9, 8];
-    
-    // Calcular suma de derecha a izquierda (sin el verificador)
-    let suma = 0;
-    for (let i = 0; i < 11; i++) {
-      // Posición desde la derecha (sin contar verificador)
-      const pos = 10 - i;
-      suma += digitos[pos] * multiplicadores[i];
-    }
-    
-    // Calcular verificador
-    const resto = suma % 11;
-    let verificadorCalculado;
-    
-    if (resto === 0) {
-      verificadorCalculado = 0;
-    } else if (resto === 1) {
-      verificadorCalculado = 0; // En algunos casos puede ser 0 o 1
-    } else {
-      verificadorCalculado = 11 - resto;
-    }
-    
-    const verificadorProvisto = digitos[11];
-    
-    // Aceptar si coincide o si es resto 1 (puede ser 0 o 1)
-    if (verificadorCalculado === verificadorProvisto || 
-        (resto === 1 && (verificadorProvisto === 0 || verificadorProvisto === 1))) {
-      return { valid: true };
-    }
-    
-    return { 
-      valid: false, 
-      reason: `esperado ${verificadorCalculado}, recibido ${verificadorProvisto}`
-    };
-  } catch (e) {
-    return { valid: false, reason: e.message };
-  }
-}
-
-/**
- * Extraer RUT de un pedido
- * Busca en múltiples ubicaciones
- * @param {Object} order - Pedido
- * @returns {{rut: string|null, razonSocial: string|null, source: string|null}}
- */
-function extraerRUTDePedido(order) {
-  if (!order) {
-    return { rut: null, razonSocial: null, source: null };
-  }
-
-  const camposRUT = config.facturacion.camposRUT;
-  const camposRazonSocial = config.facturacion.camposRazonSocial;
-  
-  let rut = null;
-  let razonSocial = null;
-  let source = null;
-
-  // 1. Buscar en note_attributes (campos personalizados del checkout)
-  if (!rut && order.note_attributes && Array.isArray(order.note_attributes)) {
-    for (const attr of order.note_attributes) {
-      const nombreLower = (attr.name || '').toLowerCase();
-      const valor = (attr.value || '').trim();
-      
-      if (!valor) continue;
-      
-      // Buscar RUT
-      if (!rut && camposRUT.some(c => nombreLower.includes(c.toLowerCase()))) {
-        rut = valor;
-        source = `note_attributes.${attr.name}`;
-      }
-      
-      // Buscar Razón Social
-      if (!razonSocial && camposRazonSocial.some(c => nombreLower.includes(c.toLowerCase()))) {
-        razonSocial = valor;
-      }
-    }
-  }
-
-  // 2. Buscar en metafields del pedido (checkoutblocks, etc.)
-  if (!rut && order.metafields) {
-    const metafields = Array.isArray(order.metafields) ? order.metafields : [];
-    for (const mf of metafields) {
-      const key = (mf.key || '').toLowerCase();
-      const valor = (mf.value || '').trim();
-      
-      if (!valor) continue;
-      
-      if (camposRUT.some(c => key.includes(c.toLowerCase()))) {
-        rut = valor;
-        source = `metafields.${mf.namespace}.${mf.key}`;
-        break;
-      }
-    }
-  }
-
-  // 3. Buscar en properties de line_items
-  if (!rut && order.line_items) {
-    outer: for (const item of order.line_items) {
-      if (!item.properties) continue;
-      
-      for (const prop of item.properties) {
-        const nombre = (prop.name || '').toLowerCase();
-        const valor = (prop.value || '').trim();
-        
-        if (!valor) continue;
-        
-        if (camposRUT.some(c => nombre.includes(c.toLowerCase()))) {
-          rut = valor;
-          source = `line_items.properties.${prop.name}`;
-          break outer;
-        }
-      }
-    }
-  }
+  const digitos = numero.padStart(12, '0').split('').map(Number);
+  const multiplicadores = [4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
 
-  // 4. Buscar en nota del pedido con varios formatos
-  if (!rut && order.note) {
-    // Patrones: "RUT: 123456789012", "CI:12345678", "documento 123456789012"
-    const patterns = [
-      /(?:rut|ci|documento|cedula|cédula)[:\s]*(\d{8,12})/i,
-      /^\s*(\d{12})\s*$/m,  // Solo RUT de 12 dígitos en una línea
-    ];
-    
-    for (const pattern of patterns) {
-      const match = order.note.match(pattern);
-      if (match) {
-        rut = match[1];
-        source = 'note';
-        break;
-      }
-    }
-  }
-
-  // 5. Buscar en campos del cliente (company)
-  if (!rut && order.customer?.company) {
-    // A veces ponen el RUT en el campo company
-    const companyRUT = order.customer.company.match(/\d{12}/);
-    if (companyRUT) {
-      const validacion = validarRUT(companyRUT[0]);
-      if (validacion.valid) {
-        rut = companyRUT[0];
-        source = 'customer.company';
-      }
-    }
-  }
+  const suma = multiplicadores.reduce((total, mult, i) => total + digitos[i] * mult, 0);
+  const calculado = 11 - (suma % 11);
 
-  // Limpiar RUT encontrado
-  if (rut) {
-    const rutLimpio = rut.replace(/\D/g, '');
-    
-    // Validar longitud
-    if (rutLimpio.length !== 8 && rutLimpio.length !== 12) {
-      logger.debug('RUT con longitud inválida descartado', { 
-        rut, 
-        length: rutLimpio.length,
-        source 
-      });
-      rut = null;
-      source = null;
-    } else {
-      rut = rutLimpio;
-    }
+  if (calculado === 10) {
+    return { valid: false, reason: 'ningun digito verificador es valido para este numero' };
   }
 
-  // Obtener razón social si tenemos RUT pero no razón social
-  if (rut && !razonSocial) {
-    razonSocial = obtenerRazonSocialDefault(order);
+  const esperado = calculado === 11 ? 0 : calculado;
+  if (esperado !== digitos[11]) {
+    return { valid: false, reason: `esperado ${esperado}, recibido ${digitos[11]}` };
   }
 
-  return { rut, razonSocial, source };
+  return { valid: true };
 }
 
 /**
- * Obtener razón social por defecto desde datos del pedido
- * @param {Object} order
+ * Validar digito verificador de CI uruguaya (8 digitos)
+ * Multiplicadores 2,9,8,7,6,3,4 sobre los 7 primeros digitos, modulo 10
+ * @param {string} ci - CI limpia (8 digitos)
  */
-function obtenerRazonSocialDefault(order) {
-  const customer = order.customer || {};
-  const billing = order.billing_address || {};
-  const shipping = order.shipping_address || {};
-  
-  // Prioridad: company > nombre completo
-  if (billing.company) return billing.company;
-  if (customer.company) return customer.company;
-  if (shipping.company) return shipping.company;
-  
-  // Nombre completo
-  const nombres = [
-    [customer.first_name, customer.last_name],
-    [billing.first_name, billing.last_name],
-    [shipping.first_name, shipping.last_name]
-  ];
-  
-  for (const [first, last] of nombres) {
-    const nombre = [first, last].filter(Boolean).join(' ').trim();
-    if (nombre) return nombre;
+function validarDigitoCI(ci) {
+  const digitos = ci.split('').map(Number);
+  const multiplicadores = [2, 9, 8, 7, 6, 3, 4];
+
+  const suma = multiplicadores.reduce((total, m, i) => total + m * digitos[i], 0);
+  const verificadorCalculado = (10 - (suma % 10)) % 10;
+
+  if (verificadorCalculado === digitos[7]) {
+    return { valid: true };
   }
-  
-  return 'Cliente';
+
+  return {
+    valid: false,
+    reason: `esperado ${verificadorCalculado}, recibido ${digitos[7]}`
+  };
 }
 
 /**
@@ -351,12 +183,24 @@ function validarDatosComprobante(datos) {
           item.indicador_facturacion > 16) {
         errors.push(`Item ${i}: indicador_facturacion inválido (debe ser 1-16)`);
       }
+      if (item.descuento_tipo !== undefined) {
+        const tiposDescuento = Object.values(config.TIPOS_DESCUENTO);
+        if (!tiposDescuento.includes(item.descuento_tipo)) {
+          errors.push(`Item ${i}: descuento_tipo inválido (debe ser ${tiposDescuento.join(' o ')})`);
+        } else if (typeof item.descuento_cantidad !== 'number' || item.descuento_cantidad < 0) {
+          errors.push(`Item ${i}: descuento_cantidad inválido`);
+        } else if (item.descuento_tipo === config.TIPOS_DESCUENTO.MONTO &&
+                   item.descuento_cantidad > item.cantidad * item.precio) {
+          errors.push(`Item ${i}: descuento mayor al total de la línea`);
+        }
+      }
     }
   }
   
   // Cliente para e-Factura (siempre requerido con datos completos)
   if (datos.tipo_comprobante === config.TIPOS_CFE.E_FACTURA ||
-      datos.tipo_comprobante === config.TIPOS_CFE.NC_E_FACTURA) {
+      datos.tipo_comprobante === config.TIPOS_CFE.NC_E_FACTURA ||
+      datos.tipo_comprobante === config.TIPOS_CFE.ND_E_FACTURA) {
     if (!datos.cliente || datos.cliente === '-') {
       errors.push('e-Factura requiere datos del cliente (no puede ser "-")');
     } else if (typeof datos.cliente === 'object') {
@@ -373,10 +217,32 @@ function validarDatosComprobante(datos) {
     }
   }
 
+  // e-Factura de exportacion: receptor extranjero identificado y lineas con indicador EXPORTACION
+  if (datos.tipo_comprobante === config.TIPOS_CFE.E_FACTURA_EXPORTACION ||
+      datos.tipo_comprobante === config.TIPOS_CFE.NC_E_FACTURA_EXPORTACION ||
+      datos.tipo_comprobante === config.TIPOS_CFE.ND_E_FACTURA_EXPORTACION) {
+    if (!datos.cliente || typeof datos.cliente !== 'object') {
+      errors.push('e-Factura de exportación requiere datos del cliente');
+    } else {
+      if (!datos.cliente.documento) {
+        errors.push('Cliente sin número de documento');
+      }
+      if (!datos.cliente.pais || !datos.cliente.sucursal?.pais) {
+        errors.push('Cliente sin país (campo obligatorio en exportación)');
+      }
+    }
+    (datos.items || []).forEach((item, i) => {
+      if (item.indicador_facturacion !== config.INDICADORES_IVA.EXPORTACION) {
+        errors.push(`Item ${i}: exportación requiere indicador_facturacion ${config.INDICADORES_IVA.EXPORTACION}`);
+      }
+    });
+  }
+
   // Para e-Ticket: cliente puede ser "-" (sin receptor) o un objeto con datos
   // Si es objeto, validar que tenga pais en sucursal
   if (datos.tipo_comprobante === config.TIPOS_CFE.E_TICKET ||
-      datos.tipo_comprobante === config.TIPOS_CFE.NC_E_TICKET) {
+      datos.tipo_comprobante === config.TIPOS_CFE.NC_E_TICKET ||
+      datos.tipo_comprobante === config.TIPOS_CFE.ND_E_TICKET) {
     if (datos.cliente && datos.cliente !== '-' && typeof datos.cliente === 'object') {
       if (!datos.cliente.sucursal?.pais) {
         errors.push('Cliente sin país en sucursal (campo obligatorio)');
@@ -402,11 +268,18 @@ function validarDatosComprobante(datos) {
     }
   }
   
-  // Referencias para NC
-  if (datos.tipo_comprobante === config.TIPOS_CFE.NC_E_TICKET || 
-      datos.tipo_comprobante === config.TIPOS_CFE.NC_E_FACTURA) {
+  // Referencias para NC y ND
+  const tiposNota = [
+    config.TIPOS_CFE.NC_E_TICKET,
+    config.TIPOS_CFE.NC_E_FACTURA,
+    config.TIPOS_CFE.NC_E_FACTURA_EXPORTACION,
+    config.TIPOS_CFE.ND_E_TICKET,
+    config.TIPOS_CFE.ND_E_FACTURA,
+    config.TIPOS_CFE.ND_E_FACTURA_EXPORTACION
+  ];
+  if (tiposNota.includes(datos.tipo_comprobante)) {
     if (!datos.referencias || datos.referencias.length === 0) {
-      errors.push('Nota de crédito requiere referencia al comprobante original');
+      errors.push('Nota de crédito/débito requiere referencia al comprobante original');
     } else {
       datos.referencias.forEach((ref, idx) => {
         if (typeof ref === 'object') {
@@ -451,8 +324,6 @@ function sanitizarString(str, maxLength = 200) {
 
 module.exports = {
   validarRUT,
-  extraerRUTDePedido,
-  obtenerRazonSocialDefault,
   validarPedido,
   validarDatosComprobante,
   validarEmail,
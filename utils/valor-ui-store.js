@@ -0,0 +1,196 @@
+/**
+ * Sistema de persistencia para valores de la Unidad Indexada (INE)
+ * Guarda el valor UI en UYU por fecha en el backend de storage configurado
+ * @module utils/valor-ui-store
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const config = require('../config');
+const { abrirColeccion } = require('./storage');
+
+class ValorUIStore {
+  /**
+   * @param {string} [filePath] - Archivo JSON (solo backend JSON)
+   * @param {Object} [storage] - Backend de storage (default: getStorage())
+   */
+  constructor(filePath, storage) {
+    this.filePath = filePath || path.join(
+      path.dirname(config.storage.comprobantesFile),
+      'valores-ui.json'
+    );
+    this.collection = abrirColeccion('valores_ui', { filePath: this.filePath, storage });
+    this.data = new Map();
+    this.saveInterval = null;
+
+    // Cargar datos existentes
+    this.load();
+
+    // Configurar auto-save
+    this.startAutoSave();
+  }
+
+  /**
+   * Cargar datos desde el storage
+   */
+  load() {
+    try {
+      for (const [key, value] of this.collection.load()) {
+        this.data.set(key, value);
+      }
+
+      logger.info(`Cargados ${this.data.size} valores UI desde storage`);
+    } catch (error) {
+      logger.error('Error cargando valores UI', { error: error.message });
+    }
+  }
+
+  /**
+   * Guardar cambios pendientes
+   */
+  save() {
+    try {
+      if (this.collection.flush()) {
+        logger.debug('Valores UI guardados', { total: this.data.size });
+      }
+    } catch (error) {
+      logger.error('Error guardando valores UI, se reintentará', { error: error.message });
+    }
+  }
+
+  /**
+   * Iniciar auto-save periodico
+   */
+  startAutoSave() {
+    const interval = (config.storage.autoSaveInterval || 30) * 1000;
+
+    this.saveInterval = setInterval(() => {
+      this.save();
+    }, interval);
+
+    this.saveInterval.unref();
+  }
+
+  /**
+   * Detener auto-save
+   */
+  stopAutoSave() {
+    if (this.saveInterval) {
+      clearInterval(this.saveInterval);
+      this.saveInterval = null;
+    }
+    this.save();
+  }
+
+  /**
+   * Guardar valor UI de una fecha
+   * @param {string} fecha - Fecha aaaa-mm-dd
+   * @param {number} valor - UYU por UI
+   * @param {string} [fuente='manual'] - Origen (manual, archivo, ine)
+   */
+  set(fecha, valor, fuente = 'manual') {
+    const entry = {
+      fecha,
+      valor: parseFloat(valor),
+      fuente,
+      created_at: new Date().toISOString()
+    };
+
+    this.data.set(fecha, entry);
+    this.collection.put(fecha, entry);
+
+    logger.debug('Valor UI guardado', { fecha, valor: entry.valor, fuente });
+
+    return entry;
+  }
+
+  /**
+   * Obtener valor exacto de una fecha
+   * @param {string} fecha - aaaa-mm-dd
+   */
+  get(fecha) {
+    return this.data.get(fecha) || null;
+  }
+
+  /**
+   * Obtener valor vigente para una fecha
+   * Usa el ultimo valor cargado en o antes de la fecha
+   * @param {string} fecha - aaaa-mm-dd
+   * @param {number} [maxDias] - Antiguedad maxima aceptada
+   */
+  getVigente(fecha, maxDias = config.dgi.valorUIMaxDias) {
+    const exacto = this.get(fecha);
+    if (exacto) return exacto;
+
+    const limite = new Date(`${fecha}T00:00:00Z`);
+    limite.setUTCDate(limite.getUTCDate() - maxDias);
+    const desde = limite.toISOString().split('T')[0];
+
+    let vigente = null;
+    for (const entry of this.data.values()) {
+      if (entry.fecha > fecha || entry.fecha < desde) continue;
+      if (!vigente || entry.fecha > vigente.fecha) {
+        vigente = entry;
+      }
+    }
+
+    return vigente;
+  }
+
+  /**
+   * Verificar si hay valores cargados para un mes
+   * @param {string} mes - aaaa-mm
+   * @returns {boolean}
+   */
+  tieneMes(mes) {
+    for (const fecha of this.data.keys()) {
+      if (fecha.startsWith(`${mes}-`)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Listar valores (opcionalmente en un rango)
+   * @param {string} [desde] - aaaa-mm-dd
+   * @param {string} [hasta] - aaaa-mm-dd
+   */
+  getAll(desde = null, hasta = null) {
+    return Array.from(this.data.values())
+      .filter(e => (!desde || e.fecha >= desde) && (!hasta || e.fecha <= hasta))
+      .sort((a, b) => b.fecha.localeCompare(a.fecha));
+  }
+
+  /**
+   * Eliminar valor
+   * @param {string} fecha
+   */
+  delete(fecha) {
+    const existed = this.data.delete(fecha);
+    if (existed) {
+      this.collection.delete(fecha);
+    }
+    return existed;
+  }
+
+  /**
+   * Tamaño del store
+   */
+  get size() {
+    return this.data.size;
+  }
+}
+
+// Singleton
+let valorUIStore = null;
+
+function getValorUIStore() {
+  if (!valorUIStore) {
+    valorUIStore = new ValorUIStore();
+  }
+  return valorUIStore;
+}
+
+module.exports = {
+  ValorUIStore,
+  getValorUIStore
+};
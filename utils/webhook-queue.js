@@ -4,42 +4,49 @@
  * @module utils/webhook-queue
  */
 
-const fs = require('fs');
-const path = require('path');
 const logger = require('./logger');
+const config = require('../config');
+const { abrirColeccion } = require('./storage');
 
 class PersistentWebhookQueue {
-    constructor(filePath = './data/webhook-queue.json') {
+    /**
+     * @param {string} [filePath] - Archivo JSON (solo backend JSON)
+     * @param {Object} [storage] - Backend de storage (default: getStorage())
+     * @param {Object} [options]
+     * @param {number} [options.maxRetries=5] - Intentos antes de dead letter
+     */
+    constructor(filePath = './data/webhook-queue.json', storage, options = {}) {
         this.filePath = filePath;
+        this.collection = abrirColeccion('webhook_queue', { filePath, storage });
         this.queue = [];
         this.processing = new Set();
-        this.maxRetries = 5;
+        this.maxRetries = options.maxRetries || 5;
 
         this.load();
     }
 
     /**
-     * Cargar cola desde disco
+     * Cargar cola desde el storage
      */
     load() {
         try {
-            if (fs.existsSync(this.filePath)) {
-                const data = fs.readFileSync(this.filePath, 'utf8');
-                const parsed = JSON.parse(data);
-                this.queue = parsed.queue || [];
-
-                // Resetear items que estaban processing (servidor reiniciado)
-                this.queue.forEach(item => {
-                    if (item.status === 'processing') {
-                        item.status = 'pending';
-                        item.retries = (item.retries || 0);
-                    }
-                });
-
-                logger.info('Webhook queue cargada', {
-                    pending: this.queue.filter(i => i.status === 'pending').length
-                });
-            }
+            this.queue = this.collection.load()
+                .map(([, item]) => item)
+                .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+
+            // Resetear items que estaban processing (servidor reiniciado)
+            this.queue.forEach(item => {
+                if (item.status === 'processing') {
+                    item.status = 'pending';
+                    item.retries = (item.retries || 0);
+                    this.collection.put(item.id, item);
+                }
+            });
+            this.save();
+
+            logger.info('Webhook queue cargada', {
+                pending: this.queue.filter(i => i.status === 'pending').length
+            });
         } catch (error) {
             logger.warn('Error cargando webhook queue', { error: error.message });
             this.queue = [];
@@ -47,19 +54,11 @@ class PersistentWebhookQueue {
     }
 
     /**
-     * Guardar cola a disco
+     * Persistir cambios (el backend JSON reescribe el archivo)
      */
     save() {
         try {
-            const dir = path.dirname(this.filePath);
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-            }
-
-            fs.writeFileSync(
-                this.filePath,
-                JSON.stringify({ queue: this.queue, savedAt: new Date().toISOString() }, null, 2)
-            );
+            this.collection.flush();
         } catch (error) {
             logger.error('Error guardando webhook queue', { error: error.message });
         }
@@ -68,6 +67,9 @@ class PersistentWebhookQueue {
     /**
      * Agregar webhook a la cola
      * @param {Object} webhook - Datos del webhook
+     * @param {string} [webhook.slug] - Evento Wix (approved, canceled, ...)
+     * @param {string} [webhook.orderId] - Orden Wix
+     * @param {Object} [webhook.payload] - Payload decodificado (para reprocesar)
      * @returns {string} ID del item en cola
      */
     async add(webhook) {
@@ -75,18 +77,28 @@ class PersistentWebhookQueue {
 
         const item = {
             id,
-            topic: webhook.topic,
+            topic: webhook.topic || webhook.slug,
             resource: webhook.resource,
-            resourceId: webhook.resource?.split('/').pop(),
+            resourceId: webhook.resource?.split('/').pop() || webhook.orderId,
             userId: webhook.user_id,
+            slug: webhook.slug,
+            eventType: webhook.eventType,
+            eventId: webhook.eventId,
+            orderId: webhook.orderId,
+            instanceId: webhook.instanceId || null,
+            canal: webhook.canal || null,
+            payload: webhook.payload,
             status: 'pending',
             retries: 0,
             createdAt: new Date().toISOString(),
             lastAttempt: null,
-            error: null
+            nextAttemptAt: null,
+            error: null,
+            attempts: []
         };
 
         this.queue.push(item);
+        this.collection.put(id, item);
         this.save();
 
         logger.debug('Webhook encolado', { id, topic: webhook.topic });
@@ -94,23 +106,47 @@ class PersistentWebhookQueue {
     }
 
     /**
-     * Obtener siguiente item pendiente
+     * Obtener siguiente item pendiente cuyo backoff ya vencio
+     * @param {number} [now=Date.now()]
      * @returns {Object|null}
      */
-    getNext() {
+    getNext(now = Date.now()) {
         const item = this.queue.find(i =>
             i.status === 'pending' &&
             i.retries < this.maxRetries &&
-            !this.processing.has(i.id)
+            !this.processing.has(i.id) &&
+            (!i.nextAttemptAt || new Date(i.nextAttemptAt).getTime() <= now)
         );
 
-        if (item) {
-            item.status = 'processing';
-            this.processing.add(item.id);
-            this.save();
+        return item ? this.claim(item.id) : null;
+    }
+
+    /**
+     * Tomar un item especifico para procesarlo (ej: procesamiento inmediato al recibirlo)
+     * @param {string} id
+     * @returns {Object|null} null si no existe o ya esta en proceso
+     */
+    claim(id) {
+        const item = this.get(id);
+        if (!item || item.status !== 'pending' || this.processing.has(id)) {
+            return null;
         }
 
-        return item || null;
+        item.status = 'processing';
+        this.processing.add(item.id);
+        this.collection.put(item.id, item);
+        this.save();
+
+        return item;
+    }
+
+    /**
+     * Obtener item por ID
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.queue.find(i => i.id === id) || null;
     }
 
     /**
@@ -122,6 +158,7 @@ class PersistentWebhookQueue {
         if (index !== -1) {
             this.queue.splice(index, 1);
             this.processing.delete(id);
+            this.collection.delete(id);
             this.save();
             logger.debug('Webhook completado', { id });
         }
@@ -131,21 +168,27 @@ class PersistentWebhookQueue {
      * Marcar item como fallido (para reintento)
      * @param {string} id 
      * @param {string} error 
+     * @param {number} [retryDelayMs=0] - Espera antes del proximo intento (backoff)
      */
-    fail(id, error) {
+    fail(id, error, retryDelayMs = 0) {
         const item = this.queue.find(i => i.id === id);
         if (item) {
+            const now = new Date();
             item.status = 'pending';
             item.retries++;
-            item.lastAttempt = new Date().toISOString();
+            item.lastAttempt = now.toISOString();
+            item.nextAttemptAt = new Date(now.getTime() + retryDelayMs).toISOString();
             item.error = error;
+            item.attempts = [...(item.attempts || []), { at: item.lastAttempt, error }];
             this.processing.delete(id);
 
             if (item.retries >= this.maxRetries) {
                 item.status = 'dead';
+                item.nextAttemptAt = null;
                 logger.error('Webhook movido a dead letter', { id, retries: item.retries, error });
             }
 
+            this.collection.put(id, item);
             this.save();
         }
     }
@@ -169,6 +212,47 @@ class PersistentWebhookQueue {
         return this.queue.filter(i => i.status === 'dead');
     }
 
+    /**
+     * Volver a encolar un dead letter (reintentos desde cero)
+     * @param {string} id
+     * @returns {Object|null} Item reencolado o null si no es dead letter
+     */
+    replay(id) {
+        const item = this.get(id);
+        if (!item || item.status !== 'dead') {
+            return null;
+        }
+
+        item.status = 'pending';
+        item.retries = 0;
+        item.nextAttemptAt = null;
+        item.replayedAt = new Date().toISOString();
+        this.collection.put(id, item);
+        this.save();
+
+        logger.info('Dead letter reencolado', { id, orderId: item.orderId });
+        return item;
+    }
+
+    /**
+     * Descartar un dead letter
+     * @param {string} id
+     * @returns {boolean}
+     */
+    discard(id) {
+        const item = this.get(id);
+        if (!item || item.status !== 'dead') {
+            return false;
+        }
+
+        this.queue = this.queue.filter(i => i.id !== id);
+        this.collection.delete(id);
+        this.save();
+
+        logger.info('Dead letter descartado', { id, orderId: item.orderId });
+        return true;
+    }
+
     /**
      * Limpiar items completados antiguos
      */
@@ -176,9 +260,11 @@ class PersistentWebhookQueue {
         const cutoff = Date.now() - (maxAgeDays * 24 * 60 * 60 * 1000);
         const before = this.queue.length;
 
-        this.queue = this.queue.filter(i =>
-            i.status !== 'dead' || new Date(i.createdAt).getTime() > cutoff
-        );
+        this.queue = this.queue.filter(i => {
+            if (i.status !== 'dead' || new Date(i.createdAt).getTime() > cutoff) return true;
+            this.collection.delete(i.id);
+            return false;
+        });
 
         if (this.queue.length < before) {
             this.save();
@@ -192,7 +278,9 @@ let queueInstance = null;
 
 function getWebhookQueue() {
     if (!queueInstance) {
-        queueInstance = new PersistentWebhookQueue();
+        queueInstance = new PersistentWebhookQueue(undefined, undefined, {
+            maxRetries: config.procesamiento.worker.maxRetries
+        });
     }
     return queueInstance;
 }
@@ -4,27 +4,28 @@
  * @module utils/wix-app-store
  */
 
-const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
 const config = require('../config');
+const { abrirColeccion } = require('./storage');
+
+// Clave reservada para settings de todo el servidor (no es un sitio)
+const CLAVE_GLOBAL = '_global';
 
 class WixAppSettingsStore {
-  constructor(filePath) {
+  /**
+   * @param {string} [filePath] - Archivo JSON (solo backend JSON)
+   * @param {Object} [storage] - Backend de storage (default: getStorage())
+   */
+  constructor(filePath, storage) {
     this.filePath = filePath || path.join(
       path.dirname(config.storage.comprobantesFile),
       'wix-app-settings.json'
     );
+    this.collection = abrirColeccion('wix_app_settings', { filePath: this.filePath, storage });
     this.data = new Map();
-    this.dirty = false;
     this.saveInterval = null;
 
-    // Crear directorio si no existe
-    const dir = path.dirname(this.filePath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-
     // Cargar datos existentes
     this.load();
 
@@ -33,47 +34,28 @@ class WixAppSettingsStore {
   }
 
   /**
-   * Cargar datos desde archivo
+   * Cargar datos desde el storage
    */
   load() {
     try {
-      if (fs.existsSync(this.filePath)) {
-        const content = fs.readFileSync(this.filePath, 'utf8');
-        const parsed = JSON.parse(content);
-
-        if (parsed.settings) {
-          for (const [key, value] of Object.entries(parsed.settings)) {
-            this.data.set(key, value);
-          }
-        }
-
-        logger.info(`Cargados ${this.data.size} settings de Wix App desde storage`);
+      for (const [key, value] of this.collection.load()) {
+        this.data.set(key, value);
       }
+
+      logger.info(`Cargados ${this.data.size} settings de Wix App desde storage`);
     } catch (error) {
       logger.error('Error cargando settings de Wix App', { error: error.message });
     }
   }
 
   /**
-   * Guardar datos a archivo
+   * Guardar cambios pendientes
    */
   save() {
-    if (!this.dirty) return;
-
     try {
-      const obj = {
-        version: 1,
-        updated_at: new Date().toISOString(),
-        total: this.data.size,
-        settings: Object.fromEntries(this.data)
-      };
-
-      const tempPath = `${this.filePath}.tmp`;
-      fs.writeFileSync(tempPath, JSON.stringify(obj, null, 2));
-      fs.renameSync(tempPath, this.filePath);
-
-      this.dirty = false;
-      logger.debug('Settings de Wix App guardados', { total: this.data.size });
+      if (this.collection.flush()) {
+        logger.debug('Settings de Wix App guardados', { total: this.data.size });
+      }
     } catch (error) {
       logger.error('Error guardando settings de Wix App', { error: error.message });
     }
@@ -132,7 +114,7 @@ class WixAppSettingsStore {
     }
 
     this.data.set(instanceId, entry);
-    this.dirty = true;
+    this.collection.put(instanceId, entry);
 
     logger.debug('Settings de Wix App guardados', { instanceId });
 
@@ -159,7 +141,7 @@ class WixAppSettingsStore {
   delete(instanceId) {
     const existed = this.data.delete(instanceId);
     if (existed) {
-      this.dirty = true;
+      this.collection.delete(instanceId);
       logger.info('Settings de Wix App eliminados', { instanceId });
     }
     return existed;
@@ -177,10 +159,12 @@ class WixAppSettingsStore {
    * Obtener todos los settings
    */
   getAll() {
-    return Array.from(this.data.entries()).map(([instanceId, settings]) => ({
-      instanceId,
-      ...settings
-    }));
+    return Array.from(this.data.entries())
+      .filter(([instanceId]) => instanceId !== CLAVE_GLOBAL)
+      .map(([instanceId, settings]) => ({
+        instanceId,
+        ...settings
+      }));
   }
 
   /**
@@ -220,13 +204,80 @@ class WixAppSettingsStore {
     };
   }
 
+  /**
+   * Obtener configuracion de IVA para un sitio
+   * Tabla de tasas -> indicador y overrides por SKU, producto o coleccion
+   * @param {string} instanceId
+   */
+  getIVAConfig(instanceId) {
+    const { TASAS_IVA_DEFAULT } = require('../services/indicador-iva');
+    const siteSettings = instanceId ? this.get(instanceId) : null;
+    const iva = siteSettings?.iva || {};
+
+    return {
+      tasas: { ...TASAS_IVA_DEFAULT, ...(iva.tasas || {}) },
+      overrides: {
+        sku: iva.overrides?.sku || {},
+        productos: iva.overrides?.productos || {},
+        colecciones: iva.overrides?.colecciones || {}
+      }
+    };
+  }
+
+  /**
+   * Obtener configuracion de medios de pago para un sitio
+   * Mapeo medio de pago Wix -> forma de pago (contado/credito) y vencimiento
+   * @param {string} instanceId
+   */
+  getPagosConfig(instanceId) {
+    const { METODOS_PAGO_DEFAULT, normalizarMetodoPago } = require('../services/forma-pago');
+    const siteSettings = instanceId ? this.get(instanceId) : null;
+    const pagos = siteSettings?.pagos || {};
+
+    const metodos = { ...METODOS_PAGO_DEFAULT };
+    for (const [medio, regla] of Object.entries(pagos.metodos || {})) {
+      metodos[normalizarMetodoPago(medio)] = regla;
+    }
+
+    return {
+      metodos,
+      default: pagos.default || null
+    };
+  }
+
+  /**
+   * Obtener reglas de alerta (defaults de AlertingSystem + overrides guardados)
+   * @returns {Object} { [regla]: { activa, severidad, umbral, minEventos } }
+   */
+  getAlertasConfig() {
+    const { REGLAS_DEFAULT } = require('../monitoring/alerting-system');
+    const guardadas = this.get(CLAVE_GLOBAL)?.alertas?.reglas || {};
+
+    const reglas = {};
+    for (const [nombre, regla] of Object.entries(REGLAS_DEFAULT)) {
+      reglas[nombre] = { ...regla, ...(guardadas[nombre] || {}) };
+    }
+    return reglas;
+  }
+
+  /**
+   * Guardar overrides de reglas de alerta (merge)
+   * @param {Object} reglas - { [regla]: { activa?, severidad?, umbral?, minEventos? } }
+   */
+  setAlertasConfig(reglas) {
+    this.update(CLAVE_GLOBAL, { alertas: { reglas } });
+    this.save();
+    return this.getAlertasConfig();
+  }
+
   /**
    * Estadisticas del store
    */
   getStats() {
+    const sites = Array.from(this.data.keys()).filter(k => k !== CLAVE_GLOBAL);
     return {
-      total: this.data.size,
-      sites: Array.from(this.data.keys())
+      total: sites.length,
+      sites
     };
   }
 }
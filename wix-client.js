@@ -7,6 +7,7 @@
 const crypto = require('crypto');
 const config = require('./config');
 const logger = require('./utils/logger');
+const { normalizarTasa } = require('./services/indicador-iva');
 
 class WixClient {
   constructor() {
@@ -137,24 +138,163 @@ class WixClient {
   }
 
   /**
-   * Buscar ordenes con filtros
-   * @param {Object} filters - Filtros de busqueda
-   * @returns {Array} Lista de ordenes
+   * Obtener producto de Wix Stores por ID
+   * Usado para resolver colecciones (overrides de IVA por coleccion)
+   * @param {string} productId - ID del producto
+   * @returns {Object|null} Producto o null si no existe
    */
-  async searchOrders(filters = {}) {
-    try {
-      const queryParams = new URLSearchParams();
+  async getProduct(productId) {
+    const response = await fetch(
+      `${this.baseUrl}/stores/v1/products/${productId}`,
+      {
+        method: 'GET',
+        headers: this.getAuthHeaders(),
+        signal: AbortSignal.timeout(this.timeout)
+      }
+    );
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      const errorText = await response.text();
+      throw new Error(`Error obteniendo producto: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    return data.product || data;
+  }
+
+  /**
+   * Obtener miembro del sitio (email de login verificado por Wix)
+   * @param {string} memberId - ID del miembro
+   * @returns {Object|null} Miembro o null si no existe
+   */
+  async getMember(memberId) {
+    const response = await fetch(
+      `${this.baseUrl}/members/v1/members/${memberId}?fieldsets=FULL`,
+      {
+        method: 'GET',
+        headers: this.getAuthHeaders(),
+        signal: AbortSignal.timeout(this.timeout)
+      }
+    );
 
-      if (filters.status) {
-        queryParams.append('status', filters.status);
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
       }
-      if (filters.paymentStatus) {
-        queryParams.append('paymentStatus', filters.paymentStatus);
+      const errorText = await response.text();
+      throw new Error(`Error obteniendo miembro: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    return data.member || data;
+  }
+
+  /**
+   * Obtener transacciones (pagos y refunds) de una orden
+   * @param {string} orderId - ID de la orden
+   * @returns {Object|null} orderTransactions o null si no existe
+   */
+  async getOrderTransactions(orderId) {
+    const response = await fetch(
+      `${this.baseUrl}/ecom/v1/payments/orders/${orderId}`,
+      {
+        method: 'GET',
+        headers: this.getAuthHeaders(),
+        signal: AbortSignal.timeout(this.timeout)
       }
-      if (filters.limit) {
-        queryParams.append('limit', filters.limit.toString());
+    );
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
       }
+      const errorText = await response.text();
+      throw new Error(`Error obteniendo transacciones: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    return data.orderTransactions || data;
+  }
 
+  /**
+   * Normalizar refunds de Wix a formato interno
+   * Solo incluye refunds con monto efectivamente devuelto
+   * @param {Object} orderTransactions - Transacciones de la orden
+   * @returns {Array<{id: string, monto: number, items: Array, incluyeEnvio: boolean, fecha: string}>}
+   */
+  normalizeRefunds(orderTransactions) {
+    const refunds = orderTransactions?.refunds || [];
+
+    return refunds.map(refund => {
+      const exitosas = (refund.transactions || [])
+        .filter(t => !t.refundStatus || t.refundStatus === 'SUCCEEDED');
+      const montoTransacciones = exitosas
+        .reduce((sum, t) => sum + parseFloat(t.amount?.amount || 0), 0);
+      const monto = refund.summary?.refunded?.amount != null
+        ? parseFloat(refund.summary.refunded.amount)
+        : montoTransacciones;
+
+      return {
+        id: refund.id,
+        monto: Math.round(monto * 100) / 100,
+        items: (refund.details?.items || []).map(item => ({
+          lineItemId: item.lineItemId,
+          cantidad: parseInt(item.quantity) || 1
+        })),
+        incluyeEnvio: refund.details?.shippingIncluded === true,
+        razon: refund.details?.reason || null,
+        fecha: refund.createdDate || null
+      };
+    }).filter(refund => refund.id && refund.monto > 0);
+  }
+
+  /**
+   * Normalizar pagos de Wix a formato interno
+   * @param {Object} orderTransactions - Transacciones de la orden
+   * @returns {Array<{id: string, metodo: string, offline: boolean, giftCard: boolean, estado: string, monto: number}>}
+   */
+  normalizePayments(orderTransactions) {
+    const payments = orderTransactions?.payments || [];
+
+    return payments.map(payment => {
+      const regular = payment.regularPaymentDetails || {};
+      const giftCard = !!payment.giftcardPaymentDetails;
+
+      return {
+        id: payment.id,
+        metodo: giftCard ? 'GIFT_CARD' : (regular.paymentMethod || null),
+        offline: regular.offlinePayment === true,
+        giftCard,
+        estado: regular.status || null,
+        monto: parseFloat(payment.amount?.amount || 0)
+      };
+    });
+  }
+
+  /**
+   * Buscar ordenes con filtros
+   * @param {Object} filters - Filtros de busqueda
+   * @returns {Array} Lista de ordenes
+   */
+  async searchOrders(filters = {}) {
+    const { orders } = await this.searchOrdersPage(filters);
+    return orders;
+  }
+
+  /**
+   * Buscar una pagina de ordenes (cursor paging)
+   * @param {Object} filters - Filtros de busqueda
+   * @param {Object} [filters.filter] - Filtro Wix (ej: { _createdDate: { $gte: '...' } })
+   * @param {Array} [filters.sort]
+   * @param {number} [filters.limit=50] - Ordenes por pagina (max 100)
+   * @param {string} [filters.cursor] - Cursor devuelto por la pagina anterior
+   * @returns {Object} { orders, nextCursor } - nextCursor null si no hay mas paginas
+   */
+  async searchOrdersPage(filters = {}) {
+    try {
       const url = `${this.baseUrl}/ecom/v1/orders/query`;
 
       const response = await fetch(url, {
@@ -164,8 +304,9 @@ class WixClient {
           query: {
             filter: filters.filter || {},
             sort: filters.sort || [{ fieldName: '_createdDate', order: 'DESC' }],
-            paging: {
-              limit: filters.limit || 50
+            cursorPaging: {
+              limit: filters.limit || 50,
+              ...(filters.cursor && { cursor: filters.cursor })
             }
           }
         }),
@@ -178,7 +319,12 @@ class WixClient {
       }
 
       const data = await response.json();
-      return data.orders || [];
+      const metadata = data.metadata || data.pagingMetadata || {};
+
+      return {
+        orders: data.orders || [],
+        nextCursor: metadata.hasNext === false ? null : (metadata.cursors?.next || null)
+      };
     } catch (error) {
       logger.error('Error buscando ordenes Wix', { error: error.message });
       throw error;
@@ -196,11 +342,16 @@ class WixClient {
     const address = billingInfo.address || {};
     const priceSummary = wixOrder.priceSummary || {};
     const buyerInfo = wixOrder.buyerInfo || {};
+    const shippingAddress = wixOrder.shippingInfo?.logistics?.shippingDestination?.address || {};
 
     // Extraer datos fiscales
     const vatId = contactDetails.vatId || {};
-    const documento = vatId.id?.replace(/\D/g, '') || null;
     const tipoDocumento = vatId.type || null;
+    // Documentos uruguayos son numericos; pasaporte/DNI/NIFE extranjeros pueden tener letras
+    const esDocumentoExtranjero = tipoDocumento && !tipoDocumento.startsWith('UY_');
+    const documento = (esDocumentoExtranjero
+      ? vatId.id?.replace(/[^0-9A-Za-z]/g, '').toUpperCase()
+      : vatId.id?.replace(/\D/g, '')) || null;
 
     // Calcular total
     const total = parseFloat(priceSummary.total?.amount || 0);
@@ -209,10 +360,16 @@ class WixClient {
     const items = (wixOrder.lineItems || []).map(item => ({
       id: item.id,
       nombre: item.productName?.translated || item.productName?.original || 'Producto',
+      sku: item.physicalProperties?.sku || item.sku || null,
+      productId: item.catalogReference?.catalogItemId || null,
+      colecciones: item.collectionIds || [],
       cantidad: parseInt(item.quantity) || 1,
       precioUnitario: parseFloat(item.price) || 0,
       precioTotal: parseFloat(item.totalPrice) || 0,
-      iva: item.taxDetails?.taxRate ? parseFloat(item.taxDetails.taxRate) : 22
+      descuento: parseFloat(item.totalDiscount?.amount || 0),
+      iva: item.taxDetails?.taxRate != null && item.taxDetails.taxRate !== ''
+        ? normalizarTasa(item.taxDetails.taxRate)
+        : config.facturacion.ivaDefault
     }));
 
     // Agregar shipping como item si existe
@@ -262,11 +419,19 @@ class WixClient {
         pais: address.country || 'UY'
       },
 
+      // Destino del envio (determina si es exportacion)
+      envio: {
+        pais: shippingAddress.country || null,
+        ciudad: shippingAddress.city || null,
+        linea1: shippingAddress.addressLine1 || null
+      },
+
       // Montos
       montos: {
         subtotal: parseFloat(priceSummary.subtotal?.amount || 0),
         shipping: shippingCost,
         tax: parseFloat(priceSummary.tax?.amount || 0),
+        descuento: parseFloat(priceSummary.discount?.amount || 0),
         total: total,
         moneda: priceSummary.total?.currency || 'UYU'
       },